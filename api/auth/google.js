@@ -1,96 +1,274 @@
 /**
  * Vercel Serverless Function - Google OAuth Handler
- * 
- * ⚠️ NOTE: This file is currently NOT IN USE
- * 
- * The dashboard uses client-side OAuth (Implicit Flow) via googleSheetsService.js
- * This serverless function is kept as a backup for potential future server-side OAuth implementation.
- * 
- * Current OAuth Flow:
- * - Client-side full-page redirect to Google OAuth
- * - Token stored in localStorage
- * - See: src/googleSheetsService.js for active implementation
- * 
- * To activate this (if needed in future):
- * 1. Add GOOGLE_CLIENT_SECRET to Vercel environment variables
- * 2. Update googleSheetsService.js to use this endpoint
- * 3. Change OAuth flow from Implicit to Authorization Code
+ *
+ * Authorization Code flow with PKCE, so the dashboard can renew its
+ * Google Sheets access token without sending the user back to Google.
+ *
+ * Actions (?action=...):
+ * - authorize (GET): redirects to Google's consent screen. The PKCE
+ *   verifier and state wait in a short-lived encrypted cookie
+ * - callback (GET): Google redirects here with the code; it is exchanged
+ *   (with the verifier and client secret) for tokens. The refresh token is
+ *   kept encrypted in an httpOnly cookie and the access token is handed to
+ *   the app in the URL hash, where googleSheetsService.js picks it up.
+ *   A failed sign-in goes back to the app with `auth_error` in the hash
+ * - refresh (POST): new access token from the refresh token cookie
+ * - signout (POST): revokes the refresh token and clears the cookie
+ *
+ * The browser never sees the refresh token or the client secret.
+ *
+ * Environment:
+ * - REACT_APP_GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET
+ * - TOKEN_ENCRYPTION_KEY: any long random string (cookie encryption)
+ * - APP_URL (optional): app origin, taken from the request by default
+ * - GOOGLE_OAUTH_AUTHORIZE_URL, GOOGLE_OAUTH_TOKEN_URL,
+ *   GOOGLE_OAUTH_REVOKE_URL (optional): endpoints, Google's by default
  */
 
-const { google } = require('googleapis');
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
 
-// CORS headers for frontend communication
-const corsHeaders = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-};
+const SCOPES = 'https://www.googleapis.com/auth/spreadsheets';
+const CALLBACK_PATH = '/api/auth/google?action=callback';
+const COOKIE_PATH = '/api/auth';
+const FLOW_COOKIE = 'gs_oauth'; // PKCE verifier and state, during sign-in
+const REFRESH_COOKIE = 'gs_refresh';
+const FLOW_MAX_AGE = 10 * 60; // 10 minutes
+const REFRESH_MAX_AGE = 180 * 24 * 60 * 60; // 180 days
 
-export default async function handler(req, res) {
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).json({ success: true });
-  }
+function getConfig() {
+  return {
+    clientId: process.env.REACT_APP_GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    encryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
+    authorizeUrl: process.env.GOOGLE_OAUTH_AUTHORIZE_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+    revokeUrl: process.env.GOOGLE_OAUTH_REVOKE_URL || 'https://oauth2.googleapis.com/revoke',
+  };
+}
 
-  const { action, code, tokens } = req.query;
+/**
+ * App origin ("https://my-dashboard.vercel.app")
+ */
+function getAppUrl(req) {
+  if (process.env.APP_URL) return process.env.APP_URL.replace(/\/$/, '');
+  const proto = req.headers['x-forwarded-proto'] || (req.headers.host && req.headers.host.startsWith('localhost') ? 'http' : 'https');
+  return `${proto}://${req.headers.host}`;
+}
 
-  // OAuth2 configuration
-  const oauth2Client = new google.auth.OAuth2(
-    process.env.REACT_APP_GOOGLE_CLIENT_ID,
-    process.env.GOOGLE_CLIENT_SECRET, // You'll need to add this
-    `${process.env.VERCEL_URL || 'http://localhost:3000'}/api/auth/google?action=callback`
-  );
+/**
+ * AES-256-GCM encrypt a value for a cookie (iv.tag.ciphertext)
+ */
+export function encrypt(value, secret) {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
 
+/**
+ * Decrypt a cookie value (null when missing, tampered with or not ours)
+ */
+export function decrypt(text, secret) {
   try {
-    // Step 1: Generate authorization URL
-    if (action === 'authorize') {
-      const authUrl = oauth2Client.generateAuthUrl({
-        access_type: 'offline',
-        scope: ['https://www.googleapis.com/auth/spreadsheets'],
-        prompt: 'consent',
-      });
+    const [iv, tag, ciphertext] = String(text).split('.').map(part => Buffer.from(part, 'base64url'));
+    const key = crypto.createHash('sha256').update(secret).digest();
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+    decipher.setAuthTag(tag);
+    return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
 
-      return res.status(200).json({
-        ...corsHeaders,
-        success: true,
-        authUrl,
-      });
-    }
-
-    // Step 2: Handle OAuth callback
-    if (action === 'callback' && code) {
-      const { tokens } = await oauth2Client.getToken(code);
-      oauth2Client.setCredentials(tokens);
-
-      // Redirect back to app with tokens
-      const redirectUrl = `${process.env.VERCEL_URL || 'http://localhost:3000'}/#access_token=${tokens.access_token}&expires_in=${tokens.expiry_date}`;
-      return res.redirect(redirectUrl);
-    }
-
-    // Step 3: Refresh token
-    if (action === 'refresh' && tokens) {
-      oauth2Client.setCredentials(JSON.parse(tokens));
-      const { credentials } = await oauth2Client.refreshAccessToken();
-
-      return res.status(200).json({
-        ...corsHeaders,
-        success: true,
-        tokens: credentials,
+function parseCookies(req) {
+  return Object.fromEntries(String(req.headers.cookie || '')
+    .split(';')
+    .map(pair => pair.trim())
+    .filter(Boolean)
+    .map(pair => {
+      const index = pair.indexOf('=');
+      return [pair.slice(0, index), decodeURIComponent(pair.slice(index + 1))];
+    }));
+}
+
+function cookie(name, value, maxAge) {
+  return `${name}=${encodeURIComponent(value)}; Path=${COOKIE_PATH}; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+/**
+ * POST a form to an OAuth endpoint
+ *
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+function postForm(url, params) {
+  const body = new URLSearchParams(params).toString();
+  const { request } = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Content-Length': Buffer.byteLength(body) },
+    }, res => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        let parsed = {};
+        try {
+          parsed = data ? JSON.parse(data) : {};
+        } catch (error) {
+          parsed = { error: data };
+        }
+        resolve({ status: res.statusCode, body: parsed });
       });
-    }
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Step 1: Send the user to the consent screen
+function authorize(req, res, config) {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const state = crypto.randomBytes(16).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+
+  const params = new URLSearchParams({
+    client_id: config.clientId,
+    redirect_uri: `${getAppUrl(req)}${CALLBACK_PATH}`,
+    response_type: 'code',
+    scope: SCOPES,
+    access_type: 'offline', // Refresh token
+    prompt: 'consent',
+    include_granted_scopes: 'true',
+    state,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  });
+
+  res.setHeader('Set-Cookie', cookie(FLOW_COOKIE, encrypt({ verifier, state }, config.encryptionKey), FLOW_MAX_AGE));
+  return res.redirect(`${config.authorizeUrl}?${params.toString()}`);
+}
+
+// Back to the app with why sign-in failed (the flow is over either way)
+function signInFailed(req, res, message) {
+  res.setHeader('Set-Cookie', cookie(FLOW_COOKIE, '', 0));
+  const hash = new URLSearchParams({ auth_error: message });
+  return res.redirect(`${getAppUrl(req)}/#${hash.toString()}`);
+}
+
+// Step 2: Exchange the code, keep the refresh token, hand over the access token
+async function callback(req, res, config) {
+  const { code, state, error } = req.query;
+  const flow = decrypt(parseCookies(req)[FLOW_COOKIE], config.encryptionKey);
+
+  if (error) {
+    return signInFailed(req, res, `Google sign-in failed: ${error}`);
+  }
+  if (!code || !flow || flow.state !== state) {
+    return signInFailed(req, res, 'Sign-in expired or was not started here. Please try again.');
+  }
+
+  const { status, body } = await postForm(config.tokenUrl, {
+    grant_type: 'authorization_code',
+    code,
+    code_verifier: flow.verifier,
+    client_id: config.clientId,
+    client_secret: config.clientSecret,
+    redirect_uri: `${getAppUrl(req)}${CALLBACK_PATH}`,
+  });
+  if (status !== 200 || !body.access_token) {
+    console.error('OAuth code exchange failed:', body);
+    return signInFailed(req, res, 'Google sign-in failed. Please try again.');
+  }
+
+  const cookies = [cookie(FLOW_COOKIE, '', 0)];
+  if (body.refresh_token) {
+    cookies.push(cookie(REFRESH_COOKIE, encrypt({ refreshToken: body.refresh_token }, config.encryptionKey), REFRESH_MAX_AGE));
+  }
+  res.setHeader('Set-Cookie', cookies);
+
+  const hash = new URLSearchParams({ access_token: body.access_token, expires_in: String(body.expires_in || 3600) });
+  return res.redirect(`${getAppUrl(req)}/#${hash.toString()}`);
+}
+
+// Step 3: New access token from the refresh token cookie
+async function refresh(req, res, config) {
+  const saved = decrypt(parseCookies(req)[REFRESH_COOKIE], config.encryptionKey);
+  if (!saved) {
+    return res.status(401).json({ success: false, error: 'Not signed in' });
+  }
+
+  const { status, body } = await postForm(config.tokenUrl, {
+    grant_type: 'refresh_token',
+    refresh_token: saved.refreshToken,
+    client_id: config.clientId,
+    client_secret: config.clientSecret,
+  });
+
+  // Revoked or expired: sign in again
+  if (status === 400 || status === 401) {
+    res.setHeader('Set-Cookie', cookie(REFRESH_COOKIE, '', 0));
+    return res.status(401).json({ success: false, error: 'Session expired. Please sign in again.' });
+  }
+  if (status !== 200 || !body.access_token) {
+    console.error('OAuth refresh failed:', status, body);
+    return res.status(502).json({ success: false, error: 'Could not reach Google. Please try again.' });
+  }
+
+  // Google may rotate the refresh token
+  if (body.refresh_token) {
+    res.setHeader('Set-Cookie', cookie(REFRESH_COOKIE, encrypt({ refreshToken: body.refresh_token }, config.encryptionKey), REFRESH_MAX_AGE));
+  }
+
+  return res.status(200).json({
+    success: true,
+    access_token: body.access_token,
+    expires_in: body.expires_in || 3600,
+  });
+}
+
+// Step 4: Revoke the refresh token and forget it
+async function signout(req, res, config) {
+  const saved = decrypt(parseCookies(req)[REFRESH_COOKIE], config.encryptionKey);
+  if (saved) {
+    await postForm(config.revokeUrl, { token: saved.refreshToken }).catch(error => {
+      console.error('Token revocation failed:', error);
+    });
+  }
+
+  res.setHeader('Set-Cookie', cookie(REFRESH_COOKIE, '', 0));
+  return res.status(200).json({ success: true });
+}
+
+export default async function handler(req, res) {
+  const config = getConfig();
+  if (!config.clientId || !config.clientSecret || !config.encryptionKey) {
+    return res.status(500).json({
+      success: false,
+      error: 'Google sign-in is not configured. Add GOOGLE_CLIENT_SECRET and TOKEN_ENCRYPTION_KEY to Vercel environment variables.',
+    });
+  }
+
+  const { action } = req.query;
+
+  try {
+    if (action === 'authorize' && req.method === 'GET') return authorize(req, res, config);
+    if (action === 'callback' && req.method === 'GET') return await callback(req, res, config);
+    if (action === 'refresh' && req.method === 'POST') return await refresh(req, res, config);
+    if (action === 'signout' && req.method === 'POST') return await signout(req, res, config);
 
     return res.status(400).json({
-      ...corsHeaders,
       success: false,
       error: 'Invalid action',
     });
   } catch (error) {
     console.error('OAuth error:', error);
     return res.status(500).json({
-      ...corsHeaders,
       success: false,
       error: error.message,
     });
   }
 }
-
@@ -1,7 +1,25 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { LineChart, Line, BarChart, Bar, PieChart, Pie, Cell, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { DollarSign, TrendingUp, Home, Calendar, Edit2, Trash2, X, Plus, Filter, Download, Upload, RefreshCw, LogOut, Cloud, CloudOff, Settings, BarChart3, ArrowUpRight, ArrowDownLeft, Building2, Target, Users } from 'lucide-react';
-import * as GoogleSheetsService from './googleSheetsService';
+import { getCommissionPlan, getCommissionPlans, saveCommissionPlan, getPlanOutputFields } from './commissionPlans';
+import { getCapPaidToDate, getCapStatus, parseClosingDate, applyCapSchedule } from './capTracking';
+import { getBrokerages, normalizeBrokerage, getBrokerageName, migrateTransactionBrokerages, DEFAULT_BROKERAGE, UNSET_BROKERAGE } from './brokerages';
+import { DUAL_AGENCY, SIDES, isDualAgency, getSideFields, getDualAgencyInputs, getClientTypeNci, matchesClientType, findDualAgencyPairs, mergeDualAgencyPair } from './dualAgency';
+import { SELF_AGENT, SPLIT_TIMINGS, createAgent, getAgentNames, getAgentNci } from './agentSplits';
+import { DEDUCTION_PLACEMENTS, createDeduction, getDefaultDeductions, isBlankDeductions, getDeductionAmount, migrateTransactionDeductions } from './deductions';
+import { transactionsToCsv, csvToTransactions } from './csvTransactions';
+import { getTieredSplitRule, getSplitYtdBefore, getDealSplitTiers, applySplitSchedule } from './splitSchedule';
+import { sumMoney, toMoney, normalizeMoneyFields, migrateMoneyFields } from './money';
+import { SOLVER_TARGETS, getSolverUnknowns, solveCommission } from './commissionSolver';
+import { calculateCommission, calculateTransaction } from './commissionCalculator';
+import { PAYOUT_CATEGORIES, createPayout, getDefaultPayouts, saveDefaultPayouts, getPayouts, getPayoutAmount, getNetAfterPayouts } from './payouts';
+import { GCI_COMPONENT_KINDS, GCI_SOURCES, createGciComponent, getGciComponentAmount, getGciSources } from './gciComponents';
+import { OVERRIDABLE_FIELDS, isOverridable, isOverridden, addOverride, removeOverride, inferOverrides } from './overrides';
+import { getRowHash, loadSyncBase, saveSyncBase, updateSyncBase, clearSyncBase, reconcileTransactions, getSheetChanges, mergeConflict } from './syncConflicts';
+import { getMutations, loadOutbox, enqueueMutations, removeFromOutbox, recordFailure, clearOutbox, isStuck, toChanges } from './syncOutbox';
+import { SHEET_COLUMNS, columnLetter, getColumnLayout } from './sheetColumns';
+import { STORAGE_ADAPTERS, createLocalStorageAdapter, createStorageAdapter, getStorageAdapterId, setStorageAdapterId } from './storageAdapters';
+import { DEFAULT_SHEET_NAME, createSheetSource, getSheetSources, getActiveSheetSource, setActiveSheetSource, saveSheetSource, deleteSheetSource, parseSpreadsheetId } from './dataSources';
 import ThemeToggle from './ThemeToggle';
 
 /**
@@ -105,6 +123,18 @@ const SkeletonTransactionCard = () => (
   </div>
 );
 
+// This browser's copy of the transactions, kept whichever storage is picked
+const localStore = createLocalStorageAdapter();
+
+// Where changes are synced to (Settings → Storage); null when this browser is the only copy
+const getRemoteStore = (options) => {
+  const id = getStorageAdapterId();
+  return id === 'local' ? null : createStorageAdapter(id, options);
+};
+
+// Spreadsheets for Settings → Google Sheets Sync (data sources, column mapping)
+const sheetsStore = createStorageAdapter('googleSheets');
+
 const EnhancedRealEstateDashboard = () => {
   // ==================== STATE MANAGEMENT ====================
   
@@ -117,13 +147,37 @@ const EnhancedRealEstateDashboard = () => {
   // Loading State
   const [isInitialLoading, setIsInitialLoading] = useState(true);
   
-  // Google Sheets State
-  const [isGoogleSheetsEnabled, setIsGoogleSheetsEnabled] = useState(false);
-  const [isGoogleSheetsAuthorized, setIsGoogleSheetsAuthorized] = useState(false);
+  // Storage State
+  const [storageAdapterId, setStorageAdapterIdState] = useState(() => getStorageAdapterId());
+  const isGoogleSheetsEnabled = storageAdapterId === 'googleSheets';
+  // Storage ID → signed in (init(), connect() and disconnect())
+  const [connectedStores, setConnectedStores] = useState({});
+  const isGoogleSheetsAuthorized = Boolean(connectedStores.googleSheets);
+  const isRemoteConnected = storageAdapterId !== 'local' && Boolean(connectedStores[storageAdapterId]);
+  const remoteName = (STORAGE_ADAPTERS.find(adapter => adapter.id === storageAdapterId) || {}).name;
   const [isSyncing, setIsSyncing] = useState(false);
   const [syncError, setSyncError] = useState(null);
   const [lastSyncTime, setLastSyncTime] = useState(null);
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  // Rows changed in both the dashboard and the sheet, waiting to be merged
+  // (reconcileTransactions result plus the version picked per field)
+  const [pendingMerge, setPendingMerge] = useState(null);
+  // Changes waiting to be written to the sheet (see syncOutbox.js)
+  const [outbox, setOutbox] = useState(() => loadOutbox());
+  const [showOutbox, setShowOutbox] = useState(false);
+  const replayingRef = useRef(false);
+  // Background check for edits made in the synced storage (minutes, 0 = off)
+  const [sheetPollMinutes, setSheetPollMinutes] = useState(() => Number(localStorage.getItem('sheetPollMinutes') ?? 5));
+  const [remoteChanges, setRemoteChanges] = useState(null); // getSheetChanges() result, until pulled or dismissed
+  const [showRemoteChanges, setShowRemoteChanges] = useState(false);
+  const checkRemoteRef = useRef(null); // Latest checkForRemoteChanges, for the subscription
+  
+  // Data sources - the spreadsheet and tab each profile syncs with
+  const [sheetSources, setSheetSources] = useState(() => getSheetSources());
+  const [activeSourceId, setActiveSourceId] = useState(() => (getActiveSheetSource() || {}).id || null);
+  const [sourceDraft, setSourceDraft] = useState(null); // Source being added / edited, plus its URL and tabs
+  const [sourceStatus, setSourceStatus] = useState(null); // { type: 'success' | 'error', message }
+  const [columnMapping, setColumnMapping] = useState(null); // { headers, layout, columnMap } while mapping columns
   
   // Filters - All in one row at top
   const [filterYear, setFilterYear] = useState('all');
@@ -133,6 +187,7 @@ const EnhancedRealEstateDashboard = () => {
   const [filterPriceRange, setFilterPriceRange] = useState('all');
   const [filterDateRange, setFilterDateRange] = useState('all');
   const [filterReferralType, setFilterReferralType] = useState('all');
+  const [filterAgent, setFilterAgent] = useState('all');
   
   // Search functionality
   const [searchQuery, setSearchQuery] = useState('');
@@ -164,6 +219,20 @@ const EnhancedRealEstateDashboard = () => {
     return localStorage.getItem('agentCompany') || '';
   });
   
+  // Dashboard charts plot NCI or what's left after payouts
+  const [chartBasis, setChartBasis] = useState(() => {
+    return localStorage.getItem('chartBasis') || 'nci';
+  });
+  
+  // Payout lines new transactions start with
+  const [defaultPayouts, setDefaultPayouts] = useState(() => getDefaultPayouts());
+  
+  // Commission Plans (defaults + saved customizations)
+  const [commissionPlans, setCommissionPlans] = useState(() => getCommissionPlans());
+  
+  // Reverse Solver State (solve one input from a known check amount)
+  const [solver, setSolver] = useState({ target: 'nci', amount: '', unknown: 'commissionPct', solution: null });
+  
   // Commission Sheet Scanner State
   const [isScanning, setIsScanning] = useState(false);
   const [scanError, setScanError] = useState(null);
@@ -188,41 +257,46 @@ const EnhancedRealEstateDashboard = () => {
     referralFeeReceived: '', // For Referral $ Received - fee you receive
     
     // Commission Fields
-    brokerage: 'Keller Williams',
+    brokerage: DEFAULT_BROKERAGE,
     commissionPct: '',
+    gciComponents: [], // Flat fees, bonuses, concessions (see gciComponents.js)
     referralPct: '',
     referralDollar: '',
     netVolume: '',
     
     // KW Specific
-    eo: '',
     royalty: '',
     companyDollar: '',
-    hoaTransfer: '',
-    homeWarranty: '',
-    kwCares: '',
-    kwNextGen: '',
-    boldScholarship: '',
-    tcConcierge: '',
-    jelmbergTeam: '',
     
     // BDH Specific
     bdhSplitPct: '',
-    asf: '',
-    foundation10: '',
-    adminFee: '',
     preSplitDeduction: '',
     
+    // Itemized deduction lines (plan defaults: E&O, KW Cares, ASF...)
+    deductions: getDefaultDeductions(getCommissionPlan(DEFAULT_BROKERAGE)),
+    
     // Universal
     otherDeductions: '',
     buyersAgentSplit: '',
-    assistantBonus: '', // FYI only, not in commission calc
     
     // Calculated (auto-filled)
     gci: '',
     adjustedGci: '',
     totalBrokerageFees: '',
-    nci: ''
+    nci: '',
+    overrides: [], // Calculated fields typed over by hand (see overrides.js)
+    
+    // Post-close payouts out of NCI (see payouts.js)
+    payouts: getDefaultPayouts(),
+    totalPayouts: '',
+    netAfterPayouts: '',
+    
+    // Co-agent / team splits
+    agents: [],
+    agentShares: [],
+    
+    // Dual agency buying side (listing side uses the fields above)
+    buyingSide: {}
   });
 
   // ==================== HELPER FUNCTIONS ====================
@@ -268,27 +342,40 @@ const EnhancedRealEstateDashboard = () => {
     initializeApp();
     
     // Listen for online/offline status changes
-    const handleOnline = () => setIsOnline(true);
+    const handleOnline = () => {
+      setIsOnline(true);
+      flushOutbox(); // Send what was queued while offline
+    };
     const handleOffline = () => setIsOnline(false);
     
     window.addEventListener('online', handleOnline);
     window.addEventListener('offline', handleOffline);
     
-    // Listen for OAuth success event (after redirect)
-    const handleOAuthSuccess = async () => {
-      console.log('🎉 OAuth success event detected, updating UI...');
-      setIsGoogleSheetsEnabled(true);
-      setIsGoogleSheetsAuthorized(true);
-      localStorage.setItem('googleSheetsEnabled', 'true');
+    // Signed in (back from the sign-in page): sync with that storage. Session
+    // renewed in the background: send what waited for it
+    const handleConnect = async (id, { signIn, error }) => {
+      if (error) {
+        setSyncError(error);
+        return;
+      }
+      if (!signIn) {
+        if (id === getStorageAdapterId()) flushOutbox();
+        return;
+      }
       
-      // Load data from Google Sheets
+      console.log(`🎉 Signed in to ${id}, updating UI...`);
+      chooseStorageAdapter(id);
+      setStoreConnected(id, true);
       try {
-        await loadFromGoogleSheets();
+        await loadFromRemoteStore();
       } catch (error) {
-        console.error('Error loading after OAuth:', error);
+        console.error('Error loading after sign-in:', error);
         setSyncError('Failed to load data: ' + error.message);
       }
     };
+    const stopConnectListeners = STORAGE_ADAPTERS.map(({ id }) => (
+      createStorageAdapter(id).onConnect(event => handleConnect(id, event))
+    ));
     
     // Handle keyboard shortcuts
     const handleKeyboardShortcuts = (e) => {
@@ -311,7 +398,7 @@ const EnhancedRealEstateDashboard = () => {
       // Cmd/Ctrl + R: Sync (Refresh)
       if (cmdKey && e.key === 'r') {
         e.preventDefault();
-        if (isGoogleSheetsEnabled) {
+        if (getRemoteStore()) {
           syncNow();
         }
         return;
@@ -345,49 +432,59 @@ const EnhancedRealEstateDashboard = () => {
       }
     };
     
-    window.addEventListener('googleAuthSuccess', handleOAuthSuccess);
     window.addEventListener('keydown', handleKeyboardShortcuts);
     
     return () => {
-      window.removeEventListener('googleAuthSuccess', handleOAuthSuccess);
+      stopConnectListeners.forEach(stop => stop());
       window.removeEventListener('keydown', handleKeyboardShortcuts);
       window.removeEventListener('online', handleOnline);
       window.removeEventListener('offline', handleOffline);
     };
   }, []);
+  
+  // Watch the synced storage for outside edits while connected
+  useEffect(() => {
+    const remoteStore = getRemoteStore({ pollMinutes: sheetPollMinutes });
+    if (!remoteStore || !isRemoteConnected) return;
+    
+    return remoteStore.subscribe(() => checkRemoteRef.current());
+  }, [isRemoteConnected, storageAdapterId, sheetPollMinutes]);
+
+  // Record whether a storage is signed in
+  const setStoreConnected = (id, connected) => {
+    setConnectedStores(prev => ({ ...prev, [id]: connected }));
+  };
 
   const initializeApp = async () => {
     try {
-      // Always initialize Google Sheets API
-      await GoogleSheetsService.initializeGoogleSheets();
+      // Set up every storage, picked or not - a sign-in that left the page
+      // ends here, before the storage is switched to it
+      const connected = {};
+      for (const { id } of STORAGE_ADAPTERS) {
+        connected[id] = await createStorageAdapter(id).init();
+      }
+      setConnectedStores(prev => ({ ...prev, ...connected }));
       
-      // Check if user just completed OAuth (has valid token)
-      if (GoogleSheetsService.isAuthorized()) {
-        console.log('✅ User is authorized, enabling Google Sheets sync');
-        setIsGoogleSheetsEnabled(true);
-        setIsGoogleSheetsAuthorized(true);
-        localStorage.setItem('googleSheetsEnabled', 'true');
+      const remoteStore = getRemoteStore();
+      if (remoteStore && connected[remoteStore.id]) {
+        console.log(`✅ Signed in to ${remoteStore.name}`);
         
         // Auto-sync on app open
         console.log('🔄 Auto-syncing on app startup...');
-        await loadFromGoogleSheets();
+        await loadFromRemoteStore();
       } else {
-        // Check if Google Sheets was previously enabled
-        const sheetsEnabled = localStorage.getItem('googleSheetsEnabled') === 'true';
-        setIsGoogleSheetsEnabled(sheetsEnabled);
-        
-        if (sheetsEnabled) {
-          console.log('⚠️ Google Sheets was enabled but token expired');
+        if (remoteStore) {
+          console.log(`⚠️ ${remoteStore.name} was picked but the session expired`);
           setSyncError('Session expired. Please sign in again.');
         }
         
         // Load from localStorage
-        loadFromLocalStorage();
+        await loadFromLocalStorage();
       }
     } catch (error) {
       console.error('Failed to initialize app:', error);
       setSyncError('Failed to initialize: ' + error.message);
-      loadFromLocalStorage();
+      await loadFromLocalStorage();
     } finally {
       // End loading state after data is loaded
       setTimeout(() => setIsInitialLoading(false), 500); // Small delay for smooth transition
@@ -396,84 +493,120 @@ const EnhancedRealEstateDashboard = () => {
 
   // ==================== DATA LOADING ====================
   
-  const loadFromLocalStorage = () => {
-    const saved = localStorage.getItem('realEstateTransactions');
-    if (saved) {
-      try {
-        setTransactions(JSON.parse(saved));
-      } catch (error) {
-        console.error('Error loading from localStorage:', error);
+  const loadFromLocalStorage = async () => {
+    try {
+      // Older saves may use brokerage names instead of IDs, fixed
+      // deduction fields instead of deduction lines, and text amounts
+      const brokerages = migrateTransactionBrokerages(await localStore.list());
+      const deductions = migrateTransactionDeductions(brokerages.transactions, getCommissionPlan);
+      const amounts = migrateMoneyFields(deductions.transactions);
+      const migrated = amounts.transactions;
+      if (brokerages.changed > 0 || deductions.changed > 0 || amounts.changed > 0) {
+        console.log(`🔄 Migrated ${brokerages.changed} brokerage(s), ${deductions.changed} deduction set(s) and ${amounts.changed} amount set(s) in saved transactions`);
+        await localStore.put(migrated);
       }
+      setTransactions(migrated);
+    } catch (error) {
+      console.error('Error loading from localStorage:', error);
     }
   };
+  
+  // Make the browser copy hold exactly these transactions
+  const replaceLocalTransactions = async (data) => {
+    const ids = new Set(data.map(t => String(t.id)));
+    const removed = (await localStore.list()).filter(t => !ids.has(String(t.id)));
+    await localStore.put(data);
+    if (removed.length > 0) await localStore.delete(removed.map(t => t.id));
+  };
 
-  const loadFromGoogleSheets = async () => {
+  const loadFromRemoteStore = async () => {
+    // Storage set to this browser only: nothing to sync with
+    const remoteStore = getRemoteStore();
+    if (!remoteStore) {
+      await loadFromLocalStorage();
+      return;
+    }
+    
     setIsSyncing(true);
     setSyncError(null);
     
     try {
-      const data = await GoogleSheetsService.readFromGoogleSheets();
-      setTransactions(data);
-      setLastSyncTime(new Date());
+      // Queued changes go first, in order
+      await replayOutbox();
       
-      // Also save to localStorage as backup
-      localStorage.setItem('realEstateTransactions', JSON.stringify(data));
+      // The browser copy is always the latest local data
+      await syncWithRemoteStore(await localStore.list());
     } catch (error) {
-      console.error('Error loading from Google Sheets:', error);
-      setSyncError('Failed to load from Google Sheets');
+      console.error(`Error loading from ${remoteStore.name}:`, error);
+      setSyncError(`Failed to load from ${remoteStore.name}`);
       
       // Fall back to localStorage
-      loadFromLocalStorage();
+      await loadFromLocalStorage();
     } finally {
       setIsSyncing(false);
     }
   };
 
-  // ==================== GOOGLE SHEETS SYNC ====================
+  // ==================== STORAGE SYNC ====================
+  
+  // Remember where changes are synced to (see storageAdapters.js)
+  const chooseStorageAdapter = (id) => {
+    setStorageAdapterId(id);
+    setStorageAdapterIdState(id);
+  };
+  
+  // Settings → Storage: a storage not signed in to needs a sign-in first;
+  // switching to another synced storage pulls and pushes everything through a sync
+  const changeStorageAdapter = async (id) => {
+    if (!connectedStores[id]) {
+      await connectStorage(id);
+      return;
+    }
+    
+    chooseStorageAdapter(id);
+    console.log(`🗄️ Storage set to ${id}`);
+    if (id !== 'local') {
+      await loadFromRemoteStore();
+    }
+  };
   
-  const enableGoogleSheets = async () => {
+  // Sign in to a storage and sync with it
+  const connectStorage = async (id) => {
+    const store = createStorageAdapter(id);
     try {
       setIsSyncing(true);
       setSyncError(null);
       
-      // Initialize if not already done
-      if (!isGoogleSheetsEnabled) {
-        await GoogleSheetsService.initializeGoogleSheets();
-      }
-      
-      // Authorize user
-      await GoogleSheetsService.authorizeUser();
+      await store.connect();
       
-      setIsGoogleSheetsEnabled(true);
-      setIsGoogleSheetsAuthorized(true);
-      localStorage.setItem('googleSheetsEnabled', 'true');
+      chooseStorageAdapter(id);
+      setStoreConnected(id, true);
       
-      // Load data from Google Sheets
-      await loadFromGoogleSheets();
+      await loadFromRemoteStore();
       
     } catch (error) {
-      console.error('Error enabling Google Sheets:', error);
-      setSyncError('Failed to enable Google Sheets: ' + error.message);
+      console.error(`Error connecting ${store.name}:`, error);
+      setSyncError(`Failed to connect ${store.name}: ` + error.message);
     } finally {
       setIsSyncing(false);
     }
   };
 
   const syncNow = async () => {
-    if (!isGoogleSheetsAuthorized) {
-      setSyncError('Please authorize Google Sheets first');
+    if (!isRemoteConnected) {
+      setSyncError(`Please sign in to ${remoteName} first`);
       return;
     }
     
-    await loadFromGoogleSheets();
+    await loadFromRemoteStore();
   };
 
-  const signOutGoogleSheets = async () => {
+  // Sign out of a storage; the dashboard goes back to this browser only
+  const disconnectStorage = async (id) => {
     try {
-      await GoogleSheetsService.signOut();
-      setIsGoogleSheetsEnabled(false);
-      setIsGoogleSheetsAuthorized(false);
-      localStorage.setItem('googleSheetsEnabled', 'false');
+      await createStorageAdapter(id).disconnect();
+      chooseStorageAdapter('local');
+      setStoreConnected(id, false);
       setSyncError(null);
       setLastSyncTime(null);
     } catch (error) {
@@ -482,184 +615,411 @@ const EnhancedRealEstateDashboard = () => {
     }
   };
 
-  const saveToGoogleSheets = async (data) => {
-    if (!isGoogleSheetsAuthorized) return;
+  // Reconcile local transactions with the synced storage: one-sided edits
+  // are taken and written, rows edited on both sides wait for the merge
+  // dialog and nothing is written until they are merged (see syncConflicts.js)
+  const syncWithRemoteStore = async (local) => {
+    const remoteStore = getRemoteStore();
+    const remote = await remoteStore.list();
+    const reconciled = reconcileTransactions({ local, remote, base: loadSyncBase() });
+    
+    if (reconciled.conflicts.length > 0) {
+      console.log(`⚠️ ${reconciled.conflicts.length} transaction(s) changed in both the dashboard and ${remoteStore.name}`);
+      setPendingMerge({ ...reconciled, choices: {} });
+      return;
+    }
+    
+    await finishSync(reconciled.transactions, reconciled.changes);
+  };
+  
+  // Write the changed rows, then keep the result as the new sync base
+  // (every queued change is now in the synced storage or was replaced by it)
+  const finishSync = async (data, { added, updated, deleted }) => {
+    const remoteStore = getRemoteStore();
+    if (added.length + updated.length > 0) await remoteStore.put([...added, ...updated]);
+    if (deleted.length > 0) await remoteStore.delete(deleted);
+    saveSyncBase(data);
+    setOutbox(clearOutbox());
+    setRemoteChanges(null); // Pulled with everything else
+    await replaceLocalTransactions(data);
+    setTransactions(data);
+    setLastSyncTime(new Date());
+  };
+  
+  // Pick the dashboard or synced version of one field of a conflicting row
+  const chooseMergeVersion = (id, field, version) => {
+    setPendingMerge(prev => ({
+      ...prev,
+      choices: { ...prev.choices, [id]: { ...prev.choices[id], [field]: version } }
+    }));
+  };
+  
+  // Pick one version for every field of every conflicting row
+  const chooseMergeVersionForAll = (version) => {
+    setPendingMerge(prev => ({
+      ...prev,
+      choices: Object.fromEntries(prev.conflicts.map(conflict => [
+        conflict.id,
+        Object.fromEntries(conflict.fields.map(item => [item.field, version]))
+      ]))
+    }));
+  };
+  
+  const applyMerge = async () => {
+    const merged = pendingMerge.conflicts.map(conflict => mergeConflict(
+      conflict,
+      pendingMerge.choices[conflict.id],
+      t => calculateTransaction(t, getCalculationContext(t, pendingMerge.transactions, t.id))
+    ));
+    const mergedById = Object.fromEntries(merged.map(t => [t.id, t]));
+    const data = pendingMerge.transactions.map(t => mergedById[t.id] || t);
+    
+    setIsSyncing(true);
+    try {
+      await finishSync(data, { ...pendingMerge.changes, updated: [...pendingMerge.changes.updated, ...merged] });
+      console.log(`🔀 Merged ${merged.length} conflicting transaction(s)`);
+      setPendingMerge(null);
+      setSyncError(null);
+    } catch (error) {
+      console.error(`Error saving merge to ${remoteName}:`, error);
+      setSyncError(`Failed to save the merge to ${remoteName}`);
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+  
+  // Close the dialog without writing; the next sync asks again
+  const cancelMerge = () => {
+    setPendingMerge(null);
+    setSyncError(`Sync paused - some transactions were changed in both the dashboard and ${remoteName}`);
+  };
+  
+  // ==================== REMOTE CHANGES ====================
+  
+  // The synced storage may have changed (its subscription fired): list
+  // the rows edited there for the toast. Nothing is replaced until the
+  // user pulls them.
+  const checkForRemoteChanges = async () => {
+    const remoteStore = getRemoteStore();
+    if (!remoteStore || isSyncing || replayingRef.current) return; // A sync reads it anyway
     
     try {
-      await GoogleSheetsService.writeToGoogleSheets(data);
-      setLastSyncTime(new Date());
+      const remote = await remoteStore.list({ readOnly: true }); // Nothing is written until they are pulled
+      const local = await localStore.list();
+      const changes = getSheetChanges({ local, remote, base: loadSyncBase() });
+      if (changes.length > 0) {
+        console.log(`🔔 ${changes.length} row(s) changed in ${remoteStore.name}`);
+      }
+      setRemoteChanges(changes.length > 0 ? changes : null);
     } catch (error) {
-      console.error('Error saving to Google Sheets:', error);
-      setSyncError('Failed to save to Google Sheets');
+      // Quiet - the next check tries again
+      console.error(`Error checking ${remoteStore.name} for changes:`, error);
     }
   };
-
-  // ==================== DATA PERSISTENCE ====================
+  checkRemoteRef.current = checkForRemoteChanges;
   
-  const saveTransactions = async (data) => {
-    // Always save to localStorage as backup
-    localStorage.setItem('realEstateTransactions', JSON.stringify(data));
-    setTransactions(data);
+  // Replace the local data with the synced storage's (through a normal
+  // sync, so rows edited on both sides still go through the merge dialog)
+  const pullRemoteChanges = async () => {
+    setShowRemoteChanges(false);
+    await loadFromRemoteStore();
+  };
+  
+  const dismissRemoteChanges = () => {
+    setShowRemoteChanges(false);
+    setRemoteChanges(null);
+  };
+  
+  // ==================== DATA SOURCES ====================
+  
+  const startSourceDraft = (source = null) => {
+    setSourceStatus(null);
+    setSourceDraft(source
+      ? { ...source, url: `https://docs.google.com/spreadsheets/d/${source.spreadsheetId}`, tabs: [source.sheetName] }
+      : { ...createSheetSource(), url: '', tabs: [] });
+  };
+  
+  // Check the pasted spreadsheet is reachable and list its tabs
+  const loadSourceTabs = async () => {
+    const spreadsheetId = parseSpreadsheetId(sourceDraft.url);
+    if (!spreadsheetId) {
+      setSourceStatus({ type: 'error', message: 'Paste the spreadsheet URL from your browser (docs.google.com/spreadsheets/d/...)' });
+      return;
+    }
+    if (!isGoogleSheetsAuthorized) {
+      setSourceStatus({ type: 'error', message: 'Connect Google Sheets first' });
+      return;
+    }
+    
+    try {
+      const { title, tabs } = await sheetsStore.getSpreadsheetTabs(spreadsheetId);
+      setSourceDraft(prev => ({
+        ...prev,
+        spreadsheetId,
+        tabs,
+        name: prev.name || title,
+        sheetName: tabs.includes(prev.sheetName) ? prev.sheetName : (tabs.includes(DEFAULT_SHEET_NAME) ? DEFAULT_SHEET_NAME : tabs[0])
+      }));
+      setSourceStatus({ type: 'success', message: `Found "${title}" - pick the tab with your transactions` });
+    } catch (error) {
+      setSourceStatus({ type: 'error', message: error.message });
+    }
+  };
+  
+  // Make a data source the active one and load its transactions
+  const switchSheetSource = async (id) => {
+    setActiveSheetSource(id);
+    setActiveSourceId(id);
+    clearSyncBase(); // The new sheet is taken as is
+    setOutbox(clearOutbox()); // Queued changes were for the old one
+    setRemoteChanges(null);
+    console.log(`📄 Switched data source to ${id}`);
     
-    // Also save to Google Sheets if enabled
     if (isGoogleSheetsAuthorized) {
-      await saveToGoogleSheets(data);
+      await loadFromRemoteStore();
     }
   };
-
-  // ==================== COMMISSION CALCULATIONS ====================
   
-  const calculateCommission = (data) => {
-    const {
-      brokerage,
-      transactionType = 'Sale',
-      closedPrice = 0,
-      commissionPct = 0,
-      referralPct = 0,
-      referralFeeReceived = 0, // NEW: For Referral $ Received transactions
-      
-      // KW fields
-      eo = 0,
-      royalty = '', // Manual override
-      companyDollar = '', // Manual override
-      hoaTransfer = 0,
-      homeWarranty = 0,
-      kwCares = 0,
-      kwNextGen = 0,
-      boldScholarship = 0,
-      tcConcierge = 0,
-      jelmbergTeam = 0,
-      
-      // BDH fields
-      bdhSplitPct = 0,
-      preSplitDeduction = '', // Manual override
-      asf = 0,
-      foundation10 = 0,
-      adminFee = 0,
-      
-      // Universal
-      otherDeductions = 0,
-      buyersAgentSplit = 0
-    } = data;
-
-    // Parse all values as numbers
-    const price = parseFloat(closedPrice) || 0;
-    const commPct = parseFloat(commissionPct) || 0;
-    const refPct = parseFloat(referralPct) || 0;
-    const refFeeReceived = parseFloat(referralFeeReceived) || 0;
-
-    let gci, referralDollar, adjustedGci;
-
-    // REFERRAL $ RECEIVED: You refer client to another agent, receive referral fee
-    if (transactionType === 'Referral $ Received') {
-      gci = refFeeReceived; // GCI is the referral fee itself
-      referralDollar = 0; // You're not paying a referral
-      adjustedGci = gci; // No adjustment needed
-    } 
-    // REGULAR SALE or REFERRAL $ PAID: Calculate from property price
-    else {
-      // Calculate GCI (Gross Commission Income)
-      gci = price * (commPct / 100);
+  const saveSourceDraft = async () => {
+    const { url, tabs, ...source } = sourceDraft;
+    
+    try {
+      const { title, rowCount } = await sheetsStore.validateSource(source);
+      const saved = { ...source, name: source.name.trim() || title };
+      setSheetSources(saveSheetSource(saved));
+      setSourceDraft(null);
+      setSourceStatus({ type: 'success', message: `Connected to "${title}" → ${saved.sheetName} (${rowCount} row${rowCount === 1 ? '' : 's'})` });
+      await switchSheetSource(saved.id);
+    } catch (error) {
+      setSourceStatus({ type: 'error', message: error.message });
+    }
+  };
+  
+  // Read the active sheet's header row to map the columns it can't place
+  const openColumnMapping = async () => {
+    try {
+      const columnMap = { ...((getActiveSheetSource() || {}).columnMap || {}) };
+      const { headers, layout } = await sheetsStore.readColumnLayout(columnMap);
+      setColumnMapping({ headers, layout, columnMap });
+      setSourceStatus(null);
+    } catch (error) {
+      setSourceStatus({ type: 'error', message: error.message });
+    }
+  };
+  
+  const mapColumn = (header, field) => {
+    setColumnMapping(prev => {
+      const columnMap = { ...prev.columnMap };
+      if (field === null) {
+        delete columnMap[header];
+      } else {
+        columnMap[header] = field;
+      }
+      return { ...prev, columnMap, layout: getColumnLayout(prev.headers, columnMap) };
+    });
+  };
+  
+  const saveColumnMapping = async () => {
+    setSheetSources(saveSheetSource({ ...getActiveSheetSource(), columnMap: columnMapping.columnMap }));
+    setColumnMapping(null);
+    setSourceStatus({ type: 'success', message: 'Column mapping saved' });
+    console.log('🗂️ Column mapping saved:', columnMapping.columnMap);
+    
+    if (isGoogleSheetsAuthorized) {
+      await loadFromRemoteStore();
+    }
+  };
+  
+  const removeSheetSource = async (id) => {
+    const source = sheetSources.find(s => s.id === id);
+    if (!window.confirm(`Remove the data source "${source.name}"? The spreadsheet itself is not changed.`)) return;
+    
+    setSheetSources(deleteSheetSource(id));
+    if (id === activeSourceId) {
+      const next = getActiveSheetSource();
+      setActiveSourceId(next ? next.id : null);
+      if (next) await switchSheetSource(next.id);
+    }
+  };
+  
+  // ==================== SYNC OUTBOX ====================
+  
+  // Write queued changes to the synced storage one at a time, oldest first.
+  // A change to a row that was also edited there is held back for the merge
+  // dialog, and so are later changes to a row whose change failed. Returns
+  // whether anything was held back for merging.
+  const replayOutbox = async () => {
+    const remoteStore = getRemoteStore();
+    if (!remoteStore || replayingRef.current || loadOutbox().length === 0) return false;
+    if (!navigator.onLine || !(await remoteStore.isAvailable())) return false;
+    
+    replayingRef.current = true;
+    const tried = new Set();
+    const held = new Set(); // Transaction IDs with an earlier change still queued
+    const nextItem = () => loadOutbox().find(item => !tried.has(item.id));
+    let needsMerge = false;
+    
+    try {
+      const remote = await remoteStore.list();
+      const remoteById = new Map(remote.map(t => [String(t.id), t]));
       
-      // Calculate Referral Dollar if referral percentage is provided
-      referralDollar = refPct > 0 ? gci * (refPct / 100) : 0;
+      for (let item = nextItem(); item; item = nextItem()) {
+        tried.add(item.id);
+        if (held.has(item.transactionId)) continue;
+        
+        const theirs = remoteById.get(item.transactionId);
+        const baseHash = (loadSyncBase() || {})[item.transactionId];
+        if (theirs && baseHash && getRowHash(theirs) !== baseHash) {
+          held.add(item.transactionId);
+          needsMerge = true;
+          continue;
+        }
+        
+        try {
+          if (item.type === 'delete') {
+            await remoteStore.delete(item.transactionId);
+          } else {
+            await remoteStore.put(item.transaction);
+          }
+          updateSyncBase(toChanges(item));
+          if (item.type === 'delete') {
+            remoteById.delete(item.transactionId);
+          } else {
+            remoteById.set(item.transactionId, item.transaction);
+          }
+          setOutbox(removeFromOutbox(item.id));
+        } catch (error) {
+          // Offline or signed out: everything waits for the next replay
+          if (!navigator.onLine || !(await remoteStore.isAvailable())) throw error;
+          
+          console.error(`❌ Queued ${item.type} of transaction ${item.transactionId} failed:`, error);
+          held.add(item.transactionId);
+          setOutbox(recordFailure(item.id, error));
+        }
+      }
+    } finally {
+      replayingRef.current = false;
+    }
+    
+    return needsMerge;
+  };
+  
+  // Send the outbox now (after a change, when back online, on retry)
+  const flushOutbox = async () => {
+    const pending = loadOutbox().length;
+    const remoteStore = getRemoteStore();
+    if (pending === 0 || !remoteStore) return;
+    
+    if (!navigator.onLine) {
+      setSyncError(`Offline - ${pending} change(s) will be saved to ${remoteStore.name} when you're back online`);
+      return;
+    }
+    if (!(await remoteStore.isAvailable())) {
+      setSyncError(`Session expired. Please sign in again. ${pending} change(s) will be saved to ${remoteStore.name} after you do.`);
+      return;
+    }
+    
+    setIsSyncing(true);
+    try {
+      if (await replayOutbox()) {
+        // Rows also edited in the synced storage: merge through a full sync
+        await syncWithRemoteStore(await localStore.list());
+      }
       
-      // Calculate Adjusted GCI (after referral)
-      adjustedGci = gci - referralDollar;
+      const stuck = loadOutbox().filter(isStuck);
+      setSyncError(stuck.length > 0 ? `${stuck.length} change(s) keep failing to save to ${remoteStore.name} - see Pending` : null);
+      if (loadOutbox().length === 0) setLastSyncTime(new Date());
+    } catch (error) {
+      console.error(`Error saving to ${remoteStore.name}:`, error);
+      setSyncError(error.message.includes('Session expired')
+        ? error.message
+        : `Failed to save to ${remoteStore.name} - ${loadOutbox().length} change(s) queued to retry`);
+    } finally {
+      setOutbox(loadOutbox());
+      setIsSyncing(false);
     }
+  };
 
-    let totalBrokerageFees = 0;
-    let nci = 0;
-
-    if (brokerage === 'KW') {
-      // KW Commission Calculation
-      // Use manual values if provided, otherwise calculate
-      const royaltyValue = royalty !== '' && royalty !== null && royalty !== undefined 
-        ? parseFloat(royalty) 
-        : adjustedGci * 0.06; // 6% of Adjusted GCI
-      const companyDollarValue = companyDollar !== '' && companyDollar !== null && companyDollar !== undefined 
-        ? parseFloat(companyDollar) 
-        : adjustedGci * 0.10; // 10% of Adjusted GCI
-      
-      totalBrokerageFees = 
-        (parseFloat(eo) || 0) +
-        royaltyValue +
-        companyDollarValue +
-        (parseFloat(hoaTransfer) || 0) +
-        (parseFloat(homeWarranty) || 0) +
-        (parseFloat(kwCares) || 0) +
-        (parseFloat(kwNextGen) || 0) +
-        (parseFloat(boldScholarship) || 0) +
-        (parseFloat(tcConcierge) || 0) +
-        (parseFloat(jelmbergTeam) || 0) +
-        (parseFloat(otherDeductions) || 0) +
-        (parseFloat(buyersAgentSplit) || 0);
-
-      nci = adjustedGci - totalBrokerageFees;
-
-      return {
-        gci: gci.toFixed(2),
-        referralDollar: referralDollar.toFixed(2),
-        adjustedGci: adjustedGci.toFixed(2),
-        royalty: royaltyValue.toFixed(2),
-        companyDollar: companyDollarValue.toFixed(2),
-        totalBrokerageFees: totalBrokerageFees.toFixed(2),
-        nci: nci.toFixed(2),
-        netVolume: price.toFixed(2)
-      };
-    } else if (brokerage === 'BDH') {
-      // BDH Commission Calculation
-      const splitPct = parseFloat(bdhSplitPct) || 94; // Default 94%
-      // Use manual value if provided, otherwise calculate
-      const preSplitDeductionValue = preSplitDeduction !== '' && preSplitDeduction !== null && preSplitDeduction !== undefined 
-        ? parseFloat(preSplitDeduction) 
-        : adjustedGci * 0.06; // 6% pre-split deduction
-      const afterPreSplit = adjustedGci - preSplitDeductionValue;
-      const agentSplit = afterPreSplit * (splitPct / 100);
-      
-      totalBrokerageFees = 
-        preSplitDeductionValue +
-        (adjustedGci - agentSplit) + // Brokerage portion
-        (parseFloat(asf) || 0) +
-        (parseFloat(foundation10) || 0) +
-        (parseFloat(adminFee) || 0) +
-        (parseFloat(otherDeductions) || 0) +
-        (parseFloat(buyersAgentSplit) || 0);
-
-      nci = adjustedGci - totalBrokerageFees;
-
-      return {
-        gci: gci.toFixed(2),
-        referralDollar: referralDollar.toFixed(2),
-        adjustedGci: adjustedGci.toFixed(2),
-        preSplitDeduction: preSplitDeductionValue.toFixed(2),
-        totalBrokerageFees: totalBrokerageFees.toFixed(2),
-        nci: nci.toFixed(2),
-        netVolume: price.toFixed(2)
-      };
+  // ==================== DATA PERSISTENCE ====================
+  
+  const saveTransactions = async (data) => {
+    const mutations = getMutations(transactions, data);
+    
+    // Always keep the browser copy as backup
+    setTransactions(data);
+    await replaceLocalTransactions(data);
+    
+    // Queue the changes for the synced storage and send them when possible
+    if (getRemoteStore() && mutations.length > 0) {
+      setOutbox(enqueueMutations(mutations));
+      await flushOutbox();
     }
+  };
+
+  // ==================== COMMISSION CALCULATIONS ====================
+  
+  // Save a customized commission plan (rates, caps, cap year)
+  const updateCommissionPlan = (plan) => {
+    saveCommissionPlan(plan);
+    setCommissionPlans(getCommissionPlans());
+  };
 
+  // Fees already paid toward annual caps, and GCI closed toward split tiers,
+  // earlier in the deal's plan year
+  const getCalculationContext = (data, allTransactions = transactions, excludeId = editingId) => {
+    const plan = getCommissionPlan(data.brokerage);
+    const closingDate = parseClosingDate(data.closingDate);
+    
     return {
-      gci: gci.toFixed(2),
-      referralDollar: referralDollar.toFixed(2),
-      adjustedGci: adjustedGci.toFixed(2),
-      totalBrokerageFees: '0.00',
-      nci: adjustedGci.toFixed(2),
-      netVolume: price.toFixed(2)
+      capPaid: getCapPaidToDate(allTransactions, plan, closingDate, { excludeId }),
+      ytdGci: getSplitYtdBefore(allTransactions, plan, closingDate, { excludeId })
     };
   };
 
+  // Recompute graduated-split and capped deals in closing order for the
+  // plan years containing these dates (all years when no dates are given),
+  // so later deals pick up the tier and cap room earlier ones left them
+  const applyPlanSchedules = (data, dates = [null]) => Object.values(commissionPlans)
+    .reduce((result, plan) => dates.reduce((current, date) => {
+      const tiered = applySplitSchedule(
+        current,
+        plan,
+        (t, splitContext) => calculateTransaction(t, { ...getCalculationContext(t, current, t.id), ...splitContext }),
+        { asOf: date }
+      );
+      return applyCapSchedule(
+        tiered,
+        plan,
+        (t, capContext) => calculateTransaction(t, { ...getCalculationContext(t, tiered, t.id), ...capContext }),
+        { asOf: date }
+      );
+    }, result), data);
+
   // ==================== FORM HANDLERS ====================
   
+  // Calculated fields of the form data, worked out again from its inputs
+  // and overrides (the field being typed in keeps its raw text)
+  const recalculateForm = (data, skipField = null) => {
+    const calculated = calculateCommission(data, getCalculationContext(data));
+    const fields = ['gci', 'referralDollar', 'adjustedGci', 'totalBrokerageFees', 'nci', 'totalPayouts', 'netAfterPayouts', 'netVolume', 'agentShares', ...getPlanOutputFields(getCommissionPlan(data.brokerage))];
+    
+    return {
+      ...data,
+      ...Object.fromEntries(fields.filter(field => field !== skipField).map(field => [field, calculated[field]]))
+    };
+  };
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
-    const newFormData = { ...formData, [name]: value };
+    let newFormData = { ...formData, [name]: value };
     
-    // List of manually editable calculated fields
-    const manuallyEditedFields = ['gci', 'referralDollar', 'adjustedGci', 'royalty', 'companyDollar', 'preSplitDeduction', 'totalBrokerageFees', 'nci'];
-    
-    // If user is directly editing a calculated field, don't auto-calculate it
-    const isManualEdit = manuallyEditedFields.includes(name);
+    // Typing over a calculated field overrides it; clearing it goes back to the calculation
+    const isManualEdit = isOverridable(name);
+    if (isManualEdit) {
+      newFormData.overrides = value === ''
+        ? removeOverride(formData.overrides, name)
+        : addOverride(formData.overrides, name);
+    }
     
     // Bidirectional GCI / Commission % calculation
     if (name === 'gci' && value && newFormData.closedPrice) {
@@ -681,55 +1041,89 @@ const EnhancedRealEstateDashboard = () => {
       }
     }
     
-    // Auto-calculate if relevant fields change (but NOT if user is manually editing a calculated field)
-    if (!isManualEdit && ['closedPrice', 'commissionPct', 'referralPct', 'brokerage', 'referralFeeReceived', 'transactionType'].includes(name)) {
-      const calculated = calculateCommission(newFormData);
-      newFormData.gci = calculated.gci;
-      newFormData.referralDollar = calculated.referralDollar;
-      newFormData.adjustedGci = calculated.adjustedGci;
-      newFormData.totalBrokerageFees = calculated.totalBrokerageFees;
-      newFormData.nci = calculated.nci;
-      newFormData.netVolume = calculated.netVolume;
-      
-      if (newFormData.brokerage === 'KW') {
-        newFormData.royalty = calculated.royalty;
-        newFormData.companyDollar = calculated.companyDollar;
-      } else if (newFormData.brokerage === 'BDH') {
-        newFormData.preSplitDeduction = calculated.preSplitDeduction;
-      }
+    // Commission % drives GCI again
+    if (name === 'commissionPct') {
+      newFormData.overrides = removeOverride(newFormData.overrides, 'gci');
     }
     
-    // If user manually edits deduction fields (E&O, HOA, etc.), recalculate only totalBrokerageFees and NCI
-    const deductionFields = ['eo', 'hoaTransfer', 'homeWarranty', 'kwCares', 'kwNextGen', 'boldScholarship', 'tcConcierge', 'jelmbergTeam', 'otherDeductions', 'buyersAgentSplit', 'asf', 'foundation10', 'adminFee', 'bdhSplitPct'];
-    if (deductionFields.includes(name)) {
-      const calculated = calculateCommission(newFormData);
-      // Only update totalBrokerageFees and NCI if they haven't been manually edited
-      newFormData.totalBrokerageFees = calculated.totalBrokerageFees;
-      newFormData.nci = calculated.nci;
-      
-      // Also update auto-calculated intermediate values
-      if (newFormData.brokerage === 'KW') {
-        newFormData.royalty = calculated.royalty;
-        newFormData.companyDollar = calculated.companyDollar;
-      } else if (newFormData.brokerage === 'BDH') {
-        newFormData.preSplitDeduction = calculated.preSplitDeduction;
-      }
+    // Referral % drives the referral $ (a flat referral $ only counts while % is blank)
+    if (name === 'referralPct') {
+      newFormData.referralDollar = '';
+      newFormData.overrides = removeOverride(newFormData.overrides, 'referralDollar');
+    }
+    
+    // A new brokerage brings its own default deduction lines (unless some are filled in)
+    if (name === 'brokerage' && isBlankDeductions(newFormData.deductions)) {
+      newFormData.deductions = getDefaultDeductions(getCommissionPlan(value));
+    }
+    
+    // Recalculate when an input changes (deal, deduction lines, splits, co-agents) or
+    // a calculated field is typed over - overridden fields keep their values
+    const calculationFields = ['closedPrice', 'commissionPct', 'referralPct', 'brokerage', 'referralFeeReceived', 'transactionType',
+      'gciComponents', 'deductions', 'otherDeductions', 'buyersAgentSplit', 'bdhSplitPct', 'agents', 'payouts'];
+    // Closing date moves the deal within its cap year
+    const isCapDateChange = name === 'closingDate' && newFormData.adjustedGci;
+    if (isManualEdit || calculationFields.includes(name) || isCapDateChange) {
+      newFormData = recalculateForm(newFormData, isManualEdit ? name : null);
     }
     
     setFormData(newFormData);
   };
 
+  // Drop a field's override and put the calculated value back
+  const revertOverride = (field) => {
+    setFormData(recalculateForm({ ...formData, overrides: removeOverride(formData.overrides, field) }));
+  };
+
+  // Solve the chosen input so the deal comes to the amount on the check
+  const handleSolve = (unknownKey) => {
+    const unknown = getSolverUnknowns(getCommissionPlan(formData.brokerage), formData).find(u => u.key === unknownKey);
+    if (!unknown || solver.amount.trim() === '') return;
+    
+    const solution = solveCommission({
+      data: formData,
+      unknown,
+      target: solver.target,
+      value: solver.amount,
+      calculate: (data) => calculateTransaction(data, getCalculationContext(data))
+    });
+    console.log(solution.error ? `⚠️ Solver: ${solution.error}` : `🧮 Solved ${unknown.label} = ${solution.value}`);
+    setSolver({ ...solver, unknown: unknownKey, solution: { ...solution, unknown } });
+  };
+
+  // Put the solved value into the form and recalculate
+  const applySolution = () => {
+    setFormData(recalculateForm(solver.solution.data));
+    setSolver({ ...solver, solution: null });
+  };
+
+  // Co-agent rows recalculate like any other deduction
+  const updateAgents = (agents) => {
+    handleInputChange({ target: { name: 'agents', value: agents } });
+  };
+
+  // Buying side inputs of a dual agency deal
+  const handleBuyingSideChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      buyingSide: { ...prev.buyingSide, [field]: value }
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    const calculated = calculateCommission(formData);
-    const transactionData = {
-      ...formData,
+    const calculated = calculateTransaction(formData, getCalculationContext(formData));
+    // Side details live in `sides`; only dual agency deals keep them (and
+    // their breakdowns there instead of at the top level)
+    const { buyingSide, sides, breakdown, ...fields } = formData;
+    const transactionData = normalizeMoneyFields({
+      ...fields,
       ...calculated,
       id: editingId || Date.now().toString(),
       createdAt: editingId ? transactions.find(t => t.id === editingId)?.createdAt : new Date().toISOString(),
       updatedAt: new Date().toISOString()
-    };
+    });
 
     let updatedTransactions;
     if (editingId) {
@@ -740,6 +1134,13 @@ const EnhancedRealEstateDashboard = () => {
       updatedTransactions = [...transactions, transactionData];
     }
 
+    // Later deals in the same plan year may move to a different tier or cap
+    const previous = editingId ? transactions.find(t => t.id === editingId) : null;
+    updatedTransactions = applyPlanSchedules(updatedTransactions, [
+      parseClosingDate(transactionData.closingDate),
+      previous && parseClosingDate(previous.closingDate)
+    ].filter(Boolean));
+
     await saveTransactions(updatedTransactions);
     resetForm();
   };
@@ -748,6 +1149,29 @@ const EnhancedRealEstateDashboard = () => {
     setViewingTransaction(transaction);
   };
 
+  // Drop an override on a saved deal and recalculate it
+  const revertTransactionOverride = async (transaction, field) => {
+    const overrides = removeOverride(transaction.overrides, field);
+    const data = { ...getDualAgencyInputs(transaction, getCommissionPlan(transaction.brokerage)), overrides };
+    const calculated = calculateTransaction(data, getCalculationContext(data, transactions, transaction.id));
+    const { breakdown, sides, ...fields } = transaction;
+    const reverted = normalizeMoneyFields({
+      ...fields,
+      ...calculated,
+      overrides,
+      updatedAt: new Date().toISOString()
+    });
+    
+    const closingDate = parseClosingDate(reverted.closingDate);
+    const updatedTransactions = applyPlanSchedules(
+      transactions.map(t => (t.id === transaction.id ? reverted : t)),
+      closingDate ? [closingDate] : []
+    );
+    console.log(`↩️ Reverted ${field} to the calculated value`);
+    await saveTransactions(updatedTransactions);
+    setViewingTransaction(updatedTransactions.find(t => t.id === transaction.id));
+  };
+
   const closeViewModal = () => {
     setViewingTransaction(null);
   };
@@ -758,91 +1182,102 @@ const EnhancedRealEstateDashboard = () => {
     console.log('List Date:', transaction.listDate, 'Type:', typeof transaction.listDate);
     console.log('Closing Date:', transaction.closingDate, 'Type:', typeof transaction.closingDate);
     
+    // Dual agency deals edit the listing side at the top level
+    const editData = getDualAgencyInputs(transaction, getCommissionPlan(transaction.brokerage));
+    
     // Ensure all fields are properly mapped from transaction to form data
     const editFormData = {
       // Basic Info
-      propertyType: transaction.propertyType || 'Residential',
-      clientType: transaction.clientType || 'Seller',
-      transactionType: transaction.transactionType || 'Sale',
-      source: transaction.source || '',
-      address: transaction.address || '',
-      city: transaction.city || '',
-      listPrice: transaction.listPrice || '',
-      closedPrice: transaction.closedPrice || '',
-      listDate: transaction.listDate ? (() => {
+      propertyType: editData.propertyType || 'Residential',
+      clientType: editData.clientType || 'Seller',
+      transactionType: editData.transactionType || 'Sale',
+      source: editData.source || '',
+      address: editData.address || '',
+      city: editData.city || '',
+      listPrice: editData.listPrice || '',
+      closedPrice: editData.closedPrice || '',
+      listDate: editData.listDate ? (() => {
         // Handle various date formats
-        if (typeof transaction.listDate === 'string') {
-          if (transaction.listDate.includes('T')) {
-            return transaction.listDate.split('T')[0];
-          } else if (transaction.listDate.includes('/')) {
+        if (typeof editData.listDate === 'string') {
+          if (editData.listDate.includes('T')) {
+            return editData.listDate.split('T')[0];
+          } else if (editData.listDate.includes('/')) {
             // Convert MM/DD/YYYY to YYYY-MM-DD
-            const parts = transaction.listDate.split('/');
+            const parts = editData.listDate.split('/');
             if (parts.length === 3) {
               return `${parts[2]}-${parts[0].padStart(2, '0')}-${parts[1].padStart(2, '0')}`;
             }
           }
-          return transaction.listDate;
+          return editData.listDate;
         }
         return '';
       })() : '',
-      closingDate: transaction.closingDate ? (() => {
+      closingDate: editData.closingDate ? (() => {
         // Handle various date formats
-        if (typeof transaction.closingDate === 'string') {
-          if (transaction.closingDate.includes('T')) {
-            return transaction.closingDate.split('T')[0];
-          } else if (transaction.closingDate.includes('/')) {
+        if (typeof editData.closingDate === 'string') {
+          if (editData.closingDate.includes('T')) {
+            return editData.closingDate.split('T')[0];
+          } else if (editData.closingDate.includes('/')) {
             // Convert MM/DD/YYYY to YYYY-MM-DD
-            const parts = transaction.closingDate.split('/');
+            const parts = editData.closingDate.split('/');
             if (parts.length === 3) {
               return `${parts[2]}-${parts[0].padStart(2, '0')}-${parts[1].padStart(2, '0')}`;
             }
           }
-          return transaction.closingDate;
+          return editData.closingDate;
         }
         return '';
       })() : '',
-      status: transaction.status || 'Closed',
+      status: editData.status || 'Closed',
       
       // Referral Fields
-      referringAgent: transaction.referringAgent || '',
-      referralFeeReceived: transaction.referralFeeReceived || '',
+      referringAgent: editData.referringAgent || '',
+      referralFeeReceived: editData.referralFeeReceived || '',
       
       // Commission Fields
-      brokerage: transaction.brokerage || 'Keller Williams',
-      commissionPct: transaction.commissionPct || '',
-      referralPct: transaction.referralPct || '',
-      referralDollar: transaction.referralDollar || '',
-      netVolume: transaction.netVolume || '',
+      brokerage: normalizeBrokerage(editData.brokerage) || UNSET_BROKERAGE,
+      commissionPct: editData.commissionPct || '',
+      gciComponents: Array.isArray(editData.gciComponents) ? editData.gciComponents : [],
+      referralPct: editData.referralPct || '',
+      referralDollar: editData.referralDollar || '',
+      netVolume: editData.netVolume || '',
       
       // KW Specific
-      eo: transaction.eo || '',
-      royalty: transaction.royalty || '',
-      companyDollar: transaction.companyDollar || '',
-      hoaTransfer: transaction.hoaTransfer || '',
-      homeWarranty: transaction.homeWarranty || '',
-      kwCares: transaction.kwCares || '',
-      kwNextGen: transaction.kwNextGen || '',
-      boldScholarship: transaction.boldScholarship || '',
-      tcConcierge: transaction.tcConcierge || '',
-      jelmbergTeam: transaction.jelmbergTeam || '',
+      royalty: editData.royalty || '',
+      companyDollar: editData.companyDollar || '',
       
       // BDH Specific
-      bdhSplitPct: transaction.bdhSplitPct || '',
-      asf: transaction.asf || '',
-      foundation10: transaction.foundation10 || '',
-      adminFee: transaction.adminFee || '',
-      preSplitDeduction: transaction.preSplitDeduction || '',
+      bdhSplitPct: editData.bdhSplitPct || '',
+      preSplitDeduction: editData.preSplitDeduction || '',
+      
+      // Itemized deduction lines
+      deductions: Array.isArray(editData.deductions) && editData.deductions.length > 0
+        ? editData.deductions
+        : getDefaultDeductions(getCommissionPlan(editData.brokerage)),
       
       // Universal
-      otherDeductions: transaction.otherDeductions || '',
-      buyersAgentSplit: transaction.buyersAgentSplit || '',
-      assistantBonus: transaction.assistantBonus || '',
+      otherDeductions: editData.otherDeductions || '',
+      buyersAgentSplit: editData.buyersAgentSplit || '',
       
       // Calculated (preserve existing values)
-      gci: transaction.gci || '',
-      adjustedGci: transaction.adjustedGci || '',
-      totalBrokerageFees: transaction.totalBrokerageFees || '',
-      nci: transaction.nci || ''
+      gci: editData.gci || '',
+      adjustedGci: editData.adjustedGci || '',
+      totalBrokerageFees: editData.totalBrokerageFees || '',
+      nci: editData.nci || '',
+      payouts: getPayouts(editData),
+      totalPayouts: editData.totalPayouts ?? '',
+      netAfterPayouts: editData.netAfterPayouts ?? '',
+      overrides: Array.isArray(editData.overrides)
+        ? editData.overrides
+        // Saved before overrides were tracked - amounts that don't match the plan were entered by hand
+        : inferOverrides(editData, calculateCommission({ ...editData, overrides: [] }, getCalculationContext(editData, transactions, transaction.id))),
+      
+      // Co-agent / team splits
+      agents: editData.agents || [],
+      agentShares: editData.agentShares || [],
+      
+      // Dual agency buying side
+      buyingSide: editData.buyingSide || {}
     };
     
     setFormData(editFormData);
@@ -853,11 +1288,35 @@ const EnhancedRealEstateDashboard = () => {
 
   const handleDelete = async (id) => {
     if (window.confirm('Are you sure you want to delete this transaction?')) {
-      const updatedTransactions = transactions.filter(t => t.id !== id);
+      const deleted = transactions.find(t => t.id === id);
+      const closingDate = deleted && parseClosingDate(deleted.closingDate);
+      const updatedTransactions = applyPlanSchedules(
+        transactions.filter(t => t.id !== id),
+        closingDate ? [closingDate] : []
+      );
       await saveTransactions(updatedTransactions);
     }
   };
 
+  // Combine Seller/Buyer duplicates of a double-ended deal into one record
+  const handleMergeDualAgency = async (pairs) => {
+    const label = pairs.length === 1 ? pairs[0].seller.address : `${pairs.length} double-ended deals`;
+    if (!window.confirm(`Merge the Seller and Buyer records for ${label} into one dual agency transaction?`)) return;
+    
+    const merged = Object.fromEntries(pairs.map(({ seller, buyer }) => [
+      seller.id,
+      mergeDualAgencyPair(seller, buyer, getCommissionPlan(seller.brokerage))
+    ]));
+    const buyerIds = pairs.map(({ buyer }) => buyer.id);
+    
+    const updatedTransactions = transactions
+      .filter(t => !buyerIds.includes(t.id))
+      .map(t => merged[t.id] || t);
+    
+    console.log(`🔁 Merged ${pairs.length} double-ended deal(s)`);
+    await saveTransactions(updatedTransactions);
+  };
+
   // ==================== LOGO MANAGEMENT ====================
   
   const handleLogoUpload = (event) => {
@@ -960,7 +1419,7 @@ const EnhancedRealEstateDashboard = () => {
               ...(extracted.closedPrice && { closedPrice: extracted.closedPrice.toString() }),
               ...(extracted.listDate && { listDate: extracted.listDate }),
               ...(extracted.closingDate && { closingDate: extracted.closingDate }),
-              ...(extracted.brokerage && { brokerage: extracted.brokerage }),
+              ...(extracted.brokerage && { brokerage: normalizeBrokerage(extracted.brokerage) }),
               ...(extracted.commissionPct && { commissionPct: extracted.commissionPct.toString() }),
               ...(extracted.gci && { gci: extracted.gci.toString() }),
               ...(extracted.referralPct && { referralPct: extracted.referralPct.toString() }),
@@ -1016,34 +1475,32 @@ const EnhancedRealEstateDashboard = () => {
       status: 'Closed',
       referringAgent: '',
       referralFeeReceived: '',
-      brokerage: 'Keller Williams',
+      brokerage: DEFAULT_BROKERAGE,
       commissionPct: '',
+      gciComponents: [],
       referralPct: '',
       referralDollar: '',
       netVolume: '',
-      eo: '',
       royalty: '',
       companyDollar: '',
-      hoaTransfer: '',
-      homeWarranty: '',
-      kwCares: '',
-      kwNextGen: '',
-      boldScholarship: '',
-      tcConcierge: '',
-      jelmbergTeam: '',
       bdhSplitPct: '',
-      asf: '',
-      foundation10: '',
-      adminFee: '',
       preSplitDeduction: '',
+      deductions: getDefaultDeductions(getCommissionPlan(DEFAULT_BROKERAGE)),
       otherDeductions: '',
       buyersAgentSplit: '',
-      assistantBonus: '',
       gci: '',
       adjustedGci: '',
       totalBrokerageFees: '',
-      nci: ''
+      nci: '',
+      payouts: getDefaultPayouts(),
+      totalPayouts: '',
+      netAfterPayouts: '',
+      agents: [],
+      agentShares: [],
+      overrides: [],
+      buyingSide: {}
     });
+    setSolver(current => ({ ...current, amount: '', solution: null }));
     setEditingId(null);
     setShowForm(false);
   };
@@ -1082,17 +1539,9 @@ const EnhancedRealEstateDashboard = () => {
       const year = transaction.closingDate ? new Date(transaction.closingDate).getFullYear().toString() : '';
       
       if (filterYear !== 'all' && year !== filterYear) return false;
-      if (filterClientType !== 'all' && transaction.clientType !== filterClientType) return false;
+      if (filterClientType !== 'all' && !matchesClientType(transaction, filterClientType)) return false;
       
-      // Handle both full names and abbreviations for brokerage filter
-      if (filterBrokerage !== 'all') {
-        const brokerageName = transaction.brokerage || '';
-        const matchesFilter = 
-          brokerageName === filterBrokerage || 
-          (filterBrokerage === 'KW' && brokerageName === 'Keller Williams') ||
-          (filterBrokerage === 'BDH' && brokerageName === 'Bennion Deville Homes');
-        if (!matchesFilter) return false;
-      }
+      if (filterBrokerage !== 'all' && normalizeBrokerage(transaction.brokerage) !== filterBrokerage) return false;
       
       if (filterPropertyType !== 'all' && transaction.propertyType !== filterPropertyType) return false;
       
@@ -1197,8 +1646,17 @@ const EnhancedRealEstateDashboard = () => {
       return true;
     });
     
+    // One agent's view: only their deals, with NCI replaced by their share
+    const agentView = filterAgent === 'all'
+      ? filtered
+      : filtered
+        .map(transaction => ({ transaction, share: getAgentNci(transaction, filterAgent) }))
+        .filter(({ share }) => share !== null)
+        // Payouts are yours - another agent's share is their net
+        .map(({ transaction, share }) => ({ ...transaction, nci: share, ...(filterAgent !== SELF_AGENT && { netAfterPayouts: share }) }));
+    
     // Create a NEW array (don't mutate) and sort it
-    const sorted = [...filtered].sort((a, b) => {
+    const sorted = [...agentView].sort((a, b) => {
       // Sort by closing date - handle empty/invalid dates
       const dateA = a.closingDate ? new Date(a.closingDate) : new Date(0);
       const dateB = b.closingDate ? new Date(b.closingDate) : new Date(0);
@@ -1240,16 +1698,99 @@ const EnhancedRealEstateDashboard = () => {
 
   // ==================== METRICS ====================
   
+  // GCI of each deal by income source - base commission, bonuses, concessions given up
+  const filteredGciSources = filteredTransactions.map(getGciSources);
+  
+  // With one agent selected NCI is their share - GCI, volume and referrals
+  // are still the whole deal's
+  const wholeDealNote = filterAgent === 'all'
+    ? null
+    : `Whole deals, not ${filterAgent === SELF_AGENT ? 'your' : `${filterAgent}'s`} share`;
+
+  // Totals are summed exactly in cents (see money.js)
   const metrics = {
-    totalGCI: filteredTransactions.reduce((sum, t) => sum + (parseFloat(t.gci) || 0), 0),
-    totalNCI: filteredTransactions.reduce((sum, t) => sum + (parseFloat(t.nci) || 0), 0),
+    totalGCI: sumMoney(filteredTransactions.map(t => t.gci)),
+    totalNCI: sumMoney(filteredTransactions.map(t => t.nci)),
+    totalNetAfterPayouts: sumMoney(filteredTransactions.map(getNetAfterPayouts)),
     avgCommission: filteredTransactions.length > 0 
-      ? filteredTransactions.reduce((sum, t) => sum + (parseFloat(t.nci) || 0), 0) / filteredTransactions.length 
+      ? toMoney(sumMoney(filteredTransactions.map(t => t.nci)) / filteredTransactions.length)
       : 0,
-    totalVolume: filteredTransactions.reduce((sum, t) => sum + (parseFloat(t.closedPrice) || 0), 0),
-    referralFeesPaid: filteredTransactions.reduce((sum, t) => sum + (parseFloat(t.referralDollar) || 0), 0),
-    referralFeesReceived: filteredTransactions.reduce((sum, t) => sum + (parseFloat(t.referralFeeReceived) || 0), 0)
+    totalVolume: sumMoney(filteredTransactions.map(t => t.closedPrice)),
+    totalPayouts: sumMoney(filteredTransactions.map(t => sumMoney([t.nci, -getNetAfterPayouts(t)]))),
+    referralFeesPaid: sumMoney(filteredTransactions.map(t => t.referralDollar)),
+    referralFeesReceived: sumMoney(filteredTransactions.map(t => t.referralFeeReceived)),
+    gciSources: Object.fromEntries(GCI_SOURCES.map(source => [
+      source.key,
+      sumMoney(filteredGciSources.map(sources => sources[source.key]))
+    ]))
+  };
+
+  // Annual cap progress for plans with capped fees (current cap year)
+  const capStatuses = Object.values(commissionPlans)
+    .map(plan => ({ plan, status: getCapStatus(transactions, plan) }))
+    .filter(({ status }) => status);
+
+  // Cap progress before the deal in the form, and after the deal being viewed
+  const formCapStatus = showForm
+    ? getCapStatus(transactions, getCommissionPlan(formData.brokerage), parseClosingDate(formData.closingDate), { excludeId: editingId, inclusive: false })
+    : null;
+  const viewingCapStatus = viewingTransaction
+    ? getCapStatus(transactions, getCommissionPlan(viewingTransaction.brokerage), parseClosingDate(viewingTransaction.closingDate))
+    : null;
+
+  // Both sides of the dual agency deal in the form
+  const formDualSides = showForm && isDualAgency(formData)
+    ? calculateTransaction(formData, getCalculationContext(formData))
+    : null;
+
+  // Inputs the reverse solver can solve for on the deal in the form
+  const solverUnknowns = showForm ? getSolverUnknowns(getCommissionPlan(formData.brokerage), formData) : [];
+  const solverUnknown = solverUnknowns.some(u => u.key === solver.unknown) ? solver.unknown : solverUnknowns[0]?.key || '';
+
+  // Co-agents available in the agent filter
+  const agentNames = getAgentNames(transactions);
+
+  // Seller/Buyer records that look like the two sides of one deal
+  const dualAgencyPairs = showSettings ? findDualAgencyPairs(transactions) : [];
+
+  // Split tier(s) the deal being viewed fell into
+  const viewingSplitTiers = viewingTransaction
+    ? getDealSplitTiers(transactions, getCommissionPlan(viewingTransaction.brokerage), viewingTransaction)
+    : null;
+
+  // Commission waterfall(s) of the deal being viewed - the breakdown saved
+  // with it, or recalculated for deals saved before breakdowns were kept
+  const getWaterfallSections = (calculated) => (calculated.sides
+    ? SIDES.map(side => ({ key: side.key, label: side.label, steps: calculated.sides[side.key].breakdown || [] }))
+    : [{ key: 'deal', label: null, steps: calculated.breakdown || [] }]);
+  
+  const getWaterfall = (transaction) => {
+    const saved = isDualAgency(transaction)
+      ? SIDES.every(side => Array.isArray(((transaction.sides || {})[side.key] || {}).breakdown))
+      : Array.isArray(transaction.breakdown);
+    const source = saved
+      ? transaction
+      : calculateTransaction(transaction, getCalculationContext(transaction, transactions, transaction.id));
+    
+    const sections = getWaterfallSections(source);
+    const nci = sumMoney(sections.map(section => {
+      const last = section.steps[section.steps.length - 1];
+      return last ? last.output : 0;
+    }));
+    
+    return {
+      sections,
+      recalculated: !saved,
+      // Stored NCI no longer matches the rules (edited by hand or in Sheets)
+      mismatch: nci !== toMoney(transaction.nci)
+    };
   };
+  const viewingWaterfall = viewingTransaction ? getWaterfall(viewingTransaction) : null;
+
+  // Calculated fields the deal being viewed has typed over
+  const viewingOverrides = viewingTransaction
+    ? OVERRIDABLE_FIELDS.filter(item => isOverridden(viewingTransaction, item.field))
+    : [];
 
   // ==================== SMART INSIGHTS ====================
   
@@ -1263,7 +1804,7 @@ const EnhancedRealEstateDashboard = () => {
       if (t.closingDate) {
         const month = new Date(t.closingDate).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
         if (!acc[month]) acc[month] = { month, nci: 0, count: 0 };
-        acc[month].nci += parseFloat(t.nci) || 0;
+        acc[month].nci = sumMoney([acc[month].nci, t.nci]);
         acc[month].count += 1;
       }
       return acc;
@@ -1282,7 +1823,7 @@ const EnhancedRealEstateDashboard = () => {
     
     // Top property type
     const propertyTypes = filteredTransactions.reduce((acc, t) => {
-      acc[t.propertyType] = (acc[t.propertyType] || 0) + (parseFloat(t.nci) || 0);
+      acc[t.propertyType] = sumMoney([acc[t.propertyType] || 0, t.nci]);
       return acc;
     }, {});
     const topProperty = Object.entries(propertyTypes).sort((a, b) => b[1] - a[1])[0];
@@ -1318,8 +1859,9 @@ const EnhancedRealEstateDashboard = () => {
     }
     
     // Buyer vs Seller performance
-    const buyerNCI = filteredTransactions.filter(t => t.clientType === 'Buyer').reduce((sum, t) => sum + (parseFloat(t.nci) || 0), 0);
-    const sellerNCI = filteredTransactions.filter(t => t.clientType === 'Seller').reduce((sum, t) => sum + (parseFloat(t.nci) || 0), 0);
+    // Dual agency deals contribute each side's NCI
+    const buyerNCI = sumMoney(filteredTransactions.map(t => getClientTypeNci(t, 'Buyer')));
+    const sellerNCI = sumMoney(filteredTransactions.map(t => getClientTypeNci(t, 'Seller')));
     const strongerSide = buyerNCI > sellerNCI ? 'Buyers' : 'Sellers';
     const percentage = Math.round((Math.max(buyerNCI, sellerNCI) / (buyerNCI + sellerNCI)) * 100);
     
@@ -1331,6 +1873,18 @@ const EnhancedRealEstateDashboard = () => {
       color: strongerSide === 'Buyers' ? 'from-info-400 to-info-600' : 'from-warning-400 to-warning-600'
     });
     
+    // Income from bonuses on top of base commission
+    if (metrics.gciSources.bonus > 0) {
+      const bonusShare = metrics.totalGCI > 0 ? Math.round((metrics.gciSources.bonus / metrics.totalGCI) * 100) : 0;
+      insights.push({
+        icon: '🎁',
+        label: 'Bonus Income',
+        value: `$${metrics.gciSources.bonus.toLocaleString('en-US', { minimumFractionDigits: 2 })}`,
+        subtext: `${bonusShare}% of GCI • $${metrics.gciSources.base.toLocaleString('en-US', { minimumFractionDigits: 2 })} base commission`,
+        color: 'from-success-400 to-success-600'
+      });
+    }
+    
     // Highest single commission
     const highestDeal = filteredTransactions.sort((a, b) => (parseFloat(b.nci) || 0) - (parseFloat(a.nci) || 0))[0];
     if (highestDeal) {
@@ -1350,14 +1904,18 @@ const EnhancedRealEstateDashboard = () => {
 
   // ==================== CHART DATA ====================
   
+  // Charts show NCI or the take-home net after payouts (Settings)
+  const chartNet = (transaction) => (chartBasis === 'netAfterPayouts' ? getNetAfterPayouts(transaction) : transaction.nci);
+  const chartNetLabel = chartBasis === 'netAfterPayouts' ? 'Net After Payouts' : 'Net Commission';
+  
   const monthlyData = filteredTransactions.reduce((acc, transaction) => {
     if (transaction.closingDate) {
       const month = new Date(transaction.closingDate).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
       if (!acc[month]) {
         acc[month] = { month, gci: 0, nci: 0, transactions: 0 };
       }
-      acc[month].gci += parseFloat(transaction.gci) || 0;
-      acc[month].nci += parseFloat(transaction.nci) || 0;
+      acc[month].gci = sumMoney([acc[month].gci, transaction.gci]);
+      acc[month].nci = sumMoney([acc[month].nci, chartNet(transaction)]);
       acc[month].transactions += 1;
     }
     return acc;
@@ -1371,70 +1929,23 @@ const EnhancedRealEstateDashboard = () => {
 
   const pieData = [
     { name: 'Buyer', value: filteredTransactions.filter(t => t.clientType === 'Buyer').length },
-    { name: 'Seller', value: filteredTransactions.filter(t => t.clientType === 'Seller').length }
-  ];
-
-  const brokerageData = [
-    { 
-      name: 'KW', 
-      value: filteredTransactions.filter(t => 
-        t.brokerage === 'KW' || t.brokerage === 'Keller Williams'
-      ).reduce((sum, t) => sum + (parseFloat(t.nci) || 0), 0) 
-    },
-    { 
-      name: 'BDH', 
-      value: filteredTransactions.filter(t => 
-        t.brokerage === 'BDH' || t.brokerage === 'Bennion Deville Homes'
-      ).reduce((sum, t) => sum + (parseFloat(t.nci) || 0), 0) 
-    }
-  ].filter(item => item.value > 0); // Only show brokerages with data
+    { name: 'Seller', value: filteredTransactions.filter(t => t.clientType === 'Seller').length },
+    { name: 'Dual Agency', value: filteredTransactions.filter(t => isDualAgency(t)).length }
+  ].filter(item => item.name !== 'Dual Agency' || item.value > 0);
+
+  const brokerageData = getBrokerages().map(brokerage => ({
+    name: brokerage.id,
+    value: sumMoney(filteredTransactions
+      .filter(t => normalizeBrokerage(t.brokerage) === brokerage.id)
+      .map(chartNet))
+  })).filter(item => item.value > 0); // Only show brokerages with data
 
   const COLORS = ['hsl(210, 80%, 45%)', 'hsl(150, 70%, 35%)', 'hsl(45, 85%, 45%)', 'hsl(5, 75%, 45%)'];
 
   // ==================== EXPORT ====================
   
   const exportToCSV = () => {
-    const headers = [
-      'Property Type', 'Client Type', 'Transaction Type', 'Source', 'Address', 'City', 
-      'List Price', 'Closed Price', 'List Date', 'Closing Date',
-      'Brokerage', 'Commission %', 'GCI', 'Referral %', 'Referral $',
-      'Adjusted GCI', 'Pre-Split Deduction', 'Total Brokerage Fees', 'NCI', 
-      'Status', 'Assistant Bonus', 'Buyers Agent Split',
-      'Referring Agent', 'Referral Fee Received', 'Net Volume'
-    ];
-
-    const rows = filteredTransactions.map(t => [
-      t.propertyType,
-      t.clientType,
-      t.transactionType || 'Sale',
-      t.source,
-      t.address,
-      t.city,
-      t.listPrice,
-      t.closedPrice,
-      t.listDate,
-      t.closingDate,
-      t.brokerage,
-      t.commissionPct,
-      t.gci,
-      t.referralPct,
-      t.referralDollar,
-      t.adjustedGci,
-      t.preSplitDeduction || 0,
-      t.totalBrokerageFees,
-      t.nci,
-      t.status,
-      t.assistantBonus || 0,
-      t.buyersAgentSplit || 0,
-      t.referringAgent || '',
-      t.referralFeeReceived || 0,
-      t.netVolume || 0
-    ]);
-
-    const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-    ].join('\n');
+    const csvContent = transactionsToCsv(filteredTransactions);
 
     const blob = new Blob([csvContent], { type: 'text/csv' });
     const url = window.URL.createObjectURL(blob);
@@ -1444,10 +1955,364 @@ const EnhancedRealEstateDashboard = () => {
     a.click();
   };
 
-  // ==================== RENDER ====================
-  
-  return (
-    <div className="min-h-screen mesh-gradient bg-gray-50/50 dark:bg-gray-900/80 p-6 transition-all duration-700">
+  const importFromCSV = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+      try {
+        const imported = csvToTransactions(e.target.result);
+        if (imported.length === 0) {
+          alert('No transactions found in this CSV file');
+          return;
+        }
+        
+        if (window.confirm(`Import ${imported.length} transaction(s) from ${file.name}? They will be added to your existing transactions.`)) {
+          console.log(`📥 Imported ${imported.length} transactions from CSV`);
+          await saveTransactions([...transactions, ...imported]);
+        }
+      } catch (error) {
+        console.error('Error importing CSV:', error);
+        alert('Failed to import CSV file');
+      } finally {
+        event.target.value = '';
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // "Overridden" badge for a calculated field typed over by hand, with a
+  // revert button where the value can go back to the calculation
+  const renderOverrideBadge = (onRevert = null) => (
+    <span className="inline-flex items-center gap-1 ml-2 px-2 py-0.5 rounded-full text-xs font-semibold normal-case bg-warning-100 dark:bg-warning-900/30 text-warning-800 dark:text-warning-200 border border-warning-300 dark:border-warning-700">
+      ✏️ Overridden
+      {onRevert && (
+        <button
+          type="button"
+          onClick={onRevert}
+          className="underline hover:no-underline"
+          title="Revert to the calculated value"
+        >
+          Revert
+        </button>
+      )}
+    </span>
+  );
+
+  // Commission waterfall table(s): one per dual agency side, or one for the deal
+  const renderWaterfall = (sections) => sections.map(section => (
+    <div key={section.key} className="mb-3 last:mb-0 overflow-x-auto">
+      {section.label && (
+        <p className="text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">{section.label}</p>
+      )}
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-xs uppercase text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+            <th className="text-left py-1 pr-2">Step</th>
+            <th className="text-left py-1 pr-2">Rule</th>
+            <th className="text-right py-1 pr-2">In</th>
+            <th className="text-right py-1 pr-2">Change</th>
+            <th className="text-right py-1">Out</th>
+          </tr>
+        </thead>
+        <tbody className="text-gray-700 dark:text-gray-300">
+          {section.steps.map(step => (
+            <tr key={step.id} className="border-b border-gray-100 dark:border-gray-800">
+              <td className="py-1 pr-2">{step.label}</td>
+              <td className="py-1 pr-2 text-xs text-gray-500 dark:text-gray-400">{step.detail}</td>
+              <td className="py-1 pr-2 text-right">${step.input.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+              <td className={`py-1 pr-2 text-right ${step.amount < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                {step.amount < 0 ? '−' : '+'}${Math.abs(step.amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+              </td>
+              <td className="py-1 text-right font-medium">${step.output.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+            </tr>
+          ))}
+          <tr className="font-semibold text-green-700 dark:text-green-300">
+            <td className="py-1 pr-2" colSpan={4}>Net Commission Income</td>
+            <td className="py-1 text-right">
+              ${(section.steps.length > 0 ? section.steps[section.steps.length - 1].output : 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  ));
+
+  // Editable list of deduction lines (listing side / single deal and dual agency buying side)
+  const renderDeductionLines = (deductions, onChange) => {
+    const lines = Array.isArray(deductions) ? deductions : [];
+    const setLine = (id, changes) => onChange(lines.map(line => line.id === id ? { ...line, ...changes } : line));
+    const adjustedGci = parseFloat(formData.adjustedGci) || 0;
+    
+    return (
+      <div className="space-y-2">
+        {lines.map(line => (
+          <div key={line.id} className="grid grid-cols-2 md:grid-cols-6 gap-2 items-center">
+            <input
+              type="text"
+              value={line.label}
+              onChange={(e) => setLine(line.id, { label: e.target.value })}
+              placeholder="Deduction name"
+              className="col-span-2 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            />
+            <div className="flex gap-1">
+              <select
+                value={line.type}
+                onChange={(e) => setLine(line.id, { type: e.target.value })}
+                className="px-2 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              >
+                <option value="amount">$</option>
+                <option value="percent">%</option>
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={line.value}
+                onChange={(e) => setLine(line.id, { value: e.target.value })}
+                placeholder="0.00"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              />
+            </div>
+            <select
+              value={line.placement}
+              onChange={(e) => setLine(line.id, { placement: e.target.value })}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            >
+              {DEDUCTION_PLACEMENTS.map(placement => (
+                <option key={placement.value} value={placement.value}>{placement.label}</option>
+              ))}
+            </select>
+            <p className="text-sm text-gray-600 dark:text-gray-300 text-right">
+              {line.type === 'percent' && `$${getDeductionAmount(line, adjustedGci).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`}
+            </p>
+            <button
+              type="button"
+              onClick={() => onChange(lines.filter(l => l.id !== line.id))}
+              className="p-2 text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 rounded-lg transition-all justify-self-end"
+              title="Remove line"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => onChange([...lines, createDeduction()])}
+          className="px-3 py-1.5 text-sm font-medium bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-1"
+        >
+          <Plus className="w-4 h-4" />
+          Add Line
+        </button>
+      </div>
+    );
+  };
+
+  // Payout lines editor (form, and default lines in Settings without an NCI)
+  const renderPayoutLines = (payouts, onChange, nci = null) => {
+    const lines = Array.isArray(payouts) ? payouts : [];
+    const setLine = (id, changes) => onChange(lines.map(line => line.id === id ? { ...line, ...changes } : line));
+    
+    return (
+      <div className="space-y-2">
+        {lines.map(line => (
+          <div key={line.id} className="grid grid-cols-2 md:grid-cols-6 gap-2 items-center">
+            <input
+              type="text"
+              value={line.label}
+              onChange={(e) => setLine(line.id, { label: e.target.value })}
+              placeholder="Payout (e.g. TC Fee)"
+              className="col-span-2 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            />
+            <select
+              value={line.category}
+              onChange={(e) => setLine(line.id, { category: e.target.value })}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            >
+              {PAYOUT_CATEGORIES.map(category => (
+                <option key={category.value} value={category.value}>{category.label}</option>
+              ))}
+            </select>
+            <div className="flex gap-1">
+              <select
+                value={line.type}
+                onChange={(e) => setLine(line.id, { type: e.target.value })}
+                className="px-2 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              >
+                <option value="amount">$</option>
+                <option value="percent">%</option>
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={line.value}
+                onChange={(e) => setLine(line.id, { value: e.target.value })}
+                placeholder="0.00"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              />
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-300 text-right">
+              {nci !== null && line.type === 'percent' && `$${getPayoutAmount(line, nci).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`}
+            </p>
+            <button
+              type="button"
+              onClick={() => onChange(lines.filter(l => l.id !== line.id))}
+              className="p-2 text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 rounded-lg transition-all justify-self-end"
+              title="Remove payout"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => onChange([...lines, createPayout()])}
+          className="px-3 py-1.5 text-sm font-medium bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-1"
+        >
+          <Plus className="w-4 h-4" />
+          Add Payout
+        </button>
+      </div>
+    );
+  };
+
+  // Flat fee, bonus and concession items editor (form and buying side)
+  const renderGciComponents = (components, onChange) => {
+    const items = Array.isArray(components) ? components : [];
+    const setItem = (id, changes) => onChange(items.map(item => item.id === id ? { ...item, ...changes } : item));
+    
+    return (
+      <div className="space-y-2">
+        {items.map(item => (
+          <div key={item.id} className="grid grid-cols-2 md:grid-cols-6 gap-2 items-center">
+            <input
+              type="text"
+              value={item.label}
+              onChange={(e) => setItem(item.id, { label: e.target.value })}
+              placeholder="Description (e.g. Builder bonus)"
+              className="col-span-2 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            />
+            <select
+              value={item.kind}
+              onChange={(e) => setItem(item.id, { kind: e.target.value })}
+              className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+            >
+              {GCI_COMPONENT_KINDS.map(kind => (
+                <option key={kind.value} value={kind.value}>{kind.label}</option>
+              ))}
+            </select>
+            <div className="flex gap-1">
+              <select
+                value={item.type}
+                onChange={(e) => setItem(item.id, { type: e.target.value })}
+                className="px-2 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              >
+                <option value="amount">$</option>
+                <option value="percent">%</option>
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={item.value}
+                onChange={(e) => setItem(item.id, { value: e.target.value })}
+                placeholder="0.00"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+              />
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-300 text-right">
+              {parseFloat(item.value) > 0 && `${getGciComponentAmount(item, formData.closedPrice) < 0 ? '-' : '+'}$${Math.abs(getGciComponentAmount(item, formData.closedPrice)).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`}
+            </p>
+            <button
+              type="button"
+              onClick={() => onChange(items.filter(i => i.id !== item.id))}
+              className="p-2 text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 rounded-lg transition-all justify-self-end"
+              title="Remove item"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          onClick={() => onChange([...items, createGciComponent()])}
+          className="px-3 py-1.5 text-sm font-medium bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-1"
+        >
+          <Plus className="w-4 h-4" />
+          Add Fee, Bonus or Credit
+        </button>
+      </div>
+    );
+  };
+
+  // Column mapping editor: headers the sheet has that weren't recognized
+  const renderColumnMapping = () => {
+    const { headers, layout, columnMap } = columnMapping;
+    const recognized = getColumnLayout(headers);
+    const rows = headers
+      .map((header, index) => ({ header, index }))
+      .filter(({ header, index }) => header.trim() && (header in columnMap || !recognized.columns[index]));
+    
+    return (
+      <div className="space-y-2 pt-2 border-t border-gray-200 dark:border-gray-700">
+        <p className="text-xs text-gray-600 dark:text-gray-400">
+          Columns are matched by their header. Tell the dashboard what these hold - your own columns are never written to.
+        </p>
+        
+        {rows.length === 0 ? (
+          <p className="text-xs text-success-700 dark:text-success-300">✅ Every header was recognized</p>
+        ) : rows.map(({ header, index }) => (
+          <div key={index} className="flex items-center gap-2">
+            <span className="w-1/2 text-sm text-gray-700 dark:text-gray-300 truncate" title={header}>
+              <span className="font-mono text-xs text-gray-500 mr-1">{columnLetter(index)}</span>
+              {header}
+            </span>
+            <select
+              value={header in columnMap ? columnMap[header] : '?'}
+              onChange={(e) => mapColumn(header, e.target.value === '?' ? null : e.target.value)}
+              className={`w-1/2 px-3 py-1.5 text-sm rounded-lg border bg-white dark:bg-gray-800 text-gray-900 dark:text-white ${header in columnMap || recognized.columns[index] ? 'border-gray-300 dark:border-gray-600' : 'border-warning-400'}`}
+            >
+              <option value="?">{recognized.columns[index] ? `Auto (${recognized.columns[index].header})` : 'Not recognized'}</option>
+              <option value="">My own column (leave as is)</option>
+              {SHEET_COLUMNS.map(column => (
+                <option key={column.field} value={column.field}>
+                  {column.header}{layout.indexes[column.field] !== index && headers[layout.indexes[column.field]] ? ` (in ${columnLetter(layout.indexes[column.field])})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+        
+        {layout.newHeaders.length > 0 && (
+          <p className="text-xs text-gray-600 dark:text-gray-400">
+            Added on the next save: {layout.newHeaders.map(({ index, header }) => `${header} (${columnLetter(index)})`).join(', ')}
+          </p>
+        )}
+        
+        <div className="flex gap-2 justify-end">
+          <button
+            onClick={() => setColumnMapping(null)}
+            className="px-4 py-2 text-sm font-semibold bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-xl hover:bg-gray-200 dark:hover:bg-gray-600 transition-all"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={saveColumnMapping}
+            className="px-4 py-2 text-sm font-semibold bg-primary-500 text-white rounded-xl hover:bg-primary-600 transition-all"
+          >
+            Save Mapping
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  // ==================== RENDER ====================
+  
+  return (
+    <div className="min-h-screen mesh-gradient bg-gray-50/50 dark:bg-gray-900/80 p-6 transition-all duration-700">
       <div className="max-w-7xl mx-auto">
         {/* Brand Layer - Primary Header */}
         <div className="relative overflow-visible rounded-2xl mb-8 shadow-2xl">
@@ -1499,7 +2364,7 @@ const EnhancedRealEstateDashboard = () => {
                     <div className="absolute bottom-6 right-0 bg-gray-900 text-white text-xs px-2 py-1 rounded shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-200 whitespace-nowrap z-50">
                       {isOnline 
                         ? (lastSyncTime && (Date.now() - lastSyncTime) < 300000)
-                          ? 'Recently synced with Google Sheets'
+                          ? `Recently synced with ${remoteName}`
                           : 'Online - Data may be stale'
                         : 'Offline - No sync available'
                       }
@@ -1520,13 +2385,64 @@ const EnhancedRealEstateDashboard = () => {
 
               {/* Right: Brand Utilities */}
               <div className="flex items-center gap-3">
+                {/* Pending Changes */}
+                {outbox.length > 0 && (
+                  <div className="relative">
+                    <button
+                      onClick={() => setShowOutbox(!showOutbox)}
+                      className={`flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-medium text-white transition-all ${
+                        outbox.some(isStuck) ? 'bg-danger-600 hover:bg-danger-700' : 'bg-warning-500 hover:bg-warning-600'
+                      }`}
+                      title={`Changes not yet saved to ${remoteName}`}
+                    >
+                      <Upload className="w-4 h-4" />
+                      {outbox.length} pending
+                    </button>
+                    
+                    {showOutbox && (
+                      <div className="absolute right-0 top-full mt-2 w-96 max-h-96 overflow-y-auto p-4 bg-white dark:bg-gray-800 rounded-xl shadow-xl border border-gray-200 dark:border-gray-700 z-50">
+                        <div className="flex items-center justify-between mb-3">
+                          <h4 className="text-sm font-semibold text-gray-900 dark:text-white">Not yet saved to {remoteName}</h4>
+                          <button
+                            onClick={flushOutbox}
+                            disabled={isSyncing}
+                            className="text-xs font-semibold text-primary-600 dark:text-primary-400 hover:underline disabled:opacity-50"
+                          >
+                            Retry now
+                          </button>
+                        </div>
+                        <ul className="space-y-2">
+                          {outbox.map(item => {
+                            const transaction = item.transaction || transactions.find(t => String(t.id) === item.transactionId);
+                            return (
+                              <li key={item.id} className={`p-2 rounded-lg text-xs ${isStuck(item) ? 'bg-danger-50 dark:bg-danger-900/20' : 'bg-gray-50 dark:bg-gray-700/50'}`}>
+                                <div className="flex items-center justify-between gap-2">
+                                  <span className="font-medium text-gray-900 dark:text-white truncate">
+                                    {{ add: 'New', update: 'Edited', delete: 'Deleted' }[item.type]}: {(transaction && transaction.address) || item.transactionId}
+                                  </span>
+                                  <span className="text-gray-500 dark:text-gray-400 whitespace-nowrap">{new Date(item.queuedAt).toLocaleTimeString()}</span>
+                                </div>
+                                {item.lastError && (
+                                  <p className="mt-1 text-danger-700 dark:text-danger-300">
+                                    {isStuck(item) ? '⚠️ ' : ''}Failed {item.attempts} time{item.attempts === 1 ? '' : 's'}: {item.lastError}
+                                  </p>
+                                )}
+                              </li>
+                            );
+                          })}
+                        </ul>
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Sync Button */}
-                {isGoogleSheetsEnabled && isGoogleSheetsAuthorized ? (
+                {isRemoteConnected ? (
                   <button
                     onClick={syncNow}
                     disabled={isSyncing}
                     className="flex items-center gap-2 px-4 py-2 bg-success-600 hover:border-2 hover:border-success-700 text-white rounded-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed font-medium"
-                    title="Sync with Google Sheets (⌘R)"
+                    title={`Sync with ${remoteName} (⌘R)`}
                   >
                     <RefreshCw className={`w-4 h-4 ${isSyncing ? 'animate-spin' : ''}`} />
                     <span className="hidden sm:inline">Sync</span>
@@ -1546,7 +2462,7 @@ const EnhancedRealEstateDashboard = () => {
                   </button>
                   <div className="absolute right-0 top-full mt-2 w-80 p-4 bg-white dark:bg-gray-800 rounded-xl shadow-xl border border-gray-200 dark:border-gray-700 opacity-0 group-hover:opacity-100 transition-opacity z-50">
                     <p className="text-sm text-gray-600 dark:text-gray-400">
-                      <strong>Data Source:</strong> Google Sheets integration<br/>
+                      <strong>Data Source:</strong> {remoteName}<br/>
                       <strong>Last Sync:</strong> {lastSyncTime ? new Date(lastSyncTime).toLocaleTimeString() : 'Never'}<br/>
                       <strong>Auto-sync:</strong> Every 5 minutes when active
                     </p>
@@ -1573,7 +2489,7 @@ const EnhancedRealEstateDashboard = () => {
             <div className="flex items-center gap-2">
               {syncError.includes('Session expired') && (
                 <button
-                  onClick={enableGoogleSheets}
+                  onClick={() => connectStorage(storageAdapterId)}
                   className="text-xs bg-info-600 hover:bg-info-700 text-white px-4 py-2 rounded-lg font-medium transition-colors"
                 >
                   Sign In Again
@@ -1679,6 +2595,7 @@ const EnhancedRealEstateDashboard = () => {
                   <option value="all">All Types</option>
                   <option value="Buyer">🔵 Buyers</option>
                   <option value="Seller">⭐ Sellers</option>
+                  <option value={DUAL_AGENCY}>🔁 Dual Agency</option>
                 </select>
                 <select
                   value={filterBrokerage}
@@ -1686,8 +2603,9 @@ const EnhancedRealEstateDashboard = () => {
                   className="px-4 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-all hover:shadow-md"
                 >
                   <option value="all">All Brokerages</option>
-                  <option value="KW">KW</option>
-                  <option value="BDH">BDH</option>
+                  {getBrokerages().map(brokerage => (
+                    <option key={brokerage.id} value={brokerage.id}>{brokerage.id}</option>
+                  ))}
                 </select>
                 <select
                   value={filterPropertyType}
@@ -1710,12 +2628,25 @@ const EnhancedRealEstateDashboard = () => {
                   <option value="referralReceived">Received</option>
                   <option value="referralPaid">Paid</option>
                 </select>
+                {agentNames.length > 0 && (
+                  <select
+                    value={filterAgent}
+                    onChange={(e) => setFilterAgent(e.target.value)}
+                    className="px-4 py-2 text-sm border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white rounded-xl focus:ring-2 focus:ring-primary-500 focus:border-primary-500 transition-all hover:shadow-md"
+                  >
+                    <option value="all">All Agents</option>
+                    <option value={SELF_AGENT}>👤 {SELF_AGENT}</option>
+                    {agentNames.map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                )}
               </div>
             </div>
           </div>
 
           {/* Active Filter Chips */}
-          {(filterYear !== 'all' || filterClientType !== 'all' || filterBrokerage !== 'all' || filterPropertyType !== 'all' || filterReferralType !== 'all' || filterDateRange !== 'all' || searchQuery.trim()) && (
+          {(filterYear !== 'all' || filterClientType !== 'all' || filterBrokerage !== 'all' || filterPropertyType !== 'all' || filterReferralType !== 'all' || filterAgent !== 'all' || filterDateRange !== 'all' || searchQuery.trim()) && (
             <div className="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700">
               <div className="flex items-center gap-2 mb-2">
                 <span className="text-sm font-medium text-gray-600 dark:text-gray-400">Active Filters:</span>
@@ -1745,7 +2676,7 @@ const EnhancedRealEstateDashboard = () => {
                 )}
                 {filterClientType !== 'all' && (
                   <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
-                    Type: {filterClientType === 'Buyer' ? '🔵 Buyers' : '⭐ Sellers'}
+                    Type: {filterClientType === 'Buyer' ? '🔵 Buyers' : filterClientType === DUAL_AGENCY ? '🔁 Dual Agency' : '⭐ Sellers'}
                     <button
                       onClick={() => setFilterClientType('all')}
                       className="ml-2 text-blue-600 hover:text-blue-800 dark:text-blue-300 dark:hover:text-blue-100"
@@ -1787,6 +2718,17 @@ const EnhancedRealEstateDashboard = () => {
                     </button>
                   </span>
                 )}
+                {filterAgent !== 'all' && (
+                  <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-teal-100 text-teal-800 dark:bg-teal-900 dark:text-teal-200">
+                    Agent: {filterAgent}'s share
+                    <button
+                      onClick={() => setFilterAgent('all')}
+                      className="ml-2 text-teal-600 hover:text-teal-800 dark:text-teal-300 dark:hover:text-teal-100"
+                    >
+                      ×
+                    </button>
+                  </span>
+                )}
                 {searchQuery.trim() && (
                   <span className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-200">
                     Search: "{searchQuery}"
@@ -1805,6 +2747,7 @@ const EnhancedRealEstateDashboard = () => {
                     setFilterBrokerage('all');
                     setFilterPropertyType('all');
                     setFilterReferralType('all');
+                    setFilterAgent('all');
                     setFilterDateRange('all');
                     setSearchQuery('');
                   }}
@@ -1828,6 +2771,7 @@ const EnhancedRealEstateDashboard = () => {
               <SkeletonMetricCard />
               <SkeletonMetricCard />
               <SkeletonMetricCard />
+              <SkeletonMetricCard />
             </>
           ) : (
             <>
@@ -1845,7 +2789,17 @@ const EnhancedRealEstateDashboard = () => {
                   <div className="flex-1">
                     <p className="text-white/95 text-sm font-semibold uppercase tracking-wide" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.3)' }}>💰 Gross Commission</p>
                     <p className="text-4xl font-bold mt-2 mb-2" style={{ color: 'hsl(0, 0%, 98%)', textShadow: '0 2px 4px rgba(0, 0, 0, 0.4)' }}>${metrics.totalGCI.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
-                    <p className="text-white/85 text-xs font-medium" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>Total earned before fees</p>
+                    <p className="text-white/85 text-xs font-medium" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>
+                      {metrics.gciSources.bonus || metrics.gciSources.concession
+                        ? GCI_SOURCES
+                          .filter(source => metrics.gciSources[source.key])
+                          .map(source => `${source.label} ${source.key === 'concession' ? '-' : ''}$${metrics.gciSources[source.key].toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`)
+                          .join(' • ')
+                        : 'Total earned before fees'}
+                    </p>
+                    {wholeDealNote && (
+                      <p className="text-white/85 text-xs font-semibold mt-1" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>⚠️ {wholeDealNote}</p>
+                    )}
                   </div>
                   <div className="bg-white/40 p-4 rounded-full backdrop-blur-sm group-hover:bg-white/50 transition-colors">
                     <DollarSign className="w-8 h-8 text-white" style={{ filter: 'drop-shadow(0 1px 2px rgba(0, 0, 0, 0.3))' }} />
@@ -1867,7 +2821,14 @@ const EnhancedRealEstateDashboard = () => {
                   <div className="flex-1">
                     <p className="text-white/95 text-sm font-semibold uppercase tracking-wide" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.3)' }}>✅ Net Commission</p>
                     <p className="text-4xl font-bold mt-2 mb-2" style={{ color: 'hsl(0, 0%, 98%)', textShadow: '0 2px 4px rgba(0, 0, 0, 0.4)' }}>${metrics.totalNCI.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
-                    <p className="text-white/85 text-xs font-medium" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>Your take-home pay</p>
+                    <p className="text-white/85 text-xs font-medium" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>
+                      {filterAgent === 'all' || filterAgent === SELF_AGENT ? 'Your take-home pay' : `${filterAgent}'s share`}
+                    </p>
+                    {capStatuses.map(({ plan, status }) => (
+                      <p key={plan.id} className="text-white/85 text-xs font-semibold mt-1" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>
+                        🎯 {plan.id}: {status.isCapped ? 'Capped for the year' : `$${status.remaining.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} remaining to cap`}
+                      </p>
+                    ))}
                   </div>
                   <div className="bg-white/40 p-4 rounded-full backdrop-blur-sm group-hover:bg-white/50 transition-colors">
                     <TrendingUp className="w-8 h-8 text-white" style={{ filter: 'drop-shadow(0 1px 2px rgba(0, 0, 0, 0.3))' }} />
@@ -1875,6 +2836,30 @@ const EnhancedRealEstateDashboard = () => {
                 </div>
               </button>
 
+              {/* Net After Payouts */}
+              <button
+                onClick={handleMetricCardClick}
+                className="relative overflow-hidden rounded-3xl shadow-2xl hover:shadow-3xl p-8 text-white transform hover:-translate-y-2 hover:scale-105 transition-all duration-700 backdrop-blur-sm group w-full text-left cursor-pointer active:scale-100"
+                style={{
+                  background: 'linear-gradient(135deg, hsl(170, 55%, 35%) 0%, hsl(170, 50%, 45%) 100%)',
+                  border: '2px solid hsl(170, 65%, 50%)',
+                  boxShadow: '0 8px 32px hsla(0, 0%, 25%, 0.3)'
+                }}
+              >
+                <div className="flex items-center justify-between">
+                  <div className="flex-1">
+                    <p className="text-white/95 text-sm font-semibold uppercase tracking-wide" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.3)' }}>💼 Net After Payouts</p>
+                    <p className="text-4xl font-bold mt-2 mb-2" style={{ color: 'hsl(0, 0%, 98%)', textShadow: '0 2px 4px rgba(0, 0, 0, 0.4)' }}>${metrics.totalNetAfterPayouts.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
+                    <p className="text-white/85 text-xs font-medium" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>
+                      NCI less ${metrics.totalPayouts.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} in payouts
+                    </p>
+                  </div>
+                  <div className="bg-white/40 p-4 rounded-full backdrop-blur-sm group-hover:bg-white/50 transition-colors">
+                    <DollarSign className="w-8 h-8 text-white" style={{ filter: 'drop-shadow(0 1px 2px rgba(0, 0, 0, 0.3))' }} />
+                  </div>
+                </div>
+              </button>
+
               {/* Total Sales Volume */}
               <button
                 onClick={handleMetricCardClick}
@@ -1890,6 +2875,9 @@ const EnhancedRealEstateDashboard = () => {
                     <p className="text-white/95 text-sm font-semibold uppercase tracking-wide" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.3)' }}>🏘️ Total Sales Volume</p>
                     <p className="text-4xl font-bold mt-2 mb-2" style={{ color: 'hsl(0, 0%, 98%)', textShadow: '0 2px 4px rgba(0, 0, 0, 0.4)' }}>${metrics.totalVolume.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
                     <p className="text-white/85 text-xs font-medium" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>Combined property value</p>
+                    {wholeDealNote && (
+                      <p className="text-white/85 text-xs font-semibold mt-1" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>⚠️ {wholeDealNote}</p>
+                    )}
                   </div>
                   <div className="bg-white/40 p-4 rounded-full backdrop-blur-sm group-hover:bg-white/50 transition-colors">
                     <Building2 className="w-8 h-8 text-white" style={{ filter: 'drop-shadow(0 1px 2px rgba(0, 0, 0, 0.3))' }} />
@@ -1934,6 +2922,9 @@ const EnhancedRealEstateDashboard = () => {
                     <p className="text-white/95 text-sm font-semibold uppercase tracking-wide" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.3)' }}>💸 Referral Fees Paid</p>
                     <p className="text-4xl font-bold mt-2 mb-2" style={{ color: 'hsl(0, 0%, 98%)', textShadow: '0 2px 4px rgba(0, 0, 0, 0.4)' }}>${metrics.referralFeesPaid.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
                     <p className="text-white/85 text-xs font-medium" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>Paid to referral partners</p>
+                    {wholeDealNote && (
+                      <p className="text-white/85 text-xs font-semibold mt-1" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>⚠️ {wholeDealNote}</p>
+                    )}
                   </div>
                   <div className="bg-white/40 p-4 rounded-full backdrop-blur-sm group-hover:bg-white/50 transition-colors">
                     <ArrowUpRight className="w-8 h-8 text-white" style={{ filter: 'drop-shadow(0 1px 2px rgba(0, 0, 0, 0.3))' }} />
@@ -1956,6 +2947,9 @@ const EnhancedRealEstateDashboard = () => {
                     <p className="text-white/95 text-sm font-semibold uppercase tracking-wide" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.3)' }}>💰 Referral Fees Received</p>
                     <p className="text-4xl font-bold mt-2 mb-2" style={{ color: 'hsl(0, 0%, 98%)', textShadow: '0 2px 4px rgba(0, 0, 0, 0.4)' }}>${metrics.referralFeesReceived.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</p>
                     <p className="text-white/85 text-xs font-medium" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>Received from referral partners</p>
+                    {wholeDealNote && (
+                      <p className="text-white/85 text-xs font-semibold mt-1" style={{ textShadow: '0 1px 2px rgba(0, 0, 0, 0.25)' }}>⚠️ {wholeDealNote}</p>
+                    )}
                   </div>
                   <div className="bg-white/40 p-4 rounded-full backdrop-blur-sm group-hover:bg-white/50 transition-colors">
                     <ArrowDownLeft className="w-8 h-8 text-white" style={{ filter: 'drop-shadow(0 1px 2px rgba(0, 0, 0, 0.3))' }} />
@@ -1987,7 +2981,7 @@ const EnhancedRealEstateDashboard = () => {
                 <Tooltip content={<TahoeTooltip />} />
                 <Legend />
                 <Line type="monotone" dataKey="gci" stroke="hsl(45, 85%, 45%)" strokeWidth={3} name="Gross Commission" />
-                <Line type="monotone" dataKey="nci" stroke="hsl(150, 70%, 35%)" strokeWidth={3} name="Net Commission" />
+                <Line type="monotone" dataKey="nci" stroke="hsl(150, 70%, 35%)" strokeWidth={3} name={chartNetLabel} />
               </LineChart>
             </ResponsiveContainer>
           </div>
@@ -2058,7 +3052,7 @@ const EnhancedRealEstateDashboard = () => {
                   <Bar 
                     dataKey="value" 
                     fill="#10b981" 
-                    name="Net Commission Income" 
+                    name={chartBasis === 'netAfterPayouts' ? 'Net After Payouts' : 'Net Commission Income'} 
                     radius={[8, 8, 0, 0]}
                     label={{ position: 'top', fill: 'hsl(0, 0%, 30%)', fontSize: 12, formatter: (value) => `$${(value / 1000).toFixed(1)}k` }}
                     minPointSize={5}
@@ -2205,18 +3199,20 @@ const EnhancedRealEstateDashboard = () => {
                         )}
                         
                         <span className={`px-4 py-2 rounded-full text-xs font-bold shadow-md border-2 ${
-                          isBuyer
+                          isDualAgency(transaction)
+                            ? 'bg-primary-600 text-white border-primary-700 dark:bg-primary-500 dark:border-primary-400'
+                            : isBuyer
                             ? 'bg-info-600 text-white border-info-700 dark:bg-info-500 dark:border-info-400' 
                             : 'bg-warning-600 text-gray-900 border-warning-700 dark:bg-warning-500 dark:border-warning-400'
                         }`}>
-                          {isBuyer ? '🔵 ' : '⭐ '}{transaction.clientType}
+                          {isDualAgency(transaction) ? '🔁 Dual Agency' : `${isBuyer ? '🔵 ' : '⭐ '}${transaction.clientType}`}
                         </span>
                         <span className={`px-4 py-2 rounded-full text-xs font-bold shadow-sm border ${
                           isBuyer
                             ? 'bg-info-100 dark:bg-info-800 text-info-800 dark:text-info-100 border-info-300 dark:border-info-600'
                             : 'bg-warning-100 dark:bg-warning-800 text-warning-900 dark:text-warning-100 border-warning-300 dark:border-warning-600'
                         }`}>
-                          {transaction.brokerage === 'KW' || transaction.brokerage === 'Keller Williams' ? 'Keller Williams' : 'Bennion Deville Homes'}
+                          {getBrokerageName(transaction.brokerage)}
                         </span>
                       </div>
                       <div className="flex items-center gap-4 text-sm text-gray-600 dark:text-gray-300 font-medium">
@@ -2365,8 +3361,9 @@ const EnhancedRealEstateDashboard = () => {
                         required={!editingId}
                         className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                       >
-                        <option value="Keller Williams">Keller Williams (KW)</option>
-                        <option value="Bennion Deville Homes">Bennion Deville Homes (BDH)</option>
+                        {getBrokerages().map(brokerage => (
+                          <option key={brokerage.id} value={brokerage.id}>{brokerage.name} ({brokerage.id})</option>
+                        ))}
                       </select>
                     </div>
 
@@ -2422,6 +3419,7 @@ const EnhancedRealEstateDashboard = () => {
                       >
                         <option value="Buyer">Buyer</option>
                         <option value="Seller">Seller</option>
+                        <option value={DUAL_AGENCY}>Dual Agency (Both Sides)</option>
                       </select>
                     </div>
 
@@ -2635,6 +3633,7 @@ const EnhancedRealEstateDashboard = () => {
                     <div>
                       <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">
                         Gross Commission Income (GCI)
+                        {isOverridden(formData, 'gci') && renderOverrideBadge(() => revertOverride('gci'))}
                       </label>
                       <input
                         type="text"
@@ -2652,6 +3651,7 @@ const EnhancedRealEstateDashboard = () => {
                     <div>
                       <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">
                         Referral Fee Paid ($)
+                        {isOverridden(formData, 'referralDollar') && renderOverrideBadge(() => revertOverride('referralDollar'))}
                       </label>
                       <input
                         type="text"
@@ -2669,6 +3669,7 @@ const EnhancedRealEstateDashboard = () => {
                     <div>
                       <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">
                         Adjusted GCI
+                        {isOverridden(formData, 'adjustedGci') && renderOverrideBadge(() => revertOverride('adjustedGci'))}
                       </label>
                       <input
                         type="text"
@@ -2683,31 +3684,34 @@ const EnhancedRealEstateDashboard = () => {
                       />
                     </div>
                   </div>
+                  
+                  {formData.transactionType !== 'Referral $ Received' && (
+                    <div className="mt-4">
+                      <p className="text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Flat Fees, Bonuses & Concessions</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-2">
+                        Added to the commission % to make GCI. A % is of the closed price; concession credits reduce GCI.
+                      </p>
+                      {renderGciComponents(formData.gciComponents, (items) => handleInputChange({ target: { name: 'gciComponents', value: items } }))}
+                    </div>
+                  )}
                 </div>
 
                 {/* Brokerage-Specific Fields */}
-                {(formData.brokerage === 'KW' || formData.brokerage === 'Keller Williams') && (
+                {normalizeBrokerage(formData.brokerage) === 'KW' && (
                   <div className="mb-6">
-                    <h3 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Keller Williams Deductions</h3>
+                    <div className="flex items-center justify-between gap-4 mb-4 flex-wrap">
+                      <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Keller Williams Deductions</h3>
+                      {formCapStatus && (
+                        <span className="px-3 py-1 rounded-full text-xs font-semibold bg-success-100 dark:bg-success-900/30 text-success-800 dark:text-success-200 border border-success-300 dark:border-success-700">
+                          🎯 {formCapStatus.isCapped ? 'Capped - no company dollar or royalty' : `$${formCapStatus.remaining.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} remaining to cap`}
+                        </span>
+                      )}
+                    </div>
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Errors & Omissions (E&O)</label>
-                        <input
-                          type="text"
-                          name="eo"
-                          value={formatCurrencyForInput(formData.eo)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'eo', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
-
                       <div>
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">
                           Royalty (6%)
+                          {isOverridden(formData, 'royalty') && renderOverrideBadge(() => revertOverride('royalty'))}
                         </label>
                         <input
                           type="text"
@@ -2725,6 +3729,7 @@ const EnhancedRealEstateDashboard = () => {
                       <div>
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">
                           Company Dollar (10%)
+                          {isOverridden(formData, 'companyDollar') && renderOverrideBadge(() => revertOverride('companyDollar'))}
                         </label>
                         <input
                           type="text"
@@ -2738,116 +3743,11 @@ const EnhancedRealEstateDashboard = () => {
                           className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                         />
                       </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">HOA Transfer</label>
-                        <input
-                          type="text"
-                          name="hoaTransfer"
-                          value={formatCurrencyForInput(formData.hoaTransfer)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'hoaTransfer', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Home Warranty</label>
-                        <input
-                          type="text"
-                          name="homeWarranty"
-                          value={formatCurrencyForInput(formData.homeWarranty)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'homeWarranty', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">KW Cares</label>
-                        <input
-                          type="text"
-                          name="kwCares"
-                          value={formatCurrencyForInput(formData.kwCares)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'kwCares', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">NEXT GEN</label>
-                        <input
-                          type="text"
-                          name="kwNextGen"
-                          value={formatCurrencyForInput(formData.kwNextGen)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'kwNextGen', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">BOLD Scholarship</label>
-                        <input
-                          type="text"
-                          name="boldScholarship"
-                          value={formatCurrencyForInput(formData.boldScholarship)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'boldScholarship', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">TC/Concierge</label>
-                        <input
-                          type="text"
-                          name="tcConcierge"
-                          value={formatCurrencyForInput(formData.tcConcierge)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'tcConcierge', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Jelmberg Team</label>
-                        <input
-                          type="text"
-                          name="jelmbergTeam"
-                          value={formatCurrencyForInput(formData.jelmbergTeam)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'jelmbergTeam', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
                     </div>
                   </div>
                 )}
 
-                {(formData.brokerage === 'BDH' || formData.brokerage === 'Bennion Deville Homes') && (
+                {normalizeBrokerage(formData.brokerage) === 'BDH' && (
                   <div className="mb-6">
                     <h3 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Bennion Deville Homes Deductions</h3>
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -2869,6 +3769,7 @@ const EnhancedRealEstateDashboard = () => {
                       <div>
                         <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">
                           Pre-Split Deduction (6%)
+                          {isOverridden(formData, 'preSplitDeduction') && renderOverrideBadge(() => revertOverride('preSplitDeduction'))}
                         </label>
                         <input
                           type="text"
@@ -2882,55 +3783,16 @@ const EnhancedRealEstateDashboard = () => {
                           className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                         />
                       </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Agent Services Fee (ASF)</label>
-                        <input
-                          type="text"
-                          name="asf"
-                          value={formatCurrencyForInput(formData.asf)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'asf', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Foundation10</label>
-                        <input
-                          type="text"
-                          name="foundation10"
-                          value={formatCurrencyForInput(formData.foundation10)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'foundation10', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
-
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Admin Fee</label>
-                        <input
-                          type="text"
-                          name="adminFee"
-                          value={formatCurrencyForInput(formData.adminFee)}
-                          onChange={(e) => {
-                            const parsed = parseCurrencyFromInput(e.target.value);
-                            handleInputChange({ target: { name: 'adminFee', value: parsed } });
-                          }}
-                          placeholder="$0.00"
-                          className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                        />
-                      </div>
                     </div>
                   </div>
                 )}
 
+                {/* Deduction Lines */}
+                <div className="mb-6">
+                  <h3 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Deduction Lines</h3>
+                  {renderDeductionLines(formData.deductions, (lines) => handleInputChange({ target: { name: 'deductions', value: lines } }))}
+                </div>
+
                 {/* Universal Fields */}
                 <div className="mb-6">
                   <h3 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Additional Deductions</h3>
@@ -2964,25 +3826,312 @@ const EnhancedRealEstateDashboard = () => {
                         className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                       />
                     </div>
+                  </div>
+                </div>
 
+                {/* Co-Agent / Team Splits */}
+                <div className="mb-6">
+                  <div className="flex items-center justify-between gap-4 mb-4">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+                      <Users className="w-5 h-5 text-primary-500" />
+                      Co-Agent & Team Splits
+                    </h3>
+                    <button
+                      type="button"
+                      onClick={() => updateAgents([...(formData.agents || []), createAgent()])}
+                      className="px-3 py-1.5 text-sm font-medium bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-1"
+                    >
+                      <Plus className="w-4 h-4" />
+                      Add Agent
+                    </button>
+                  </div>
+                  {(formData.agents || []).length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No co-agents - you keep the full NCI.</p>
+                  ) : (
+                    <div className="space-y-3">
+                      {formData.agents.map(agent => {
+                        const setAgent = (changes) => updateAgents(formData.agents.map(a => a.id === agent.id ? { ...a, ...changes } : a));
+                        const share = (formData.agentShares || []).find(s => s.id === agent.id);
+                        
+                        return (
+                          <div key={agent.id} className="grid grid-cols-2 md:grid-cols-5 gap-3 items-end p-3 bg-gray-50 dark:bg-gray-900/50 rounded-lg">
+                            <div className="col-span-2 md:col-span-1">
+                              <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Agent</label>
+                              <input
+                                type="text"
+                                value={agent.name}
+                                onChange={(e) => setAgent({ name: e.target.value })}
+                                placeholder="Name"
+                                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                              />
+                            </div>
+                            <div>
+                              <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Split</label>
+                              <div className="flex gap-1">
+                                <select
+                                  value={agent.splitType}
+                                  onChange={(e) => setAgent({ splitType: e.target.value })}
+                                  className="px-2 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                                >
+                                  <option value="percent">%</option>
+                                  <option value="dollar">$</option>
+                                </select>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  value={agent.value}
+                                  onChange={(e) => setAgent({ value: e.target.value })}
+                                  placeholder={agent.splitType === 'percent' ? '50' : '0.00'}
+                                  className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                                />
+                              </div>
+                            </div>
+                            <div>
+                              <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Applied</label>
+                              <select
+                                value={agent.timing}
+                                onChange={(e) => setAgent({ timing: e.target.value })}
+                                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm"
+                              >
+                                {SPLIT_TIMINGS.map(timing => (
+                                  <option key={timing.value} value={timing.value}>{timing.label}</option>
+                                ))}
+                              </select>
+                            </div>
+                            <div className="text-sm">
+                              <p className="text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">Their NCI</p>
+                              <p className="py-2 font-semibold text-gray-900 dark:text-white">
+                                ${parseFloat(share?.amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}
+                              </p>
+                            </div>
+                            <button
+                              type="button"
+                              onClick={() => updateAgents(formData.agents.filter(a => a.id !== agent.id))}
+                              className="p-2 text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 rounded-lg transition-all justify-self-end"
+                              title="Remove agent"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </div>
+                        );
+                      })}
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        Before the brokerage split, a % is of Adjusted GCI. After it, a % is of what's left once brokerage fees are paid. Your NCI above is after all co-agent shares.
+                      </p>
+                    </div>
+                  )}
+                </div>
+
+                {/* Results */}
+                <div className="mb-6">
+                  <h3 className="text-lg font-semibold mb-4 text-gray-900 dark:text-white">Results</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
                     <div>
-                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Assistant Bonus (FYI only)</label>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">
+                        Total Brokerage Fees
+                        {isOverridden(formData, 'totalBrokerageFees') && renderOverrideBadge(() => revertOverride('totalBrokerageFees'))}
+                      </label>
                       <input
                         type="text"
-                        name="assistantBonus"
-                        value={formatCurrencyForInput(formData.assistantBonus)}
+                        name="totalBrokerageFees"
+                        value={formatCurrencyForInput(formData.totalBrokerageFees)}
                         onChange={(e) => {
                           const parsed = parseCurrencyFromInput(e.target.value);
-                          handleInputChange({ target: { name: 'assistantBonus', value: parsed } });
+                          handleInputChange({ target: { name: 'totalBrokerageFees', value: parsed } });
+                        }}
+                        placeholder="$0.00"
+                        className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">
+                        Net Commission Income (NCI)
+                        {isOverridden(formData, 'nci') && renderOverrideBadge(() => revertOverride('nci'))}
+                      </label>
+                      <input
+                        type="text"
+                        name="nci"
+                        value={formatCurrencyForInput(formData.nci)}
+                        onChange={(e) => {
+                          const parsed = parseCurrencyFromInput(e.target.value);
+                          handleInputChange({ target: { name: 'nci', value: parsed } });
                         }}
                         placeholder="$0.00"
                         className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
                       />
-                      <p className="text-xs text-gray-500 mt-1">Not included in NCI calculation</p>
                     </div>
                   </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                    Calculated from the fields above. Type over any calculated amount to match the commission sheet - it stays as entered, and the rest is worked from it, until you revert it.
+                  </p>
                 </div>
 
+                {/* Post-Close Payouts */}
+                <div className="mb-6">
+                  <div className="flex items-center justify-between gap-4 mb-1 flex-wrap">
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Post-Close Payouts</h3>
+                    <span className="px-3 py-1 rounded-full text-xs font-semibold bg-success-100 dark:bg-success-900/30 text-success-800 dark:text-success-200 border border-success-300 dark:border-success-700">
+                      💼 Net after payouts: ${getNetAfterPayouts(formData).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                    What you pay out of your NCI after closing (assistant, TC, client gifts). A % is of NCI.
+                  </p>
+                  {renderPayoutLines(formData.payouts, (lines) => handleInputChange({ target: { name: 'payouts', value: lines } }), formData.nci)}
+                </div>
+
+                {/* Dual Agency - Buying Side */}
+                {isDualAgency(formData) && (
+                  <div className="mb-6 p-4 bg-primary-50 dark:bg-primary-900/20 rounded-lg border border-primary-200 dark:border-primary-800">
+                    <h3 className="text-lg font-semibold mb-1 text-gray-900 dark:text-white">🔁 Buying Side</h3>
+                    <p className="text-xs text-gray-600 dark:text-gray-400 mb-4">
+                      The fields above are the listing side. Enter the buying side's commission and deductions here.
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      {getSideFields(getCommissionPlan(formData.brokerage)).inputs
+                        .filter(field => !['referralDollar', 'deductions', 'gciComponents'].includes(field))
+                        .map(field => {
+                          const rule = (getCommissionPlan(formData.brokerage)?.rules || []).find(r => r.field === field || r.splitField === field);
+                          const isPercent = ['commissionPct', 'referralPct'].includes(field) || (rule && rule.splitField === field);
+                          const label = field === 'commissionPct' ? 'Commission %'
+                            : field === 'referralPct' ? 'Referral %'
+                            : rule && rule.splitField === field ? 'Agent Split %'
+                            : rule ? rule.label : field;
+                          const value = formData.buyingSide?.[field] || '';
+                          
+                          return (
+                            <div key={field}>
+                              <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">{label}</label>
+                              <input
+                                type="text"
+                                value={isPercent ? formatPercentageForInput(value) : formatCurrencyForInput(value)}
+                                onChange={(e) => handleBuyingSideChange(
+                                  field,
+                                  isPercent ? parsePercentageFromInput(e.target.value) : parseCurrencyFromInput(e.target.value)
+                                )}
+                                placeholder={isPercent ? '0.00%' : '$0.00'}
+                                className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                              />
+                            </div>
+                          );
+                        })}
+                    </div>
+                    <div className="mt-4">
+                      <p className="text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Buying Side Flat Fees, Bonuses & Concessions</p>
+                      {renderGciComponents(formData.buyingSide?.gciComponents, (items) => handleBuyingSideChange('gciComponents', items))}
+                    </div>
+                    <div className="mt-4">
+                      <p className="text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Buying Side Deduction Lines</p>
+                      {renderDeductionLines(
+                        formData.buyingSide?.deductions || getDefaultDeductions(getCommissionPlan(formData.brokerage)),
+                        (lines) => handleBuyingSideChange('deductions', lines)
+                      )}
+                    </div>
+                    {formDualSides && (
+                      <div className="mt-4 grid grid-cols-3 gap-3 text-sm">
+                        {SIDES.map(side => (
+                          <div key={side.key} className="p-3 bg-white dark:bg-gray-800 rounded-lg">
+                            <p className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">{side.label} NCI</p>
+                            <p className="font-bold text-gray-900 dark:text-white">
+                              ${parseFloat(formDualSides.sides[side.key].nci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}
+                            </p>
+                          </div>
+                        ))}
+                        <div className="p-3 bg-white dark:bg-gray-800 rounded-lg border-2 border-green-500">
+                          <p className="text-xs font-semibold text-green-700 dark:text-green-300 uppercase">Total NCI</p>
+                          <p className="font-bold text-green-900 dark:text-green-100">
+                            ${parseFloat(formDualSides.nci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}
+                          </p>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+
+
+                {/* Reverse Solver */}
+                <div className="mb-6 p-4 bg-info-50 dark:bg-info-900/20 rounded-lg border border-info-200 dark:border-info-800">
+                  <h3 className="text-lg font-semibold mb-1 text-gray-900 dark:text-white">🧮 Solve from Check Amount</h3>
+                  <p className="text-xs text-gray-600 dark:text-gray-400 mb-4">
+                    Know the NCI on the check (or the total fees) but not which input is off? Pick the unknown and solve for it with this deal's commission plan.
+                  </p>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Known Amount</label>
+                    <select
+                      value={solver.target}
+                      onChange={(e) => setSolver({ ...solver, target: e.target.value, solution: null })}
+                      className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    >
+                      {SOLVER_TARGETS.map(target => (
+                        <option key={target.field} value={target.field}>{target.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Amount</label>
+                    <input
+                      type="text"
+                      value={solver.amount}
+                      onChange={(e) => setSolver({ ...solver, amount: e.target.value, solution: null })}
+                      placeholder="$0.00"
+                      className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-2">Solve For</label>
+                    <select
+                      value={solverUnknown}
+                      onChange={(e) => setSolver({ ...solver, unknown: e.target.value, solution: null })}
+                      className="w-full px-4 py-3 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    >
+                      {solverUnknowns.map(unknown => (
+                        <option key={unknown.key} value={unknown.key}>{unknown.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleSolve(solverUnknown)}
+                    disabled={!solverUnknown || solver.amount.trim() === ''}
+                    className="px-4 py-3 bg-info-600 text-white rounded-lg hover:bg-info-700 disabled:opacity-50 transition-colors font-medium"
+                  >
+                    Solve
+                  </button>
+                </div>
+                {solver.solution && solver.solution.error && (
+                  <p className="mt-3 text-sm text-red-600 dark:text-red-400">⚠️ {solver.solution.error}</p>
+                )}
+                {solver.solution && !solver.solution.error && (
+                  <div className="mt-4">
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                      <p className="text-sm text-gray-900 dark:text-white">
+                        <span className="font-semibold">{solver.solution.unknown.label}:</span>{' '}
+                        {solver.solution.unknown.kind === 'percent'
+                          ? `${parseFloat((solver.solution.value * 100).toFixed(4))}%`
+                          : `$${solver.solution.value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`}
+                        {!solver.solution.exact && (
+                          <span className="text-xs text-warning-700 dark:text-warning-300">
+                            {' '}(closest - gives ${toMoney(solver.solution.result[solver.target]).toLocaleString('en-US', { minimumFractionDigits: 2 })})
+                          </span>
+                        )}
+                      </p>
+                      <button
+                        type="button"
+                        onClick={applySolution}
+                        className="px-3 py-1.5 text-sm font-medium bg-info-600 text-white rounded-lg hover:bg-info-700 transition-colors"
+                      >
+                        Use This Value
+                      </button>
+                    </div>
+                    <div className="p-3 bg-white dark:bg-gray-800 rounded-lg">
+                      {renderWaterfall(getWaterfallSections(solver.solution.result))}
+                    </div>
+                  </div>
+                )}
+                </div>
 
                 {/* Form Actions */}
                 <div className="flex items-center gap-3 pt-4 border-t border-gray-200 dark:border-gray-700">
@@ -3058,11 +4207,13 @@ const EnhancedRealEstateDashboard = () => {
                     <div>
                       <label className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase block mb-1">Client Type</label>
                       <span className={`inline-block px-3 py-1 rounded-full text-xs font-bold ${
-                        viewingTransaction.clientType === 'Buyer' 
+                        isDualAgency(viewingTransaction)
+                          ? 'bg-primary-600 text-white'
+                          : viewingTransaction.clientType === 'Buyer' 
                           ? 'bg-info-600 text-white' 
                           : 'bg-warning-600 text-gray-900'
                       }`}>
-                        {viewingTransaction.clientType}
+                        {isDualAgency(viewingTransaction) ? 'Dual Agency (Both Sides)' : viewingTransaction.clientType}
                       </span>
                     </div>
                   </div>
@@ -3102,32 +4253,188 @@ const EnhancedRealEstateDashboard = () => {
                     <TrendingUp className="w-5 h-5 text-purple-500" />
                     Commission Breakdown
                   </h3>
-                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+                  <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
                     <div className="bg-purple-50 dark:bg-purple-900/20 p-4 rounded-lg border border-purple-200 dark:border-purple-800">
-                      <label className="text-xs font-semibold text-purple-700 dark:text-purple-300 uppercase">Gross Commission</label>
+                      <label className="text-xs font-semibold text-purple-700 dark:text-purple-300 uppercase">Gross Commission{isOverridden(viewingTransaction, 'gci') && renderOverrideBadge()}</label>
                       <p className="text-purple-900 dark:text-purple-100 font-bold text-xl">
                         ${parseFloat(viewingTransaction.gci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}
                       </p>
                     </div>
                     <div className="bg-blue-50 dark:bg-blue-900/20 p-4 rounded-lg border border-blue-200 dark:border-blue-800">
-                      <label className="text-xs font-semibold text-blue-700 dark:text-blue-300 uppercase">After Referrals</label>
+                      <label className="text-xs font-semibold text-blue-700 dark:text-blue-300 uppercase">After Referrals{isOverridden(viewingTransaction, 'adjustedGci') && renderOverrideBadge()}</label>
                       <p className="text-blue-900 dark:text-blue-100 font-bold text-xl">
                         ${parseFloat(viewingTransaction.adjustedGci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}
                       </p>
                     </div>
                     <div className="bg-orange-50 dark:bg-orange-900/20 p-4 rounded-lg border border-orange-200 dark:border-orange-800">
-                      <label className="text-xs font-semibold text-orange-700 dark:text-orange-300 uppercase">Total Fees</label>
+                      <label className="text-xs font-semibold text-orange-700 dark:text-orange-300 uppercase">Total Fees{isOverridden(viewingTransaction, 'totalBrokerageFees') && renderOverrideBadge()}</label>
                       <p className="text-orange-900 dark:text-orange-100 font-bold text-xl">
                         ${parseFloat(viewingTransaction.totalBrokerageFees || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}
                       </p>
                     </div>
                     <div className="bg-green-50 dark:bg-green-900/20 p-4 rounded-lg border-2 border-green-500 dark:border-green-700">
-                      <label className="text-xs font-semibold text-green-700 dark:text-green-300 uppercase">Net Commission Income</label>
+                      <label className="text-xs font-semibold text-green-700 dark:text-green-300 uppercase">Net Commission Income{isOverridden(viewingTransaction, 'nci') && renderOverrideBadge()}</label>
                       <p className="text-green-900 dark:text-green-100 font-bold text-2xl">
                         ${parseFloat(viewingTransaction.nci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}
                       </p>
                     </div>
+                    <div className="bg-teal-50 dark:bg-teal-900/20 p-4 rounded-lg border border-teal-200 dark:border-teal-800">
+                      <label className="text-xs font-semibold text-teal-700 dark:text-teal-300 uppercase">Net After Payouts</label>
+                      <p className="text-teal-900 dark:text-teal-100 font-bold text-xl">
+                        ${getNetAfterPayouts(viewingTransaction).toLocaleString('en-US', { minimumFractionDigits: 2 })}
+                      </p>
+                    </div>
                   </div>
+                  {viewingOverrides.length > 0 && (
+                    <div className="mt-4 p-4 bg-warning-50 dark:bg-warning-900/20 border border-warning-200 dark:border-warning-800 rounded-lg">
+                      <p className="text-sm font-semibold text-warning-800 dark:text-warning-200">
+                        ✏️ Entered by hand: {viewingOverrides.map(item => item.label).join(', ')}
+                      </p>
+                      <p className="text-xs text-warning-700 dark:text-warning-300 mt-1 mb-2">
+                        These amounts are kept as entered instead of calculated from the commission plan.
+                      </p>
+                      <div className="flex flex-wrap gap-2">
+                        {viewingOverrides.map(item => (
+                          <button
+                            key={item.field}
+                            onClick={() => revertTransactionOverride(viewingTransaction, item.field)}
+                            className="px-3 py-1.5 text-xs font-medium bg-white dark:bg-gray-800 text-warning-800 dark:text-warning-200 border border-warning-300 dark:border-warning-700 rounded-lg hover:bg-warning-100 dark:hover:bg-warning-900/40 transition-colors"
+                          >
+                            ↩️ Revert {item.label} to calculated
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  {viewingWaterfall && (
+                    <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border border-gray-200 dark:border-gray-700">
+                      <p className="text-sm font-semibold text-gray-900 dark:text-white mb-1">Commission Waterfall</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">
+                        Each step in commission sheet order
+                        {viewingWaterfall.recalculated && ' (recalculated from the current plan - this deal was saved before breakdowns were kept)'}
+                      </p>
+                      {renderWaterfall(viewingWaterfall.sections)}
+                      {viewingWaterfall.mismatch && (
+                        <p className="text-xs text-warning-700 dark:text-warning-300 mt-2">
+                          ⚠️ The saved NCI (${parseFloat(viewingTransaction.nci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}) differs from these steps - it was entered or edited by hand.
+                        </p>
+                      )}
+                    </div>
+                  )}
+                  {viewingCapStatus && (
+                    <div className="mt-4 p-4 bg-success-50 dark:bg-success-900/20 border border-success-200 dark:border-success-800 rounded-lg">
+                      <p className="text-sm font-semibold text-success-800 dark:text-success-200">
+                        🎯 {viewingCapStatus.isCapped ? 'Capped for this cap year' : `$${viewingCapStatus.remaining.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} remaining to cap`}
+                      </p>
+                      <p className="text-xs text-success-700 dark:text-success-300 mt-1">
+                        {viewingCapStatus.rules.map(rule => `${rule.label}: $${rule.paid.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} of $${rule.cap.toLocaleString('en-US')}`).join(' • ')}
+                        {' '}(cap year {viewingCapStatus.start.toLocaleDateString()} – {new Date(viewingCapStatus.end.getFullYear(), viewingCapStatus.end.getMonth(), viewingCapStatus.end.getDate() - 1).toLocaleDateString()})
+                      </p>
+                    </div>
+                  )}
+                  {(viewingTransaction.deductions || []).some(line => parseFloat(line.value)) && (
+                    <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border border-gray-200 dark:border-gray-700">
+                      <p className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Deduction Lines</p>
+                      <div className="space-y-1 text-sm">
+                        {viewingTransaction.deductions.filter(line => parseFloat(line.value)).map((line, index) => (
+                          <div key={index} className="flex justify-between text-gray-700 dark:text-gray-300">
+                            <span>
+                              {line.label || 'Deduction'}
+                              <span className="text-xs text-gray-500 dark:text-gray-400">
+                                {' '}({line.type === 'percent' ? `${line.value}%, ` : ''}{line.placement === 'preSplit' ? 'pre-split' : 'post-split'})
+                              </span>
+                            </span>
+                            <span>${getDeductionAmount(line, parseFloat(viewingTransaction.adjustedGci) || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  {getPayouts(viewingTransaction).some(line => parseFloat(line.value)) && (
+                    <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border border-gray-200 dark:border-gray-700">
+                      <p className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Post-Close Payouts</p>
+                      <div className="space-y-1 text-sm">
+                        {getPayouts(viewingTransaction).filter(line => parseFloat(line.value)).map((line, index) => (
+                          <div key={index} className="flex justify-between text-gray-700 dark:text-gray-300">
+                            <span>
+                              {line.label || 'Payout'}
+                              <span className="text-xs text-gray-500 dark:text-gray-400">
+                                {' '}({line.type === 'percent' ? `${line.value}% of NCI, ` : ''}{(PAYOUT_CATEGORIES.find(category => category.value === line.category) || {}).label || 'Other'})
+                              </span>
+                            </span>
+                            <span>${getPayoutAmount(line, viewingTransaction.nci).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                  {(viewingTransaction.agentShares || []).length > 0 && (
+                    <div className="mt-4 p-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border border-gray-200 dark:border-gray-700">
+                      <p className="text-sm font-semibold text-gray-900 dark:text-white mb-2 flex items-center gap-2">
+                        <Users className="w-4 h-4 text-primary-500" />
+                        NCI by Agent
+                      </p>
+                      <div className="space-y-1 text-sm">
+                        <div className="flex justify-between font-semibold text-green-700 dark:text-green-300">
+                          <span>{SELF_AGENT}</span>
+                          <span>${parseFloat(viewingTransaction.nci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</span>
+                        </div>
+                        {viewingTransaction.agentShares.map(share => {
+                          const agent = (viewingTransaction.agents || []).find(a => a.id === share.id);
+                          return (
+                            <div key={share.id} className="flex justify-between text-gray-700 dark:text-gray-300">
+                              <span>
+                                {share.name}
+                                {agent && (
+                                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                                    {' '}({agent.splitType === 'dollar' ? `$${agent.value}` : `${agent.value}%`}, {agent.timing === 'preSplit' ? 'before' : 'after'} brokerage split)
+                                  </span>
+                                )}
+                              </span>
+                              <span>${parseFloat(share.amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</span>
+                            </div>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
+                  {isDualAgency(viewingTransaction) && viewingTransaction.sides && (
+                    <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+                      {SIDES.map(side => {
+                        const values = viewingTransaction.sides[side.key] || {};
+                        return (
+                          <div key={side.key} className="p-4 bg-gray-50 dark:bg-gray-900/50 rounded-lg border border-gray-200 dark:border-gray-700">
+                            <p className="text-sm font-semibold text-gray-900 dark:text-white mb-2">{side.label}</p>
+                            <div className="space-y-1 text-sm text-gray-700 dark:text-gray-300">
+                              <p>Commission: {values.commissionPct || 0}%</p>
+                              <p>GCI: ${parseFloat(values.gci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</p>
+                              <p>Fees: ${parseFloat(values.totalBrokerageFees || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</p>
+                              <p className="font-semibold text-green-700 dark:text-green-300">NCI: ${parseFloat(values.nci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}</p>
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                  {viewingSplitTiers && (
+                    <div className="mt-4 p-4 bg-purple-50 dark:bg-purple-900/20 border border-purple-200 dark:border-purple-800 rounded-lg">
+                      {viewingSplitTiers.manualPct ? (
+                        <p className="text-sm font-semibold text-purple-800 dark:text-purple-200">
+                          📊 Manual split: {viewingSplitTiers.manualPct}% agent (schedule not applied)
+                        </p>
+                      ) : (
+                        <>
+                          <p className="text-sm font-semibold text-purple-800 dark:text-purple-200">
+                            📊 {viewingSplitTiers.tiers.length > 1 ? 'Prorated across tiers ' : 'Split tier '}
+                            {viewingSplitTiers.tiers.map(tier => tier.tier).join(' → ')}
+                          </p>
+                          <p className="text-xs text-purple-700 dark:text-purple-300 mt-1">
+                            {viewingSplitTiers.tiers.map(tier => `Tier ${tier.tier} (YTD $${tier.from.toLocaleString('en-US')}${tier.to === Infinity ? '+' : ` – $${tier.to.toLocaleString('en-US')}`}): $${tier.amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} at ${tier.agentPct}% agent`).join(' • ')}
+                          </p>
+                        </>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 {/* Dates & Status */}
@@ -3152,14 +4459,14 @@ const EnhancedRealEstateDashboard = () => {
                     <div>
                       <label className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Brokerage</label>
                       <p className="text-gray-900 dark:text-white font-medium">
-                        {viewingTransaction.brokerage === 'KW' || viewingTransaction.brokerage === 'Keller Williams' ? 'Keller Williams (KW)' : 'Bennion Deville Homes (BDH)'}
+                        {getBrokerageName(viewingTransaction.brokerage)} ({normalizeBrokerage(viewingTransaction.brokerage)})
                       </p>
                     </div>
                   </div>
                 </div>
 
                 {/* Additional Information */}
-                {(viewingTransaction.source || viewingTransaction.referralPct > 0 || viewingTransaction.assistantBonus > 0 || viewingTransaction.buyersAgentSplit > 0) && (
+                {(viewingTransaction.source || viewingTransaction.referralPct > 0 || viewingTransaction.buyersAgentSplit > 0) && (
                   <div className="mb-4">
                     <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Additional Information</h3>
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4 bg-gray-100 dark:bg-gray-700/50 p-4 rounded-lg">
@@ -3177,14 +4484,6 @@ const EnhancedRealEstateDashboard = () => {
                           </p>
                         </div>
                       )}
-                      {viewingTransaction.assistantBonus > 0 && (
-                        <div>
-                          <label className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Assistant Bonus</label>
-                          <p className="text-gray-900 dark:text-white font-medium">
-                            ${parseFloat(viewingTransaction.assistantBonus).toLocaleString('en-US', { minimumFractionDigits: 2 })}
-                          </p>
-                        </div>
-                      )}
                       {viewingTransaction.buyersAgentSplit > 0 && (
                         <div>
                           <label className="text-xs font-semibold text-gray-500 dark:text-gray-400 uppercase">Buyer's Agent Split</label>
@@ -3225,6 +4524,250 @@ const EnhancedRealEstateDashboard = () => {
           </div>
         )}
 
+        {/* Remote Changes Toast */}
+        {remoteChanges && !showRemoteChanges && !pendingMerge && (
+          <div className="fixed bottom-6 right-6 z-40 w-80 glass-morphism bg-white/95 dark:bg-gray-800/95 rounded-2xl shadow-2xl border border-info-200 dark:border-info-800 p-4 animate-[fadeIn_0.3s_ease-out]">
+            <div className="flex items-start justify-between gap-3">
+              <div className="flex items-start gap-3">
+                <div className="text-2xl">🔔</div>
+                <div>
+                  <p className="text-sm font-semibold text-gray-900 dark:text-white">
+                    {remoteChanges.length} row{remoteChanges.length === 1 ? '' : 's'} changed in {remoteName}
+                  </p>
+                  <p className="text-xs text-gray-600 dark:text-gray-400">Review the changes before they replace what's here.</p>
+                </div>
+              </div>
+              <button
+                onClick={dismissRemoteChanges}
+                className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="flex justify-end gap-2 mt-3">
+              <button
+                onClick={() => setShowRemoteChanges(true)}
+                className="px-3 py-1.5 text-sm font-semibold bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-all"
+              >
+                Review
+              </button>
+              <button
+                onClick={pullRemoteChanges}
+                disabled={isSyncing}
+                className="px-3 py-1.5 text-sm font-semibold bg-primary-500 text-white rounded-lg hover:bg-primary-600 disabled:opacity-50 transition-all"
+              >
+                Load Changes
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Remote Changes Modal */}
+        {remoteChanges && showRemoteChanges && (
+          <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+            <div className="glass-morphism bg-white/95 dark:bg-gray-800/95 rounded-3xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden border-2 border-white/30 dark:border-gray-700/30 backdrop-blur-3xl animate-[fadeIn_0.3s_ease-out]">
+              {/* Header */}
+              <div className="p-6 border-b border-gray-200 dark:border-gray-700 bg-gradient-to-r from-info-50 to-blue-50 dark:from-info-900/20 dark:to-blue-900/20">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-3">
+                    <div className="text-3xl">🔔</div>
+                    <div>
+                      <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Changes in {remoteName}</h2>
+                      <p className="text-sm text-gray-600 dark:text-gray-300">
+                        {remoteChanges.length} row(s) were changed in {remoteName} since the last sync. Nothing here changes until you load them.
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => setShowRemoteChanges(false)}
+                    className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors p-2"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+              </div>
+
+              {/* Content */}
+              <div className="p-6 max-h-[calc(90vh-220px)] overflow-y-auto space-y-6">
+                {remoteChanges.map(change => {
+                  const row = change.remote || change.local;
+                  const badge = {
+                    added: { label: `New in ${remoteName}`, className: 'bg-success-100 text-success-700 dark:bg-success-900/30 dark:text-success-300' },
+                    changed: { label: `Edited in ${remoteName}`, className: 'bg-info-100 text-info-700 dark:bg-info-900/30 dark:text-info-300' },
+                    removed: { label: `Deleted in ${remoteName}`, className: 'bg-danger-100 text-danger-700 dark:bg-danger-900/30 dark:text-danger-300' },
+                  }[change.type];
+                  return (
+                    <div key={change.id} className="rounded-2xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+                      <div className="px-4 py-3 bg-gray-50 dark:bg-gray-900/50 flex items-start justify-between gap-3">
+                        <div>
+                          <p className="font-semibold text-gray-900 dark:text-white">{row.address || 'Transaction'}</p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {[row.city, row.closingDate, row.status, formatCurrencyForInput(row.closedPrice)].filter(Boolean).join(' • ')}
+                          </p>
+                        </div>
+                        <span className={`px-2 py-0.5 text-xs font-semibold rounded-full whitespace-nowrap ${badge.className}`}>{badge.label}</span>
+                      </div>
+                      {change.fields.length > 0 && (
+                        <table className="w-full text-sm border-t border-gray-200 dark:border-gray-700">
+                          <thead>
+                            <tr className="text-left text-xs uppercase text-gray-500 dark:text-gray-400">
+                              <th className="px-4 py-2 font-semibold">Field</th>
+                              <th className="px-4 py-2 font-semibold">Dashboard</th>
+                              <th className="px-4 py-2 font-semibold">{remoteName}</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {change.fields.map(item => (
+                              <tr key={item.field} className="border-t border-gray-100 dark:border-gray-700">
+                                <td className="px-4 py-2 font-medium text-gray-700 dark:text-gray-200">
+                                  {item.header} <span className="text-xs text-gray-400">({item.column})</span>
+                                </td>
+                                <td className="px-4 py-2 break-all text-gray-500 dark:text-gray-400">
+                                  {item.local || <span className="italic text-gray-400">blank</span>}
+                                </td>
+                                <td className="px-4 py-2 break-all font-medium text-gray-900 dark:text-white">
+                                  {item.remote || <span className="italic text-gray-400">blank</span>}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+
+              {/* Footer */}
+              <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-end gap-2">
+                <button
+                  onClick={dismissRemoteChanges}
+                  className="px-4 py-2 text-sm font-semibold bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-xl hover:bg-gray-200 dark:hover:bg-gray-600 transition-all"
+                >
+                  Not Now
+                </button>
+                <button
+                  onClick={pullRemoteChanges}
+                  disabled={isSyncing}
+                  className="px-4 py-2 text-sm font-semibold bg-primary-500 text-white rounded-xl hover:bg-primary-600 disabled:opacity-50 transition-all"
+                >
+                  Load Changes
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Merge Conflicts Modal */}
+        {pendingMerge && (
+          <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+            <div className="glass-morphism bg-white/95 dark:bg-gray-800/95 rounded-3xl shadow-2xl w-full max-w-4xl max-h-[90vh] overflow-hidden border-2 border-white/30 dark:border-gray-700/30 backdrop-blur-3xl animate-[fadeIn_0.3s_ease-out]">
+              {/* Header */}
+              <div className="p-6 border-b border-gray-200 dark:border-gray-700 bg-gradient-to-r from-warning-50 to-orange-50 dark:from-warning-900/20 dark:to-orange-900/20">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center gap-3">
+                    <div className="text-3xl">🔀</div>
+                    <div>
+                      <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Merge Changes</h2>
+                      <p className="text-sm text-gray-600 dark:text-gray-300">
+                        {pendingMerge.conflicts.length} transaction(s) changed in both the dashboard and {remoteName} since the last sync. Pick a version for each field - nothing is written until you merge.
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={cancelMerge}
+                    className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors p-2"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
+              </div>
+
+              {/* Content */}
+              <div className="p-6 max-h-[calc(90vh-220px)] overflow-y-auto space-y-6">
+                {pendingMerge.conflicts.map(conflict => (
+                  <div key={conflict.id} className="rounded-2xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+                    <div className="px-4 py-3 bg-gray-50 dark:bg-gray-900/50 border-b border-gray-200 dark:border-gray-700">
+                      <p className="font-semibold text-gray-900 dark:text-white">{conflict.local.address || conflict.remote.address || 'Transaction'}</p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">{[conflict.local.city, conflict.local.closingDate].filter(Boolean).join(' • ')}</p>
+                    </div>
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs uppercase text-gray-500 dark:text-gray-400">
+                          <th className="px-4 py-2 font-semibold">Field</th>
+                          <th className="px-4 py-2 font-semibold">Dashboard</th>
+                          <th className="px-4 py-2 font-semibold">{remoteName}</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {conflict.fields.map(item => {
+                          const version = (pendingMerge.choices[conflict.id] || {})[item.field] || 'local';
+                          return (
+                            <tr key={item.field} className="border-t border-gray-100 dark:border-gray-700">
+                              <td className="px-4 py-2 font-medium text-gray-700 dark:text-gray-200">
+                                {item.header} <span className="text-xs text-gray-400">({item.column})</span>
+                              </td>
+                              {['local', 'remote'].map(side => (
+                                <td key={side} className="px-4 py-2">
+                                  <label className={`flex items-start gap-2 p-2 rounded-lg cursor-pointer border ${version === side ? 'border-primary-400 bg-primary-50 dark:bg-primary-900/20' : 'border-transparent hover:bg-gray-50 dark:hover:bg-gray-700/50'}`}>
+                                    <input
+                                      type="radio"
+                                      name={`merge-${conflict.id}-${item.field}`}
+                                      checked={version === side}
+                                      onChange={() => chooseMergeVersion(conflict.id, item.field, side)}
+                                      className="mt-0.5"
+                                    />
+                                    <span className="break-all text-gray-900 dark:text-white">
+                                      {item[side] || <span className="italic text-gray-400">blank</span>}
+                                    </span>
+                                  </label>
+                                </td>
+                              ))}
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                ))}
+              </div>
+
+              {/* Footer */}
+              <div className="p-6 border-t border-gray-200 dark:border-gray-700 flex flex-wrap items-center justify-between gap-3">
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => chooseMergeVersionForAll('local')}
+                    className="px-4 py-2 text-sm font-semibold bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-700 transition-all"
+                  >
+                    All Dashboard
+                  </button>
+                  <button
+                    onClick={() => chooseMergeVersionForAll('remote')}
+                    className="px-4 py-2 text-sm font-semibold bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-700 transition-all"
+                  >
+                    All {remoteName}
+                  </button>
+                </div>
+                <div className="flex gap-2">
+                  <button
+                    onClick={cancelMerge}
+                    className="px-4 py-2 text-sm font-semibold bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-xl hover:bg-gray-200 dark:hover:bg-gray-600 transition-all"
+                  >
+                    Not Now
+                  </button>
+                  <button
+                    onClick={applyMerge}
+                    disabled={isSyncing}
+                    className="px-4 py-2 text-sm font-semibold bg-primary-500 text-white rounded-xl hover:bg-primary-600 disabled:opacity-50 transition-all"
+                  >
+                    Merge & Save
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Settings Modal */}
         {showSettings && (
           <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
@@ -3354,6 +4897,47 @@ const EnhancedRealEstateDashboard = () => {
                   </div>
                 </div>
 
+                {/* Payouts Section */}
+                <div className="glass-morphism bg-white/60 dark:bg-gray-700/60 rounded-2xl p-6 border border-white/30 dark:border-gray-600/30 backdrop-blur-xl">
+                  <div className="flex items-center gap-3 mb-4">
+                    <div className="text-2xl">💼</div>
+                    <h3 className="text-lg font-bold text-gray-900 dark:text-white">Payouts & Net</h3>
+                  </div>
+                  
+                  <div className="space-y-4">
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                        Charts Show
+                      </label>
+                      <select
+                        value={chartBasis}
+                        onChange={(e) => {
+                          setChartBasis(e.target.value);
+                          localStorage.setItem('chartBasis', e.target.value);
+                        }}
+                        className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
+                      >
+                        <option value="nci">Net Commission Income (NCI)</option>
+                        <option value="netAfterPayouts">Net After Payouts</option>
+                      </select>
+                    </div>
+                    
+                    <div>
+                      <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                        Default Payouts
+                      </label>
+                      {renderPayoutLines(defaultPayouts, (lines) => {
+                        setDefaultPayouts(lines);
+                        saveDefaultPayouts(lines);
+                      })}
+                    </div>
+                    
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      New transactions start with these payout lines. Net after payouts is NCI less each deal's payouts.
+                    </p>
+                  </div>
+                </div>
+                
                 {/* Keyboard Shortcuts */}
                 <div className="glass-morphism bg-white/60 dark:bg-gray-700/60 rounded-2xl p-6 border border-white/30 dark:border-gray-600/30 backdrop-blur-xl">
                   <div className="flex items-center gap-3 mb-4">
@@ -3436,6 +5020,151 @@ const EnhancedRealEstateDashboard = () => {
                   </div>
                 </div>
 
+                {/* Commission Plans */}
+                <div className="glass-morphism bg-white/60 dark:bg-gray-700/60 rounded-2xl p-6 border border-white/30 dark:border-gray-600/30 backdrop-blur-xl">
+                  <div className="flex items-center gap-3 mb-4">
+                    <div className="text-2xl">🎯</div>
+                    <h3 className="text-lg font-bold text-gray-900 dark:text-white">Commission Plans</h3>
+                  </div>
+                  
+                  <div className="space-y-4">
+                    {Object.values(commissionPlans).filter(plan => plan.rules.some(rule => rule.type === 'cappedFee')).map(plan => {
+                      const [capMonth, capDay] = (plan.capAnniversary || '01-01').split('-').map(Number);
+                      const setAnniversary = (month, day) => updateCommissionPlan({
+                        ...plan,
+                        capAnniversary: `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+                      });
+                      
+                      return (
+                        <div key={plan.id} className="p-4 bg-gray-50 dark:bg-gray-800/50 rounded-xl space-y-3">
+                          <p className="text-sm font-semibold text-gray-900 dark:text-white">{plan.name} Annual Cap</p>
+                          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                            <div>
+                              <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">Cap Year Starts</label>
+                              <div className="flex gap-2">
+                                <select
+                                  value={capMonth}
+                                  onChange={(e) => setAnniversary(e.target.value, capDay)}
+                                  className="flex-1 px-3 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+                                >
+                                  {Array.from({ length: 12 }, (_, i) => (
+                                    <option key={i + 1} value={i + 1}>
+                                      {new Date(2000, i, 1).toLocaleDateString('en-US', { month: 'short' })}
+                                    </option>
+                                  ))}
+                                </select>
+                                <input
+                                  type="number"
+                                  min="1"
+                                  max="31"
+                                  value={capDay}
+                                  onChange={(e) => setAnniversary(capMonth, Math.min(31, Math.max(1, parseInt(e.target.value) || 1)))}
+                                  className="w-20 px-3 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+                                />
+                              </div>
+                            </div>
+                            {plan.rules.filter(rule => rule.type === 'cappedFee').map(rule => (
+                              <div key={rule.id}>
+                                <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">{rule.label} Cap</label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  value={rule.cap}
+                                  onChange={(e) => updateCommissionPlan({
+                                    ...plan,
+                                    rules: plan.rules.map(r => r.id === rule.id ? { ...r, cap: parseFloat(e.target.value) || 0 } : r)
+                                  })}
+                                  className="w-full px-3 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+                                />
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      );
+                    })}
+                    
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Capped fees stop for the rest of the cap year once the cap is reached. A cap of $0 means no cap.
+                    </p>
+                    
+                    {Object.values(commissionPlans).filter(plan => getTieredSplitRule(plan)).map(plan => {
+                      const rule = getTieredSplitRule(plan);
+                      const setTiers = (tiers) => updateCommissionPlan({
+                        ...plan,
+                        rules: plan.rules.map(r => r.id === rule.id ? { ...r, tiers } : r)
+                      });
+                      
+                      return (
+                        <div key={plan.id} className="p-4 bg-gray-50 dark:bg-gray-800/50 rounded-xl space-y-3">
+                          <p className="text-sm font-semibold text-gray-900 dark:text-white">{plan.name} Split Schedule</p>
+                          {rule.tiers.map((tier, index) => (
+                            <div key={index} className="flex gap-3 items-end">
+                              <div className="flex-1">
+                                <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">Tier {index + 1} From (YTD GCI)</label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="1000"
+                                  value={tier.from}
+                                  disabled={index === 0}
+                                  onChange={(e) => setTiers(rule.tiers.map((t, i) => i === index ? { ...t, from: parseFloat(e.target.value) || 0 } : t))}
+                                  className="w-full px-3 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm disabled:opacity-60"
+                                />
+                              </div>
+                              <div className="flex-1">
+                                <label className="block text-xs font-semibold text-gray-600 dark:text-gray-400 mb-1">Agent Split %</label>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="100"
+                                  step="0.5"
+                                  value={tier.agentPct}
+                                  onChange={(e) => setTiers(rule.tiers.map((t, i) => i === index ? { ...t, agentPct: parseFloat(e.target.value) || 0 } : t))}
+                                  className="w-full px-3 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm"
+                                />
+                              </div>
+                              <button
+                                onClick={() => setTiers(rule.tiers.filter((_, i) => i !== index))}
+                                disabled={index === 0}
+                                className="p-2 text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 rounded-lg transition-all disabled:opacity-30 disabled:cursor-not-allowed"
+                                title="Remove tier"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </div>
+                          ))}
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => {
+                                const last = rule.tiers[rule.tiers.length - 1];
+                                setTiers([...rule.tiers, { from: last.from + 100000, agentPct: last.agentPct }]);
+                              }}
+                              className="px-4 py-2 text-sm font-semibold bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-700 transition-all"
+                            >
+                              + Add Tier
+                            </button>
+                            <button
+                              onClick={async () => {
+                                if (window.confirm(`Recalculate fees and NCI for all ${plan.name} transactions using this schedule?`)) {
+                                  await saveTransactions(applyPlanSchedules(transactions));
+                                }
+                              }}
+                              className="px-4 py-2 text-sm font-semibold bg-primary-500 text-white rounded-xl hover:bg-primary-600 transition-all"
+                            >
+                              Recalculate {plan.id} Deals
+                            </button>
+                          </div>
+                        </div>
+                      );
+                    })}
+                    
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Split tiers apply to year-to-date Adjusted GCI in closing-date order. A deal that crosses a threshold is prorated between tiers. A split % entered on a transaction overrides the schedule.
+                    </p>
+                  </div>
+                </div>
+
                 {/* Google Sheets Integration */}
                 <div className="glass-morphism bg-white/60 dark:bg-gray-700/60 rounded-2xl p-6 border border-white/30 dark:border-gray-600/30 backdrop-blur-xl">
                   <div className="flex items-center gap-3 mb-4">
@@ -3444,6 +5173,26 @@ const EnhancedRealEstateDashboard = () => {
                   </div>
                   
                   <div className="space-y-4">
+                    {/* Storage */}
+                    <div className="p-3 bg-gray-50 dark:bg-gray-800/50 rounded-xl">
+                      <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                        Store Transactions In
+                      </label>
+                      <select
+                        value={storageAdapterId}
+                        onChange={(e) => changeStorageAdapter(e.target.value)}
+                        disabled={isSyncing}
+                        className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      >
+                        {STORAGE_ADAPTERS.map(adapter => (
+                          <option key={adapter.id} value={adapter.id}>{adapter.name}</option>
+                        ))}
+                      </select>
+                      <p className="text-xs text-gray-600 dark:text-gray-400 mt-2">
+                        A copy is always kept in this browser, so the dashboard works offline.
+                      </p>
+                    </div>
+
                     {/* Status */}
                     <div className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-800/50 rounded-xl">
                       <div className="flex items-center gap-3">
@@ -3471,11 +5220,162 @@ const EnhancedRealEstateDashboard = () => {
                       </div>
                     </div>
 
+                    {/* Data Source */}
+                    <div className="p-3 bg-gray-50 dark:bg-gray-800/50 rounded-xl space-y-3">
+                      <div className="flex items-center justify-between gap-3 flex-wrap">
+                        <label className="text-sm font-semibold text-gray-700 dark:text-gray-300">Spreadsheet</label>
+                        {!sourceDraft && (
+                          <button
+                            onClick={() => startSourceDraft()}
+                            className="px-3 py-1.5 text-sm font-medium bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors flex items-center gap-1"
+                          >
+                            <Plus className="w-4 h-4" />
+                            Add Spreadsheet
+                          </button>
+                        )}
+                      </div>
+                      
+                      {sheetSources.length > 0 ? (
+                        <div className="flex items-center gap-2 flex-wrap">
+                          <select
+                            value={activeSourceId || ''}
+                            onChange={(e) => {
+                              const source = sheetSources.find(s => s.id === e.target.value);
+                              const unsaved = outbox.length > 0 ? ` ${outbox.length} change(s) not yet saved to the current spreadsheet will be lost.` : '';
+                              if (window.confirm(`Switch to "${source.name}"? The dashboard will load its transactions from that spreadsheet.${unsaved}`)) {
+                                switchSheetSource(source.id);
+                              }
+                            }}
+                            className="flex-1 min-w-[12rem] px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
+                          >
+                            {sheetSources.map(source => (
+                              <option key={source.id} value={source.id}>{source.name} ({source.sheetName})</option>
+                            ))}
+                          </select>
+                          {activeSourceId && activeSourceId !== 'default' && !sourceDraft && (
+                            <>
+                              <button
+                                onClick={() => startSourceDraft(sheetSources.find(s => s.id === activeSourceId))}
+                                className="p-2 text-primary-600 hover:bg-primary-50 dark:hover:bg-primary-900/20 rounded-lg transition-all"
+                                title="Edit data source"
+                              >
+                                <Edit2 className="w-4 h-4" />
+                              </button>
+                              <button
+                                onClick={() => removeSheetSource(activeSourceId)}
+                                className="p-2 text-danger-600 hover:bg-danger-50 dark:hover:bg-danger-900/20 rounded-lg transition-all"
+                                title="Remove data source"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      ) : (
+                        <p className="text-xs text-gray-600 dark:text-gray-400">No spreadsheet yet - add the one you keep your transactions in.</p>
+                      )}
+                      
+                      {sourceDraft && (
+                        <div className="space-y-2 pt-2 border-t border-gray-200 dark:border-gray-700">
+                          <input
+                            type="text"
+                            value={sourceDraft.name}
+                            onChange={(e) => setSourceDraft(prev => ({ ...prev, name: e.target.value }))}
+                            placeholder="Profile name (e.g. your name)"
+                            className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
+                          />
+                          <div className="flex gap-2">
+                            <input
+                              type="text"
+                              value={sourceDraft.url}
+                              onChange={(e) => setSourceDraft(prev => ({ ...prev, url: e.target.value, tabs: [] }))}
+                              placeholder="https://docs.google.com/spreadsheets/d/..."
+                              className="flex-1 px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
+                            />
+                            <button
+                              onClick={loadSourceTabs}
+                              className="px-4 py-2 text-sm font-semibold bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-700 transition-all"
+                            >
+                              Find Tabs
+                            </button>
+                          </div>
+                          {sourceDraft.tabs.length > 0 && (
+                            <select
+                              value={sourceDraft.sheetName}
+                              onChange={(e) => setSourceDraft(prev => ({ ...prev, sheetName: e.target.value }))}
+                              className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all"
+                            >
+                              {sourceDraft.tabs.map(tab => (
+                                <option key={tab} value={tab}>{tab}</option>
+                              ))}
+                            </select>
+                          )}
+                          <div className="flex gap-2 justify-end">
+                            <button
+                              onClick={() => { setSourceDraft(null); setSourceStatus(null); }}
+                              className="px-4 py-2 text-sm font-semibold bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-200 rounded-xl hover:bg-gray-200 dark:hover:bg-gray-600 transition-all"
+                            >
+                              Cancel
+                            </button>
+                            <button
+                              onClick={saveSourceDraft}
+                              disabled={!sourceDraft.spreadsheetId || sourceDraft.tabs.length === 0}
+                              className="px-4 py-2 text-sm font-semibold bg-primary-500 text-white rounded-xl hover:bg-primary-600 disabled:opacity-50 transition-all"
+                            >
+                              Check & Use
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                      
+                      {sourceStatus && (
+                        <p className={`text-xs ${sourceStatus.type === 'error' ? 'text-danger-600 dark:text-danger-400' : 'text-success-700 dark:text-success-300'}`}>
+                          {sourceStatus.type === 'error' ? '⚠️' : '✅'} {sourceStatus.message}
+                        </p>
+                      )}
+                      
+                      {/* Column Mapping */}
+                      {isGoogleSheetsAuthorized && activeSourceId && !sourceDraft && !columnMapping && (
+                        <button
+                          onClick={openColumnMapping}
+                          className="text-xs font-semibold text-primary-600 dark:text-primary-400 hover:underline"
+                        >
+                          Map columns...
+                        </button>
+                      )}
+                      
+                      {columnMapping && renderColumnMapping()}
+                    </div>
+
+                    {/* Change Polling */}
+                    <div className="p-3 bg-gray-50 dark:bg-gray-800/50 rounded-xl">
+                      <label className="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+                        Check for Changes in Sheets
+                      </label>
+                      <select
+                        value={sheetPollMinutes}
+                        onChange={(e) => {
+                          setSheetPollMinutes(Number(e.target.value));
+                          localStorage.setItem('sheetPollMinutes', e.target.value);
+                        }}
+                        className="w-full px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all"
+                      >
+                        <option value={0}>Off</option>
+                        <option value={1}>Every minute</option>
+                        <option value={5}>Every 5 minutes</option>
+                        <option value={15}>Every 15 minutes</option>
+                        <option value={30}>Every 30 minutes</option>
+                      </select>
+                      <p className="text-xs text-gray-600 dark:text-gray-400 mt-2">
+                        Edits made in the spreadsheet show up as a notice you can review before they're loaded.
+                      </p>
+                    </div>
+
                     {/* Actions */}
                     <div className="flex items-center gap-3 flex-wrap">
                       {!isGoogleSheetsAuthorized ? (
                         <button
-                          onClick={enableGoogleSheets}
+                          onClick={() => connectStorage('googleSheets')}
                           disabled={isSyncing}
                           className="flex items-center gap-2 px-4 py-2.5 bg-blue-600 text-white rounded-xl hover:bg-blue-700 transition-colors disabled:bg-gray-400 shadow-lg font-medium"
                         >
@@ -3493,7 +5393,7 @@ const EnhancedRealEstateDashboard = () => {
                             Sync Now
                           </button>
                           <button
-                            onClick={signOutGoogleSheets}
+                            onClick={() => disconnectStorage('googleSheets')}
                             className="flex items-center gap-2 px-4 py-2.5 bg-gray-600 text-white rounded-xl hover:bg-gray-700 transition-colors shadow-lg font-medium"
                           >
                             <LogOut className="w-4 h-4" />
@@ -3536,11 +5436,65 @@ const EnhancedRealEstateDashboard = () => {
                       <div className="text-gray-400 group-hover:text-gray-600 dark:group-hover:text-gray-300">→</div>
                     </button>
 
+                    <label className="w-full flex items-center justify-between px-4 py-3 bg-gray-100 dark:bg-gray-800 hover:bg-gray-200 dark:hover:bg-gray-700 rounded-xl transition-colors group cursor-pointer">
+                      <input
+                        type="file"
+                        accept=".csv,text/csv"
+                        onChange={importFromCSV}
+                        className="hidden"
+                      />
+                      <div className="flex items-center gap-3">
+                        <Upload className="w-5 h-5 text-gray-600 dark:text-gray-400" />
+                        <div className="text-left">
+                          <p className="text-sm font-semibold text-gray-900 dark:text-white">Import from CSV</p>
+                          <p className="text-xs text-gray-600 dark:text-gray-400">Add transactions from a CSV exported here</p>
+                        </div>
+                      </div>
+                      <div className="text-gray-400 group-hover:text-gray-600 dark:group-hover:text-gray-300">→</div>
+                    </label>
+
                     <div className="p-3 bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-xl">
                       <p className="text-xs text-yellow-700 dark:text-yellow-300">
                         <strong>Filtered Export:</strong> Only currently filtered transactions will be exported.
                       </p>
                     </div>
+
+                    {dualAgencyPairs.length > 0 && (
+                      <div className="p-4 bg-gray-50 dark:bg-gray-800/50 rounded-xl space-y-3">
+                        <div className="flex items-center justify-between gap-3">
+                          <div>
+                            <p className="text-sm font-semibold text-gray-900 dark:text-white">🔁 Double-Ended Deals Found</p>
+                            <p className="text-xs text-gray-600 dark:text-gray-400">
+                              These Seller and Buyer records share an address and closing date. Merging keeps both sides' income and counts the volume once.
+                            </p>
+                          </div>
+                          {dualAgencyPairs.length > 1 && (
+                            <button
+                              onClick={() => handleMergeDualAgency(dualAgencyPairs)}
+                              className="px-4 py-2 text-sm font-semibold bg-primary-500 text-white rounded-xl hover:bg-primary-600 transition-all flex-shrink-0"
+                            >
+                              Merge All
+                            </button>
+                          )}
+                        </div>
+                        {dualAgencyPairs.map(pair => (
+                          <div key={pair.seller.id} className="flex items-center justify-between gap-3 p-3 bg-white dark:bg-gray-800 rounded-lg">
+                            <div className="text-sm">
+                              <p className="font-medium text-gray-900 dark:text-white">{pair.seller.address}{pair.seller.city ? `, ${pair.seller.city}` : ''}</p>
+                              <p className="text-xs text-gray-600 dark:text-gray-400">
+                                Closed {pair.seller.closingDate || '—'} • Seller NCI ${parseFloat(pair.seller.nci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })} • Buyer NCI ${parseFloat(pair.buyer.nci || 0).toLocaleString('en-US', { minimumFractionDigits: 2 })}
+                              </p>
+                            </div>
+                            <button
+                              onClick={() => handleMergeDualAgency([pair])}
+                              className="px-4 py-2 text-sm font-semibold bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-700 transition-all flex-shrink-0"
+                            >
+                              Merge
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 </div>
 
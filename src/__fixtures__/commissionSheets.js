@@ -0,0 +1,150 @@
+/**
+ * Commission Sheet Fixtures
+ *
+ * Golden inputs and results for the commission calculator. The KW
+ * fixtures reproduce the agent commission sheets in `public/assets` to the
+ * cent: Total Brokerage Fees on the sheet is royalty + company dollar,
+ * Agent 1099 Income is what's left after them, and Agent Check is our NCI.
+ *
+ * Cap context is whatever the sheet shows had been paid earlier in the cap
+ * year (a royalty or company dollar below the full rate is the rest of the cap).
+ *
+ * There is no BDH sheet in the assets; the BDH fixture is worked by hand
+ * from the plan (6% pre-split, then the 94% agent split on what's left).
+ *
+ * @version 1.0.0
+ */
+
+export const COMMISSION_SHEETS = [
+  {
+    name: '2 Cassis Circle - KW listing, royalty capped',
+    sheet: 'public/assets/2 Cassis Commission SHeet.pdf',
+    transaction: {
+      brokerage: 'KW',
+      transactionType: 'Sale',
+      clientType: 'Seller',
+      closedPrice: 1355000,
+      commissionPct: 2.5,
+      deductions: [
+        { id: 'tcConcierge', label: 'Jelmberg Team TC/CONCIERGE FEE', type: 'amount', value: '400', placement: 'postSplit' },
+      ],
+    },
+    context: { capPaid: { royalty: 1885.69, companyDollar: 0 } },
+    expected: {
+      gci: 33875,
+      referralDollar: 0,
+      adjustedGci: 33875,
+      royalty: 1114.31,
+      companyDollar: 3387.5,
+      brokerageFees: 4501.81,
+      agent1099: 29373.19,
+      totalBrokerageFees: 4901.81,
+      nci: 28973.19,
+    },
+  },
+  {
+    name: '2440 Clay Street - KW referral received',
+    sheet: 'public/assets/2440 Clay Commission Sheet.pdf',
+    transaction: {
+      brokerage: 'KW',
+      transactionType: 'Referral $ Received',
+      clientType: 'Buyer',
+      referralFeeReceived: 16237.5,
+      deductions: [],
+    },
+    context: {},
+    expected: {
+      gci: 16237.5,
+      referralDollar: 0,
+      adjustedGci: 16237.5,
+      royalty: 974.25,
+      companyDollar: 1623.75,
+      brokerageFees: 2598,
+      agent1099: 13639.5,
+      totalBrokerageFees: 2598,
+      nci: 13639.5,
+    },
+  },
+  {
+    name: '2490 E Francis Drive - KW listing, flat commission',
+    sheet: 'public/assets/2490 E Francis Commission Sheet.pdf',
+    transaction: {
+      brokerage: 'KW',
+      transactionType: 'Sale',
+      clientType: 'Seller',
+      closedPrice: 575000,
+      commissionPct: 2750 / 575000 * 100, // $2,750 flat
+      deductions: [
+        { id: 'jelmbergTeam', label: 'Jelmberg Team', type: 'amount', value: '700', placement: 'postSplit' },
+      ],
+    },
+    context: {},
+    expected: {
+      gci: 2750,
+      referralDollar: 0,
+      adjustedGci: 2750,
+      royalty: 165,
+      companyDollar: 275,
+      brokerageFees: 440,
+      agent1099: 2310,
+      totalBrokerageFees: 1140,
+      nci: 1610,
+    },
+  },
+  {
+    name: '75980 Nelson Lane - KW listing, outside referral paid, company dollar capped',
+    sheet: 'public/assets/75980 Nelson Commission Sheet.pdf',
+    transaction: {
+      brokerage: 'KW',
+      transactionType: 'Referral $ Paid',
+      clientType: 'Seller',
+      closedPrice: 990000,
+      commissionPct: 2.4125,
+      referralPct: '',
+      referralDollar: 7425,
+      overrides: ['referralDollar'], // Flat amount from the sheet
+      deductions: [
+        { id: 'jelmbergTeam', label: 'Jelmberg Team', type: 'amount', value: '400', placement: 'postSplit' },
+        { id: 'hoaTransfer', label: 'HOA Transfer', type: 'amount', value: '250', placement: 'postSplit' },
+        { id: 'homeWarranty', label: 'Home Warranty', type: 'amount', value: '129.92', placement: 'postSplit' },
+      ],
+    },
+    context: { capPaid: { royalty: 0, companyDollar: 17133.75 } },
+    expected: {
+      gci: 23883.75,
+      referralDollar: 7425,
+      adjustedGci: 16458.75,
+      royalty: 987.52, // 987.525 - royalty is truncated
+      companyDollar: 866.25,
+      brokerageFees: 1853.77,
+      agent1099: 14604.98,
+      totalBrokerageFees: 2633.69,
+      nci: 13825.06,
+    },
+  },
+  {
+    name: 'BDH sale - pre-split deduction and 94% split (hand-worked)',
+    sheet: null,
+    transaction: {
+      brokerage: 'BDH',
+      transactionType: 'Sale',
+      clientType: 'Buyer',
+      closedPrice: 500000,
+      commissionPct: 2.5,
+      deductions: [
+        { id: 'asf', label: 'Agent Services Fee (ASF)', type: 'amount', value: '50', placement: 'postSplit' },
+      ],
+    },
+    context: { ytdGci: 0 },
+    expected: {
+      gci: 12500, // 2.5% of 500,000
+      referralDollar: 0,
+      adjustedGci: 12500,
+      preSplitDeduction: 750, // 6% of 12,500
+      // Split: agent keeps 94% of 12,500 - 750 = 11,045, so the brokerage
+      // split fee is 11,750 - 11,045 = 705; fees 750 + 705 + 50 ASF
+      totalBrokerageFees: 1505,
+      nci: 10995,
+    },
+  },
+];
@@ -0,0 +1,176 @@
+/**
+ * Google Sheets API Fixture
+ *
+ * Stand-in for `window.gapi.client.sheets` holding one spreadsheet in
+ * memory, for testing googleSheetsService.js end to end. It covers the
+ * calls the service makes: tab lists and header rows (spreadsheets.get),
+ * cell, row and format requests (spreadsheets.batchUpdate) and
+ * values.batchGet, rendering cells the way Sheets does - formatted by the
+ * cell's number format by default, as stored with UNFORMATTED_VALUE.
+ *
+ * Cells are kept as `{ value, format }`: the ExtendedValue written and
+ * the cell's numberFormat (the column's, from repeatCell, when the cell
+ * has none).
+ *
+ * @version 1.0.0
+ */
+
+const columnIndex = letters => [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// "2024-04-15" for a date serial (days since 1899-12-30)
+const serialToDate = serial => new Date(Date.UTC(1899, 11, 30) + serial * 86400000).toISOString().slice(0, 10);
+
+/**
+ * Cell value as values.batchGet returns it
+ */
+function renderCell(cell, format, { valueRenderOption = 'FORMATTED_VALUE', dateTimeRenderOption = 'SERIAL_NUMBER' }) {
+  const { value = {} } = cell || {};
+  if ('stringValue' in value) return value.stringValue;
+  if (!('numberValue' in value)) return '';
+
+  const number = value.numberValue;
+  const isDate = format && format.type === 'DATE';
+  if (valueRenderOption === 'UNFORMATTED_VALUE' && !(isDate && dateTimeRenderOption === 'FORMATTED_STRING')) return number;
+  if (isDate) return serialToDate(number);
+  if (format && format.type === 'CURRENCY') return `$${number.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  if (format && format.type === 'NUMBER') {
+    const decimals = (format.pattern.split('.')[1] || '').length;
+    return String(Number(number.toFixed(decimals)));
+  }
+  return String(number);
+}
+
+/**
+ * Fake Sheets client
+ *
+ * @param {Object<string, Array<Array>>} [tabs] - Rows of plain values by tab title
+ * @returns {{ sheets: Object, tabs: Object, calls: Array }} `sheets` goes in
+ *   window.gapi.client.sheets; `calls` lists every API call made
+ */
+export function createFakeSheets(tabs = { Transactions: [], Details: [['ID', 'Details']] }) {
+  const calls = [];
+  const spreadsheet = Object.entries(tabs).map(([title, rows], sheetId) => ({
+    title,
+    sheetId,
+    columnCount: 26,
+    columnFormats: {},
+    metadata: [],
+    rows: rows.map(row => row.map(value => ({
+      value: typeof value === 'number' ? { numberValue: value } : { stringValue: String(value) },
+    }))),
+  }));
+
+  const byTitle = title => spreadsheet.find(tab => tab.title === title);
+  const byId = sheetId => spreadsheet.find(tab => tab.sheetId === sheetId);
+  const formatOf = (tab, cell, column) => (cell && cell.format) || tab.columnFormats[column];
+
+  const writeRow = (tab, rowIndex, columnIndexStart, rowData, fields) => {
+    while (tab.rows.length <= rowIndex) tab.rows.push([]);
+    (rowData.values || []).forEach((cellData, offset) => {
+      if (!cellData.userEnteredValue) return;
+      const row = tab.rows[rowIndex];
+      const previous = row[columnIndexStart + offset] || {};
+      row[columnIndexStart + offset] = {
+        value: cellData.userEnteredValue,
+        format: fields.includes('userEnteredFormat')
+          ? cellData.userEnteredFormat && cellData.userEnteredFormat.numberFormat
+          : previous.format,
+      };
+    });
+  };
+
+  const applyRequest = request => {
+    if (request.updateCells) {
+      const { rows, fields, start } = request.updateCells;
+      rows.forEach((rowData, offset) => writeRow(byId(start.sheetId), start.rowIndex + offset, start.columnIndex, rowData, fields));
+    } else if (request.appendCells) {
+      const { sheetId, rows, fields } = request.appendCells;
+      const tab = byId(sheetId);
+      rows.forEach(rowData => writeRow(tab, tab.rows.length, 0, rowData, fields));
+    } else if (request.deleteDimension) {
+      const { sheetId, startIndex, endIndex } = request.deleteDimension.range;
+      byId(sheetId).rows.splice(startIndex, endIndex - startIndex);
+    } else if (request.appendDimension) {
+      byId(request.appendDimension.sheetId).columnCount += request.appendDimension.length;
+    } else if (request.repeatCell && request.repeatCell.cell.userEnteredFormat.numberFormat) {
+      const { range, cell } = request.repeatCell;
+      byId(range.sheetId).columnFormats[range.startColumnIndex] = cell.userEnteredFormat.numberFormat;
+    } else if (request.createDeveloperMetadata) {
+      const { developerMetadata } = request.createDeveloperMetadata;
+      byId(developerMetadata.location.sheetId).metadata.push({ ...developerMetadata, metadataId: 1 });
+    } else if (request.addSheet) {
+      const sheetId = spreadsheet.length;
+      spreadsheet.push({ title: request.addSheet.properties.title, sheetId, columnCount: 26, columnFormats: {}, metadata: [], rows: [] });
+      return { addSheet: { properties: { sheetId } } };
+    }
+    return {};
+  };
+
+  const readRange = (range, options) => {
+    const [, title, cells = ''] = range.match(/^'(.+)'(?:!(.*))?$/);
+    const [, startColumn = 'A', startRow = '1', endColumn] = cells.match(/^([A-Z]*)(\d*)(?::([A-Z]*))?/);
+    const tab = byTitle(title.replace(/''/g, "'"));
+    const first = columnIndex(startColumn || 'A');
+    const last = endColumn ? columnIndex(endColumn) : Infinity;
+
+    const values = tab.rows.slice(Number(startRow || 1) - 1).map(row => {
+      const rendered = [];
+      row.forEach((cell, column) => {
+        if (column < first || column > last) return;
+        rendered[column - first] = renderCell(cell, formatOf(tab, cell, column), options);
+      });
+      return Array.from(rendered, value => (value === undefined ? '' : value));
+    });
+    return { range, values };
+  };
+
+  const record = (method, handler) => async params => {
+    calls.push({ method, params });
+    return handler(params);
+  };
+
+  const sheets = {
+    spreadsheets: {
+      get: record('get', async ({ ranges }) => {
+        if (ranges) {
+          const tab = byTitle(ranges[0].match(/^'(.+)'!/)[1]);
+          const header = (tab.rows[0] || []).map(cell => ({ formattedValue: renderCell(cell, null, {}) }));
+          return {
+            result: {
+              sheets: [{
+                properties: { sheetId: tab.sheetId, gridProperties: { columnCount: tab.columnCount } },
+                data: [{ rowData: [{ values: header }] }],
+              }],
+            },
+          };
+        }
+        return {
+          result: {
+            sheets: spreadsheet.map(tab => ({
+              properties: { sheetId: tab.sheetId, title: tab.title },
+              developerMetadata: tab.metadata,
+            })),
+          },
+        };
+      }),
+      batchUpdate: record('batchUpdate', async ({ resource }) => ({
+        result: { replies: resource.requests.map(applyRequest) },
+      })),
+      values: {
+        batchGet: record('values.batchGet', async ({ ranges, ...options }) => ({
+          result: { valueRanges: ranges.map(range => readRange(range, options)) },
+        })),
+        get: record('values.get', async ({ range, ...options }) => ({ result: readRange(range, options) })),
+        update: record('values.update', async ({ range, resource }) => {
+          const [, title, column, row] = range.match(/^'(.+)'!([A-Z]+)(\d+)/);
+          resource.values.forEach((values, offset) => writeRow(byTitle(title), Number(row) - 1 + offset, columnIndex(column), {
+            values: values.map(value => ({ userEnteredValue: { stringValue: String(value) } })),
+          }, 'userEnteredValue'));
+          return { result: {} };
+        }),
+      },
+    },
+  };
+
+  return { sheets, tabs: spreadsheet, calls };
+}
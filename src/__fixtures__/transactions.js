@@ -0,0 +1,26 @@
+/**
+ * Transaction Fixtures
+ *
+ * A saved deal for the sync and storage tests: a $500,000 KW sale at 2.5%.
+ * GCI matches the price and rate; NCI is a round number, not the plan's
+ * (tests that need calculated fields run the calculator on it).
+ *
+ * @version 1.0.0
+ */
+
+/**
+ * Saved deal with an ID ("a" is at 'a Main St') and any fields changed
+ */
+export function deal(id, changes = {}) {
+  return {
+    id,
+    address: `${id} Main St`,
+    city: 'Palm Desert',
+    closedPrice: 500000,
+    commissionPct: 2.5,
+    gci: 12500,
+    nci: 10000,
+    brokerage: 'KW',
+    ...changes,
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * Agent Splits
+ *
+ * Co-agent and team splits on a transaction.
+ *
+ * `transaction.agents` lists the other agents sharing the deal:
+ *   { id, name, splitType: 'percent' | 'dollar', value, timing: 'preSplit' | 'postSplit' }
+ *
+ * - preSplit shares come off the Adjusted GCI before the brokerage plan runs
+ *   (a percent is of Adjusted GCI)
+ * - postSplit shares come out of what is left after brokerage fees
+ *   (a percent is of that remainder)
+ *
+ * Whatever is left is your NCI (`transaction.nci`). Each co-agent's amount is
+ * stored in `transaction.agentShares` ([{ id, name, amount }]). Percent
+ * shares round half up to the cent.
+ *
+ * @version 1.0.0
+ */
+
+import { toCents, fromCents, toMoney, percentOfCents, sumMoney } from './money';
+import { createId } from './ids';
+
+// Filter value / label for your own share
+export const SELF_AGENT = 'You';
+
+export const SPLIT_TIMINGS = [
+  { value: 'preSplit', label: 'Before brokerage split' },
+  { value: 'postSplit', label: 'After brokerage split' },
+];
+
+/**
+ * New blank co-agent row
+ */
+export function createAgent() {
+  return {
+    id: createId('agent'),
+    name: '',
+    splitType: 'percent',
+    value: '',
+    timing: 'postSplit',
+  };
+}
+
+/**
+ * Shares of the agents split at one timing, in cents
+ *
+ * @param {Array} agents - transaction.agents
+ * @param {string} timing - 'preSplit' | 'postSplit'
+ * @param {number} baseCents - Amount percentages apply to
+ * @returns {{ shares: Array<{ id: string, name: string, cents: number }>, total: number }}
+ */
+export function calculateAgentShareCents(agents, timing, baseCents) {
+  const shares = (agents || [])
+    .filter(agent => (agent.timing || 'postSplit') === timing)
+    .map(agent => ({
+      id: agent.id,
+      name: agent.name || 'Co-Agent',
+      cents: agent.splitType === 'dollar' ? toCents(agent.value) : percentOfCents(baseCents, agent.value),
+    }));
+
+  return {
+    shares,
+    total: shares.reduce((sum, share) => sum + share.cents, 0),
+  };
+}
+
+/**
+ * Shares of the agents split at one timing
+ *
+ * @param {Array} agents - transaction.agents
+ * @param {string} timing - 'preSplit' | 'postSplit'
+ * @param {number} base - Amount percentages apply to
+ * @returns {{ shares: Array<{ id: string, name: string, amount: number }>, total: number }}
+ */
+export function calculateAgentShares(agents, timing, base) {
+  const { shares, total } = calculateAgentShareCents(agents, timing, toCents(base));
+
+  return {
+    shares: shares.map(({ id, name, cents }) => ({ id, name, amount: fromCents(cents) })),
+    total: fromCents(total),
+  };
+}
+
+/**
+ * Names of every co-agent on any transaction
+ */
+export function getAgentNames(transactions) {
+  const names = new Set();
+  transactions.forEach(t => (t.agents || []).forEach(agent => {
+    if (agent.name) names.add(agent.name);
+  }));
+  return [...names].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * One agent's NCI on a transaction, or null if they're not on it
+ */
+export function getAgentNci(transaction, agentName) {
+  if (agentName === SELF_AGENT) return toMoney(transaction.nci);
+
+  const shares = (transaction.agentShares || []).filter(share => share.name === agentName);
+  if (shares.length === 0) return null;
+
+  return sumMoney(shares.map(share => share.amount));
+}
+
+const AgentSplits = {
+  SELF_AGENT,
+  SPLIT_TIMINGS,
+  createAgent,
+  calculateAgentShareCents,
+  calculateAgentShares,
+  getAgentNames,
+  getAgentNci,
+};
+
+export default AgentSplits;
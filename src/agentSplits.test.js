@@ -0,0 +1,84 @@
+import { calculateAgentShareCents, calculateAgentShares, getAgentNci, SELF_AGENT } from './agentSplits';
+import { calculateTransaction } from './commissionCalculator';
+import { toCents } from './money';
+import { deal } from './__fixtures__/transactions';
+
+beforeEach(() => localStorage.clear()); // Default plans only
+
+const agent = (id, value, timing, splitType = 'percent') => ({ id, name: `Agent ${id}`, splitType, value, timing });
+
+const sharesCents = result => result.agentShares.reduce((sum, share) => sum + toCents(share.amount), 0);
+
+describe('calculateAgentShareCents', () => {
+  test('takes percents of the base and dollars as entered, for one timing only', () => {
+    const agents = [agent('a', '33.333', 'preSplit'), agent('b', '250.5', 'preSplit', 'dollar'), agent('c', '50', 'postSplit')];
+
+    expect(calculateAgentShareCents(agents, 'preSplit', 100001)).toEqual({
+      shares: [{ id: 'a', name: 'Agent a', cents: 33333 }, { id: 'b', name: 'Agent b', cents: 25050 }],
+      total: 58383,
+    });
+  });
+
+  test('agents without a timing split after the brokerage split', () => {
+    const { total } = calculateAgentShareCents([{ ...agent('a', '10'), timing: undefined }], 'postSplit', 5000);
+    expect(total).toBe(500);
+  });
+
+  test('calculateAgentShares gives the same shares in dollars', () => {
+    expect(calculateAgentShares([agent('a', '33.333', 'postSplit')], 'postSplit', 1000.01)).toEqual({
+      shares: [{ id: 'a', name: 'Agent a', amount: 333.33 }],
+      total: 333.33,
+    });
+  });
+});
+
+describe('co-agent shares on a deal', () => {
+  // Thirds of an odd number of cents, so every share rounds
+  const entered = deal('a', { closedPrice: 433333, commissionPct: 2.5, overrides: [] });
+  const whole = calculateTransaction(entered, { ytdGci: 0 });
+
+  test('after the brokerage split, your NCI and the shares add up to the deal NCI to the cent', () => {
+    const agents = [agent('b', '33.333', 'postSplit'), agent('c', '33.333', 'postSplit')];
+    const split = calculateTransaction({ ...entered, agents }, { ytdGci: 0 });
+
+    expect(split.totalBrokerageFees).toBe(whole.totalBrokerageFees);
+    expect(toCents(split.nci) + sharesCents(split)).toBe(toCents(whole.nci));
+  });
+
+  test('before the brokerage split, the shares come off the Adjusted GCI the fees are worked on', () => {
+    const agents = [agent('b', '33.333', 'preSplit'), agent('c', '99.99', 'preSplit', 'dollar')];
+    const split = calculateTransaction({ ...entered, agents }, { ytdGci: 0 });
+
+    expect(split.totalBrokerageFees).toBeLessThan(whole.totalBrokerageFees);
+    expect(toCents(split.nci) + sharesCents(split) + toCents(split.totalBrokerageFees)).toBe(toCents(split.adjustedGci));
+  });
+
+  test('both timings on one deal still leave no cent unaccounted for', () => {
+    const agents = [agent('b', '12.5', 'preSplit'), agent('c', '33.333', 'postSplit'), agent('d', '75.25', 'postSplit', 'dollar')];
+    const split = calculateTransaction({ ...entered, agents }, { ytdGci: 0 });
+
+    expect(split.agentShares.map(share => share.id)).toEqual(['b', 'c', 'd']);
+    expect(toCents(split.nci) + sharesCents(split) + toCents(split.totalBrokerageFees)).toBe(toCents(split.adjustedGci));
+  });
+});
+
+describe('getAgentNci', () => {
+  const transaction = {
+    nci: 6000.01,
+    agentShares: [{ id: 'b', name: 'Sam', amount: 1999.99 }, { id: 'c', name: 'Sam', amount: 0.01 }, { id: 'd', name: 'Lee', amount: 500 }],
+  };
+
+  test('your NCI is the deal NCI', () => {
+    expect(getAgentNci(transaction, SELF_AGENT)).toBe(6000.01);
+  });
+
+  test('adds up every share an agent has on the deal', () => {
+    expect(getAgentNci(transaction, 'Sam')).toBe(2000);
+    expect(getAgentNci(transaction, 'Lee')).toBe(500);
+  });
+
+  test('is null for an agent not on the deal', () => {
+    expect(getAgentNci(transaction, 'Pat')).toBeNull();
+    expect(getAgentNci({ nci: 100 }, 'Sam')).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Brokerages
+ *
+ * Single registry of brokerage identities.
+ *
+ * Transactions store the canonical brokerage ID ('KW', 'BDH'). Names and
+ * aliases ("Keller Williams", "Bennion Deville Homes", ...) are only for
+ * display and for reading older data, the form, Sheets or scanned
+ * commission sheets - always run those through normalizeBrokerage().
+ *
+ * @version 1.0.0
+ */
+
+export const BROKERAGES = {
+  KW: {
+    id: 'KW',
+    name: 'Keller Williams',
+    aliases: ['Keller Williams', 'Keller Williams Realty', 'KWR'],
+  },
+  BDH: {
+    id: 'BDH',
+    name: 'Bennion Deville Homes',
+    aliases: ['Bennion Deville Homes', 'Bennion Deville', 'Bennion-Deville Homes'],
+  },
+};
+
+export const DEFAULT_BROKERAGE = 'KW'; // New deals
+
+// Saved deals with no brokerage (older sheets left BDH rows blank)
+export const UNSET_BROKERAGE = 'BDH';
+
+/**
+ * All registered brokerages
+ */
+export function getBrokerages() {
+  return Object.values(BROKERAGES);
+}
+
+/**
+ * Canonical brokerage ID for an ID, name or alias
+ *
+ * Unknown values are returned trimmed (custom brokerages keep their own ID);
+ * empty values return ''.
+ */
+export function normalizeBrokerage(value) {
+  const str = String(value || '').trim();
+  if (!str) return '';
+
+  const key = str.toLowerCase();
+  const match = getBrokerages().find(brokerage =>
+    brokerage.id.toLowerCase() === key ||
+    brokerage.aliases.some(alias => alias.toLowerCase() === key)
+  );
+
+  return match ? match.id : str;
+}
+
+/**
+ * Display name for a brokerage ID (or any spelling of it)
+ */
+export function getBrokerageName(value) {
+  const id = normalizeBrokerage(value);
+  return BROKERAGES[id] ? BROKERAGES[id].name : id;
+}
+
+/**
+ * Rewrite saved transactions to canonical brokerage IDs (blank ones are
+ * UNSET_BROKERAGE)
+ *
+ * @returns {{ transactions: Array, changed: number }}
+ */
+export function migrateTransactionBrokerages(transactions) {
+  let changed = 0;
+
+  const migrated = transactions.map(transaction => {
+    const brokerage = normalizeBrokerage(transaction.brokerage) || UNSET_BROKERAGE;
+    if (brokerage === transaction.brokerage) return transaction;
+
+    changed++;
+    return { ...transaction, brokerage };
+  });
+
+  return { transactions: migrated, changed };
+}
+
+const Brokerages = {
+  BROKERAGES,
+  DEFAULT_BROKERAGE,
+  UNSET_BROKERAGE,
+  getBrokerages,
+  normalizeBrokerage,
+  getBrokerageName,
+  migrateTransactionBrokerages,
+};
+
+export default Brokerages;
@@ -0,0 +1,214 @@
+/**
+ * Cap Tracking
+ *
+ * Annual cap tracking for capped plan fees (KW company dollar & royalty).
+ *
+ * Capped fees accumulate over a cap year that starts on the plan's
+ * anniversary date (`capAnniversary`, "MM-DD"). Transactions are walked in
+ * closing-date order (deals closing the same day in ID order); once a
+ * rule's cap is reached its fee drops to zero for the rest of the cap year.
+ *
+ * @version 1.0.0
+ */
+
+import { normalizeBrokerage } from './brokerages';
+import { toCents, fromCents, sumMoney } from './money';
+
+const DEFAULT_ANNIVERSARY = '01-01';
+
+/**
+ * Parse a closing date ("YYYY-MM-DD", "MM/DD/YYYY" or ISO) as a local date
+ */
+export function parseClosingDate(value) {
+  if (!value) return null;
+
+  const str = String(value);
+  let match = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+
+  match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (match) {
+    return new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2]));
+  }
+
+  const date = new Date(str);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Cap year containing a date
+ *
+ * @returns {{ start: Date, end: Date }} - end is exclusive
+ */
+export function getCapYear(anniversary, date) {
+  const [month, day] = (anniversary || DEFAULT_ANNIVERSARY).split('-').map(Number);
+  const when = date || new Date();
+
+  let start = new Date(when.getFullYear(), month - 1, day);
+  if (when < start) {
+    start = new Date(when.getFullYear() - 1, month - 1, day);
+  }
+  const end = new Date(start.getFullYear() + 1, month - 1, day);
+
+  return { start, end };
+}
+
+/**
+ * Closing order of two dated deals ({ transaction, date }): by date, then
+ * by ID (IDs are creation timestamps, so the deal entered first goes first)
+ */
+export function compareClosing(a, b) {
+  return (a.date - b.date)
+    || String(a.transaction.id).localeCompare(String(b.transaction.id), undefined, { numeric: true });
+}
+
+/**
+ * Capped rules of a plan (a cap of 0 means the rule isn't capped)
+ */
+export function getCappedRules(plan) {
+  if (!plan) return [];
+  return plan.rules.filter(rule => rule.type === 'cappedFee' && rule.cap > 0);
+}
+
+/**
+ * Walk a plan's transactions in closing-date order within one cap year
+ *
+ * @param {Array} transactions - All transactions
+ * @param {Object} plan - Commission plan with capped rules
+ * @param {Date} asOf - Any date inside the cap year to walk
+ * @param {Object} options
+ * @param {string} [options.excludeId] - Transaction to leave out (the one being edited)
+ * @param {boolean} [options.inclusive] - Include every transaction closing exactly on
+ *   `asOf`; otherwise only those before `excludeId` in closing order (all of
+ *   them for a new deal, which gets the newest ID)
+ * @returns {Object} Amount paid toward each capped rule, keyed by rule ID
+ */
+export function getCapPaidToDate(transactions, plan, asOf, { excludeId = null, inclusive = false } = {}) {
+  const cappedRules = getCappedRules(plan);
+  const paid = Object.fromEntries(cappedRules.map(rule => [rule.id, 0]));
+  if (cappedRules.length === 0) return paid;
+
+  const when = asOf || new Date();
+  const { start } = getCapYear(plan.capAnniversary, when);
+  const self = { transaction: { id: excludeId }, date: when };
+  const closesFirst = dated => dated.date < when
+    || (dated.date.getTime() === when.getTime() && (inclusive || excludeId === null || compareClosing(dated, self) < 0));
+
+  transactions
+    .filter(t => normalizeBrokerage(t.brokerage) === plan.id && t.id !== excludeId)
+    .map(t => ({ transaction: t, date: parseClosingDate(t.closingDate) }))
+    .filter(dated => dated.date && dated.date >= start && closesFirst(dated))
+    .sort(compareClosing)
+    .forEach(({ transaction }) => {
+      cappedRules.forEach(rule => {
+        const charged = toCents(transaction[rule.outputField || rule.id]);
+        // Anything charged past the cap doesn't count toward it
+        paid[rule.id] = fromCents(Math.min(toCents(rule.cap), toCents(paid[rule.id]) + charged));
+      });
+    });
+
+  return paid;
+}
+
+/**
+ * Cap progress for a plan as of a date
+ *
+ * @returns {{ start: Date, end: Date, rules: Array, remaining: number, isCapped: boolean } | null}
+ */
+export function getCapStatus(transactions, plan, asOf, options = {}) {
+  const cappedRules = getCappedRules(plan);
+  if (cappedRules.length === 0) return null;
+
+  const when = asOf || new Date();
+  const { start, end } = getCapYear(plan.capAnniversary, when);
+  const paid = getCapPaidToDate(transactions, plan, when, { inclusive: true, ...options });
+
+  const rules = cappedRules.map(rule => ({
+    id: rule.id,
+    label: rule.label,
+    cap: rule.cap,
+    paid: paid[rule.id],
+    remaining: fromCents(Math.max(0, toCents(rule.cap) - toCents(paid[rule.id]))),
+  }));
+  const remaining = sumMoney(rules.map(rule => rule.remaining));
+
+  return { start, end, rules, remaining, isCapped: remaining === 0 };
+}
+
+/**
+ * Fields a deal worked out again for its place in the year writes back:
+ * the capped fees, totals, payouts and breakdown (sides for dual deals)
+ */
+export function getRecalculatedFields(calculated, plan) {
+  return {
+    ...Object.fromEntries(getCappedRules(plan).map(rule => {
+      const field = rule.outputField || rule.id;
+      return [field, calculated[field]];
+    })),
+    totalBrokerageFees: calculated.totalBrokerageFees,
+    nci: calculated.nci,
+    // Payouts and co-agent shares follow NCI
+    totalPayouts: calculated.totalPayouts,
+    netAfterPayouts: calculated.netAfterPayouts,
+    agentShares: calculated.agentShares,
+    ...(calculated.breakdown && { breakdown: calculated.breakdown }),
+    ...(calculated.sides && { sides: calculated.sides }),
+  };
+}
+
+/**
+ * Recompute a plan's capped deals in closing order
+ *
+ * Each deal gets the cap room the deals before it left, so editing,
+ * adding or removing a deal moves the cap for every later deal.
+ *
+ * @param {Array} transactions - All transactions
+ * @param {Object} plan - Commission plan with capped rules
+ * @param {Function} calculate - (transaction, { capPaid }) => calculated fields
+ * @param {Object} options
+ * @param {Date} [options.asOf] - Only recompute the cap year containing this date
+ * @returns {Array} Transactions with updated capped fees, totals and payouts
+ */
+export function applyCapSchedule(transactions, plan, calculate, { asOf = null } = {}) {
+  const cappedRules = getCappedRules(plan);
+  if (cappedRules.length === 0) return transactions;
+
+  const onlyYear = asOf ? getCapYear(plan.capAnniversary, asOf).start.getTime() : null;
+  const paidByYear = {};
+  const updates = {};
+
+  transactions
+    .filter(t => normalizeBrokerage(t.brokerage) === plan.id)
+    .map(t => ({ transaction: t, date: parseClosingDate(t.closingDate) }))
+    .filter(({ date }) => date)
+    .sort(compareClosing)
+    .forEach(({ transaction, date }) => {
+      const year = getCapYear(plan.capAnniversary, date).start.getTime();
+      if (onlyYear !== null && year !== onlyYear) return;
+
+      const capPaid = paidByYear[year] || Object.fromEntries(cappedRules.map(rule => [rule.id, 0]));
+      const calculated = calculate(transaction, { capPaid });
+      updates[transaction.id] = getRecalculatedFields(calculated, plan);
+      paidByYear[year] = Object.fromEntries(cappedRules.map(rule => {
+        const charged = toCents(calculated[rule.outputField || rule.id]);
+        return [rule.id, fromCents(Math.min(toCents(rule.cap), toCents(capPaid[rule.id]) + charged))];
+      }));
+    });
+
+  return transactions.map(t => (updates[t.id] ? { ...t, ...updates[t.id] } : t));
+}
+
+const CapTracking = {
+  parseClosingDate,
+  getCapYear,
+  compareClosing,
+  getCappedRules,
+  getCapPaidToDate,
+  getCapStatus,
+  getRecalculatedFields,
+  applyCapSchedule,
+};
+
+export default CapTracking;
@@ -0,0 +1,60 @@
+import { applyCapSchedule, getCapPaidToDate } from './capTracking';
+import { calculateTransaction } from './commissionCalculator';
+import { getCommissionPlan } from './commissionPlans';
+
+// KW: 6% royalty capped at $3,000 a year; a $1M deal at 3% is $1,800 of it
+const kwDeal = (id, closingDate, changes = {}) => ({
+  id,
+  brokerage: 'KW',
+  closingDate,
+  closedPrice: 1000000,
+  commissionPct: 3,
+  overrides: [], // As the form saves them (without it a saved royalty counts as entered)
+  ...changes,
+});
+
+const recalculate = (transactions, asOf) => applyCapSchedule(
+  transactions,
+  getCommissionPlan('KW'),
+  (t, context) => calculateTransaction(t, context),
+  { asOf }
+);
+
+beforeEach(() => localStorage.clear());
+
+describe('applyCapSchedule', () => {
+  test('editing an earlier deal moves the cap for the deals after it', () => {
+    const saved = recalculate([
+      kwDeal('3', '2024-05-01'),
+      kwDeal('1', '2024-01-15'),
+      kwDeal('2', '2024-03-01'),
+    ]);
+    expect(saved.map(t => t.royalty)).toEqual([0, 1800, 1200]);
+
+    const edited = saved.map(t => (t.id === '1' ? { ...t, commissionPct: 1 } : t));
+    const after = recalculate(edited, new Date(2024, 0, 15));
+    expect(after.map(t => t.royalty)).toEqual([600, 600, 1800]);
+    expect(after[0].nci).toBe(saved[0].nci - 600);
+    expect(after[0].netAfterPayouts).toBe(after[0].nci);
+  });
+
+  test('deals closing the same day take the cap one after the other, in ID order', () => {
+    const after = recalculate([kwDeal('1718000000002', '2024-05-01'), kwDeal('1718000000001', '2024-05-01')]);
+    expect(after.map(t => t.royalty)).toEqual([1200, 1800]);
+  });
+});
+
+describe('getCapPaidToDate', () => {
+  const plan = () => getCommissionPlan('KW');
+  const sameDay = recalculate([kwDeal('a1', '2024-05-01'), kwDeal('a2', '2024-05-01')]);
+  const may1 = new Date(2024, 4, 1);
+
+  test('counts same-day deals entered before the one being worked out', () => {
+    expect(getCapPaidToDate(sameDay, plan(), may1, { excludeId: 'a1' }).royalty).toBe(0);
+    expect(getCapPaidToDate(sameDay, plan(), may1, { excludeId: 'a2' }).royalty).toBe(1800);
+  });
+
+  test('a new deal comes after every deal already closing that day', () => {
+    expect(getCapPaidToDate(sameDay, plan(), may1).royalty).toBe(3000);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Commission Calculator
+ *
+ * Turns a transaction's inputs into GCI, brokerage fees and NCI using the
+ * brokerage's commission plan (commissionPlans.js).
+ *
+ * All money math runs in integer cents (money.js); results are dollar
+ * numbers. Fields listed in `overrides` (overrides.js) keep their entered
+ * value and the rest of the deal is worked from them. Golden fixtures from real commission sheets live in
+ * `__fixtures__/commissionSheets.js`.
+ *
+ * @version 1.0.0
+ */
+
+import { getCommissionPlan, evaluatePlan } from './commissionPlans';
+import { getCappedRules } from './capTracking';
+import { isDualAgency, getDualAgencyInputs, pickSideInputs, combineSides } from './dualAgency';
+import { calculateAgentShareCents } from './agentSplits';
+import { toCents, fromCents, percentOfCents, sumMoney } from './money';
+import { isOverridden } from './overrides';
+import { getGciComponentKind, getGciComponentCents } from './gciComponents';
+import { getPayouts, sumPayoutCents } from './payouts';
+
+/**
+ * Calculate one deal (or one side of a dual agency deal)
+ *
+ * @param {Object} data - Transaction / form data
+ * @param {Object} context - { capPaid } from capTracking.js and { ytdGci } from splitSchedule.js
+ * @returns {Object} gci, referralDollar, adjustedGci, plan outputs (royalty...),
+ *   totalBrokerageFees, nci, totalPayouts, netAfterPayouts, netVolume, agentShares
+ *   and the step-by-step breakdown
+ */
+export function calculateCommission(data, context = {}) {
+  const {
+    brokerage,
+    transactionType = 'Sale',
+    closedPrice = 0,
+    commissionPct = 0,
+    referralPct = 0,
+    referralFeeReceived = 0 // NEW: For Referral $ Received transactions
+  } = data;
+
+  // Parse all values (money as cents)
+  const price = toCents(closedPrice);
+  const commPct = parseFloat(commissionPct) || 0;
+  const refPct = parseFloat(referralPct) || 0;
+  const refFeeReceived = toCents(referralFeeReceived);
+
+  // Flat fees, bonuses and concessions on top of the commission % (gciComponents.js)
+  const components = transactionType === 'Referral $ Received' || !Array.isArray(data.gciComponents)
+    ? []
+    : data.gciComponents
+      .map(component => ({ component, cents: getGciComponentCents(component, price) }))
+      .filter(item => item.cents);
+
+  let gci, referralDollar, adjustedGci;
+
+  // REFERRAL $ RECEIVED: You refer client to another agent, receive referral fee
+  if (transactionType === 'Referral $ Received') {
+    gci = refFeeReceived; // GCI is the referral fee itself
+    referralDollar = 0; // You're not paying a referral
+    adjustedGci = gci; // No adjustment needed
+  }
+  // REGULAR SALE or REFERRAL $ PAID: Calculate from property price
+  else {
+    // Calculate GCI (Gross Commission Income)
+    gci = isOverridden(data, 'gci')
+      ? toCents(data.gci)
+      : percentOfCents(price, commPct) + components.reduce((sum, item) => sum + item.cents, 0);
+
+    // Calculate Referral Dollar if referral percentage is provided; a flat
+    // outside referral is an overridden Referral $
+    if (isOverridden(data, 'referralDollar')) {
+      referralDollar = toCents(data.referralDollar);
+    } else {
+      referralDollar = refPct > 0 ? percentOfCents(gci, refPct) : 0;
+    }
+
+    // Calculate Adjusted GCI (after referral)
+    adjustedGci = gci - referralDollar;
+  }
+
+  // An overridden Adjusted GCI stands in for GCI less referral
+  const adjustedGciOverride = isOverridden(data, 'adjustedGci') ? toCents(data.adjustedGci) - adjustedGci : 0;
+  adjustedGci += adjustedGciOverride;
+
+  // Co-agents splitting before the brokerage split come off the top
+  const preSplitAgents = calculateAgentShareCents(data.agents, 'preSplit', adjustedGci);
+  const planGci = adjustedGci - preSplitAgents.total;
+
+  // Brokerage deductions come from the brokerage's commission plan
+  const plan = getCommissionPlan(brokerage);
+  const { totalFees, fees, outputs } = plan
+    ? evaluatePlan(plan, data, fromCents(planGci), context)
+    : { totalFees: 0, fees: [], outputs: {} };
+  const planFeeCents = toCents(totalFees);
+  const feeCents = isOverridden(data, 'totalBrokerageFees') ? toCents(data.totalBrokerageFees) : planFeeCents;
+
+  // Co-agents splitting after the brokerage split share what's left
+  const postSplitAgents = calculateAgentShareCents(data.agents, 'postSplit', planGci - feeCents);
+  const calculatedNci = planGci - feeCents - postSplitAgents.total;
+  const nci = isOverridden(data, 'nci') ? toCents(data.nci) : calculatedNci;
+  // Post-close payouts (assistant, TC, gifts) come out of NCI
+  const payoutCents = sumPayoutCents(getPayouts(data), nci);
+  const agentShares = [...preSplitAgents.shares, ...postSplitAgents.shares]
+    .map(share => ({ id: share.id, name: share.name, amount: fromCents(share.cents) }));
+
+  // Step-by-step waterfall in commission sheet order: each step's input,
+  // signed change and running balance after it (all in cents until stored)
+  const breakdown = [];
+  let balance = 0;
+  const addStep = (id, label, rule, detail, input, amount) => {
+    balance += amount;
+    breakdown.push({
+      id,
+      label,
+      rule,
+      detail,
+      input: fromCents(input),
+      amount: fromCents(amount),
+      output: fromCents(balance)
+    });
+  };
+
+  // Overridden amounts show as entered, with an adjustment step where they
+  // differ from the plan's own math so the steps still add up
+  if (transactionType === 'Referral $ Received') {
+    addStep('gci', 'GCI', 'referralFeeReceived', 'Referral fee received', refFeeReceived, gci);
+  } else if (isOverridden(data, 'gci')) {
+    addStep('gci', 'GCI', 'gci', 'Entered amount', price, gci);
+  } else {
+    const commission = percentOfCents(price, commPct);
+    addStep('gci', components.length > 0 ? 'Commission' : 'GCI', 'commissionPct', `${commPct}% of closed price`, price, commission);
+    components.forEach(({ component, cents }) => {
+      const kind = getGciComponentKind(component);
+      const detail = component.type === 'percent' ? `${parseFloat(component.value) || 0}% of closed price` : 'Entered amount';
+      addStep(`gci-${component.id}`, component.label || kind.label, component.kind, detail, balance, cents);
+    });
+  }
+  if (referralDollar) {
+    const isPct = !isOverridden(data, 'referralDollar');
+    addStep('referral', 'Referral Paid', isPct ? 'referralPct' : 'referralDollar', isPct ? `${refPct}% of GCI` : 'Entered amount', balance, -referralDollar);
+  }
+  if (adjustedGciOverride) {
+    addStep('adjustedGciOverride', 'Adjusted GCI Override', 'adjustedGci', 'Entered Adjusted GCI', balance, adjustedGciOverride);
+  }
+  preSplitAgents.shares.forEach(share => {
+    addStep(`agent-${share.id}`, share.name, 'agentSplit', 'Co-agent share before the brokerage split', balance, -share.cents);
+  });
+  fees.forEach(fee => {
+    if (fee.items) {
+      // Deduction lines appear one by one, as on the commission sheet
+      fee.items
+        .filter(item => item.amount)
+        .forEach(item => addStep(`${fee.id}-${item.id}`, item.label, fee.id, item.detail, balance, -toCents(item.amount)));
+    } else if (fee.amount || fee.type !== 'flatFee') {
+      addStep(fee.id, fee.label, fee.id, fee.detail, balance, -toCents(fee.amount));
+    }
+  });
+  if (feeCents !== planFeeCents) {
+    addStep('totalBrokerageFeesOverride', 'Brokerage Fees Override', 'totalBrokerageFees', 'Entered total brokerage fees', balance, planFeeCents - feeCents);
+  }
+  postSplitAgents.shares.forEach(share => {
+    addStep(`agent-${share.id}`, share.name, 'agentSplit', 'Co-agent share after the brokerage split', balance, -share.cents);
+  });
+  if (nci !== calculatedNci) {
+    addStep('nciOverride', 'NCI Override', 'nci', 'Entered NCI', balance, nci - calculatedNci);
+  }
+
+  return {
+    gci: fromCents(gci),
+    referralDollar: fromCents(referralDollar),
+    adjustedGci: fromCents(adjustedGci),
+    ...outputs, // Plan-specific values (KW royalty & company dollar, BDH pre-split deduction)
+    totalBrokerageFees: fromCents(feeCents),
+    nci: fromCents(nci),
+    totalPayouts: fromCents(payoutCents),
+    netAfterPayouts: fromCents(nci - payoutCents),
+    netVolume: fromCents(price),
+    agentShares,
+    breakdown
+  };
+}
+
+/**
+ * Calculate a transaction
+ *
+ * Dual agency deals calculate each side separately; the buying side counts
+ * toward caps and split tiers after the listing side.
+ *
+ * @returns {Object} calculateCommission's fields (combined totals plus `sides` for dual agency)
+ */
+export function calculateTransaction(data, context = {}) {
+  if (!isDualAgency(data)) return calculateCommission(data, context);
+
+  const plan = getCommissionPlan(data.brokerage);
+  const inputs = data.buyingSide ? data : getDualAgencyInputs(data, plan);
+  // Payouts are for the whole deal - they come out of the combined NCI
+  const listing = calculateCommission({ ...inputs, payouts: [] }, context);
+
+  const capPaid = { ...(context.capPaid || {}) };
+  getCappedRules(plan).forEach(rule => {
+    capPaid[rule.id] = sumMoney([capPaid[rule.id] || 0, listing[rule.outputField || rule.id]]);
+  });
+
+  // Co-agents split the listing side. Overrides are listing side fields
+  // (what the form edits at the top level); buying side inputs are typed in
+  const buyingData = { ...inputs, ...pickSideInputs(inputs.buyingSide, plan), agents: [], overrides: undefined, payouts: [] };
+  const buying = calculateCommission(buyingData, {
+    ...context,
+    capPaid,
+    ytdGci: sumMoney([context.ytdGci || 0, listing.adjustedGci])
+  });
+
+  const sides = {
+    listing: { ...pickSideInputs(inputs, plan), ...listing },
+    buying: { ...pickSideInputs(buyingData, plan), ...buying }
+  };
+
+  const combined = combineSides(sides.listing, sides.buying, plan);
+  const nci = toCents(combined.nci);
+  const payoutCents = sumPayoutCents(getPayouts(data), nci);
+
+  return {
+    ...combined,
+    totalPayouts: fromCents(payoutCents),
+    netAfterPayouts: fromCents(nci - payoutCents),
+    netVolume: listing.netVolume,
+    agentShares: listing.agentShares,
+    sides
+  };
+}
+
+const CommissionCalculator = {
+  calculateCommission,
+  calculateTransaction,
+};
+
+export default CommissionCalculator;
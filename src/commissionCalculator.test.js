@@ -0,0 +1,131 @@
+import { calculateCommission, calculateTransaction } from './commissionCalculator';
+import { getGciSources } from './gciComponents';
+import { COMMISSION_SHEETS } from './__fixtures__/commissionSheets';
+
+const RESULT_FIELDS = ['gci', 'referralDollar', 'adjustedGci', 'royalty', 'companyDollar', 'preSplitDeduction', 'totalBrokerageFees', 'nci'];
+
+describe('calculateCommission - commission sheet fixtures', () => {
+  beforeEach(() => localStorage.clear()); // Default plans only
+
+  COMMISSION_SHEETS.forEach(({ name, transaction, context, expected }) => {
+    describe(name, () => {
+      const result = calculateCommission(transaction, context);
+
+      RESULT_FIELDS.filter(field => field in expected).forEach(field => {
+        test(`${field} is ${expected[field]}`, () => {
+          expect(result[field]).toBe(expected[field]);
+        });
+      });
+
+      if ('agent1099' in expected) {
+        test('brokerage fees and Agent 1099 income match the sheet', () => {
+          expect(result.royalty + result.companyDollar).toBeCloseTo(expected.brokerageFees, 10);
+          expect(result.breakdown.find(step => step.id === 'companyDollar').output).toBe(expected.agent1099);
+        });
+      }
+
+      test('the waterfall ends at NCI', () => {
+        expect(result.breakdown[result.breakdown.length - 1].output).toBe(expected.nci);
+      });
+    });
+  });
+});
+
+describe('calculateTransaction', () => {
+  test('single-sided deals calculate like calculateCommission', () => {
+    const { transaction, context } = COMMISSION_SHEETS[0];
+    expect(calculateTransaction(transaction, context)).toEqual(calculateCommission(transaction, context));
+  });
+
+  test('dual agency deals add both sides, with the buying side counting toward the cap', () => {
+    const { transaction, context } = COMMISSION_SHEETS[0];
+    const result = calculateTransaction({
+      ...transaction,
+      clientType: 'Dual',
+      buyingSide: { commissionPct: 2.5, deductions: [] },
+    }, context);
+
+    expect(result.sides.listing.royalty).toBe(1114.31);
+    expect(result.sides.buying.royalty).toBe(0); // Cap reached on the listing side
+    expect(result.gci).toBe(67750);
+    expect(result.nci).toBe(result.sides.listing.nci + result.sides.buying.nci);
+  });
+});
+
+describe('calculateCommission - overrides', () => {
+  const { transaction, context } = COMMISSION_SHEETS.find(sheet => sheet.name.includes('E Francis'));
+
+  test('an overridden royalty is kept and the fees and NCI follow it', () => {
+    const result = calculateCommission({ ...transaction, royalty: 150, overrides: ['royalty'] }, context);
+    expect(result.royalty).toBe(150);
+    expect(result.totalBrokerageFees).toBe(1125);
+    expect(result.nci).toBe(1625);
+  });
+
+  test('a royalty that is not overridden is recalculated', () => {
+    const result = calculateCommission({ ...transaction, royalty: 150, overrides: [] }, context);
+    expect(result.royalty).toBe(165);
+  });
+
+  test('an overridden NCI adds an adjustment step so the waterfall still ends at it', () => {
+    const result = calculateCommission({ ...transaction, nci: 1600, overrides: ['nci'] }, context);
+    const last = result.breakdown[result.breakdown.length - 1];
+    expect(result.nci).toBe(1600);
+    expect(last.id).toBe('nciOverride');
+    expect(last.amount).toBe(-10);
+    expect(last.output).toBe(1600);
+  });
+
+  test('a saved Referral $ with no referral % counts only when overridden', () => {
+    const stale = calculateCommission({ ...transaction, referralPct: '', referralDollar: 500, overrides: [] }, context);
+    expect(stale.referralDollar).toBe(0);
+    expect(stale.nci).toBe(calculateCommission({ ...transaction, overrides: [] }, context).nci);
+
+    const flat = calculateCommission({ ...transaction, referralPct: '', referralDollar: 500, overrides: ['referralDollar'] }, context);
+    expect(flat.referralDollar).toBe(500);
+    expect(flat.adjustedGci).toBe(flat.gci - 500);
+  });
+});
+
+describe('calculateCommission - GCI components', () => {
+  const { transaction, context } = COMMISSION_SHEETS.find(sheet => sheet.name.includes('E Francis'));
+  const gciComponents = [
+    { id: 'bonus', kind: 'bonus', label: 'Builder bonus', type: 'amount', value: '1000' },
+    { id: 'credit', kind: 'concession', label: 'Seller credit', type: 'amount', value: '250' },
+  ];
+
+  test('bonuses add to GCI and concessions come off before the plan fees', () => {
+    const result = calculateCommission({ ...transaction, gciComponents }, context);
+    expect(result.gci).toBe(3500);
+    expect(result.adjustedGci).toBe(3500);
+    expect(result.royalty).toBe(210);
+    expect(result.companyDollar).toBe(350);
+    expect(result.nci).toBe(2240);
+    expect(result.breakdown.slice(0, 3).map(step => step.output)).toEqual([2750, 3750, 3500]);
+  });
+
+  test('GCI is reported by income source', () => {
+    const result = calculateCommission({ ...transaction, gciComponents }, context);
+    expect(getGciSources({ ...transaction, ...result, gciComponents })).toEqual({ base: 2750, bonus: 1000, concession: 250 });
+  });
+});
+
+describe('calculateCommission - payouts', () => {
+  const { transaction, context } = COMMISSION_SHEETS.find(sheet => sheet.name.includes('E Francis'));
+  const payouts = [
+    { id: 'tcFee', category: 'tc', label: 'TC Fee', type: 'amount', value: '395' },
+    { id: 'assistantBonus', category: 'assistant', label: 'Assistant Bonus', type: 'percent', value: '10' },
+  ];
+
+  test('payouts come off NCI without changing it', () => {
+    const result = calculateCommission({ ...transaction, payouts }, context);
+    expect(result.nci).toBe(1610);
+    expect(result.totalPayouts).toBe(556);
+    expect(result.netAfterPayouts).toBe(1054);
+  });
+
+  test('an old assistant bonus counts as a payout', () => {
+    const result = calculateCommission({ ...transaction, assistantBonus: 200 }, context);
+    expect(result.netAfterPayouts).toBe(1410);
+  });
+});
@@ -0,0 +1,336 @@
+/**
+ * Commission Plans
+ *
+ * Declarative brokerage commission plans evaluated by calculateCommission.
+ *
+ * A plan is an ordered list of rules. Each rule produces one fee that is
+ * deducted from the Adjusted GCI:
+ * - percentOfAdjustedGci: rate × Adjusted GCI (KW royalty, BDH pre-split deduction)
+ * - flatFee: dollar amount entered on the transaction (Other Deductions...)
+ * - lineItems: the transaction's itemized deduction lines at one placement
+ *   (pre- or post-split, see deductions.js)
+ * - postSplitPercent: brokerage portion of the agent/brokerage split of
+ *   what the earlier (pre-split) rules left
+ * - tieredSplit: postSplitPercent with the agent % taken from a schedule
+ *   graduated by YTD GCI (see splitSchedule.js)
+ * - cappedFee: rate × Adjusted GCI, never more than what is left of the
+ *   rule's annual cap (see capTracking.js)
+ *
+ * `defaultDeductions` are the deduction lines a new transaction starts with.
+ *
+ * Rules are evaluated in integer cents (see money.js). A rule's `rounding`
+ * says how its amount is rounded to the cent (half up by default).
+ *
+ * Plans are keyed by brokerage ID (see brokerages.js). Plans saved under
+ * the `commissionPlans` localStorage key are merged over the defaults, so
+ * adding a brokerage or changing a rate is a data change, not a code change.
+ *
+ * @version 1.0.0
+ */
+
+import { getTierBreakdown } from './splitSchedule';
+import { normalizeBrokerage } from './brokerages';
+import { sumDeductionCents, getDeductionCents } from './deductions';
+import { ROUNDING, toCents, fromCents, multiplyCents, percentOfCents } from './money';
+import { isOverridden } from './overrides';
+
+const STORAGE_KEY = 'commissionPlans';
+
+// Deductions every brokerage plan charges
+const UNIVERSAL_RULES = [
+  { id: 'otherDeductions', label: 'Other Deductions', type: 'flatFee', field: 'otherDeductions' },
+  { id: 'buyersAgentSplit', label: "Buyer's Agent Split", type: 'flatFee', field: 'buyersAgentSplit' },
+];
+
+export const DEFAULT_COMMISSION_PLANS = {
+  KW: {
+    id: 'KW',
+    name: 'Keller Williams',
+    capAnniversary: '01-01', // Cap year start (MM-DD)
+    defaultDeductions: [
+      { id: 'eo', label: 'Errors & Omissions (E&O)', type: 'amount', placement: 'postSplit' },
+      { id: 'hoaTransfer', label: 'HOA Transfer', type: 'amount', placement: 'postSplit' },
+      { id: 'homeWarranty', label: 'Home Warranty', type: 'amount', placement: 'postSplit' },
+      { id: 'kwCares', label: 'KW Cares', type: 'amount', placement: 'postSplit' },
+      { id: 'kwNextGen', label: 'NEXT GEN', type: 'amount', placement: 'postSplit' },
+      { id: 'boldScholarship', label: 'BOLD Scholarship', type: 'amount', placement: 'postSplit' },
+      { id: 'tcConcierge', label: 'TC/Concierge', type: 'amount', placement: 'postSplit' },
+      { id: 'jelmbergTeam', label: 'Jelmberg Team', type: 'amount', placement: 'postSplit' },
+    ],
+    rules: [
+      { id: 'preSplitLines', label: 'Pre-Split Deductions', type: 'lineItems', placement: 'preSplit', field: 'deductions' },
+      { id: 'royalty', label: 'Royalty', type: 'cappedFee', rate: 0.06, cap: 3000, rounding: ROUNDING.DOWN, field: 'royalty', outputField: 'royalty' },
+      { id: 'companyDollar', label: 'Company Dollar', type: 'cappedFee', rate: 0.10, cap: 18000, rounding: ROUNDING.HALF_UP, field: 'companyDollar', outputField: 'companyDollar' },
+      { id: 'postSplitLines', label: 'Deductions', type: 'lineItems', placement: 'postSplit', field: 'deductions' },
+      ...UNIVERSAL_RULES,
+    ],
+  },
+  BDH: {
+    id: 'BDH',
+    name: 'Bennion Deville Homes',
+    splitYearStart: '01-01', // Split schedule year start (MM-DD)
+    defaultDeductions: [
+      { id: 'asf', label: 'Agent Services Fee (ASF)', type: 'amount', placement: 'postSplit' },
+      { id: 'foundation10', label: 'Foundation10', type: 'amount', placement: 'postSplit' },
+      { id: 'adminFee', label: 'Admin Fee', type: 'amount', placement: 'postSplit' },
+    ],
+    rules: [
+      { id: 'preSplitDeduction', label: 'Pre-Split Deduction', type: 'percentOfAdjustedGci', rate: 0.06, field: 'preSplitDeduction', outputField: 'preSplitDeduction' },
+      { id: 'preSplitLines', label: 'Pre-Split Deductions', type: 'lineItems', placement: 'preSplit', field: 'deductions' },
+      // Agent split by YTD Adjusted GCI; add tiers in Settings (from = YTD threshold)
+      { id: 'brokerageSplit', label: 'Brokerage Split', type: 'tieredSplit', splitField: 'bdhSplitPct', tiers: [{ from: 0, agentPct: 94 }] },
+      { id: 'postSplitLines', label: 'Deductions', type: 'lineItems', placement: 'postSplit', field: 'deductions' },
+      ...UNIVERSAL_RULES,
+    ],
+  },
+};
+
+/**
+ * Saved customizations over a built-in plan
+ *
+ * Settings saved against an older version of the plan keep their values
+ * (caps, rates, tiers) but pick up the current rule list. Saved rules the
+ * built-in plan doesn't know are kept, except fields that became
+ * deduction lines.
+ */
+function mergeSavedPlan(defaultPlan, savedPlan) {
+  const savedRules = Object.fromEntries((savedPlan.rules || []).map(rule => [rule.id, rule]));
+  const defaultRuleIds = defaultPlan.rules.map(rule => rule.id);
+  const lineIds = (defaultPlan.defaultDeductions || []).map(line => line.id);
+
+  return {
+    ...defaultPlan,
+    ...savedPlan,
+    defaultDeductions: savedPlan.defaultDeductions || defaultPlan.defaultDeductions,
+    rules: [
+      ...defaultPlan.rules.map(rule => ({ ...rule, ...savedRules[rule.id], type: rule.type, field: rule.field })),
+      ...(savedPlan.rules || []).filter(rule => !defaultRuleIds.includes(rule.id) && !lineIds.includes(rule.id)),
+    ],
+  };
+}
+
+/**
+ * Load all commission plans (defaults merged with saved custom plans)
+ */
+export function getCommissionPlans() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    const plans = { ...DEFAULT_COMMISSION_PLANS };
+    Object.values(saved).forEach(plan => {
+      plans[plan.id] = DEFAULT_COMMISSION_PLANS[plan.id]
+        ? mergeSavedPlan(DEFAULT_COMMISSION_PLANS[plan.id], plan)
+        : plan;
+    });
+    return plans;
+  } catch (error) {
+    console.error('❌ Invalid saved commission plans, using defaults:', error);
+    return DEFAULT_COMMISSION_PLANS;
+  }
+}
+
+/**
+ * Save a custom plan (new brokerage or changed rates)
+ */
+export function saveCommissionPlan(plan) {
+  const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  saved[plan.id] = plan;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+}
+
+/**
+ * Get the plan for a brokerage (ID, name or alias), or null if the brokerage has no plan
+ */
+export function getCommissionPlan(brokerage) {
+  return getCommissionPlans()[normalizeBrokerage(brokerage)] || null;
+}
+
+/**
+ * Result fields a plan writes back to the transaction (royalty, companyDollar, ...)
+ */
+export function getPlanOutputFields(plan) {
+  if (!plan) return [];
+  return plan.rules.filter(rule => rule.outputField).map(rule => rule.outputField);
+}
+
+// An overridden value entered in the form wins over the calculated one.
+// Transactions saved before overrides were tracked count any entered value.
+function hasManualValue(data, field) {
+  if (Array.isArray(data.overrides)) return isOverridden(data, field);
+
+  const value = data[field];
+  return value !== '' && value !== null && value !== undefined;
+}
+
+/**
+ * Evaluate a single rule, in cents
+ *
+ * @param {Object} rule - Plan rule
+ * @param {Object} data - Transaction / form data
+ * @param {number} adjustedGci - Adjusted GCI the plan is applied to (cents)
+ * @param {number} feesSoFar - Sum of fees produced by earlier rules (cents)
+ * @param {Object} context - Extra inputs ({ capPaid } from capTracking.js, { ytdGci } from splitSchedule.js)
+ */
+function evaluateRule(rule, data, adjustedGci, feesSoFar, context) {
+  const rounding = rule.rounding || ROUNDING.HALF_UP;
+
+  switch (rule.type) {
+    case 'flatFee':
+      return toCents(data[rule.field]);
+
+    case 'lineItems':
+      return sumDeductionCents(data[rule.field], rule.placement, adjustedGci);
+
+    case 'percentOfAdjustedGci':
+      if (rule.field && hasManualValue(data, rule.field)) {
+        return toCents(data[rule.field]);
+      }
+      return multiplyCents(adjustedGci, rule.rate, rounding);
+
+    case 'cappedFee': {
+      const amount = rule.field && hasManualValue(data, rule.field)
+        ? toCents(data[rule.field])
+        : multiplyCents(adjustedGci, rule.rate, rounding);
+      if (!(rule.cap > 0)) return amount; // No cap configured
+
+      const paid = toCents((context.capPaid && context.capPaid[rule.id]) || 0);
+      return Math.max(0, Math.min(amount, toCents(rule.cap) - paid));
+    }
+
+    case 'postSplitPercent': {
+      // Brokerage keeps what remains after the earlier (pre-split) rules
+      // less the agent's share of it - the earlier fees are already charged
+      const agentPct = parseFloat(data[rule.splitField]) || rule.defaultAgentPct;
+      const base = adjustedGci - feesSoFar;
+      return base - percentOfCents(base, agentPct, rounding);
+    }
+
+    case 'tieredSplit': {
+      // A split % entered on the transaction overrides the schedule
+      const base = adjustedGci - feesSoFar;
+      const manualPct = parseFloat(data[rule.splitField]);
+      if (manualPct) return base - percentOfCents(base, manualPct, rounding);
+
+      // Each tier splits its share of the base; the last tier takes the
+      // leftover cent so the shares add up to the base
+      const tiers = getTierBreakdown(rule.tiers, context.ytdGci || 0, fromCents(adjustedGci));
+      let remaining = base;
+      const agentShare = tiers.reduce((sum, tier, index) => {
+        const tierBase = index === tiers.length - 1 ? remaining : multiplyCents(base, tier.fraction);
+        remaining -= tierBase;
+        return sum + percentOfCents(tierBase, tier.agentPct, rounding);
+      }, 0);
+      return base - agentShare;
+    }
+
+    default:
+      console.warn(`⚠️ Unknown commission rule type: ${rule.type}`);
+      return 0;
+  }
+}
+
+function formatPct(rate) {
+  return `${parseFloat((rate * 100).toFixed(4))}%`;
+}
+
+function formatDollars(amount) {
+  return `$${amount.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * How a rule arrived at its amount, in commission sheet terms
+ * ("6% of Adjusted GCI, $3,000 cap ($2,500 paid this cap year)")
+ */
+function describeRule(rule, data, adjustedGci, context) {
+  const manual = rule.field && hasManualValue(data, rule.field);
+
+  switch (rule.type) {
+    case 'flatFee':
+      return 'Entered amount';
+
+    case 'lineItems':
+      return rule.placement === 'preSplit' ? 'Deduction lines before the split' : 'Deduction lines after the split';
+
+    case 'percentOfAdjustedGci':
+      return manual ? 'Entered amount' : `${formatPct(rule.rate)} of Adjusted GCI`;
+
+    case 'cappedFee': {
+      const base = manual ? 'Entered amount' : `${formatPct(rule.rate)} of Adjusted GCI`;
+      if (!(rule.cap > 0)) return base;
+
+      const paid = (context.capPaid && context.capPaid[rule.id]) || 0;
+      return `${base}, ${formatDollars(rule.cap)} cap (${formatDollars(paid)} paid this cap year)`;
+    }
+
+    case 'postSplitPercent': {
+      const agentPct = parseFloat(data[rule.splitField]) || rule.defaultAgentPct;
+      return `Brokerage keeps ${100 - agentPct}% after earlier fees`;
+    }
+
+    case 'tieredSplit': {
+      const manualPct = parseFloat(data[rule.splitField]);
+      if (manualPct) return `Brokerage keeps ${100 - manualPct}% after earlier fees (entered split)`;
+
+      const tiers = getTierBreakdown(rule.tiers, context.ytdGci || 0, adjustedGci)
+        .map(tier => `tier ${tier.tier} (${tier.agentPct}% agent)`);
+      return `Brokerage split after earlier fees at ${tiers.join(' / ')}, ${formatDollars(context.ytdGci || 0)} YTD`;
+    }
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Evaluate a plan against a transaction
+ *
+ * Fees are listed in rule order with the rule type and a description of how
+ * the amount was reached; lineItems fees also list each deduction line.
+ * Amounts are dollars rounded to the cent.
+ *
+ * @param {Object} context - Optional { capPaid: { [ruleId]: amount } } paid earlier in the cap year
+ *   and { ytdGci } closed earlier in the split year
+ * @returns {{ totalFees: number, fees: Array<{ id, label, type, detail, amount, items? }>, outputs: Object }}
+ */
+export function evaluatePlan(plan, data, adjustedGci, context = {}) {
+  const adjustedGciCents = toCents(adjustedGci);
+  const fees = [];
+  const outputs = {};
+  let totalCents = 0;
+
+  plan.rules.forEach(rule => {
+    const cents = evaluateRule(rule, data, adjustedGciCents, totalCents, context);
+    const amount = fromCents(cents);
+    const fee = { id: rule.id, label: rule.label, type: rule.type, detail: describeRule(rule, data, adjustedGci, context), amount };
+
+    if (rule.type === 'lineItems') {
+      fee.items = (Array.isArray(data[rule.field]) ? data[rule.field] : [])
+        .filter(line => (line.placement || 'postSplit') === rule.placement)
+        .map(line => ({
+          id: line.id,
+          label: line.label || 'Deduction',
+          detail: line.type === 'percent' ? `${parseFloat(line.value) || 0}% of Adjusted GCI` : 'Entered amount',
+          amount: fromCents(getDeductionCents(line, adjustedGciCents)),
+        }));
+    }
+
+    fees.push(fee);
+    totalCents += cents;
+
+    if (rule.outputField) {
+      outputs[rule.outputField] = amount;
+    }
+  });
+
+  return { totalFees: fromCents(totalCents), fees, outputs };
+}
+
+const CommissionPlans = {
+  DEFAULT_COMMISSION_PLANS,
+  getCommissionPlans,
+  saveCommissionPlan,
+  getCommissionPlan,
+  getPlanOutputFields,
+  evaluatePlan,
+};
+
+export default CommissionPlans;
@@ -0,0 +1,169 @@
+/**
+ * Commission Solver
+ *
+ * Works a transaction backwards from a known result: given the NCI on the
+ * disbursement check (or the total brokerage fees), find the one input that
+ * produces it - commission %, a deduction, the agent split...
+ *
+ * The solver doesn't know any plan math. It re-runs the calculator it is
+ * given (the same one the form saves with) and bisects over the unknown,
+ * so every rule, cap and rounding mode is honored. Results move in one
+ * direction as an input grows, which is all bisection needs.
+ *
+ * @version 1.0.0
+ */
+
+import { toMoney } from './money';
+import { isOverridable, addOverride } from './overrides';
+
+export const SOLVER_TARGETS = [
+  { field: 'nci', label: 'Net Commission Income (NCI)' },
+  { field: 'totalBrokerageFees', label: 'Total Brokerage Fees' },
+];
+
+// Decimals each kind of unknown is solved to
+const DECIMALS = { percent: 6, money: 2 };
+const MAX_ITERATIONS = 100;
+
+const LINE_PREFIX = 'deduction:';
+
+/**
+ * Inputs the solver can solve for on a transaction
+ *
+ * Percent unknowns are in the units the form stores them in.
+ *
+ * @returns {Array<{ key: string, label: string, kind: 'percent' | 'money', min: number }>}
+ */
+export function getSolverUnknowns(plan, data) {
+  const unknowns = [];
+
+  if (data.transactionType !== 'Referral $ Received') {
+    unknowns.push({ key: 'commissionPct', label: 'Commission %', kind: 'percent', min: 0 });
+  }
+
+  (plan ? plan.rules : []).forEach(rule => {
+    if (rule.splitField) {
+      // A blank (zero) split falls back to the schedule, so stay above zero
+      unknowns.push({ key: rule.splitField, label: 'Agent Split %', kind: 'percent', min: 1 / 10 ** DECIMALS.percent });
+    } else if (rule.field && rule.type !== 'lineItems') {
+      unknowns.push({ key: rule.field, label: rule.label, kind: 'money', min: 0 });
+    }
+  });
+
+  (Array.isArray(data.deductions) ? data.deductions : []).forEach(line => {
+    unknowns.push({
+      key: `${LINE_PREFIX}${line.id}`,
+      label: line.label || 'Deduction',
+      kind: line.type === 'percent' ? 'percent' : 'money',
+      min: 0,
+    });
+  });
+
+  return unknowns;
+}
+
+/**
+ * Transaction data with the unknown set to a value (a calculated field like
+ * royalty becomes an override)
+ */
+export function applyUnknown(data, key, value) {
+  if (key.startsWith(LINE_PREFIX)) {
+    const id = key.slice(LINE_PREFIX.length);
+    return {
+      ...data,
+      deductions: data.deductions.map(line => (line.id === id ? { ...line, value: String(value) } : line)),
+    };
+  }
+
+  if (isOverridable(key)) {
+    return { ...data, [key]: String(value), overrides: addOverride(data.overrides, key) };
+  }
+
+  return { ...data, [key]: String(value) };
+}
+
+function formatDollars(amount) {
+  const text = `$${Math.abs(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  return amount < 0 ? `-${text}` : text;
+}
+
+function roundTo(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+/**
+ * Solve for one unknown
+ *
+ * @param {Object} options
+ * @param {Object} options.data - Transaction / form data
+ * @param {Object} options.unknown - One of getSolverUnknowns()
+ * @param {string} options.target - Result field to match ('nci' | 'totalBrokerageFees')
+ * @param {number|string} options.value - Amount the result should come to
+ * @param {Function} options.calculate - data => calculated fields (calculateTransaction)
+ * @returns {{ value: number, data: Object, result: Object, exact: boolean } | { error: string }}
+ */
+export function solveCommission({ data, unknown, target, value, calculate }) {
+  const goal = toMoney(value);
+  const decimals = DECIMALS[unknown.kind];
+  const step = 1 / 10 ** decimals;
+  const evaluate = x => {
+    const solved = applyUnknown(data, unknown.key, x);
+    const result = calculate(solved);
+    return { x, data: solved, result, amount: toMoney(result[target]) };
+  };
+
+  // Percentages stop at 100; amounts can't usefully exceed the deal's GCI or price
+  const current = calculate(data);
+  const max = unknown.kind === 'percent'
+    ? 100
+    : Math.max(toMoney(current.gci), toMoney(data.closedPrice), toMoney(data.referralFeeReceived), step);
+
+  let low = evaluate(unknown.min);
+  let high = evaluate(max);
+  const lowest = Math.min(low.amount, high.amount);
+  const highest = Math.max(low.amount, high.amount);
+  if (goal < lowest || goal > highest) {
+    return {
+      error: `No ${unknown.label} gives that amount - it ranges from ${formatDollars(lowest)} to ${formatDollars(highest)}`,
+    };
+  }
+
+  const increasing = high.amount >= low.amount;
+  for (let i = 0; i < MAX_ITERATIONS && high.x - low.x > step / 2; i++) {
+    const mid = evaluate((low.x + high.x) / 2);
+    if ((mid.amount < goal) === increasing) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  // Inputs are entered to the cent (or a millionth of a percent); the nearest
+  // of those wins, the lower one on a tie
+  const candidates = [low.x, high.x]
+    .map(x => roundTo(x, decimals))
+    .flatMap(x => [x - step, x, x + step])
+    .filter(x => x >= unknown.min && x <= max)
+    .map(x => evaluate(roundTo(x, decimals)));
+  const best = candidates.reduce((winner, candidate) => {
+    const diff = Math.abs(candidate.amount - goal);
+    const winnerDiff = Math.abs(winner.amount - goal);
+    return diff < winnerDiff || (diff === winnerDiff && candidate.x < winner.x) ? candidate : winner;
+  });
+
+  return {
+    value: best.x,
+    data: best.data,
+    result: best.result,
+    exact: best.amount === goal,
+  };
+}
+
+const CommissionSolver = {
+  SOLVER_TARGETS,
+  getSolverUnknowns,
+  applyUnknown,
+  solveCommission,
+};
+
+export default CommissionSolver;
@@ -0,0 +1,40 @@
+import { getSolverUnknowns, solveCommission } from './commissionSolver';
+import { calculateTransaction } from './commissionCalculator';
+import { getCommissionPlan } from './commissionPlans';
+import { COMMISSION_SHEETS } from './__fixtures__/commissionSheets';
+
+const cassis = COMMISSION_SHEETS.find(sheet => sheet.name.includes('Cassis'));
+const calculate = data => calculateTransaction(data, cassis.context);
+const unknownFor = (data, key) => getSolverUnknowns(getCommissionPlan(data.brokerage), data).find(u => u.key === key);
+
+beforeEach(() => localStorage.clear()); // Default plans only
+
+describe('solveCommission', () => {
+  test('the solved commission % reproduces the NCI on the check to the cent', () => {
+    const data = { ...cassis.transaction, commissionPct: '' };
+    const solved = solveCommission({ data, unknown: unknownFor(data, 'commissionPct'), target: 'nci', value: cassis.expected.nci, calculate });
+
+    expect(solved.exact).toBe(true);
+    expect(solved.value).toBeCloseTo(2.5, 6);
+    expect(calculate(solved.data).nci).toBe(cassis.expected.nci);
+  });
+
+  test('a solved deduction line reproduces the total brokerage fees to the cent', () => {
+    const data = cassis.transaction;
+    const unknown = unknownFor(data, 'deduction:tcConcierge');
+    const solved = solveCommission({ data, unknown, target: 'totalBrokerageFees', value: '4,612.34', calculate });
+
+    expect(solved.exact).toBe(true);
+    expect(solved.value).toBe(110.53);
+    expect(calculate(solved.data).totalBrokerageFees).toBe(4612.34);
+  });
+
+  test('an amount no value of the unknown reaches is an error, not a guess', () => {
+    const data = { ...cassis.transaction, commissionPct: '' };
+    const unknown = unknownFor(data, 'commissionPct');
+
+    const tooHigh = solveCommission({ data, unknown, target: 'nci', value: 2000000, calculate });
+    expect(tooHigh).toEqual({ error: expect.stringMatching(/^No Commission % gives that amount - it ranges from -\$400\.00 to \$/) });
+    expect(solveCommission({ data, unknown, target: 'nci', value: -500, calculate }).error).toMatch(/^No Commission %/);
+  });
+});
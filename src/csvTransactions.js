@@ -0,0 +1,167 @@
+/**
+ * CSV Transactions
+ *
+ * CSV export and import of transactions. Both directions use the same
+ * column list so an exported file imports back unchanged (deduction lines,
+ * GCI components and payouts travel as JSON). Money columns are written
+ * with two decimals and read back as numbers.
+ *
+ * @version 1.0.0
+ */
+
+import { normalizeBrokerage, DEFAULT_BROKERAGE } from './brokerages';
+import { serializeDeductions, parseDeductions } from './deductions';
+import { formatAmount, toMoney } from './money';
+import { serializeOverrides, parseOverrides } from './overrides';
+import { serializeGciComponents, parseGciComponents } from './gciComponents';
+import { serializePayouts, parsePayouts, getCategoryPayout, getNetAfterPayouts } from './payouts';
+
+// header, transaction field, optional export / import conversion (money: dollar amount)
+const CSV_COLUMNS = [
+  { header: 'Property Type', field: 'propertyType' },
+  { header: 'Client Type', field: 'clientType' },
+  { header: 'Transaction Type', field: 'transactionType', toCsv: t => t.transactionType || 'Sale' },
+  { header: 'Source', field: 'source' },
+  { header: 'Address', field: 'address' },
+  { header: 'City', field: 'city' },
+  { header: 'List Price', field: 'listPrice', money: true },
+  { header: 'Closed Price', field: 'closedPrice', money: true },
+  { header: 'List Date', field: 'listDate' },
+  { header: 'Closing Date', field: 'closingDate' },
+  { header: 'Brokerage', field: 'brokerage', toCsv: t => normalizeBrokerage(t.brokerage), fromCsv: value => normalizeBrokerage(value) || DEFAULT_BROKERAGE },
+  { header: 'Commission %', field: 'commissionPct' },
+  { header: 'GCI', field: 'gci', money: true },
+  { header: 'Referral %', field: 'referralPct' },
+  { header: 'Referral $', field: 'referralDollar', money: true },
+  { header: 'Adjusted GCI', field: 'adjustedGci', money: true },
+  { header: 'Royalty', field: 'royalty', money: true },
+  { header: 'Company Dollar', field: 'companyDollar', money: true },
+  { header: 'Pre-Split Deduction', field: 'preSplitDeduction', money: true },
+  { header: 'Other Deductions', field: 'otherDeductions', money: true },
+  { header: 'BDH Split %', field: 'bdhSplitPct' },
+  { header: 'Total Brokerage Fees', field: 'totalBrokerageFees', money: true },
+  { header: 'NCI', field: 'nci', money: true },
+  { header: 'Status', field: 'status' },
+  { header: 'Assistant Bonus', field: 'assistantBonus', money: true, toCsv: t => formatAmount(getCategoryPayout(t, 'assistant')) },
+  { header: 'Buyers Agent Split', field: 'buyersAgentSplit', money: true },
+  { header: 'Referring Agent', field: 'referringAgent', toCsv: t => t.referringAgent || '' },
+  { header: 'Referral Fee Received', field: 'referralFeeReceived', money: true },
+  { header: 'Net Volume', field: 'netVolume', money: true },
+  { header: 'Deductions', field: 'deductions', toCsv: t => serializeDeductions(t.deductions), fromCsv: value => parseDeductions(value) },
+  { header: 'GCI Components', field: 'gciComponents', toCsv: t => serializeGciComponents(t.gciComponents), fromCsv: value => parseGciComponents(value) },
+  { header: 'Payouts', field: 'payouts', toCsv: t => serializePayouts(t.payouts), fromCsv: value => parsePayouts(value) },
+  { header: 'Net After Payouts', field: 'netAfterPayouts', money: true, toCsv: t => formatAmount(getNetAfterPayouts(t)) },
+  { header: 'Overrides', field: 'overrides', toCsv: t => serializeOverrides(t.overrides), fromCsv: value => parseOverrides(value) },
+];
+
+function toCell(column, transaction) {
+  if (column.toCsv) return column.toCsv(transaction);
+  if (column.money) return formatAmount(transaction[column.field] || 0);
+  return transaction[column.field];
+}
+
+function fromCell(column, value) {
+  if (column.fromCsv) return column.fromCsv(value);
+  if (column.money) return value === '' ? '' : toMoney(value);
+  return value;
+}
+
+function escapeCell(value) {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+/**
+ * Transactions as CSV text
+ */
+export function transactionsToCsv(transactions) {
+  const rows = transactions.map(t =>
+    CSV_COLUMNS.map(column => escapeCell(toCell(column, t)))
+  );
+
+  return [
+    CSV_COLUMNS.map(column => column.header).join(','),
+    ...rows.map(row => row.join(','))
+  ].join('\n');
+}
+
+/**
+ * Split CSV text into rows of cells (quoted cells may hold commas, quotes and newlines)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value !== ''));
+}
+
+/**
+ * Transactions from CSV text exported by transactionsToCsv
+ *
+ * Columns are matched by header, so unknown columns are ignored and
+ * missing ones are left blank. Imported transactions get new IDs.
+ */
+export function csvToTransactions(text) {
+  const [headers, ...rows] = parseCsvRows(text);
+  if (!headers) return [];
+
+  const columns = headers.map(header => CSV_COLUMNS.find(column => column.header === header.trim()));
+  const now = Date.now();
+
+  return rows.map((row, index) => {
+    const transaction = {
+      id: `csv-${now}-${index + 1}`,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    columns.forEach((column, i) => {
+      if (!column) return;
+      const value = row[i] ?? '';
+      transaction[column.field] = fromCell(column, value);
+    });
+
+    return transaction;
+  });
+}
+
+const CsvTransactions = {
+  transactionsToCsv,
+  csvToTransactions,
+};
+
+export default CsvTransactions;
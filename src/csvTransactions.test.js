@@ -0,0 +1,41 @@
+import { transactionsToCsv, csvToTransactions } from './csvTransactions';
+import { calculateTransaction } from './commissionCalculator';
+import { COMMISSION_SHEETS } from './__fixtures__/commissionSheets';
+
+beforeEach(() => localStorage.clear()); // Default plans only
+
+const roundTrip = transactions => csvToTransactions(transactionsToCsv(transactions));
+
+describe('CSV export and import', () => {
+  test('overridden amounts come back as entered, not recalculated', () => {
+    const { transaction, context } = COMMISSION_SHEETS.find(sheet => sheet.name.includes('E Francis'));
+    const entered = { ...transaction, royalty: 150, companyDollar: 900, overrides: ['royalty', 'companyDollar'] };
+    const saved = { ...entered, ...calculateTransaction(entered, context) };
+
+    const [imported] = roundTrip([saved]);
+    expect(imported.overrides).toEqual(['royalty', 'companyDollar']);
+    expect([imported.royalty, imported.companyDollar]).toEqual([150, 900]);
+    expect(calculateTransaction(imported, context).nci).toBe(saved.nci);
+  });
+
+  test('a BDH deal keeps its entered split % and other deductions', () => {
+    const bdh = COMMISSION_SHEETS.find(sheet => sheet.transaction.brokerage === 'BDH');
+    const entered = { ...bdh.transaction, bdhSplitPct: '90', otherDeductions: 125, overrides: [] };
+    const saved = { ...entered, ...calculateTransaction(entered, bdh.context) };
+
+    const [imported] = roundTrip([saved]);
+    expect(imported.bdhSplitPct).toBe('90');
+    expect(imported.otherDeductions).toBe(125);
+    expect(calculateTransaction(imported, bdh.context).nci).toBe(saved.nci);
+  });
+
+  test('deduction lines come back with their IDs, types and placements', () => {
+    const deductions = [
+      { id: 'asf', label: 'Agent Services Fee (ASF)', type: 'amount', value: '50', placement: 'postSplit' },
+      { id: 'line-1', label: 'Team, "A" split', type: 'percent', value: '2.5', placement: 'preSplit' },
+    ];
+    const [imported] = roundTrip([{ brokerage: 'BDH', closedPrice: 500000, commissionPct: 2.5, deductions }]);
+
+    expect(imported.deductions).toEqual(deductions);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Data Sources
+ *
+ * The Google Sheets each person on the team syncs with. A data source is
+ * a named profile - spreadsheet ID, the tab holding its transactions and
+ * the columns mapped by hand (header → field, see sheetColumns.js):
+ *   { id, name, spreadsheetId, sheetName, columnMap }
+ *
+ * Sources are saved in localStorage and one is active at a time. Until
+ * one is saved, the spreadsheet from REACT_APP_SPREADSHEET_ID (if any) is
+ * the default source.
+ *
+ * @version 1.0.0
+ */
+
+import { createId } from './ids';
+
+const STORAGE_KEY = 'sheetSources';
+const ACTIVE_KEY = 'activeSheetSource';
+
+export const DEFAULT_SHEET_NAME = 'Transactions';
+
+/**
+ * New data source
+ */
+export function createSheetSource(overrides = {}) {
+  return {
+    id: createId('source'),
+    name: '',
+    spreadsheetId: '',
+    sheetName: DEFAULT_SHEET_NAME,
+    columnMap: {},
+    ...overrides,
+  };
+}
+
+/**
+ * Source configured at build time (null when REACT_APP_SPREADSHEET_ID is unset)
+ */
+function getDefaultSource() {
+  const spreadsheetId = process.env.REACT_APP_SPREADSHEET_ID;
+  if (!spreadsheetId) return null;
+  return createSheetSource({ id: 'default', name: 'Default', spreadsheetId });
+}
+
+/**
+ * Saved data sources (the default source until any are saved)
+ */
+export function getSheetSources() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (Array.isArray(saved) && saved.length > 0) return saved;
+  } catch (error) {
+    console.error('❌ Invalid saved data sources, using the default:', error);
+  }
+
+  const fallback = getDefaultSource();
+  return fallback ? [fallback] : [];
+}
+
+/**
+ * The data source syncing now (null when none is set up)
+ */
+export function getActiveSheetSource() {
+  const sources = getSheetSources();
+  const activeId = localStorage.getItem(ACTIVE_KEY);
+  return sources.find(source => source.id === activeId) || sources[0] || null;
+}
+
+/**
+ * Make a data source the active one
+ */
+export function setActiveSheetSource(id) {
+  localStorage.setItem(ACTIVE_KEY, id);
+}
+
+/**
+ * Add or replace a data source
+ */
+export function saveSheetSource(source) {
+  const sources = getSheetSources();
+  const updated = sources.some(s => s.id === source.id)
+    ? sources.map(s => (s.id === source.id ? source : s))
+    : [...sources, source];
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+}
+
+/**
+ * Remove a data source
+ */
+export function deleteSheetSource(id) {
+  const updated = getSheetSources().filter(source => source.id !== id);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(updated));
+  if (localStorage.getItem(ACTIVE_KEY) === id) {
+    localStorage.removeItem(ACTIVE_KEY);
+  }
+  return updated;
+}
+
+/**
+ * Spreadsheet ID from a pasted Google Sheets URL (or the ID itself)
+ *
+ * @returns {string} The ID, or '' when the text isn't one
+ */
+export function parseSpreadsheetId(text) {
+  const value = String(text || '').trim();
+  const match = /\/spreadsheets\/d\/([a-zA-Z0-9_-]+)/.exec(value);
+  if (match) return match[1];
+  return /^[a-zA-Z0-9_-]{20,}$/.test(value) ? value : '';
+}
+
+const DataSources = {
+  DEFAULT_SHEET_NAME,
+  createSheetSource,
+  getSheetSources,
+  getActiveSheetSource,
+  setActiveSheetSource,
+  saveSheetSource,
+  deleteSheetSource,
+  parseSpreadsheetId,
+};
+
+export default DataSources;
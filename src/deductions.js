@@ -0,0 +1,176 @@
+/**
+ * Deductions
+ *
+ * Itemized deduction lines on a transaction.
+ *
+ * `transaction.deductions` is a list of labeled line items:
+ *   { id, label, type: 'amount' | 'percent', value, placement: 'preSplit' | 'postSplit' }
+ *
+ * A percent line is a percentage of Adjusted GCI. Placement decides whether
+ * the line comes off before or after the brokerage split - plans sum each
+ * placement through a `lineItems` rule. Each plan lists the
+ * `defaultDeductions` a new transaction starts with (E&O, KW Cares, ASF...).
+ * Percent lines round half up to the cent.
+ *
+ * @version 1.0.0
+ */
+
+import { toCents, fromCents, percentOfCents } from './money';
+import { createId } from './ids';
+
+export const DEDUCTION_PLACEMENTS = [
+  { value: 'preSplit', label: 'Pre-split' },
+  { value: 'postSplit', label: 'Post-split' },
+];
+
+/**
+ * New blank deduction line
+ */
+export function createDeduction(overrides = {}) {
+  return {
+    id: createId('line'),
+    label: '',
+    type: 'amount',
+    value: '',
+    placement: 'postSplit',
+    ...overrides,
+  };
+}
+
+/**
+ * Blank deduction lines a plan starts new transactions with
+ */
+export function getDefaultDeductions(plan) {
+  if (!plan || !plan.defaultDeductions) return [];
+  return plan.defaultDeductions.map(line => createDeduction({ ...line, value: line.value ?? '' }));
+}
+
+/**
+ * Whether no line has a value yet (safe to swap for another plan's defaults)
+ */
+export function isBlankDeductions(deductions) {
+  return !Array.isArray(deductions) || deductions.every(line => !parseFloat(line.value));
+}
+
+/**
+ * Amount of one line in cents
+ */
+export function getDeductionCents(line, adjustedGciCents) {
+  return line.type === 'percent'
+    ? percentOfCents(adjustedGciCents, line.value)
+    : toCents(line.value);
+}
+
+/**
+ * Dollar amount of one line
+ */
+export function getDeductionAmount(line, adjustedGci) {
+  return fromCents(getDeductionCents(line, toCents(adjustedGci)));
+}
+
+/**
+ * Sum of the lines at one placement, in cents
+ */
+export function sumDeductionCents(deductions, placement, adjustedGciCents) {
+  if (!Array.isArray(deductions)) return 0;
+
+  return deductions
+    .filter(line => (line.placement || 'postSplit') === placement)
+    .reduce((sum, line) => sum + getDeductionCents(line, adjustedGciCents), 0);
+}
+
+/**
+ * Sum of the lines at one placement
+ */
+export function sumDeductions(deductions, placement, adjustedGci) {
+  return fromCents(sumDeductionCents(deductions, placement, toCents(adjustedGci)));
+}
+
+/**
+ * Deduction lines for a transaction saved with the old fixed fields
+ * (eo, kwCares, asf...). Plan default line IDs match those field names.
+ */
+export function migrateLegacyDeductions(transaction, plan) {
+  if (Array.isArray(transaction.deductions)) return transaction;
+
+  const migrated = { ...transaction };
+  migrated.deductions = getDefaultDeductions(plan).map(line => {
+    const value = transaction[line.id];
+    delete migrated[line.id];
+    return { ...line, value: value === undefined || value === null ? '' : String(value) };
+  });
+
+  // Dual agency sides carry their own lines
+  if (transaction.sides) {
+    migrated.sides = Object.fromEntries(
+      Object.entries(transaction.sides).map(([key, side]) => [key, migrateLegacyDeductions(side, plan)])
+    );
+  }
+
+  return migrated;
+}
+
+/**
+ * Migrate every saved transaction without deduction lines
+ *
+ * @param {Array} transactions
+ * @param {Function} getPlan - brokerage => commission plan
+ * @returns {{ transactions: Array, changed: number }}
+ */
+export function migrateTransactionDeductions(transactions, getPlan) {
+  let changed = 0;
+
+  const migrated = transactions.map(transaction => {
+    if (Array.isArray(transaction.deductions)) return transaction;
+
+    changed++;
+    return migrateLegacyDeductions(transaction, getPlan(transaction.brokerage));
+  });
+
+  return { transactions: migrated, changed };
+}
+
+/**
+ * Deduction lines as a single cell (Sheets / CSV). Lines without a value are dropped.
+ */
+export function serializeDeductions(deductions) {
+  if (!Array.isArray(deductions)) return '';
+
+  const lines = deductions
+    .filter(line => parseFloat(line.value))
+    .map(({ id, label, type, value, placement }) => ({ id, label, type, value, placement }));
+
+  return lines.length > 0 ? JSON.stringify(lines) : '';
+}
+
+/**
+ * Deduction lines from a Sheets / CSV cell
+ */
+export function parseDeductions(value) {
+  if (!value) return [];
+
+  try {
+    const lines = JSON.parse(value);
+    return Array.isArray(lines) ? lines.map(line => createDeduction(line)) : [];
+  } catch (error) {
+    console.warn('⚠️ Could not parse deduction lines:', value);
+    return [];
+  }
+}
+
+const Deductions = {
+  DEDUCTION_PLACEMENTS,
+  createDeduction,
+  getDefaultDeductions,
+  isBlankDeductions,
+  getDeductionCents,
+  getDeductionAmount,
+  sumDeductionCents,
+  sumDeductions,
+  migrateLegacyDeductions,
+  migrateTransactionDeductions,
+  serializeDeductions,
+  parseDeductions,
+};
+
+export default Deductions;
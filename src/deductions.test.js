@@ -0,0 +1,56 @@
+import { migrateTransactionDeductions, serializeDeductions, parseDeductions, sumDeductions } from './deductions';
+import { getCommissionPlan } from './commissionPlans';
+
+beforeEach(() => localStorage.clear()); // Default plans only
+
+describe('migrateTransactionDeductions', () => {
+  const legacy = { id: '1', brokerage: 'KW', eo: 50, kwCares: '10', tcConcierge: null, nci: 1000 };
+
+  test('turns the old fixed fields into the plan\'s deduction lines', () => {
+    const { transactions: [migrated], changed } = migrateTransactionDeductions([legacy], getCommissionPlan);
+
+    expect(changed).toBe(1);
+    expect(migrated.deductions.map(line => [line.id, line.value])).toEqual([
+      ['eo', '50'], ['hoaTransfer', ''], ['homeWarranty', ''], ['kwCares', '10'],
+      ['kwNextGen', ''], ['boldScholarship', ''], ['tcConcierge', ''], ['jelmbergTeam', ''],
+    ]);
+    expect(migrated).not.toHaveProperty('eo');
+    expect(migrated).not.toHaveProperty('kwCares');
+    expect(migrated.nci).toBe(1000);
+    expect(sumDeductions(migrated.deductions, 'postSplit', 0)).toBe(60);
+  });
+
+  test('migrates each dual agency side with the same plan', () => {
+    const dual = { ...legacy, sides: { listing: { asf: 1 }, buying: { eo: 25 } } };
+    const [migrated] = migrateTransactionDeductions([dual], getCommissionPlan).transactions;
+
+    expect(migrated.sides.buying.deductions.find(line => line.id === 'eo').value).toBe('25');
+    expect(migrated.sides.listing.deductions.map(line => line.id)).not.toContain('asf');
+  });
+
+  test('leaves transactions that already have lines alone', () => {
+    const current = { id: '2', brokerage: 'BDH', deductions: [] };
+    const { transactions, changed } = migrateTransactionDeductions([current], getCommissionPlan);
+
+    expect(changed).toBe(0);
+    expect(transactions[0]).toBe(current);
+  });
+});
+
+describe('serializeDeductions / parseDeductions', () => {
+  test('lines with a value survive the cell; blank ones are dropped', () => {
+    const lines = [
+      { id: 'asf', label: 'ASF', type: 'amount', value: '50', placement: 'postSplit' },
+      { id: 'team', label: 'Team, "A"', type: 'percent', value: '2.5', placement: 'preSplit' },
+      { id: 'blank', label: 'Admin Fee', type: 'amount', value: '', placement: 'postSplit' },
+    ];
+
+    expect(parseDeductions(serializeDeductions(lines))).toEqual(lines.slice(0, 2));
+    expect(serializeDeductions([lines[2]])).toBe('');
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseDeductions('not json')).toEqual([]);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
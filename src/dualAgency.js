@@ -0,0 +1,202 @@
+/**
+ * Dual Agency
+ *
+ * Double-ended transactions stored as one record with two sides.
+ *
+ * A dual agency transaction has clientType 'Dual' and a `sides` object with
+ * a `listing` and a `buying` side. Each side carries its own commission
+ * inputs (commission %, bonuses and credits, referral, plan deductions) and results (GCI,
+ * fees, NCI). The record's top-level money fields hold the combined totals,
+ * so volume and units are counted once while income covers both sides.
+ *
+ * In the form the listing side is edited through the regular top-level
+ * fields and the buying side through `buyingSide`.
+ *
+ * @version 1.0.0
+ */
+
+import { getPlanOutputFields } from './commissionPlans';
+import { sumMoney, toMoney } from './money';
+
+export const DUAL_AGENCY = 'Dual';
+
+export const SIDES = [
+  { key: 'listing', label: 'Listing Side', clientType: 'Seller' },
+  { key: 'buying', label: 'Buying Side', clientType: 'Buyer' },
+];
+
+const SIDE_INPUT_FIELDS = ['commissionPct', 'referralPct', 'referralDollar', 'gciComponents'];
+const SIDE_RESULT_FIELDS = ['gci', 'adjustedGci', 'totalBrokerageFees', 'nci'];
+
+// Percentages don't add up across sides - the listing side's value is kept
+const NON_ADDITIVE_FIELDS = ['referralPct', 'bdhSplitPct'];
+
+/**
+ * Whether a transaction is double-ended
+ */
+export function isDualAgency(transaction) {
+  return transaction.clientType === DUAL_AGENCY;
+}
+
+/**
+ * Fields each side carries for a commission plan
+ *
+ * @returns {{ inputs: Array<string>, results: Array<string> }}
+ */
+export function getSideFields(plan) {
+  const planInputs = plan
+    ? plan.rules.map(rule => rule.field || rule.splitField).filter(Boolean)
+    : [];
+
+  return {
+    inputs: [...new Set([...SIDE_INPUT_FIELDS, ...planInputs])],
+    results: [...new Set([...SIDE_RESULT_FIELDS, ...getPlanOutputFields(plan)])],
+  };
+}
+
+function pick(source, fields) {
+  return Object.fromEntries(fields.map(field => [field, source[field] ?? '']));
+}
+
+/**
+ * Form-shaped data for a transaction: listing side inputs at the top level
+ * and buying side inputs under `buyingSide`
+ */
+export function getDualAgencyInputs(transaction, plan) {
+  if (!isDualAgency(transaction)) return transaction;
+
+  const { inputs } = getSideFields(plan);
+  const sides = transaction.sides || {};
+
+  // Dual records without sides (e.g. read back from Sheets) keep their
+  // totals on the listing side
+  return {
+    ...transaction,
+    ...sides.listing,
+    buyingSide: pick(sides.buying || transaction.buyingSide || {}, inputs),
+  };
+}
+
+/**
+ * Side inputs of form-shaped data (blank fields included so nothing leaks
+ * from the other side)
+ */
+export function pickSideInputs(data, plan) {
+  return pick(data || {}, getSideFields(plan).inputs);
+}
+
+/**
+ * Combined totals of both sides (top-level fields of the record)
+ */
+export function combineSides(listing, buying, plan) {
+  const { inputs, results } = getSideFields(plan);
+
+  return Object.fromEntries([...inputs, ...results].map(field => {
+    if (NON_ADDITIVE_FIELDS.includes(field)) {
+      return [field, listing[field] ?? ''];
+    }
+
+    // Line items (deductions) are listed together
+    if (Array.isArray(listing[field]) || Array.isArray(buying[field])) {
+      return [field, [...(listing[field] || []), ...(buying[field] || [])]];
+    }
+
+    const values = [listing[field], buying[field]].filter(value => value !== '' && value !== null && value !== undefined);
+    if (values.length === 0) return [field, ''];
+
+    // Commission % is the combined rate, kept at full precision
+    if (field === 'commissionPct') {
+      const total = values.reduce((sum, value) => sum + (parseFloat(value) || 0), 0);
+      return [field, String(parseFloat(total.toFixed(6)))];
+    }
+    return [field, sumMoney(values)];
+  }));
+}
+
+/**
+ * NCI a transaction earned for one client type (both sides of a dual deal count)
+ */
+export function getClientTypeNci(transaction, clientType) {
+  if (!isDualAgency(transaction)) {
+    return transaction.clientType === clientType ? toMoney(transaction.nci) : 0;
+  }
+
+  const side = SIDES.find(s => s.clientType === clientType);
+  if (!side) return 0;
+
+  // Without side details the whole deal is reported on the listing side
+  if (!transaction.sides) {
+    return side.key === 'listing' ? toMoney(transaction.nci) : 0;
+  }
+
+  return toMoney((transaction.sides[side.key] || {}).nci);
+}
+
+/**
+ * Whether a transaction matches a client type filter (dual deals match both)
+ */
+export function matchesClientType(transaction, clientType) {
+  if (transaction.clientType === clientType) return true;
+  return isDualAgency(transaction) && SIDES.some(side => side.clientType === clientType);
+}
+
+function normalizeAddress(address) {
+  return String(address || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Seller/Buyer records for the same property and closing date
+ *
+ * @returns {Array<{ seller: Object, buyer: Object }>}
+ */
+export function findDualAgencyPairs(transactions) {
+  const groups = {};
+
+  transactions
+    .filter(t => !isDualAgency(t) && normalizeAddress(t.address))
+    .forEach(t => {
+      const key = `${normalizeAddress(t.address)}|${normalizeAddress(t.city)}|${t.closingDate || ''}`;
+      (groups[key] = groups[key] || []).push(t);
+    });
+
+  return Object.values(groups)
+    .map(group => ({
+      seller: group.find(t => t.clientType === 'Seller'),
+      buyer: group.find(t => t.clientType === 'Buyer'),
+    }))
+    .filter(({ seller, buyer }) => seller && buyer);
+}
+
+/**
+ * Merge a Seller/Buyer pair into one dual agency record (keeps the seller's ID)
+ */
+export function mergeDualAgencyPair(seller, buyer, plan) {
+  const { inputs, results } = getSideFields(plan);
+  const listing = pick(seller, [...inputs, ...results]);
+  const buying = pick(buyer, [...inputs, ...results]);
+
+  return {
+    ...seller,
+    ...combineSides(listing, buying, plan),
+    clientType: DUAL_AGENCY,
+    sides: { listing, buying },
+    source: seller.source || buyer.source,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+const DualAgency = {
+  DUAL_AGENCY,
+  SIDES,
+  isDualAgency,
+  getSideFields,
+  getDualAgencyInputs,
+  pickSideInputs,
+  combineSides,
+  getClientTypeNci,
+  matchesClientType,
+  findDualAgencyPairs,
+  mergeDualAgencyPair,
+};
+
+export default DualAgency;
@@ -0,0 +1,101 @@
+import { findDualAgencyPairs, mergeDualAgencyPair, getDualAgencyInputs, getClientTypeNci } from './dualAgency';
+import { calculateTransaction } from './commissionCalculator';
+import { getCommissionPlan } from './commissionPlans';
+import { deal } from './__fixtures__/transactions';
+
+beforeEach(() => localStorage.clear()); // Default plans only
+
+const saved = (id, changes) => {
+  const entered = deal(id, { closingDate: '2024-06-14', overrides: [], ...changes });
+  return { ...entered, ...calculateTransaction(entered, { ytdGci: 0 }) };
+};
+
+describe('findDualAgencyPairs', () => {
+  test('pairs a seller and a buyer at the same address, city and closing date', () => {
+    const seller = saved('1', { clientType: 'Seller', address: '12 Main St.' });
+    const buyer = saved('2', { clientType: 'Buyer', address: '12 main st' });
+
+    expect(findDualAgencyPairs([seller, buyer])).toEqual([{ seller, buyer }]);
+  });
+
+  test('leaves deals apart that differ in date, city or address, or are both one side', () => {
+    const seller = saved('1', { clientType: 'Seller', address: '12 Main St' });
+    const others = [
+      saved('2', { clientType: 'Buyer', address: '12 Main St', closingDate: '2024-06-15' }),
+      saved('3', { clientType: 'Buyer', address: '12 Main St', city: 'Indio' }),
+      saved('4', { clientType: 'Buyer', address: '14 Main St' }),
+      saved('5', { clientType: 'Seller', address: '12 Main St' }),
+    ];
+
+    expect(findDualAgencyPairs([seller, ...others])).toEqual([]);
+  });
+
+  test('skips deals that are already dual agency', () => {
+    const dual = mergeDualAgencyPair(saved('1', { clientType: 'Seller' }), saved('2', { clientType: 'Buyer' }), getCommissionPlan('KW'));
+
+    expect(findDualAgencyPairs([dual, saved('3', { clientType: 'Buyer', address: dual.address })])).toEqual([]);
+  });
+});
+
+describe('mergeDualAgencyPair', () => {
+  const plan = getCommissionPlan('KW');
+  const seller = saved('1', { clientType: 'Seller', commissionPct: 2.5 });
+  const buyer = saved('2', { clientType: 'Buyer', commissionPct: 2, address: seller.address });
+  const dual = mergeDualAgencyPair(seller, buyer, plan);
+
+  test('keeps the seller record with each deal as a side', () => {
+    expect(dual).toMatchObject({ id: '1', clientType: 'Dual', closedPrice: 500000 });
+    expect(dual.sides.listing).toMatchObject({ commissionPct: 2.5, gci: seller.gci, nci: seller.nci });
+    expect(dual.sides.buying).toMatchObject({ commissionPct: 2, gci: buyer.gci, nci: buyer.nci });
+  });
+
+  test('totals both sides at the top level', () => {
+    expect(dual.commissionPct).toBe('4.5');
+    expect(dual.gci).toBe(22500);
+    expect(dual.nci).toBe(seller.nci + buyer.nci);
+  });
+
+  test('reports each side\'s NCI under its client type', () => {
+    expect(getClientTypeNci(dual, 'Seller')).toBe(seller.nci);
+    expect(getClientTypeNci(dual, 'Buyer')).toBe(buyer.nci);
+  });
+
+  test('recalculates to the same per-side NCI', () => {
+    const recalculated = calculateTransaction(dual, { ytdGci: 0 });
+
+    expect(recalculated.sides.listing.nci).toBe(seller.nci);
+    expect(recalculated.sides.buying.nci).toBe(buyer.nci);
+    expect(recalculated.nci).toBe(dual.nci);
+  });
+});
+
+describe('getDualAgencyInputs', () => {
+  test('puts the listing side at the top level and the buying side under buyingSide', () => {
+    const plan = getCommissionPlan('KW');
+    const dual = mergeDualAgencyPair(
+      saved('1', { clientType: 'Seller', commissionPct: 2.5 }),
+      saved('2', { clientType: 'Buyer', commissionPct: 2 }),
+      plan
+    );
+
+    const inputs = getDualAgencyInputs(dual, plan);
+    expect(inputs.commissionPct).toBe(2.5);
+    expect(inputs.buyingSide.commissionPct).toBe(2);
+    expect(inputs.buyingSide).not.toHaveProperty('nci');
+  });
+
+  test('a dual record without sides keeps its totals on the listing side', () => {
+    const dual = { ...saved('1'), clientType: 'Dual' };
+    const inputs = getDualAgencyInputs(dual, getCommissionPlan('KW'));
+
+    expect(inputs.commissionPct).toBe(2.5);
+    expect(inputs.buyingSide.commissionPct).toBe('');
+    expect(getClientTypeNci(dual, 'Seller')).toBe(dual.nci);
+    expect(getClientTypeNci(dual, 'Buyer')).toBe(0);
+  });
+
+  test('leaves other deals as they are', () => {
+    const seller = saved('1', { clientType: 'Seller' });
+    expect(getDualAgencyInputs(seller, getCommissionPlan('KW'))).toBe(seller);
+  });
+});
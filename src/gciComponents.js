@@ -0,0 +1,140 @@
+/**
+ * GCI Components
+ *
+ * Commission income on a transaction beyond commission % × closed price.
+ *
+ * `transaction.gciComponents` is a list of labeled items:
+ *   { id, kind: 'flat' | 'bonus' | 'concession', label, type: 'amount' | 'percent', value }
+ *
+ * A flat fee is base commission (alone, or on top of a commission %), a
+ * bonus (builder bonus...) is added on top, and a concession (seller
+ * credit paid from our side) comes off. A percent item is a percentage of
+ * the closed price, rounded half up to the cent. Together they make GCI,
+ * which then feeds Adjusted GCI like any commission.
+ *
+ * Each kind is tagged with the income source analytics report it under:
+ * base commission, bonuses or concessions.
+ *
+ * @version 1.0.0
+ */
+
+import { toCents, fromCents, percentOfCents, sumMoney } from './money';
+import { createId } from './ids';
+
+export const GCI_COMPONENT_KINDS = [
+  { value: 'flat', label: 'Flat Fee', source: 'base', sign: 1 },
+  { value: 'bonus', label: 'Bonus', source: 'bonus', sign: 1 },
+  { value: 'concession', label: 'Concession Credit', source: 'concession', sign: -1 },
+];
+
+export const GCI_SOURCES = [
+  { key: 'base', label: 'Base Commission' },
+  { key: 'bonus', label: 'Bonuses' },
+  { key: 'concession', label: 'Concessions' },
+];
+
+/**
+ * Kind of a component (unknown kinds count as a flat fee)
+ */
+export function getGciComponentKind(component) {
+  return GCI_COMPONENT_KINDS.find(kind => kind.value === component.kind) || GCI_COMPONENT_KINDS[0];
+}
+
+/**
+ * New blank component
+ */
+export function createGciComponent(overrides = {}) {
+  return {
+    id: createId('gci'),
+    kind: 'bonus',
+    label: '',
+    type: 'amount',
+    value: '',
+    ...overrides,
+  };
+}
+
+/**
+ * Signed amount of one component in cents (concessions are negative)
+ */
+export function getGciComponentCents(component, closedPriceCents) {
+  const cents = component.type === 'percent'
+    ? percentOfCents(closedPriceCents, component.value)
+    : toCents(component.value);
+  return getGciComponentKind(component).sign * cents;
+}
+
+/**
+ * Signed dollar amount of one component
+ */
+export function getGciComponentAmount(component, closedPrice) {
+  return fromCents(getGciComponentCents(component, toCents(closedPrice)));
+}
+
+/**
+ * GCI of a transaction by income source
+ *
+ * Bonuses and concessions come from the components; base commission is
+ * the rest of GCI (so an overridden GCI still adds up). Concessions are
+ * reported as a positive amount given up.
+ *
+ * @returns {{ base: number, bonus: number, concession: number }}
+ */
+export function getGciSources(transaction) {
+  const components = transaction.transactionType === 'Referral $ Received' ? [] : (transaction.gciComponents || []);
+  const amounts = components.map(component => ({
+    source: getGciComponentKind(component).source,
+    amount: getGciComponentAmount(component, transaction.closedPrice),
+  }));
+
+  const bonus = sumMoney(amounts.filter(item => item.source === 'bonus').map(item => item.amount));
+  const concession = -sumMoney(amounts.filter(item => item.source === 'concession').map(item => item.amount));
+
+  return {
+    base: sumMoney([transaction.gci, -bonus, concession]),
+    bonus,
+    concession,
+  };
+}
+
+/**
+ * Components as a single cell (Sheets / CSV). Items without a value are dropped.
+ */
+export function serializeGciComponents(components) {
+  if (!Array.isArray(components)) return '';
+
+  const items = components
+    .filter(component => parseFloat(component.value))
+    .map(({ id, kind, label, type, value }) => ({ id, kind, label, type, value }));
+
+  return items.length > 0 ? JSON.stringify(items) : '';
+}
+
+/**
+ * Components from a Sheets / CSV cell
+ */
+export function parseGciComponents(value) {
+  if (!value) return [];
+
+  try {
+    const items = JSON.parse(value);
+    return Array.isArray(items) ? items.map(item => createGciComponent(item)) : [];
+  } catch (error) {
+    console.warn('⚠️ Could not parse GCI components:', value);
+    return [];
+  }
+}
+
+const GciComponents = {
+  GCI_COMPONENT_KINDS,
+  GCI_SOURCES,
+  getGciComponentKind,
+  createGciComponent,
+  getGciComponentCents,
+  getGciComponentAmount,
+  getGciSources,
+  serializeGciComponents,
+  parseGciComponents,
+};
+
+export default GciComponents;
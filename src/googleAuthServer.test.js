@@ -0,0 +1,198 @@
+/**
+ * @jest-environment node
+ */
+import crypto from 'crypto';
+import http from 'http';
+import handler, { decrypt } from '../api/auth/google';
+
+const APP_URL = 'https://dashboard.test';
+const SECRET = 'test-encryption-key';
+
+// Stand-in for Google's OAuth endpoints
+const codes = new Map(); // code -> PKCE challenge
+const refreshTokens = new Set();
+let server;
+let baseUrl;
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+async function handleOAuthRequest(req, res) {
+  const url = new URL(req.url, baseUrl);
+
+  if (url.pathname === '/authorize') {
+    const code = `code-${codes.size + 1}`;
+    codes.set(code, url.searchParams.get('code_challenge'));
+    const redirect = new URL(url.searchParams.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', url.searchParams.get('state'));
+    res.writeHead(302, { Location: redirect.toString() });
+    return res.end();
+  }
+
+  const body = await readBody(req);
+  if (url.pathname === '/token' && body.get('client_secret') !== 'client-secret') {
+    return sendJson(res, 401, { error: 'invalid_client' });
+  }
+
+  if (url.pathname === '/token' && body.get('grant_type') === 'authorization_code') {
+    const challenge = codes.get(body.get('code'));
+    const verified = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+    if (!challenge || verified !== challenge) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    codes.delete(body.get('code'));
+    refreshTokens.add('refresh-1');
+    return sendJson(res, 200, { access_token: 'access-1', expires_in: 3599, refresh_token: 'refresh-1' });
+  }
+
+  if (url.pathname === '/token' && body.get('grant_type') === 'refresh_token') {
+    if (!refreshTokens.has(body.get('refresh_token'))) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    return sendJson(res, 200, { access_token: 'access-2', expires_in: 3599 });
+  }
+
+  if (url.pathname === '/revoke') {
+    refreshTokens.delete(body.get('token'));
+    return sendJson(res, 200, {});
+  }
+
+  return sendJson(res, 404, { error: 'not_found' });
+}
+
+// Minimal Vercel request/response
+function call({ method = 'GET', query, cookies = [] }) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    location: null,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    redirect(url) { this.statusCode = 302; this.location = url; return this; },
+  };
+  const req = {
+    method,
+    query,
+    headers: { host: 'dashboard.test', cookie: cookies.map(c => c.split(';')[0]).join('; ') },
+  };
+  return Promise.resolve(handler(req, res)).then(() => res);
+}
+
+const setCookies = res => [].concat(res.headers['set-cookie'] || []);
+const findCookie = (res, name) => setCookies(res).find(c => c.startsWith(`${name}=`));
+
+function followRedirect(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      res.resume();
+      resolve(res.headers.location);
+    }).on('error', reject);
+  });
+}
+
+// authorize -> Google -> callback, returning the callback response
+async function signIn({ tamperState = false } = {}) {
+  const started = await call({ query: { action: 'authorize' } });
+  const back = new URL(await followRedirect(started.location));
+  const state = tamperState ? 'someone-elses-state' : back.searchParams.get('state');
+  return call({
+    query: { action: 'callback', code: back.searchParams.get('code'), state },
+    cookies: [findCookie(started, 'gs_oauth')],
+  });
+}
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => { handleOAuthRequest(req, res); });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  Object.assign(process.env, {
+    REACT_APP_GOOGLE_CLIENT_ID: 'client-id',
+    GOOGLE_CLIENT_SECRET: 'client-secret',
+    TOKEN_ENCRYPTION_KEY: SECRET,
+    APP_URL,
+    GOOGLE_OAUTH_AUTHORIZE_URL: `${baseUrl}/authorize`,
+    GOOGLE_OAUTH_TOKEN_URL: `${baseUrl}/token`,
+    GOOGLE_OAUTH_REVOKE_URL: `${baseUrl}/revoke`,
+  });
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  codes.clear();
+  refreshTokens.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('sign-in', () => {
+  test('exchanges the code with the PKCE verifier and keeps the refresh token in an encrypted httpOnly cookie', async () => {
+    const res = await signIn();
+
+    expect(res.location).toBe(`${APP_URL}/#access_token=access-1&expires_in=3599`);
+    const refreshCookie = findCookie(res, 'gs_refresh');
+    expect(refreshCookie).toMatch(/HttpOnly/);
+    expect(refreshCookie).toMatch(/Path=\/api\/auth/);
+    expect(refreshCookie).not.toMatch(/refresh-1/);
+
+    const value = decodeURIComponent(refreshCookie.split(';')[0].slice('gs_refresh='.length));
+    expect(decrypt(value, SECRET)).toEqual({ refreshToken: 'refresh-1' });
+    expect(findCookie(res, 'gs_oauth')).toMatch(/Max-Age=0/);
+  });
+
+  test('sends a callback whose state does not match back to the app with an error', async () => {
+    const res = await signIn({ tamperState: true });
+    expect(res.statusCode).toBe(302);
+    expect(res.location).toBe(`${APP_URL}/#auth_error=Sign-in+expired+or+was+not+started+here.+Please+try+again.`);
+    expect(findCookie(res, 'gs_refresh')).toBeUndefined();
+    expect(findCookie(res, 'gs_oauth')).toMatch(/Max-Age=0/);
+  });
+
+  test('sends a declined consent back to the app with an error', async () => {
+    const res = await call({ query: { action: 'callback', error: 'access_denied' } });
+    expect(res.statusCode).toBe(302);
+    expect(new URLSearchParams(new URL(res.location).hash.substring(1)).get('auth_error')).toBe('Google sign-in failed: access_denied');
+  });
+});
+
+describe('refresh', () => {
+  test('returns a new access token from the cookie', async () => {
+    const signedIn = await signIn();
+    const res = await call({ method: 'POST', query: { action: 'refresh' }, cookies: [findCookie(signedIn, 'gs_refresh')] });
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ success: true, access_token: 'access-2', expires_in: 3599 });
+  });
+
+  test('refuses a missing or tampered cookie', async () => {
+    expect((await call({ method: 'POST', query: { action: 'refresh' } })).statusCode).toBe(401);
+
+    const cookie = findCookie(await signIn(), 'gs_refresh').replace(/^gs_refresh=(.)/, (match, first) => `gs_refresh=${first === 'A' ? 'B' : 'A'}`);
+    expect((await call({ method: 'POST', query: { action: 'refresh' }, cookies: [cookie] })).statusCode).toBe(401);
+  });
+
+  test('a revoked refresh token signs out', async () => {
+    const cookie = findCookie(await signIn(), 'gs_refresh');
+    await call({ method: 'POST', query: { action: 'signout' }, cookies: [cookie] });
+    expect(refreshTokens.size).toBe(0);
+
+    const res = await call({ method: 'POST', query: { action: 'refresh' }, cookies: [cookie] });
+    expect(res.statusCode).toBe(401);
+    expect(res.body.error).toBe('Session expired. Please sign in again.');
+    expect(findCookie(res, 'gs_refresh')).toMatch(/Max-Age=0/);
+  });
+});
@@ -4,26 +4,104 @@
  * Handles all Google Sheets API interactions with OAuth 2.0 authentication.
  * 
  * Features:
- * - OAuth 2.0 Implicit Flow (full-page redirect, no COOP issues)
+ * - OAuth 2.0 Authorization Code flow with PKCE through api/auth/google.js
+ *   (full-page redirect, no COOP issues). The refresh token stays in an
+ *   encrypted httpOnly cookie and access tokens are renewed silently a few
+ *   minutes before they expire. REACT_APP_GOOGLE_AUTH_FLOW=implicit keeps
+ *   the old Implicit Flow (no renewal) for running without the API
  * - Read/Write/Update/Delete operations
+ * - Row-level writes: changed rows go out as one batchUpdate (updates,
+ *   deletions, appends) that the API applies all-or-nothing
+ * - Stable IDs: every row carries its transaction ID, and rows read without
+ *   one (older sheets, rows added by hand) get one written back
+ * - Lossless: fields without a column are kept in the Details tab (ID,
+ *   JSON), added on the first write and written in the same batch as the
+ *   Transactions row
+ * - Change tracking and merging of rows edited on both sides live in
+ *   syncConflicts.js
+ * - Bootstrap and upgrade: a missing tab is created, and older layouts get
+ *   their missing headers, formats and dropdowns, once per tab (the schema
+ *   version is kept in the tab's developer metadata, see sheetSchema.js)
+ * - Spreadsheet and tab come from the active data source (dataSources.js);
+ *   REACT_APP_SPREADSHEET_ID is only the default
  * - Token management and persistence
+ * - Change polling: getSheetChecksum() reads the tab's values in one call
+ *   (no schema checks or writes), so the app pulls only when it moved -
+ *   and the pull reuses those values instead of reading them again
  * - Auto-sync on all CRUD operations
+ * - Columns are found by header (sheetColumns.js getColumnLayout), so
+ *   columns can be moved or inserted in Sheets. Headers it can't place are
+ *   mapped by the user (the data source's columnMap) and columns the
+ *   dashboard doesn't own are never written
  * 
- * Column Mapping (A-Z, 25 columns):
+ * Default Column Layout (A-AF, 32 columns - defined in sheetColumns.js):
  * A: Property Type, B: Client Type, C: Source, D: Address, E: City,
  * F: List Price, G: Commission %, H: List Date, I: Closing Date, J: Brokerage,
  * K: Net Volume, L: Closed Price, M: GCI, N: Referral %, O: Referral $,
  * P: Adjusted GCI, Q: Pre-split Deduction, R: Brokerage Split,
  * S: Admin Fees/Other Deductions, T: NCI, U: Status, V: Assistant Bonus, W: Buyer's Agent Split,
- * X: Transaction Type (NEW v3.5), Y: Referring Agent (NEW v3.5), Z: Referral Fee Received (NEW v3.5)
+ * X: Transaction Type (NEW v3.5), Y: Referring Agent (NEW v3.5), Z: Referral Fee Received (NEW v3.5),
+ * AA: Deduction Lines (JSON, see deductions.js), AB: Overridden Fields (see overrides.js),
+ * AC: GCI Components (JSON, see gciComponents.js), AD: Payouts (JSON, see payouts.js),
+ * AE: Net After Payouts, AF: ID (stable transaction ID; rows are found by it, never by position)
+ * Sheets whose header row is blank use this layout as is.
+ * 
+ * Details tab: A: ID, B: Details (JSON of every other field)
  * 
  * @version 3.5.0
  */
 
+import { getActiveSheetSource } from './dataSources';
+import { DETAILS_SHEET_NAME, DETAILS_HEADERS, columnLetter, getColumnLayout, toSheetRow, fromSheetRow, toDetailsRow, parseDetails } from './sheetColumns';
+import { hashText } from './syncConflicts';
+import { SCHEMA_VERSION, SCHEMA_METADATA_KEY, NUMBER_FORMATS, detectSchemaVersion, getSchemaRequests, getSchemaVersionRequest } from './sheetSchema';
+
 const SCOPES = 'https://www.googleapis.com/auth/spreadsheets';
 const DISCOVERY_DOC = 'https://sheets.googleapis.com/$discovery/rest?version=v4';
+const FIRST_DATA_ROW = 2; // Row 1 is the header
+const AUTH_ENDPOINT = '/api/auth/google';
+const USE_SERVER_FLOW = process.env.REACT_APP_GOOGLE_AUTH_FLOW !== 'implicit';
+const REFRESH_MARGIN = 5 * 60 * 1000; // Renew 5 minutes before expiry
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CELL_FIELDS = 'userEnteredValue,userEnteredFormat.numberFormat';
 
 let gapiInited = false;
+let refreshTimer = null;
+let refreshing = null; // Renewal in progress
+
+// Numeric tab IDs by tab title (batchUpdate addresses tabs by ID), and the
+// spreadsheet they belong to
+let sheetIds = null;
+let sheetIdsSpreadsheet = null;
+
+// Tabs already checked against the current schema ("spreadsheetId/tab")
+const checkedSchemas = new Set();
+
+// Values the last change check read ({ key: "spreadsheetId/tab", valueRanges, at }).
+// A check that finds a change is followed by a read; it takes these
+// instead of fetching the tabs again. Any write drops them.
+let lastCheck = null;
+const CHECK_REUSE_MS = 10 * 1000;
+
+/**
+ * A1 range on a tab ("'My Deals'!A2:AF" - the name is always quoted; the
+ * whole tab without cells)
+ */
+function tabRange(sheetName, cells) {
+  const tab = `'${sheetName.replace(/'/g, "''")}'`;
+  return cells ? `${tab}!${cells}` : tab;
+}
+
+/**
+ * Spreadsheet ID and tab of the active data source
+ */
+function getSource() {
+  const source = getActiveSheetSource();
+  if (!source || !source.spreadsheetId) {
+    throw new Error('No spreadsheet set up. Add one under Google Sheets Sync in Settings.');
+  }
+  return source;
+}
 
 /**
  * Initialize the Google APIs
@@ -37,6 +115,11 @@ export async function initialize() {
   // Check if returning from OAuth
   handleOAuthCallback();
   
+  // New tab or expired token: renew from the refresh token cookie
+  if (!hasValidToken() && USE_SERVER_FLOW) {
+    await refreshAccessToken();
+  }
+  
   console.log('✅ Ready');
 }
 
@@ -74,10 +157,20 @@ async function initializeGapiClient() {
 
 /**
  * Handle OAuth callback
+ *
+ * Fires googleAuthError ({ detail: { error } }) when the server flow came
+ * back from a failed sign-in.
  */
 function handleOAuthCallback() {
   const hash = window.location.hash;
   
+  if (hash && hash.includes('auth_error=')) {
+    const error = new URLSearchParams(hash.substring(1)).get('auth_error');
+    console.error('❌ Sign-in failed:', error);
+    window.history.replaceState(null, '', window.location.pathname);
+    window.dispatchEvent(new CustomEvent('googleAuthError', { detail: { error } }));
+  }
+  
   if (hash && hash.includes('access_token=')) {
     console.log('🔐 OAuth callback detected');
     
@@ -87,18 +180,7 @@ function handleOAuthCallback() {
     const expiresIn = params.get('expires_in') || '3600';
     
     if (accessToken) {
-      // Store token
-      const expiryTime = Date.now() + (parseInt(expiresIn) * 1000);
-      
-      sessionStorage.setItem('google_access_token', accessToken);
-      sessionStorage.setItem('google_token_expires', expiryTime.toString());
-      
-      // Set token in GAPI
-      if (window.gapi && window.gapi.client) {
-        window.gapi.client.setToken({
-          access_token: accessToken
-        });
-      }
+      storeToken(accessToken, expiresIn);
       
       console.log('✅ Token stored successfully');
       
@@ -121,10 +203,112 @@ function handleOAuthCallback() {
           access_token: storedToken
         });
       }
+      scheduleTokenRefresh();
     }
   }
 }
 
+/**
+ * Store an access token and schedule its renewal
+ */
+function storeToken(accessToken, expiresIn) {
+  const expiryTime = Date.now() + (parseInt(expiresIn) * 1000);
+  
+  sessionStorage.setItem('google_access_token', accessToken);
+  sessionStorage.setItem('google_token_expires', expiryTime.toString());
+  
+  // Set token in GAPI
+  if (window.gapi && window.gapi.client) {
+    window.gapi.client.setToken({
+      access_token: accessToken
+    });
+  }
+  
+  scheduleTokenRefresh();
+}
+
+function clearToken() {
+  clearTimeout(refreshTimer);
+  sessionStorage.removeItem('google_access_token');
+  sessionStorage.removeItem('google_token_expires');
+  
+  if (window.gapi && window.gapi.client) {
+    window.gapi.client.setToken(null);
+  }
+}
+
+/**
+ * Renew the access token shortly before it expires (server flow only)
+ *
+ * Fires googleTokenRefreshed after a renewal, so the app can send changes
+ * that waited for it.
+ */
+function scheduleTokenRefresh() {
+  if (!USE_SERVER_FLOW) return;
+  
+  clearTimeout(refreshTimer);
+  const tokenExpires = parseInt(sessionStorage.getItem('google_token_expires') || '0');
+  const delay = Math.max(tokenExpires - Date.now() - REFRESH_MARGIN, 0);
+  
+  refreshTimer = setTimeout(async () => {
+    if (await refreshAccessToken()) {
+      window.dispatchEvent(new CustomEvent('googleTokenRefreshed'));
+    }
+  }, delay);
+}
+
+/**
+ * Get a new access token from the refresh token cookie
+ *
+ * @returns {Promise<boolean>} Whether a new token was stored (false when
+ *   signed out, the refresh token was revoked, or offline)
+ */
+export async function refreshAccessToken() {
+  if (!USE_SERVER_FLOW) return false;
+  if (refreshing) return refreshing;
+  
+  refreshing = (async () => {
+    try {
+      const response = await fetch(`${AUTH_ENDPOINT}?action=refresh`, {
+        method: 'POST',
+        credentials: 'same-origin',
+      });
+      const result = await response.json().catch(() => ({}));
+      
+      if (!response.ok || !result.access_token) {
+        // Signed out or revoked: the next sign-in needs the consent screen
+        if (response.status === 401) clearToken();
+        console.log('⚠️ Token renewal failed:', result.error || response.status);
+        return false;
+      }
+      
+      storeToken(result.access_token, result.expires_in);
+      console.log('🔄 Access token renewed');
+      return true;
+    } catch (error) {
+      console.log('⚠️ Token renewal failed:', error.message);
+      return false;
+    } finally {
+      refreshing = null;
+    }
+  })();
+  
+  return refreshing;
+}
+
+/**
+ * Valid access token, renewed first when it is about to expire
+ *
+ * @returns {Promise<boolean>} Whether there is a token to call the API with
+ */
+export async function ensureValidToken() {
+  const tokenExpires = parseInt(sessionStorage.getItem('google_token_expires') || '0');
+  if (hasValidToken() && tokenExpires - Date.now() > REFRESH_MARGIN) return true;
+  
+  await refreshAccessToken();
+  return hasValidToken();
+}
+
 /**
  * Check if authenticated
  */
@@ -141,6 +325,16 @@ export function hasValidToken() {
 export function signIn() {
   console.log('🔐 Starting OAuth sign-in...');
   
+  // Server flow: api/auth/google.js sends the user to Google and back
+  if (USE_SERVER_FLOW) {
+    window.location.href = `${AUTH_ENDPOINT}?action=authorize`;
+    return new Promise((resolve) => {
+      window.addEventListener('googleAuthSuccess', () => {
+        resolve({ success: true });
+      }, { once: true });
+    });
+  }
+  
   const clientId = process.env.REACT_APP_GOOGLE_CLIENT_ID;
   
   if (!clientId) {
@@ -180,103 +374,75 @@ export function signIn() {
 /**
  * Sign out
  */
-export function signOut() {
+export async function signOut() {
   const token = sessionStorage.getItem('google_access_token');
   
-  // Revoke token
-  if (token) {
+  // Revoke the refresh token (which also revokes its access tokens)
+  if (USE_SERVER_FLOW) {
+    await fetch(`${AUTH_ENDPOINT}?action=signout`, {
+      method: 'POST',
+      credentials: 'same-origin',
+    }).catch(err => console.log('Token revocation failed:', err));
+  } else if (token) {
     fetch(`https://oauth2.googleapis.com/revoke?token=${token}`, {
       method: 'POST'
     }).catch(err => console.log('Token revocation failed:', err));
   }
   
-  // Clear storage
-  sessionStorage.removeItem('google_access_token');
-  sessionStorage.removeItem('google_token_expires');
-  
-  // Clear GAPI token
-  if (window.gapi && window.gapi.client) {
-    window.gapi.client.setToken(null);
-  }
+  // Clear storage and GAPI token
+  clearToken();
   
   console.log('✅ Signed out');
 }
 
-/**
- * Helper function to parse currency/number strings from Google Sheets
- * Handles: "$1,234.56", "1234.56", "1,234", etc.
- */
-function parseCurrency(value) {
-  if (!value) return 0;
-  if (typeof value === 'number') return value;
-  
-  // Remove currency symbols, commas, spaces
-  const cleaned = String(value).replace(/[$,\s]/g, '');
-  const parsed = parseFloat(cleaned);
-  
-  return isNaN(parsed) ? 0 : parsed;
-}
-
 /**
  * Read transactions from Google Sheets
+ *
+ * Rows typed in without an ID get one, written back to the sheet unless
+ * `writeIds` is false (a background change check); they then get a new
+ * one on every read until a read writes it.
+ *
+ * @param {{ writeIds?: boolean }} [options]
  */
-export async function readTransactions() {
-  if (!hasValidToken()) {
+export async function readTransactions({ writeIds = true } = {}) {
+  if (!(await ensureValidToken())) {
     throw new Error('Not authenticated. Please click "Enable Google Sheets Sync" to sign in.');
   }
 
   try {
     console.log('📊 Reading from Google Sheets...');
     
-    const spreadsheetId = process.env.REACT_APP_SPREADSHEET_ID;
+    const { spreadsheetId, sheetName, columnMap } = getSource();
+    await ensureSheetSchema(spreadsheetId, sheetName, columnMap);
     
-    if (!spreadsheetId) {
-      throw new Error('Spreadsheet ID not configured');
+    const key = `${spreadsheetId}/${sheetName}`;
+    const checked = lastCheck && lastCheck.key === key && Date.now() - lastCheck.at < CHECK_REUSE_MS;
+    const [data, detailsData] = checked ? lastCheck.valueRanges : await readSheetValues(spreadsheetId, sheetName);
+    lastCheck = null;
+    const [headers = [], ...values] = data.values || [];
+    const layout = getColumnLayout(headers.map(String), columnMap);
+    const rows = values.map(row => toTextCells(row, layout));
+    const idIndex = layout.indexes.id;
+    if (layout.unknown.length > 0) {
+      console.warn(`⚠️ Unrecognized column(s) left as they are: ${layout.unknown.map(({ header }) => header).join(', ')}`);
     }
-    
-    const range = 'Transactions!A2:Z';
-
-    const response = await window.gapi.client.sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range,
-    });
-
-    const rows = response.result.values || [];
+    const details = new Map(((detailsData && detailsData.values) || []).map(row => [row[0], parseDetails(row[1])]));
     console.log(`✅ Loaded ${rows.length} transactions`);
 
-    return rows.map((row, index) => ({
-      id: `sheet-${index + 1}`,
-      propertyType: row[0] || 'Residential',
-      clientType: row[1] || 'Seller',
-      source: row[2] || '',
-      address: row[3] || '',
-      city: row[4] || '',
-      state: 'CA', // Not in sheet, default to CA
-      zip: '', // Not in sheet
-      listPrice: parseCurrency(row[5]),
-      commissionPct: parseCurrency(row[6]),
-      listDate: row[7] || '',
-      closingDate: row[8] || '',
-      brokerage: row[9] || 'BDH', // J: Brokerage (BDH or KW)
-      netVolume: parseCurrency(row[10]),
-      closedPrice: parseCurrency(row[11]),
-      gci: parseCurrency(row[12]),
-      referralPct: parseCurrency(row[13]),
-      referralDollar: parseCurrency(row[14]),
-      adjustedGci: parseCurrency(row[15]),
-      preSplitDeduction: parseCurrency(row[16]),
-      totalBrokerageFees: parseCurrency(row[17]),
-      companyDollar: parseCurrency(row[17]), // Using brokeragesplit
-      otherDeductions: parseCurrency(row[18]),
-      nci: parseCurrency(row[19]),
-      status: row[20] || 'Closed',
-      assistantBonus: parseCurrency(row[21]),
-      buyersAgentSplit: parseCurrency(row[22]),
-      transactionType: row[23] || 'Sale', // X: Transaction Type (NEW v3.5)
-      referringAgent: row[24] || '', // Y: Referring Agent (NEW v3.5)
-      referralFeeReceived: parseCurrency(row[25]), // Z: Referral Fee Received (NEW v3.5)
-      notes: '',
+    // Rows without an ID get a new one (written back below)
+    const now = Date.now();
+    const missingIds = rows.map((row, index) => index).filter(index => !rows[index][idIndex]);
+
+    const transactions = rows.map((row, index) => ({
+      ...fromSheetRow(row, details.get(row[idIndex]) || null, layout),
+      id: row[idIndex] || `sheet-${now}-${index + 1}`,
     }));
+    
+    if (writeIds && missingIds.length > 0) {
+      await backfillIds(spreadsheetId, sheetName, columnMap, missingIds.map(index => ({ index, id: transactions[index].id })));
+    }
+    
+    return transactions;
   } catch (error) {
     console.error('❌ Read error:', error);
     
@@ -292,108 +458,612 @@ export async function readTransactions() {
 }
 
 /**
- * Write transactions to Google Sheets
+ * Values of the transactions tab (header row and every column) and the
+ * Details rows, in one batchGet
+ *
+ * Numbers come back as stored, not as shown ("2.413" is 2.4125), and
+ * dates as shown. Sheets from before the Details tab only have
+ * Transactions.
+ */
+async function readSheetValues(spreadsheetId, sheetName) {
+  const hasDetails = DETAILS_SHEET_NAME in await getSheetIds(spreadsheetId);
+  const ranges = [tabRange(sheetName), ...(hasDetails ? [tabRange(DETAILS_SHEET_NAME, `A${FIRST_DATA_ROW}:B`)] : [])];
+
+  const response = await window.gapi.client.sheets.spreadsheets.values.batchGet({
+    spreadsheetId,
+    ranges,
+    valueRenderOption: 'UNFORMATTED_VALUE',
+    dateTimeRenderOption: 'FORMATTED_STRING',
+    fields: 'valueRanges.values',
+  });
+  return response.result.valueRanges;
+}
+
+/**
+ * Row read unformatted, with numbers turned back into text outside the
+ * currency and number columns (a ZIP-like address, a typed-in ID)
+ */
+function toTextCells(row, layout) {
+  return row.map((cell, index) => {
+    const column = layout.columns[index];
+    const numeric = column && (column.format === 'currency' || column.format === 'number');
+    return typeof cell === 'number' && !numeric ? String(cell) : cell;
+  });
+}
+
+/**
+ * Write transactions to Google Sheets (clears and rewrites every row - use
+ * syncTransactionChanges for edits)
+ *
+ * Only the dashboard's columns are cleared and rewritten; other columns
+ * keep their cells, row for row.
  */
 export async function writeTransactions(transactions) {
-  if (!hasValidToken()) {
+  if (!(await ensureValidToken())) {
     throw new Error('Not authenticated. Please sign in first.');
   }
 
   try {
     console.log('💾 Writing to Google Sheets...');
+    lastCheck = null;
     
-    const spreadsheetId = process.env.REACT_APP_SPREADSHEET_ID;
-    const range = 'Transactions!A2:Z';
-
-    const rows = transactions.map(t => [
-      t.propertyType || 'Residential',        // A: Property Type
-      t.clientType || 'Seller',               // B: Client Type
-      t.source || '',                         // C: Source
-      t.address || '',                        // D: Address
-      t.city || '',                           // E: City
-      t.listPrice || 0,                       // F: List Price
-      t.commissionPct || 0,                   // G: Commission %
-      t.listDate || '',                       // H: List Date
-      t.closingDate || '',                    // I: Closing Date
-      t.brokerage || 'BDH',                   // J: Brokerage (BDH or KW)
-      t.netVolume || 0,                       // K: Net Volume
-      t.closedPrice || 0,                     // L: Closed Price
-      t.gci || 0,                             // M: GCI
-      t.referralPct || 0,                     // N: Referral %
-      t.referralDollar || 0,                  // O: Referral Dollar
-      t.adjustedGci || 0,                     // P: Adjusted GCI
-      t.preSplitDeduction || 0,               // Q: Pre-split Deduction
-      t.totalBrokerageFees || 0,              // R: Brokerage Split
-      t.otherDeductions || 0,                 // S: Admin Fees/Other Deductions
-      t.nci || 0,                             // T: NCI
-      t.status || 'Closed',                   // U: Status
-      t.assistantBonus || 0,                  // V: Assistant Bonus
-      t.buyersAgentSplit || 0,                // W: Buyer's Agent Split
-      t.transactionType || 'Sale',            // X: Transaction Type (NEW v3.5)
-      t.referringAgent || '',                 // Y: Referring Agent (NEW v3.5)
-      t.referralFeeReceived || 0,             // Z: Referral Fee Received (NEW v3.5)
-    ]);
+    const { spreadsheetId, sheetName, columnMap } = getSource();
+    const detailsRange = tabRange(DETAILS_SHEET_NAME, `A${FIRST_DATA_ROW}:B`);
+
+    await ensureSheetSchema(spreadsheetId, sheetName, columnMap);
+    const { tabId, columnCount, layout } = await readSheetLayout(spreadsheetId, sheetName, columnMap);
+    const rows = transactions.map(transaction => toSheetRow(transaction, layout));
+    const runs = getColumnRuns(layout.columns.map(column => (column ? '' : undefined)));
+
+    // Add the sheet's missing columns and headers
+    const layoutRequests = getLayoutRequests(tabId, columnCount, layout);
+    if (layoutRequests.length > 0) {
+      await window.gapi.client.sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: { requests: layoutRequests },
+      });
+    }
 
     // Clear existing data
-    await window.gapi.client.sheets.spreadsheets.values.clear({
+    await window.gapi.client.sheets.spreadsheets.values.batchClear({
       spreadsheetId,
-      range,
+      resource: {
+        ranges: runs.map(({ start, values }) => tabRange(sheetName, `${columnLetter(start)}${FIRST_DATA_ROW}:${columnLetter(start + values.length - 1)}`)),
+      },
     });
 
     // Write new data
-    const response = await window.gapi.client.sheets.spreadsheets.values.update({
+    const response = await window.gapi.client.sheets.spreadsheets.values.batchUpdate({
       spreadsheetId,
-      range,
-      valueInputOption: 'USER_ENTERED',
-      resource: { values: rows },
+      resource: {
+        valueInputOption: 'USER_ENTERED',
+        data: runs.map(({ start, values }) => ({
+          range: tabRange(sheetName, `${columnLetter(start)}${FIRST_DATA_ROW}`),
+          values: rows.map(row => row.slice(start, start + values.length)),
+        })),
+      },
+    });
+
+    // Rewrite the Details tab to match
+    await ensureDetailsSheet(spreadsheetId);
+    await window.gapi.client.sheets.spreadsheets.values.clear({
+      spreadsheetId,
+      range: detailsRange,
+    });
+    await window.gapi.client.sheets.spreadsheets.values.update({
+      spreadsheetId,
+      range: detailsRange,
+      valueInputOption: 'RAW',
+      resource: { values: transactions.map(toDetailsRow) },
     });
 
     console.log(`✅ Wrote ${rows.length} transactions`);
     return response;
   } catch (error) {
-    console.error('❌ Write error:', error);
+    handleWriteError(error);
+  }
+}
+
+/**
+ * Rethrow a write error (an expired session signs out)
+ */
+function handleWriteError(error) {
+  console.error('❌ Write error:', error);
+  
+  if (error.status === 401 || error.status === 403) {
+    sessionStorage.removeItem('google_access_token');
+    sessionStorage.removeItem('google_token_expires');
+    throw new Error('Session expired. Please sign in again.');
+  }
+  
+  throw error;
+}
+
+/**
+ * Row values as batchUpdate cell data
+ *
+ * Numbers are written as numbers, dates ("2024-04-15") in date columns as
+ * date serials so Sheets sorts and filters them as dates, and everything
+ * else as text, so JSON cells land exactly as the app wrote them. Cells
+ * in formatted columns get the column's number format (new rows have
+ * none). Undefined values (columns the dashboard doesn't own) are left
+ * blank.
+ *
+ * @param {Array} values - Row values
+ * @param {Array<Object|null>} [columns] - SHEET_COLUMNS entry of each value
+ */
+function toRowData(values, columns = []) {
+  return {
+    values: values.map((value, index) => {
+      if (value === undefined) return {};
+      const column = columns[index];
+      const cell = { userEnteredValue: toCellValue(value, column) };
+      return column && column.format
+        ? { ...cell, userEnteredFormat: { numberFormat: NUMBER_FORMATS[column.format] } }
+        : cell;
+    }),
+  };
+}
+
+/**
+ * ExtendedValue of one cell
+ */
+function toCellValue(value, column) {
+  if (typeof value === 'number') return { numberValue: value };
+  if (column && column.format === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const [year, month, day] = value.split('-').map(Number);
+    return { numberValue: (Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / DAY_MS }; // Days since 1899-12-30
+  }
+  return { stringValue: String(value) };
+}
+
+/**
+ * Runs of side-by-side values in a row, skipping undefined ones, so
+ * columns the dashboard doesn't own are never written over
+ *
+ * @returns {Array<{ start: number, values: Array }>} Column index of each run and its values
+ */
+function getColumnRuns(values) {
+  return values.reduce((runs, value, index) => {
+    if (value === undefined) return runs;
+    const last = runs[runs.length - 1];
+    if (last && last.start + last.values.length === index) {
+      last.values.push(value);
+    } else {
+      runs.push({ start: index, values: [value] });
+    }
+    return runs;
+  }, []);
+}
+/**
+ * Numeric IDs of the spreadsheet's tabs by title
+ */
+async function getSheetIds(spreadsheetId) {
+  if (sheetIds !== null && sheetIdsSpreadsheet === spreadsheetId) return sheetIds;
+
+  const response = await window.gapi.client.sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets.properties(sheetId,title)',
+  });
+  sheetIds = Object.fromEntries((response.result.sheets || []).map(s => [s.properties.title, s.properties.sheetId]));
+  sheetIdsSpreadsheet = spreadsheetId;
+  return sheetIds;
+}
+
+/**
+ * Column layout of the transactions tab, read fresh from its header row,
+ * with the tab's numeric ID and width
+ *
+ * @returns {Promise<{ tabId: number, columnCount: number, headers: Array<string>, layout: Object }>}
+ */
+async function readSheetLayout(spreadsheetId, sheetName, columnMap = {}) {
+  const response = await window.gapi.client.sheets.spreadsheets.get({
+    spreadsheetId,
+    ranges: [tabRange(sheetName, '1:1')],
+    fields: 'sheets(properties(sheetId,gridProperties.columnCount),data.rowData.values.formattedValue)',
+  });
+  const [sheet] = response.result.sheets || [];
+  if (!sheet) {
+    throw new Error(`No "${sheetName}" tab in the spreadsheet`);
+  }
+
+  const [headerRow] = (sheet.data && sheet.data[0].rowData) || [];
+  const headers = ((headerRow && headerRow.values) || []).map(cell => cell.formattedValue || '');
+  return {
+    tabId: sheet.properties.sheetId,
+    columnCount: sheet.properties.gridProperties.columnCount,
+    headers,
+    layout: getColumnLayout(headers, columnMap),
+  };
+}
+
+/**
+ * Bring the transactions tab up to the current schema
+ *
+ * A missing tab is added. A tab without the current schema version in its
+ * metadata (new, or from an older version of the dashboard) gets its
+ * missing columns and headers, formats and dropdowns in one batchUpdate,
+ * and the version is recorded. Checked once per tab per session.
+ */
+async function ensureSheetSchema(spreadsheetId, sheetName, columnMap = {}) {
+  const key = `${spreadsheetId}/${sheetName}`;
+  if (checkedSchemas.has(key)) return;
+
+  const response = await window.gapi.client.sheets.spreadsheets.get({
+    spreadsheetId,
+    fields: 'sheets(properties(sheetId,title),developerMetadata(metadataId,metadataKey,metadataValue))',
+  });
+  const sheet = (response.result.sheets || []).find(s => s.properties.title === sheetName);
+  const metadata = sheet && (sheet.developerMetadata || []).find(m => m.metadataKey === SCHEMA_METADATA_KEY);
+
+  if (metadata && Number(metadata.metadataValue) >= SCHEMA_VERSION) {
+    checkedSchemas.add(key);
+    return;
+  }
+
+  if (!sheet) {
+    await window.gapi.client.sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: { requests: [{ addSheet: { properties: { title: sheetName } } }] },
+    });
+    sheetIds = null; // Tab list changed
+    console.log(`📑 Added the ${sheetName} tab`);
+  }
+
+  lastCheck = null;
+  const { tabId, columnCount, layout } = await readSheetLayout(spreadsheetId, sheetName, columnMap);
+  const version = detectSchemaVersion(layout);
+  if (sheet) {
+    console.log(`🔧 Upgrading the ${sheetName} tab from layout v${metadata ? metadata.metadataValue : version} to v${SCHEMA_VERSION}...`);
+  }
+
+  await window.gapi.client.sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: {
+      requests: [
+        ...getLayoutRequests(tabId, columnCount, layout),
+        ...getSchemaRequests(tabId, layout),
+        getSchemaVersionRequest(tabId, metadata ? metadata.metadataId : null),
+      ],
+    },
+  });
+
+  checkedSchemas.add(key);
+  console.log(`✅ ${sheetName} tab is on layout v${SCHEMA_VERSION}`);
+}
+
+/**
+ * batchUpdate requests adding the columns and headers a layout placed
+ * (widening the tab if it's too narrow)
+ */
+function getLayoutRequests(tabId, columnCount, layout) {
+  const requests = [];
+  if (layout.columns.length > columnCount) {
+    requests.push({
+      appendDimension: { sheetId: tabId, dimension: 'COLUMNS', length: layout.columns.length - columnCount },
+    });
+  }
+
+  layout.newHeaders.forEach(({ index, header }) => {
+    requests.push({
+      updateCells: {
+        rows: [toRowData([header])],
+        fields: 'userEnteredValue',
+        start: { sheetId: tabId, rowIndex: 0, columnIndex: index },
+      },
+    });
+  });
+  if (layout.newHeaders.length > 0) {
+    console.log(`📑 Adding header(s): ${layout.newHeaders.map(({ header }) => header).join(', ')}`);
+  }
+
+  return requests;
+}
+/**
+ * Numeric ID of the Details tab, adding the tab (and its header) the first time
+ */
+async function ensureDetailsSheet(spreadsheetId) {
+  const ids = await getSheetIds(spreadsheetId);
+  if (DETAILS_SHEET_NAME in ids) return ids[DETAILS_SHEET_NAME];
+
+  const response = await window.gapi.client.sheets.spreadsheets.batchUpdate({
+    spreadsheetId,
+    resource: {
+      requests: [{
+        addSheet: { properties: { title: DETAILS_SHEET_NAME, gridProperties: { frozenRowCount: 1 } } },
+      }],
+    },
+  });
+  await window.gapi.client.sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: tabRange(DETAILS_SHEET_NAME, 'A1:B1'),
+    valueInputOption: 'RAW',
+    resource: { values: [DETAILS_HEADERS] },
+  });
+
+  sheetIds = { ...ids, [DETAILS_SHEET_NAME]: response.result.replies[0].addSheet.properties.sheetId };
+  console.log(`📑 Added the ${DETAILS_SHEET_NAME} tab`);
+  return sheetIds[DETAILS_SHEET_NAME];
+}
+
+/**
+ * Transaction IDs in row order (row FIRST_DATA_ROW first) of the
+ * transactions and Details tabs, read fresh so rows sorted or deleted in
+ * Sheets are still found
+ */
+async function readRowIds(spreadsheetId, sheetName, idIndex) {
+  const idColumn = columnLetter(idIndex);
+  const response = await window.gapi.client.sheets.spreadsheets.values.batchGet({
+    spreadsheetId,
+    ranges: [
+      tabRange(sheetName, `${idColumn}${FIRST_DATA_ROW}:${idColumn}`),
+      tabRange(DETAILS_SHEET_NAME, `A${FIRST_DATA_ROW}:A`),
+    ],
+  });
+  const [transactionIds, detailIds] = response.result.valueRanges
+    .map(range => (range.values || []).map(row => row[0] || ''));
+  return { transactionIds, detailIds };
+}
+
+/**
+ * Write IDs into the rows read without one
+ *
+ * A failed backfill is only logged - the rows load either way and get
+ * another try on the next read.
+ *
+ * @param {Array<{ index: number, id: string }>} rows - Row index (0 = first data row) and new ID
+ */
+async function backfillIds(spreadsheetId, sheetName, columnMap, rows) {
+  try {
+    const { tabId, columnCount, layout } = await readSheetLayout(spreadsheetId, sheetName, columnMap);
+
+    await window.gapi.client.sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: {
+        requests: [
+          ...getLayoutRequests(tabId, columnCount, layout), // The ID column may be new
+          ...rows.map(({ index, id }) => ({
+            updateCells: {
+              rows: [{ values: [{ userEnteredValue: { stringValue: id } }] }],
+              fields: 'userEnteredValue',
+              start: { sheetId: tabId, rowIndex: FIRST_DATA_ROW - 1 + index, columnIndex: layout.indexes.id },
+            },
+          })),
+        ],
+      },
+    });
+    console.log(`🆔 Added IDs to ${rows.length} row(s)`);
+  } catch (error) {
+    console.warn('⚠️ Could not write transaction IDs to the sheet:', error);
+  }
+}
+
+/**
+ * batchUpdate requests writing changed transactions to one tab
+ *
+ * Updated rows are rewritten in place, deleted rows are removed (bottom
+ * up, so earlier row numbers hold) and new rows are appended. An updated
+ * transaction with no row yet is appended. Undefined row values are
+ * columns the dashboard doesn't own: left as they are in updated rows,
+ * blank in new ones.
+ *
+ * @param {number} tabId - Numeric tab ID
+ * @param {Array<string>} rowIds - Transaction ID of each row (readRowIds)
+ * @param {Object} changes - { added, updated, deleted }
+ * @param {Function} toValues - Transaction => row values
+ * @param {Array<Object|null>} [columns] - Column of each row value (layout.columns)
+ */
+function getRowRequests(tabId, rowIds, { added, updated, deleted }, toValues, columns = []) {
+  const requests = [];
+  const appended = [...added];
+
+  updated.forEach(transaction => {
+    const index = rowIds.indexOf(String(transaction.id));
+    if (index === -1) {
+      appended.push(transaction);
+      return;
+    }
+    getColumnRuns(toValues(transaction)).forEach(({ start, values }) => {
+      requests.push({
+        updateCells: {
+          rows: [toRowData(values, columns.slice(start))],
+          fields: CELL_FIELDS,
+          start: { sheetId: tabId, rowIndex: FIRST_DATA_ROW - 1 + index, columnIndex: start },
+        },
+      });
+    });
+  });
+
+  deleted
+    .map(id => rowIds.indexOf(String(id)))
+    .filter(index => index !== -1)
+    .sort((a, b) => b - a)
+    .forEach(index => {
+      requests.push({
+        deleteDimension: {
+          range: {
+            sheetId: tabId,
+            dimension: 'ROWS',
+            startIndex: FIRST_DATA_ROW - 1 + index,
+            endIndex: FIRST_DATA_ROW + index,
+          },
+        },
+      });
+    });
+
+  if (appended.length > 0) {
+    requests.push({
+      appendCells: {
+        sheetId: tabId,
+        rows: appended.map(transaction => toRowData(toValues(transaction), columns)),
+        fields: CELL_FIELDS,
+      },
+    });
+  }
+
+  return requests;
+}
+
+/**
+ * Write only the changed rows
+ *
+ * Columns are found by header and rows by transaction ID as the tabs are
+ * now, then one batchUpdate adds any missing columns and rewrites,
+ * removes and appends the Transactions rows and their Details rows
+ * together. The API applies all of it or none of it,
+ * so a closed tab never leaves the sheet half-written.
+ *
+ * @param {{ added?: Array, updated?: Array, deleted?: Array<string> }} changes
+ */
+export async function syncTransactionChanges({ added = [], updated = [], deleted = [] }) {
+  if (!(await ensureValidToken())) {
+    throw new Error('Not authenticated. Please sign in first.');
+  }
+
+  try {
+    const { spreadsheetId, sheetName, columnMap } = getSource();
+    const changes = { added, updated, deleted };
+    if (added.length + updated.length + deleted.length === 0) return null;
+    lastCheck = null;
+
+    await ensureSheetSchema(spreadsheetId, sheetName, columnMap);
+    const { tabId, columnCount, layout } = await readSheetLayout(spreadsheetId, sheetName, columnMap);
+    const detailsTabId = await ensureDetailsSheet(spreadsheetId);
+    const { transactionIds, detailIds } = await readRowIds(spreadsheetId, sheetName, layout.indexes.id);
+
+    const rowRequests = [
+      ...getRowRequests(tabId, transactionIds, changes, transaction => toSheetRow(transaction, layout), layout.columns),
+      ...getRowRequests(detailsTabId, detailIds, changes, toDetailsRow),
+    ];
+    if (rowRequests.length === 0) return null;
+    const requests = [...getLayoutRequests(tabId, columnCount, layout), ...rowRequests];
+
+    console.log(`💾 Writing ${updated.length} updated, ${deleted.length} deleted, ${added.length} new row(s)...`);
+    const response = await window.gapi.client.sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      resource: { requests },
+    });
+
+    console.log('✅ Sheet rows updated');
+    return response;
+  } catch (error) {
+    handleWriteError(error);
+  }
+}
+
+/**
+ * Check that a spreadsheet can be reached and list its tabs
+ *
+ * @param {string} spreadsheetId
+ * @returns {Promise<{ title: string, tabs: Array<string> }>} Spreadsheet title and tab names
+ */
+export async function getSpreadsheetTabs(spreadsheetId) {
+  if (!(await ensureValidToken())) {
+    throw new Error('Not authenticated. Please sign in first.');
+  }
+
+  try {
+    const response = await window.gapi.client.sheets.spreadsheets.get({
+      spreadsheetId,
+      fields: 'properties.title,sheets.properties.title',
+    });
+    return {
+      title: response.result.properties.title,
+      tabs: (response.result.sheets || []).map(sheet => sheet.properties.title),
+    };
+  } catch (error) {
+    console.error('❌ Spreadsheet check error:', error);
     
-    if (error.status === 401 || error.status === 403) {
+    if (error.status === 401) {
       sessionStorage.removeItem('google_access_token');
       sessionStorage.removeItem('google_token_expires');
       throw new Error('Session expired. Please sign in again.');
     }
+    if (error.status === 403) {
+      throw new Error('No access to this spreadsheet. Share it with the Google account you signed in with.');
+    }
+    if (error.status === 404) {
+      throw new Error('Spreadsheet not found. Check the URL.');
+    }
     
     throw error;
   }
 }
 
+/**
+ * Check that a data source's tab can be read
+ *
+ * @param {{ spreadsheetId: string, sheetName: string }} source
+ * @returns {Promise<{ title: string, rowCount: number }>} Spreadsheet title and number of data rows
+ */
+export async function validateSheetSource({ spreadsheetId, sheetName }) {
+  const { title, tabs } = await getSpreadsheetTabs(spreadsheetId);
+  if (!tabs.includes(sheetName)) {
+    throw new Error(`No "${sheetName}" tab in "${title}".`);
+  }
+
+  const response = await window.gapi.client.sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: tabRange(sheetName, `A${FIRST_DATA_ROW}:A`),
+  });
+  return { title, rowCount: (response.result.values || []).length };
+}
+
+/**
+ * Column layout of the active data source's tab, for the mapping editor
+ *
+ * @param {Object<string, string>} [columnMap] - Column map to try (the saved one by default)
+ * @returns {Promise<{ headers: Array<string>, layout: Object }>} Header row and getColumnLayout() of it
+ */
+export async function readColumnLayout(columnMap) {
+  if (!(await ensureValidToken())) {
+    throw new Error('Not authenticated. Please sign in first.');
+  }
+
+  const source = getSource();
+  const { headers, layout } = await readSheetLayout(source.spreadsheetId, source.sheetName, columnMap || source.columnMap);
+  return { headers, layout };
+}
+
+/**
+ * Checksum of the active data source's Transactions and Details values
+ *
+ * Sheets has no modified time under the spreadsheets scope, so this hashes
+ * the values from one batchGet (no schema checks or writes). The values
+ * are kept for a moment: the read that follows a change takes them.
+ *
+ * @returns {Promise<string>} Changes whenever a cell the dashboard reads changes
+ */
+export async function getSheetChecksum() {
+  if (!(await ensureValidToken())) {
+    throw new Error('Not authenticated. Please sign in first.');
+  }
+
+  const { spreadsheetId, sheetName } = getSource();
+  const valueRanges = await readSheetValues(spreadsheetId, sheetName);
+  lastCheck = { key: `${spreadsheetId}/${sheetName}`, valueRanges, at: Date.now() };
+  return hashText(JSON.stringify(valueRanges.map(range => range.values || [])));
+}
+
 /**
  * Add single transaction
  */
 export async function addTransaction(transaction) {
-  const transactions = await readTransactions();
-  transactions.push(transaction);
-  await writeTransactions(transactions);
+  return syncTransactionChanges({ added: [transaction] });
 }
 
 /**
  * Update single transaction
  */
 export async function updateTransaction(transaction) {
-  const transactions = await readTransactions();
-  const index = transactions.findIndex(t => t.id === transaction.id);
-  
-  if (index !== -1) {
-    transactions[index] = transaction;
-    await writeTransactions(transactions);
-  } else {
-    await addTransaction(transaction);
-  }
+  return syncTransactionChanges({ updated: [transaction] });
 }
 
 /**
  * Delete transaction
  */
 export async function deleteTransaction(transactionId) {
-  const transactions = await readTransactions();
-  const filtered = transactions.filter(t => t.id !== transactionId);
-  await writeTransactions(filtered);
+  return syncTransactionChanges({ deleted: [transactionId] });
 }
 
 // Backward compatibility exports
@@ -410,10 +1080,17 @@ export const deleteFromGoogleSheets = deleteTransaction;
 export default {
   initialize,
   hasValidToken,
+  ensureValidToken,
+  refreshAccessToken,
   signIn,
   signOut,
   readTransactions,
   writeTransactions,
+  syncTransactionChanges,
+  getSpreadsheetTabs,
+  validateSheetSource,
+  readColumnLayout,
+  getSheetChecksum,
   addTransaction,
   updateTransaction,
   deleteTransaction,
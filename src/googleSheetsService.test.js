@@ -0,0 +1,113 @@
+import { createFakeSheets } from './__fixtures__/googleSheetsApi';
+import { deal } from './__fixtures__/transactions';
+
+let GoogleSheetsService;
+let fake;
+
+beforeEach(() => {
+  // Fresh module: tab IDs and schema checks are cached per session
+  jest.resetModules();
+  GoogleSheetsService = require('./googleSheetsService');
+  fake = createFakeSheets();
+  window.gapi = { client: { sheets: fake.sheets } };
+
+  localStorage.setItem('sheetSources', JSON.stringify([{ id: 'team', spreadsheetId: 'sheet-1', sheetName: 'Transactions', columnMap: {} }]));
+  sessionStorage.setItem('google_access_token', 'access-1');
+  sessionStorage.setItem('google_token_expires', String(Date.now() + 60 * 60 * 1000));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  localStorage.clear();
+  sessionStorage.clear();
+  delete window.gapi;
+});
+
+describe('readTransactions', () => {
+  test('reads back a fractional percentage exactly, not as the cell shows it', async () => {
+    await GoogleSheetsService.syncTransactionChanges({ added: [deal('a', { commissionPct: 2.4125, referralPct: 33.3333 })] });
+
+    const [read] = await GoogleSheetsService.readTransactions();
+    expect(read.commissionPct).toBe(2.4125);
+    expect(read.referralPct).toBe(33.3333);
+  });
+
+  test('keeps numbers typed into text columns as text', async () => {
+    await GoogleSheetsService.syncTransactionChanges({ added: [deal('a')] });
+    const [row] = fake.tabs[0].rows.slice(1);
+    row[3] = { value: { numberValue: 92260 } }; // Address typed as a number
+    row[31] = { value: { numberValue: 17 } }; // ID typed as a number
+
+    const [read] = await GoogleSheetsService.readTransactions();
+    expect(read.address).toBe('92260');
+    expect(read.id).toBe('17');
+  });
+});
+
+describe('syncTransactionChanges', () => {
+  test('deduction lines come back from the sheet as they were saved', async () => {
+    const deductions = [
+      { id: 'eo', label: 'Errors & Omissions (E&O)', type: 'amount', value: '50', placement: 'postSplit' },
+      { id: 'line-1', label: 'Team', type: 'percent', value: '2.5', placement: 'preSplit' },
+    ];
+    await GoogleSheetsService.syncTransactionChanges({ added: [deal('a', { deductions })] });
+
+    const [read] = await GoogleSheetsService.readTransactions();
+    expect(read.deductions).toEqual(deductions);
+  });
+
+  test('writes dates as dates, not text', async () => {
+    await GoogleSheetsService.syncTransactionChanges({ added: [deal('a', { listDate: '2024-03-01', closingDate: '2024-04-15' })] });
+    await GoogleSheetsService.syncTransactionChanges({ updated: [deal('a', { listDate: '2024-03-01', closingDate: '2024-04-30' })] });
+
+    const [row] = fake.tabs[0].rows.slice(1);
+    expect(row[7]).toEqual({ value: { numberValue: 45352 }, format: { type: 'DATE', pattern: 'yyyy-mm-dd' } });
+    expect(row[8].value).toEqual({ numberValue: 45412 });
+
+    const [read] = await GoogleSheetsService.readTransactions();
+    expect([read.listDate, read.closingDate]).toEqual(['2024-03-01', '2024-04-30']);
+  });
+});
+
+describe('readTransactions - rows without an ID', () => {
+  const writes = () => fake.calls.filter(call => call.method === 'batchUpdate').length;
+
+  test('get an ID written back, except on a background check', async () => {
+    await GoogleSheetsService.syncTransactionChanges({ added: [deal('a')] });
+    fake.tabs[0].rows[1][31] = { value: { stringValue: '' } }; // Row typed in by hand
+    const before = writes();
+
+    const [checked] = await GoogleSheetsService.readTransactions({ writeIds: false });
+    expect(checked.id).toMatch(/^sheet-/);
+    expect(writes()).toBe(before);
+
+    const [read] = await GoogleSheetsService.readTransactions();
+    expect(writes()).toBe(before + 1);
+    expect(fake.tabs[0].rows[1][31].value).toEqual({ stringValue: read.id });
+  });
+});
+
+describe('getSheetChecksum', () => {
+  const valueReads = () => fake.calls.filter(call => call.method === 'values.batchGet').length;
+
+  test('the read after a change check takes the values it fetched', async () => {
+    await GoogleSheetsService.syncTransactionChanges({ added: [deal('a')] });
+    await GoogleSheetsService.readTransactions();
+    const reads = valueReads();
+
+    await GoogleSheetsService.getSheetChecksum();
+    const [read] = await GoogleSheetsService.readTransactions();
+    expect(read.id).toBe('a');
+    expect(valueReads()).toBe(reads + 1);
+  });
+
+  test('a write in between means the tabs are read again', async () => {
+    await GoogleSheetsService.syncTransactionChanges({ added: [deal('a')] });
+    await GoogleSheetsService.getSheetChecksum();
+    await GoogleSheetsService.syncTransactionChanges({ added: [deal('b')] });
+
+    const transactions = await GoogleSheetsService.readTransactions();
+    expect(transactions.map(t => t.id)).toEqual(['a', 'b']);
+  });
+});
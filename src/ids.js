@@ -0,0 +1,27 @@
+/**
+ * IDs
+ *
+ * IDs for lines, co-agents and data sources made in the browser. The time
+ * keeps them in creation order; the sequence number tells apart the ones
+ * made in the same millisecond (a plan's default lines, a migration).
+ *
+ * @version 1.0.0
+ */
+
+let sequence = 0;
+
+/**
+ * New ID ("line-1718000000000-3")
+ *
+ * @param {string} prefix - What the ID is for ("line", "payout"...)
+ */
+export function createId(prefix) {
+  sequence += 1;
+  return `${prefix}-${Date.now()}-${sequence}`;
+}
+
+const Ids = {
+  createId,
+};
+
+export default Ids;
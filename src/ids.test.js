@@ -0,0 +1,29 @@
+import { createId } from './ids';
+import { createDeduction } from './deductions';
+import { createGciComponent } from './gciComponents';
+import { createPayout } from './payouts';
+import { createAgent } from './agentSplits';
+import { createSheetSource } from './dataSources';
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('createId', () => {
+  test('IDs made in the same millisecond are still different', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1718000000000);
+
+    const ids = [createId('line'), createId('line'), createId('line')];
+    expect(new Set(ids).size).toBe(3);
+    ids.forEach(id => expect(id).toMatch(/^line-1718000000000-\d+$/));
+  });
+
+  test.each([
+    ['deduction lines', createDeduction],
+    ['GCI components', createGciComponent],
+    ['payouts', createPayout],
+    ['co-agents', createAgent],
+    ['data sources', createSheetSource],
+  ])('new %s get their own IDs', (name, create) => {
+    jest.spyOn(Date, 'now').mockReturnValue(1718000000000);
+    expect(create().id).not.toBe(create().id);
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Money
+ *
+ * Exact money arithmetic in integer cents.
+ *
+ * Amounts are parsed from their decimal text (so 1.005 is exactly 100.5
+ * cents, not 100.49999...) and every multiplication is rounded once, to the
+ * cent, with an explicit rounding mode. Brokerages don't all round the same
+ * way - KW royalty is truncated while company dollar rounds half up - so
+ * each plan rule can name its own `rounding`.
+ *
+ * Stored amounts are plain numbers in dollars with at most two decimals;
+ * work in cents (toCents / fromCents) and sum with sumMoney.
+ *
+ * @version 1.0.0
+ */
+
+/* global BigInt */
+
+export const ROUNDING = {
+  HALF_UP: 'halfUp', // 0.5 cent and up rounds away from zero
+  HALF_EVEN: 'halfEven', // 0.5 cent rounds to the even cent
+  DOWN: 'down', // Truncate toward zero
+  UP: 'up', // Any fraction of a cent rounds away from zero
+};
+
+// Transaction fields holding dollar amounts
+export const MONEY_FIELDS = [
+  'listPrice', 'closedPrice', 'netVolume', 'gci', 'referralDollar', 'adjustedGci',
+  'royalty', 'companyDollar', 'preSplitDeduction', 'totalBrokerageFees', 'nci',
+  'totalPayouts', 'netAfterPayouts',
+  'otherDeductions', 'buyersAgentSplit', 'assistantBonus', 'referralFeeReceived',
+];
+
+/**
+ * Exact rational for a decimal value: { numerator, denominator } as BigInt
+ * ("$1,234.5" → 12345 / 10). Blank or invalid values are zero.
+ */
+function parseDecimal(value) {
+  let text = typeof value === 'number' ? String(value) : String(value ?? '').replace(/[$,\s]/g, '');
+  if (/e/i.test(text)) text = Number(text).toFixed(12); // 1e-7 and friends
+
+  const match = /^([-+]?)(\d*)(?:\.(\d*))?$/.exec(text);
+  if (!match || (!match[2] && !match[3])) return { numerator: BigInt(0), denominator: BigInt(1) };
+
+  const [, sign, whole, fraction = ''] = match;
+  const numerator = BigInt(`${whole || '0'}${fraction}`);
+  return {
+    numerator: sign === '-' ? -numerator : numerator,
+    denominator: BigInt(`1${'0'.repeat(fraction.length)}`),
+  };
+}
+
+/**
+ * numerator / denominator rounded to an integer
+ */
+function divideRounded(numerator, denominator, rounding = ROUNDING.HALF_UP) {
+  const zero = BigInt(0);
+  const one = BigInt(1);
+  const negative = (numerator < zero) !== (denominator < zero);
+  const n = numerator < zero ? -numerator : numerator;
+  const d = denominator < zero ? -denominator : denominator;
+
+  let quotient = n / d;
+  const twiceRemainder = (n % d) * BigInt(2);
+
+  switch (rounding) {
+    case ROUNDING.DOWN:
+      break;
+    case ROUNDING.UP:
+      if (twiceRemainder > zero) quotient += one;
+      break;
+    case ROUNDING.HALF_EVEN:
+      if (twiceRemainder > d || (twiceRemainder === d && quotient % BigInt(2) === one)) quotient += one;
+      break;
+    default:
+      if (twiceRemainder >= d) quotient += one;
+  }
+
+  return Number(negative ? -quotient : quotient);
+}
+
+/**
+ * Integer cents of a dollar amount (number or text like "$1,234.56")
+ */
+export function toCents(value, rounding = ROUNDING.HALF_UP) {
+  const { numerator, denominator } = parseDecimal(value);
+  return divideRounded(numerator * BigInt(100), denominator, rounding);
+}
+
+/**
+ * Dollars (number) of an amount in cents
+ */
+export function fromCents(cents) {
+  return cents / 100;
+}
+
+/**
+ * A dollar amount rounded to the cent, as a number
+ */
+export function toMoney(value, rounding = ROUNDING.HALF_UP) {
+  return fromCents(toCents(value, rounding));
+}
+
+/**
+ * cents × factor, rounded to the cent
+ *
+ * @param {number} cents - Integer cents
+ * @param {number|string} factor - Decimal multiplier (0.06 for 6%)
+ */
+export function multiplyCents(cents, factor, rounding = ROUNDING.HALF_UP) {
+  const { numerator, denominator } = parseDecimal(factor);
+  return divideRounded(BigInt(cents) * numerator, denominator, rounding);
+}
+
+/**
+ * pct% of an amount in cents, rounded to the cent
+ *
+ * @param {number|string} pct - Percentage (2.5 for 2.5%)
+ */
+export function percentOfCents(cents, pct, rounding = ROUNDING.HALF_UP) {
+  const { numerator, denominator } = parseDecimal(pct);
+  return divideRounded(BigInt(cents) * numerator, denominator * BigInt(100), rounding);
+}
+
+/**
+ * Exact sum of dollar amounts (numbers or text), in dollars
+ */
+export function sumMoney(values) {
+  return fromCents(values.reduce((sum, value) => sum + toCents(value), 0));
+}
+
+/**
+ * Fixed two-decimal text of an amount ("1610.00") for CSV cells
+ */
+export function formatAmount(value) {
+  const cents = toCents(value);
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(cents);
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+}
+
+/**
+ * Money fields of a transaction (and its dual agency sides) as numbers
+ */
+export function normalizeMoneyFields(transaction) {
+  const normalized = { ...transaction };
+
+  MONEY_FIELDS.forEach(field => {
+    const value = transaction[field];
+    if (value !== '' && value !== null && value !== undefined) {
+      normalized[field] = toMoney(value);
+    }
+  });
+
+  if (Array.isArray(transaction.agentShares)) {
+    normalized.agentShares = transaction.agentShares.map(share => ({ ...share, amount: toMoney(share.amount) }));
+  }
+
+  if (transaction.sides) {
+    normalized.sides = Object.fromEntries(
+      Object.entries(transaction.sides).map(([key, side]) => [key, normalizeMoneyFields(side)])
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Convert amounts saved as text ("1610.00") to numbers
+ *
+ * @returns {{ transactions: Array, changed: number }}
+ */
+export function migrateMoneyFields(transactions) {
+  let changed = 0;
+
+  const migrated = transactions.map(transaction => {
+    const normalized = normalizeMoneyFields(transaction);
+    if (JSON.stringify(normalized) === JSON.stringify(transaction)) return transaction;
+
+    changed++;
+    return normalized;
+  });
+
+  return { transactions: migrated, changed };
+}
+
+const Money = {
+  ROUNDING,
+  MONEY_FIELDS,
+  toCents,
+  fromCents,
+  toMoney,
+  multiplyCents,
+  percentOfCents,
+  sumMoney,
+  formatAmount,
+  normalizeMoneyFields,
+  migrateMoneyFields,
+};
+
+export default Money;
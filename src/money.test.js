@@ -0,0 +1,58 @@
+import { ROUNDING, toCents, toMoney, multiplyCents, percentOfCents, sumMoney, formatAmount } from './money';
+import { getCommissionPlan, evaluatePlan } from './commissionPlans';
+
+describe('rounding modes', () => {
+  test.each([
+    // value, HALF_UP, HALF_EVEN, DOWN, UP (in cents)
+    ['1.005', 101, 100, 100, 101],
+    ['1.015', 102, 102, 101, 102],
+    ['1.0051', 101, 101, 100, 101],
+    ['1.0049', 100, 100, 100, 101],
+    ['-1.005', -101, -100, -100, -101],
+  ])('%s dollars', (value, halfUp, halfEven, down, up) => {
+    expect([
+      toCents(value, ROUNDING.HALF_UP),
+      toCents(value, ROUNDING.HALF_EVEN),
+      toCents(value, ROUNDING.DOWN),
+      toCents(value, ROUNDING.UP),
+    ]).toEqual([halfUp, halfEven, down, up]);
+  });
+
+  test('half a cent is read from the decimal text, not the binary float', () => {
+    expect(1.005 * 100).toBeLessThan(100.5); // What a float gives
+    expect(toCents(1.005)).toBe(101);
+    expect(toMoney('$1,234.565')).toBe(1234.57);
+  });
+
+  test('products and percentages are rounded once, at the end', () => {
+    expect(multiplyCents(123475, 0.06, ROUNDING.DOWN)).toBe(7408); // 74.085
+    expect(multiplyCents(123475, 0.1, ROUNDING.HALF_UP)).toBe(12348); // 123.475
+    expect(percentOfCents(101, 50, ROUNDING.HALF_UP)).toBe(51);
+    expect(percentOfCents(101, 50, ROUNDING.DOWN)).toBe(50);
+    expect(percentOfCents(101, 50, ROUNDING.HALF_EVEN)).toBe(50);
+  });
+});
+
+describe('KW plan rounding', () => {
+  beforeEach(() => localStorage.clear()); // Default plans only
+
+  test('royalty rounds down while company dollar rounds half up', () => {
+    // 6% of $1,234.75 is $74.085 and 10% is $123.475
+    const { outputs } = evaluatePlan(getCommissionPlan('KW'), { brokerage: 'KW', overrides: [] }, 1234.75);
+    expect(outputs.royalty).toBe(74.08);
+    expect(outputs.companyDollar).toBe(123.48);
+  });
+});
+
+describe('sums and text', () => {
+  test('sums amounts exactly', () => {
+    expect(sumMoney([0.1, 0.2])).toBe(0.3);
+    expect(sumMoney(['$1,000.005', '-0.005'])).toBe(1000); // Each amount is rounded to the cent first
+  });
+
+  test('formats amounts to two decimals', () => {
+    expect(formatAmount(1610)).toBe('1610.00');
+    expect(formatAmount(-0.5)).toBe('-0.50');
+    expect(formatAmount('0.005')).toBe('0.01');
+  });
+});
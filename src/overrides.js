@@ -0,0 +1,108 @@
+/**
+ * Overrides
+ *
+ * Calculated commission fields the user typed over by hand.
+ *
+ * `transaction.overrides` lists the overridden field names. The calculator
+ * keeps an overridden field's value and works everything after it from
+ * there (an overridden GCI still pays the plan's fees on it), so the math
+ * stays consistent without losing the number from the commission sheet.
+ * Reverting a field drops it from the list and recalculates it.
+ *
+ * Transactions saved before overrides were tracked have no `overrides`
+ * list; inferOverrides works one out for them.
+ *
+ * @version 1.0.0
+ */
+
+import { toMoney } from './money';
+
+// Calculated fields the form lets you type over
+export const OVERRIDABLE_FIELDS = [
+  { field: 'gci', label: 'GCI' },
+  { field: 'referralDollar', label: 'Referral $' },
+  { field: 'adjustedGci', label: 'Adjusted GCI' },
+  { field: 'royalty', label: 'Royalty' },
+  { field: 'companyDollar', label: 'Company Dollar' },
+  { field: 'preSplitDeduction', label: 'Pre-Split Deduction' },
+  { field: 'totalBrokerageFees', label: 'Total Brokerage Fees' },
+  { field: 'nci', label: 'NCI' },
+];
+
+/**
+ * Whether a field can be overridden
+ */
+export function isOverridable(field) {
+  return OVERRIDABLE_FIELDS.some(item => item.field === field);
+}
+
+/**
+ * Whether a field holds an overridden value (blank values never do)
+ */
+export function isOverridden(data, field) {
+  const value = data[field];
+  if (value === '' || value === null || value === undefined) return false;
+  return Array.isArray(data.overrides) && data.overrides.includes(field);
+}
+
+/**
+ * Override list with a field added
+ */
+export function addOverride(overrides, field) {
+  const list = Array.isArray(overrides) ? overrides : [];
+  return list.includes(field) ? list : [...list, field];
+}
+
+/**
+ * Override list with a field removed
+ */
+export function removeOverride(overrides, field) {
+  return (Array.isArray(overrides) ? overrides : []).filter(item => item !== field);
+}
+
+/**
+ * Overrides of a transaction saved before they were tracked: fields whose
+ * stored amount differs from a fresh calculation were typed in by hand
+ *
+ * @param {Object} transaction - Saved transaction (no `overrides` list)
+ * @param {Object} calculated - Its fields recalculated with no overrides
+ */
+export function inferOverrides(transaction, calculated) {
+  return OVERRIDABLE_FIELDS
+    .map(item => item.field)
+    .filter(field => field in calculated)
+    .filter(field => {
+      const value = transaction[field];
+      if (value === '' || value === null || value === undefined) return false;
+      return toMoney(value) !== toMoney(calculated[field]);
+    });
+}
+
+/**
+ * Override list as sheet / CSV cell text ("royalty,nci")
+ */
+export function serializeOverrides(overrides) {
+  return (Array.isArray(overrides) ? overrides : []).join(',');
+}
+
+/**
+ * Override list from a sheet / CSV cell (blank means not tracked)
+ */
+export function parseOverrides(value) {
+  const text = String(value ?? '').trim();
+  if (!text) return undefined;
+  return text.split(',').map(field => field.trim()).filter(isOverridable);
+}
+
+const Overrides = {
+  OVERRIDABLE_FIELDS,
+  isOverridable,
+  isOverridden,
+  addOverride,
+  removeOverride,
+  inferOverrides,
+  serializeOverrides,
+  parseOverrides,
+};
+
+export default Overrides;
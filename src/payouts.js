@@ -0,0 +1,173 @@
+/**
+ * Payouts
+ *
+ * Post-close payouts we make out of our own NCI - assistant bonus, TC fee,
+ * client gifts... NCI less payouts is the take-home net after payouts,
+ * the third level below GCI and NCI.
+ *
+ * `transaction.payouts` is a list of line items:
+ *   { id, category: 'assistant' | 'tc' | 'gift' | 'other', label, type: 'amount' | 'percent', value }
+ *
+ * A percent payout is a percentage of NCI, rounded half up to the cent.
+ * New transactions start with the default payout lines saved under the
+ * `defaultPayouts` localStorage key (blank Assistant Bonus, TC Fee and
+ * Client Gift lines until customized in Settings).
+ *
+ * Transactions saved before payouts were itemized only have the old
+ * "FYI only" `assistantBonus` amount; it counts as an assistant payout.
+ *
+ * @version 1.0.0
+ */
+
+import { toCents, fromCents, toMoney, percentOfCents, sumMoney } from './money';
+import { createId } from './ids';
+
+const STORAGE_KEY = 'defaultPayouts';
+
+export const PAYOUT_CATEGORIES = [
+  { value: 'assistant', label: 'Assistant Bonus' },
+  { value: 'tc', label: 'TC Fee' },
+  { value: 'gift', label: 'Client Gift' },
+  { value: 'other', label: 'Other' },
+];
+
+const BUILT_IN_PAYOUTS = [
+  { id: 'assistantBonus', category: 'assistant', label: 'Assistant Bonus', type: 'amount', value: '' },
+  { id: 'tcFee', category: 'tc', label: 'TC Fee', type: 'amount', value: '' },
+  { id: 'clientGift', category: 'gift', label: 'Client Gift', type: 'amount', value: '' },
+];
+
+/**
+ * New blank payout line
+ */
+export function createPayout(overrides = {}) {
+  return {
+    id: createId('payout'),
+    category: 'other',
+    label: '',
+    type: 'amount',
+    value: '',
+    ...overrides,
+  };
+}
+
+/**
+ * Payout lines new transactions start with (saved defaults or the built-in ones)
+ */
+export function getDefaultPayouts() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    const lines = Array.isArray(saved) ? saved : BUILT_IN_PAYOUTS;
+    return lines.map(line => createPayout(line));
+  } catch (error) {
+    console.error('❌ Invalid saved default payouts, using built-in lines:', error);
+    return BUILT_IN_PAYOUTS.map(line => createPayout(line));
+  }
+}
+
+/**
+ * Save the payout lines new transactions start with
+ */
+export function saveDefaultPayouts(lines) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(
+    lines.map(({ id, category, label, type, value }) => ({ id, category, label, type, value }))
+  ));
+}
+
+/**
+ * Payout lines of a transaction (an old lone assistant bonus becomes a line)
+ */
+export function getPayouts(transaction) {
+  if (Array.isArray(transaction.payouts)) return transaction.payouts;
+  if (!parseFloat(transaction.assistantBonus)) return [];
+  return [createPayout({ ...BUILT_IN_PAYOUTS[0], value: String(transaction.assistantBonus) })];
+}
+
+/**
+ * Amount of one payout line in cents
+ */
+export function getPayoutCents(line, nciCents) {
+  return line.type === 'percent'
+    ? percentOfCents(nciCents, line.value)
+    : toCents(line.value);
+}
+
+/**
+ * Dollar amount of one payout line
+ */
+export function getPayoutAmount(line, nci) {
+  return fromCents(getPayoutCents(line, toCents(nci)));
+}
+
+/**
+ * Sum of the payout lines in cents
+ */
+export function sumPayoutCents(payouts, nciCents) {
+  if (!Array.isArray(payouts)) return 0;
+  return payouts.reduce((sum, line) => sum + getPayoutCents(line, nciCents), 0);
+}
+
+/**
+ * Payouts of one category on a transaction (e.g. the assistant bonus for the sheet)
+ */
+export function getCategoryPayout(transaction, category) {
+  return sumMoney(getPayouts(transaction)
+    .filter(line => line.category === category)
+    .map(line => getPayoutAmount(line, transaction.nci)));
+}
+
+/**
+ * Net after payouts of a transaction (worked out for ones saved without it)
+ */
+export function getNetAfterPayouts(transaction) {
+  const saved = transaction.netAfterPayouts;
+  if (saved !== '' && saved !== null && saved !== undefined) return toMoney(saved);
+
+  const nci = toCents(transaction.nci);
+  return fromCents(nci - sumPayoutCents(getPayouts(transaction), nci));
+}
+
+/**
+ * Payout lines as a single cell (Sheets / CSV). Lines without a value are dropped.
+ */
+export function serializePayouts(payouts) {
+  if (!Array.isArray(payouts)) return '';
+
+  const lines = payouts
+    .filter(line => parseFloat(line.value))
+    .map(({ id, category, label, type, value }) => ({ id, category, label, type, value }));
+
+  return lines.length > 0 ? JSON.stringify(lines) : '';
+}
+
+/**
+ * Payout lines from a Sheets / CSV cell (blank means not itemized)
+ */
+export function parsePayouts(value) {
+  if (!value) return undefined;
+
+  try {
+    const lines = JSON.parse(value);
+    return Array.isArray(lines) ? lines.map(line => createPayout(line)) : undefined;
+  } catch (error) {
+    console.warn('⚠️ Could not parse payout lines:', value);
+    return undefined;
+  }
+}
+
+const Payouts = {
+  PAYOUT_CATEGORIES,
+  createPayout,
+  getDefaultPayouts,
+  saveDefaultPayouts,
+  getPayouts,
+  getPayoutCents,
+  getPayoutAmount,
+  sumPayoutCents,
+  getCategoryPayout,
+  getNetAfterPayouts,
+  serializePayouts,
+  parsePayouts,
+};
+
+export default Payouts;
@@ -0,0 +1,293 @@
+/**
+ * Sheet Columns
+ *
+ * Column layout of the Transactions tab (row 1 is the header). Reading,
+ * writing, change tracking and the merge dialog all go through this one
+ * list, so a transaction means the same thing in every direction.
+ *
+ * Columns are found by their header, not their position: `getColumnLayout`
+ * matches row 1 against the headers below (case and punctuation aside) and
+ * the data source's saved column map (header → field, '' for a column the
+ * dashboard doesn't own). Headers it can't place are left to the user in
+ * the mapping editor; their columns, like any other the dashboard doesn't
+ * own, are never written. A column without a header keeps its A-AF place,
+ * and a column the sheet doesn't have yet is added after the last one.
+ *
+ * Derived columns (V: Assistant Bonus, AE: Net After Payouts) are written
+ * for people reading the sheet; the app works them out from the payout
+ * lines, so they are never compared or merged on their own.
+ *
+ * Every other transaction field (plan deductions like `eo` and `kwCares`,
+ * `notes`, `state`, `createdAt`, the saved breakdown...) goes to the
+ * Details tab as JSON, one row per transaction ID, so a deal comes back
+ * exactly as the form saved it. Transactions columns win over Details when
+ * both hold a field, so edits made in the sheet still count.
+ *
+ * @version 1.0.0
+ */
+
+import { getBrokerages, normalizeBrokerage, UNSET_BROKERAGE } from './brokerages';
+import { serializeDeductions, parseDeductions } from './deductions';
+import { toMoney, normalizeMoneyFields } from './money';
+import { serializeOverrides, parseOverrides } from './overrides';
+import { serializeGciComponents, parseGciComponents } from './gciComponents';
+import { serializePayouts, parsePayouts, getCategoryPayout, getNetAfterPayouts } from './payouts';
+
+/**
+ * Parse currency/number strings from Google Sheets
+ * Handles: "$1,234.56", "1234.56", "1,234", etc.
+ */
+export function parseCurrency(value) {
+  if (!value) return 0;
+  if (typeof value === 'number') return value;
+
+  // Remove currency symbols, commas, spaces
+  const cleaned = String(value).replace(/[$,\s]/g, '');
+  const parsed = parseFloat(cleaned);
+
+  return isNaN(parsed) ? 0 : parsed;
+}
+
+export const TRANSACTION_STATUSES = ['Closed', 'Pending', 'Active'];
+export const TRANSACTION_TYPES = ['Sale', 'Referral $ Received', 'Referral $ Paid'];
+
+const text = (field, fallback = '') => ({
+  field,
+  toSheet: t => t[field] || fallback,
+  fromSheet: value => value || fallback,
+});
+
+const money = field => ({
+  field,
+  format: 'currency',
+  toSheet: t => toMoney(t[field]),
+  fromSheet: parseCurrency,
+});
+
+// column, header, transaction field, sheet value of a transaction, field value of a cell
+// (format and dropdown options are applied to the sheet by sheetSchema.js)
+export const SHEET_COLUMNS = [
+  { column: 'A', header: 'Property Type', ...text('propertyType', 'Residential') },
+  { column: 'B', header: 'Client Type', ...text('clientType', 'Seller') },
+  { column: 'C', header: 'Source', ...text('source') },
+  { column: 'D', header: 'Address', ...text('address') },
+  { column: 'E', header: 'City', ...text('city') },
+  { column: 'F', header: 'List Price', ...money('listPrice') },
+  { column: 'G', header: 'Commission %', field: 'commissionPct', format: 'number', toSheet: t => parseCurrency(t.commissionPct), fromSheet: parseCurrency },
+  { column: 'H', header: 'List Date', format: 'date', ...text('listDate') },
+  { column: 'I', header: 'Closing Date', format: 'date', ...text('closingDate') },
+  {
+    column: 'J',
+    header: 'Brokerage',
+    field: 'brokerage',
+    options: getBrokerages().map(brokerage => brokerage.id),
+    toSheet: t => normalizeBrokerage(t.brokerage) || UNSET_BROKERAGE, // Canonical ID
+    fromSheet: value => normalizeBrokerage(value) || UNSET_BROKERAGE,
+  },
+  { column: 'K', header: 'Net Volume', ...money('netVolume') },
+  { column: 'L', header: 'Closed Price', ...money('closedPrice') },
+  { column: 'M', header: 'GCI', ...money('gci') },
+  { column: 'N', header: 'Referral %', field: 'referralPct', format: 'number', toSheet: t => parseCurrency(t.referralPct), fromSheet: parseCurrency },
+  { column: 'O', header: 'Referral $', ...money('referralDollar') },
+  { column: 'P', header: 'Adjusted GCI', ...money('adjustedGci') },
+  { column: 'Q', header: 'Pre-split Deduction', ...money('preSplitDeduction') },
+  { column: 'R', header: 'Brokerage Split', ...money('totalBrokerageFees') },
+  { column: 'S', header: 'Admin Fees/Other Deductions', ...money('otherDeductions') },
+  { column: 'T', header: 'NCI', ...money('nci') },
+  { column: 'U', header: 'Status', options: TRANSACTION_STATUSES, ...text('status', 'Closed') },
+  {
+    column: 'V',
+    header: 'Assistant Bonus',
+    field: 'assistantBonus',
+    format: 'currency',
+    derived: true, // Assistant payout lines (AD)
+    toSheet: t => getCategoryPayout(t, 'assistant'),
+    fromSheet: parseCurrency,
+  },
+  { column: 'W', header: "Buyer's Agent Split", ...money('buyersAgentSplit') },
+  { column: 'X', header: 'Transaction Type', options: TRANSACTION_TYPES, ...text('transactionType', 'Sale') },
+  { column: 'Y', header: 'Referring Agent', ...text('referringAgent') },
+  { column: 'Z', header: 'Referral Fee Received', ...money('referralFeeReceived') },
+  { column: 'AA', header: 'Deduction Lines', field: 'deductions', toSheet: t => serializeDeductions(t.deductions), fromSheet: parseDeductions },
+  { column: 'AB', header: 'Overrides', field: 'overrides', toSheet: t => serializeOverrides(t.overrides), fromSheet: parseOverrides },
+  { column: 'AC', header: 'GCI Components', field: 'gciComponents', toSheet: t => serializeGciComponents(t.gciComponents), fromSheet: parseGciComponents },
+  // Blank on rows saved before payouts were itemized (V is used instead)
+  { column: 'AD', header: 'Payouts', field: 'payouts', toSheet: t => serializePayouts(t.payouts), fromSheet: parsePayouts },
+  {
+    column: 'AE',
+    header: 'Net After Payouts',
+    field: 'netAfterPayouts',
+    format: 'currency',
+    derived: true, // NCI less payouts
+    toSheet: t => toMoney(getNetAfterPayouts(t)),
+    fromSheet: value => (value ? parseCurrency(value) : ''), // Blank on older rows
+  },
+  { column: 'AF', header: 'ID', field: 'id', toSheet: t => String(t.id), fromSheet: value => value || '' },
+];
+
+// Details tab: A: ID, B: Details (JSON of the fields without a column)
+export const DETAILS_SHEET_NAME = 'Details';
+export const DETAILS_HEADERS = ['ID', 'Details'];
+
+const COLUMN_FIELDS = new Set(SHEET_COLUMNS.map(column => column.field));
+
+/**
+ * Header text as compared ("Referral %" and "referral%" are the same)
+ */
+export function normalizeHeader(header) {
+  return String(header || '').toLowerCase().replace(/[^a-z0-9%$]/g, '');
+}
+
+/**
+ * Column letter of a 0-based column index (0 → A, 26 → AA)
+ */
+export function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Where each column is in a sheet, from its header row
+ *
+ * @param {Array<string>} headers - Row 1 of the tab
+ * @param {Object<string, string>} columnMap - Saved choices: header → field ('' = not the dashboard's)
+ * @returns {{
+ *   columns: Array<Object|null>,
+ *   indexes: Object<string, number>,
+ *   unknown: Array<{ index: number, header: string }>,
+ *   newHeaders: Array<{ index: number, header: string }>
+ * }} The column at each index (null for columns the dashboard doesn't
+ *   own), the index of each field, headers that matched nothing, and
+ *   headers to write for the columns placed without one
+ */
+export function getColumnLayout(headers = [], columnMap = {}) {
+  const byHeader = new Map(SHEET_COLUMNS.map(column => [normalizeHeader(column.header), column]));
+  const byField = new Map(SHEET_COLUMNS.map(column => [column.field, column]));
+  const columns = headers.map(() => null);
+  const indexes = {};
+  const unknown = [];
+  const newHeaders = [];
+
+  headers.forEach((header, index) => {
+    if (!String(header || '').trim()) return;
+    const mapped = header in columnMap ? columnMap[header] : undefined;
+    const column = mapped !== undefined ? byField.get(mapped) : byHeader.get(normalizeHeader(header));
+
+    if (column && !(column.field in indexes)) {
+      columns[index] = column;
+      indexes[column.field] = index;
+    } else if (mapped === undefined && !column) {
+      unknown.push({ index, header });
+    }
+  });
+
+  const place = (column, index) => {
+    columns[index] = column;
+    indexes[column.field] = index;
+    newHeaders.push({ index, header: column.header });
+  };
+
+  // Columns without a header keep their original place...
+  const unplaced = SHEET_COLUMNS.filter((column, position) => {
+    if (column.field in indexes) return false;
+    if (String(headers[position] || '').trim() || columns[position]) return true;
+    place(column, position);
+    return false;
+  });
+  // ...and the rest go after the last column
+  unplaced.forEach(column => place(column, Math.max(columns.length, headers.length)));
+
+  for (let index = 0; index < columns.length; index++) {
+    if (columns[index] === undefined) columns[index] = null;
+  }
+
+  return { columns, indexes, unknown, newHeaders };
+}
+
+// A-AF in order (sheets whose header row is blank)
+export const DEFAULT_LAYOUT = getColumnLayout();
+
+/**
+ * Sheet row of a transaction, one value per column of the layout
+ * (undefined in the columns the dashboard doesn't own)
+ */
+export function toSheetRow(transaction, layout = DEFAULT_LAYOUT) {
+  return layout.columns.map(column => (column ? column.toSheet(transaction) : undefined));
+}
+
+/**
+ * Fields of a transaction that have no Transactions column (its Details row)
+ */
+export function toDetails(transaction) {
+  return Object.fromEntries(Object.entries(transaction).filter(([field]) => !COLUMN_FIELDS.has(field)));
+}
+
+/**
+ * Transaction from a sheet row and its Details
+ *
+ * Without Details (rows added by hand, sheets from before the Details
+ * tab) the fields the sheet doesn't hold get their defaults; rows without
+ * an ID come back with a blank `id`.
+ */
+export function fromSheetRow(row, details = null, layout = DEFAULT_LAYOUT) {
+  const transaction = {
+    state: 'CA', // Not in sheet, default to CA
+    zip: '', // Not in sheet
+    notes: '',
+    ...details,
+  };
+
+  SHEET_COLUMNS.forEach(column => {
+    transaction[column.field] = column.fromSheet(row[layout.indexes[column.field]]);
+  });
+  if (!details || !('companyDollar' in details)) {
+    transaction.companyDollar = transaction.totalBrokerageFees; // Using brokerage split
+  }
+
+  return normalizeMoneyFields(transaction);
+}
+
+/**
+ * Details row (ID, JSON) of a transaction
+ */
+export function toDetailsRow(transaction) {
+  return [String(transaction.id), JSON.stringify(toDetails(transaction))];
+}
+
+/**
+ * Details from a Details row's JSON cell (null when blank or unreadable)
+ */
+export function parseDetails(value) {
+  if (!value) return null;
+
+  try {
+    const details = JSON.parse(value);
+    return details && typeof details === 'object' && !Array.isArray(details) ? details : null;
+  } catch (error) {
+    console.warn('⚠️ Could not parse transaction details:', value);
+    return null;
+  }
+}
+
+const SheetColumns = {
+  TRANSACTION_STATUSES,
+  TRANSACTION_TYPES,
+  SHEET_COLUMNS,
+  DETAILS_SHEET_NAME,
+  DETAILS_HEADERS,
+  DEFAULT_LAYOUT,
+  parseCurrency,
+  normalizeHeader,
+  columnLetter,
+  getColumnLayout,
+  toSheetRow,
+  fromSheetRow,
+  toDetails,
+  toDetailsRow,
+  parseDetails,
+};
+
+export default SheetColumns;
@@ -0,0 +1,112 @@
+import { SHEET_COLUMNS, toSheetRow, toDetailsRow, fromSheetRow, parseDetails, getColumnLayout, columnLetter } from './sheetColumns';
+import { migrateTransactionBrokerages } from './brokerages';
+
+// Cells come back from the API as text
+const readBack = transaction => {
+  const [, details] = toDetailsRow(transaction);
+  return fromSheetRow(toSheetRow(transaction).map(String), parseDetails(details));
+};
+
+describe('sheet round trip', () => {
+  const saved = {
+    id: '1718000000000',
+    propertyType: 'Residential',
+    clientType: 'Seller',
+    transactionType: 'Sale',
+    source: 'Sphere',
+    address: '77 Desert Rose Dr',
+    city: 'Palm Desert',
+    state: 'CA',
+    zip: '92260',
+    brokerage: 'KW',
+    listPrice: 1100000,
+    closedPrice: 1050000,
+    commissionPct: 2.5,
+    listDate: '2024-03-01',
+    closingDate: '2024-04-15',
+    gci: 26250,
+    referralPct: 0,
+    referralDollar: 0,
+    adjustedGci: 26250,
+    eo: 25,
+    royalty: 1575,
+    companyDollar: 2625,
+    kwCares: 10,
+    totalBrokerageFees: 4235,
+    nci: 22015,
+    status: 'Closed',
+    notes: 'Seller paid the home warranty',
+    overrides: ['royalty'],
+    createdAt: '2024-04-16T17:00:00.000Z',
+    updatedAt: '2024-04-16T17:00:00.000Z',
+  };
+
+  test('every field the form saved comes back', () => {
+    const read = readBack(saved);
+    Object.entries(saved).forEach(([field, value]) => {
+      expect([field, read[field]]).toEqual([field, value]);
+    });
+  });
+
+  test('sheet columns win over Details', () => {
+    const row = toSheetRow(saved).map(String);
+    row[19] = '21000'; // T: NCI edited in Sheets
+    const read = fromSheetRow(row, parseDetails(toDetailsRow({ ...saved, nci: 22015 })[1]));
+    expect(read.nci).toBe(21000);
+    expect(read.kwCares).toBe(10);
+  });
+
+  test('rows without Details get the defaults', () => {
+    const read = fromSheetRow(toSheetRow(saved).map(String));
+    expect(read.state).toBe('CA');
+    expect(read.notes).toBe('');
+    expect(read.companyDollar).toBe(4235);
+  });
+
+  test('a blank brokerage is BDH, as older sheets left it', () => {
+    const row = toSheetRow(saved).map(String);
+    row[9] = ''; // J: Brokerage
+    expect(fromSheetRow(row).brokerage).toBe('BDH');
+    expect(migrateTransactionBrokerages([{ ...saved, brokerage: '' }, saved]).transactions.map(t => t.brokerage)).toEqual(['BDH', 'KW']);
+  });
+});
+
+describe('getColumnLayout', () => {
+  const headers = SHEET_COLUMNS.map(column => column.header);
+
+  test('finds columns by header after one is inserted', () => {
+    const layout = getColumnLayout(['My Notes', ...headers]);
+    const deal = { id: 'a', address: '1 Main St', nci: 10000 };
+    const row = toSheetRow(deal, layout);
+
+    expect(row[0]).toBeUndefined(); // Never written
+    expect(layout.indexes.address).toBe(4);
+    expect(layout.unknown).toEqual([{ index: 0, header: 'My Notes' }]);
+    expect(fromSheetRow(['Call Tuesday', ...row.slice(1).map(String)], null, layout)).toMatchObject(deal);
+  });
+
+  test('ignores case and punctuation, and takes the saved column map', () => {
+    const layout = getColumnLayout(['ADDRESS', 'Net Commission', 'Deal #'], { 'Net Commission': 'nci', 'Deal #': '' });
+    expect(layout.indexes.address).toBe(0);
+    expect(layout.indexes.nci).toBe(1);
+    expect(layout.columns[2]).toBeNull();
+    expect(layout.unknown).toEqual([]);
+  });
+
+  test('puts headerless columns in their usual place and adds the rest after the last', () => {
+    const layout = getColumnLayout(['Property Type', '', 'Mine']);
+    expect(layout.indexes.clientType).toBe(1);
+    expect(layout.indexes.source).toBe(SHEET_COLUMNS.length); // C is taken
+    expect(layout.newHeaders).toContainEqual({ index: 1, header: 'Client Type' });
+    expect(layout.columns).toHaveLength(SHEET_COLUMNS.length + 1);
+  });
+
+  test('a blank header row is the A-AF layout', () => {
+    const layout = getColumnLayout([]);
+    expect(layout.columns.map(column => column.column)).toEqual(SHEET_COLUMNS.map(column => column.column));
+  });
+});
+
+test('columnLetter', () => {
+  expect([0, 25, 26, 31, 701, 702].map(columnLetter)).toEqual(['A', 'Z', 'AA', 'AF', 'ZZ', 'AAA']);
+});
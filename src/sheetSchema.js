@@ -0,0 +1,147 @@
+/**
+ * Sheet Schema
+ *
+ * Versions of the Transactions tab layout and the batchUpdate requests
+ * that bring a tab up to the current one: missing headers (see
+ * getColumnLayout in sheetColumns.js), a bold frozen header row, number
+ * and date formats, and dropdowns for Status, Brokerage and Transaction
+ * Type. The version a tab was last brought up to is kept in its
+ * developer metadata, so the upgrade runs once per tab.
+ *
+ * Versions:
+ *   1 - A-W (the original layout)
+ *   2 - A-Z (3.5: Transaction Type, Referring Agent, Referral Fee Received)
+ *   3 - A-AF (deduction lines, overrides, GCI components, payouts, ID)
+ *
+ * @version 1.0.0
+ */
+
+import { SHEET_COLUMNS } from './sheetColumns';
+
+export const SCHEMA_VERSION = 3;
+export const SCHEMA_METADATA_KEY = 'commissionDashboardSchema';
+
+// Last default column of each version
+const VERSION_COLUMNS = [
+  { version: 1, lastColumn: 'W' },
+  { version: 2, lastColumn: 'Z' },
+  { version: 3, lastColumn: 'AF' },
+];
+
+export const NUMBER_FORMATS = {
+  currency: { type: 'CURRENCY', pattern: '"$"#,##0.00' },
+  number: { type: 'NUMBER', pattern: '0.###' }, // Shown rounded; read unformatted, so 2.4125 stays 2.4125
+  date: { type: 'DATE', pattern: 'yyyy-mm-dd' }, // Read back the way the form saves dates
+};
+
+/**
+ * Layout version a tab's headers look like (0 for a blank header row)
+ *
+ * @param {Object} layout - getColumnLayout() of the tab, before any columns were placed
+ */
+export function detectSchemaVersion(layout) {
+  const placed = new Set(layout.newHeaders.map(({ index }) => index));
+  const present = SHEET_COLUMNS.map((column, position) => ({ column, position }))
+    .filter(({ column }) => !placed.has(layout.indexes[column.field]))
+    .map(({ position }) => position);
+  if (present.length === 0) return 0;
+
+  const last = Math.max(...present);
+  const match = VERSION_COLUMNS.find(({ lastColumn }) => SHEET_COLUMNS.findIndex(column => column.column === lastColumn) >= last);
+  return match ? match.version : SCHEMA_VERSION;
+}
+
+/**
+ * batchUpdate requests formatting a tab for its layout
+ *
+ * @param {number} tabId - Numeric tab ID
+ * @param {Object} layout - getColumnLayout() of the tab
+ */
+export function getSchemaRequests(tabId, layout) {
+  const dataRange = index => ({ sheetId: tabId, startRowIndex: 1, startColumnIndex: index, endColumnIndex: index + 1 });
+  const requests = [
+    {
+      updateSheetProperties: {
+        properties: { sheetId: tabId, gridProperties: { frozenRowCount: 1 } },
+        fields: 'gridProperties.frozenRowCount',
+      },
+    },
+    {
+      repeatCell: {
+        range: { sheetId: tabId, startRowIndex: 0, endRowIndex: 1 },
+        cell: { userEnteredFormat: { textFormat: { bold: true } } },
+        fields: 'userEnteredFormat.textFormat.bold',
+      },
+    },
+  ];
+
+  layout.columns.forEach((column, index) => {
+    if (!column) return;
+
+    if (column.format) {
+      requests.push({
+        repeatCell: {
+          range: dataRange(index),
+          cell: { userEnteredFormat: { numberFormat: NUMBER_FORMATS[column.format] } },
+          fields: 'userEnteredFormat.numberFormat',
+        },
+      });
+    }
+
+    // Not strict: older rows with other values still load and save
+    if (column.options) {
+      requests.push({
+        setDataValidation: {
+          range: dataRange(index),
+          rule: {
+            condition: { type: 'ONE_OF_LIST', values: column.options.map(value => ({ userEnteredValue: value })) },
+            strict: false,
+            showCustomUi: true,
+          },
+        },
+      });
+    }
+  });
+
+  return requests;
+}
+
+/**
+ * batchUpdate request recording the current schema version on a tab
+ *
+ * @param {number} tabId - Numeric tab ID
+ * @param {number|null} metadataId - The tab's existing version metadata, if any
+ */
+export function getSchemaVersionRequest(tabId, metadataId = null) {
+  if (metadataId !== null) {
+    return {
+      updateDeveloperMetadata: {
+        dataFilters: [{ developerMetadataLookup: { metadataId } }],
+        developerMetadata: { metadataValue: String(SCHEMA_VERSION) },
+        fields: 'metadataValue',
+      },
+    };
+  }
+
+  return {
+    createDeveloperMetadata: {
+      developerMetadata: {
+        metadataKey: SCHEMA_METADATA_KEY,
+        metadataValue: String(SCHEMA_VERSION),
+        location: { sheetId: tabId },
+        visibility: 'DOCUMENT',
+      },
+    },
+  };
+}
+
+const SheetSchema = {
+  SCHEMA_VERSION,
+  SCHEMA_METADATA_KEY,
+  NUMBER_FORMATS,
+  detectSchemaVersion,
+  getSchemaRequests,
+  getSchemaVersionRequest,
+};
+
+export default SheetSchema;
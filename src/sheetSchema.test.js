@@ -0,0 +1,43 @@
+import { SHEET_COLUMNS, getColumnLayout } from './sheetColumns';
+import { SCHEMA_VERSION, detectSchemaVersion, getSchemaRequests, getSchemaVersionRequest } from './sheetSchema';
+
+const headersThrough = lastColumn => SHEET_COLUMNS
+  .slice(0, SHEET_COLUMNS.findIndex(column => column.column === lastColumn) + 1)
+  .map(column => column.header);
+
+describe('detectSchemaVersion', () => {
+  test('tells the layouts apart by their headers', () => {
+    expect(detectSchemaVersion(getColumnLayout([]))).toBe(0);
+    expect(detectSchemaVersion(getColumnLayout(headersThrough('W')))).toBe(1);
+    expect(detectSchemaVersion(getColumnLayout(headersThrough('Z')))).toBe(2);
+    expect(detectSchemaVersion(getColumnLayout(headersThrough('AF')))).toBe(SCHEMA_VERSION);
+  });
+
+  test('a 3.4 sheet gets the 3.5 columns in X-Z', () => {
+    const layout = getColumnLayout(headersThrough('W'));
+    expect(layout.newHeaders.slice(0, 3)).toEqual([
+      { index: 23, header: 'Transaction Type' },
+      { index: 24, header: 'Referring Agent' },
+      { index: 25, header: 'Referral Fee Received' },
+    ]);
+  });
+});
+
+describe('getSchemaRequests', () => {
+  test('formats and validates the columns where the layout has them', () => {
+    const layout = getColumnLayout(['My Notes', ...headersThrough('AF')]);
+    const requests = getSchemaRequests(7, layout);
+
+    const status = requests.find(r => r.setDataValidation && r.setDataValidation.range.startColumnIndex === layout.indexes.status);
+    expect(status.setDataValidation.rule.condition.values.map(v => v.userEnteredValue)).toEqual(['Closed', 'Pending', 'Active']);
+
+    const formatted = requests.filter(r => r.repeatCell && r.repeatCell.range.startRowIndex === 1);
+    expect(formatted.map(r => r.repeatCell.range.startColumnIndex)).not.toContain(0);
+    expect(formatted.find(r => r.repeatCell.range.startColumnIndex === layout.indexes.nci).repeatCell.cell.userEnteredFormat.numberFormat.type).toBe('CURRENCY');
+  });
+});
+
+test('getSchemaVersionRequest updates existing metadata or creates it', () => {
+  expect(getSchemaVersionRequest(7, 42).updateDeveloperMetadata.dataFilters[0].developerMetadataLookup.metadataId).toBe(42);
+  expect(getSchemaVersionRequest(7).createDeveloperMetadata.developerMetadata.location).toEqual({ sheetId: 7 });
+});
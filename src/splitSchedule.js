@@ -0,0 +1,146 @@
+/**
+ * Split Schedule
+ *
+ * Graduated agent split driven by year-to-date GCI (BDH).
+ *
+ * A schedule is a list of tiers, each starting at a YTD Adjusted GCI
+ * threshold (`from`) with the agent's split % for that tier. Deals are
+ * walked in closing-date order within the plan year (`splitYearStart`,
+ * "MM-DD"). A deal that crosses a threshold is prorated: the part of its
+ * GCI below the threshold is split at the lower tier, the rest at the next.
+ *
+ * @version 1.0.0
+ */
+
+import { getCapYear, parseClosingDate, compareClosing, getRecalculatedFields } from './capTracking';
+import { normalizeBrokerage } from './brokerages';
+import { sumMoney, toMoney } from './money';
+
+/**
+ * Tiered split rule of a plan, if it has one
+ */
+export function getTieredSplitRule(plan) {
+  if (!plan) return null;
+  return plan.rules.find(rule => rule.type === 'tieredSplit') || null;
+}
+
+/**
+ * Split a deal's GCI across the tiers it falls into
+ *
+ * @param {Array<{ from: number, agentPct: number }>} tiers - Split schedule
+ * @param {number} ytdGci - Adjusted GCI closed earlier in the plan year
+ * @param {number} dealGci - This deal's Adjusted GCI
+ * @returns {Array<{ tier: number, from: number, to: number, agentPct: number, amount: number, fraction: number }>}
+ */
+export function getTierBreakdown(tiers, ytdGci, dealGci) {
+  const sorted = [...tiers].sort((a, b) => a.from - b.from);
+  if (sorted.length === 0) return [];
+
+  const bounds = sorted.map((tier, index) => ({
+    tier: index + 1,
+    from: tier.from,
+    to: index + 1 < sorted.length ? sorted[index + 1].from : Infinity,
+    agentPct: tier.agentPct,
+  }));
+
+  const start = ytdGci;
+  const end = ytdGci + dealGci;
+
+  // Nothing to prorate - the whole deal sits in the tier YTD has reached
+  if (end <= start) {
+    const current = [...bounds].reverse().find(tier => tier.from <= start) || bounds[0];
+    return [{ ...current, amount: dealGci, fraction: 1 }];
+  }
+
+  return bounds
+    .map(tier => {
+      const amount = Math.min(end, tier.to) - Math.max(start, tier.from);
+      return amount > 0 ? { ...tier, amount, fraction: amount / (end - start) } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Adjusted GCI closed in the plan year before a date
+ *
+ * Deals closing the same day count when they come before `excludeId` in
+ * closing order (all of them for a new deal), as applySplitSchedule walks them.
+ */
+export function getSplitYtdBefore(transactions, plan, asOf, { excludeId = null } = {}) {
+  if (!getTieredSplitRule(plan)) return 0;
+
+  const when = asOf || new Date();
+  const { start } = getCapYear(plan.splitYearStart, when);
+  const self = { transaction: { id: excludeId }, date: when };
+  const closesFirst = dated => dated.date < when
+    || (dated.date.getTime() === when.getTime() && (excludeId === null || compareClosing(dated, self) < 0));
+
+  const closed = transactions
+    .filter(t => normalizeBrokerage(t.brokerage) === plan.id && t.id !== excludeId)
+    .map(t => ({ transaction: t, date: parseClosingDate(t.closingDate) }))
+    .filter(dated => dated.date && dated.date >= start && closesFirst(dated))
+    .map(({ transaction }) => transaction.adjustedGci);
+
+  return sumMoney(closed);
+}
+
+/**
+ * Tiers a saved deal fell into (for the detail modal)
+ *
+ * @returns {{ manualPct: number } | { tiers: Array } | null}
+ */
+export function getDealSplitTiers(transactions, plan, transaction) {
+  const rule = getTieredSplitRule(plan);
+  if (!rule) return null;
+
+  const manualPct = parseFloat(transaction[rule.splitField]);
+  if (manualPct) return { manualPct };
+
+  const ytdGci = getSplitYtdBefore(transactions, plan, parseClosingDate(transaction.closingDate), { excludeId: transaction.id });
+  return { tiers: getTierBreakdown(rule.tiers, ytdGci, toMoney(transaction.adjustedGci)) };
+}
+
+/**
+ * Recompute a plan's deals in closing-date order
+ *
+ * @param {Array} transactions - All transactions
+ * @param {Object} plan - Commission plan with a tiered split
+ * @param {Function} calculate - (transaction, { ytdGci }) => calculated fields
+ * @param {Object} options
+ * @param {Date} [options.asOf] - Only recompute the plan year containing this date
+ * @returns {Array} Transactions with updated fees, NCI and payouts (getRecalculatedFields)
+ */
+export function applySplitSchedule(transactions, plan, calculate, { asOf = null } = {}) {
+  if (!getTieredSplitRule(plan)) return transactions;
+
+  const onlyYear = asOf ? getCapYear(plan.splitYearStart, asOf).start.getTime() : null;
+  const ytdByYear = {};
+  const updates = {};
+
+  transactions
+    .filter(t => normalizeBrokerage(t.brokerage) === plan.id)
+    .map(t => ({ transaction: t, date: parseClosingDate(t.closingDate) }))
+    .filter(({ date }) => date)
+    .sort(compareClosing)
+    .forEach(({ transaction, date }) => {
+      const year = getCapYear(plan.splitYearStart, date).start.getTime();
+      if (onlyYear !== null && year !== onlyYear) return;
+
+      const ytdGci = ytdByYear[year] || 0;
+      const calculated = calculate(transaction, { ytdGci });
+      updates[transaction.id] = getRecalculatedFields(calculated, plan);
+      ytdByYear[year] = sumMoney([ytdGci, calculated.adjustedGci]);
+    });
+
+  return transactions.map(t => (updates[t.id] ? { ...t, ...updates[t.id] } : t));
+}
+
+const SplitSchedule = {
+  getTieredSplitRule,
+  getTierBreakdown,
+  getSplitYtdBefore,
+  getDealSplitTiers,
+  applySplitSchedule,
+};
+
+export default SplitSchedule;
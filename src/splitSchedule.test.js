@@ -0,0 +1,97 @@
+import { getTierBreakdown, getSplitYtdBefore, getDealSplitTiers, applySplitSchedule } from './splitSchedule';
+import { parseClosingDate } from './capTracking';
+import { calculateTransaction } from './commissionCalculator';
+import { getCommissionPlan, saveCommissionPlan, evaluatePlan } from './commissionPlans';
+import { getNetAfterPayouts } from './payouts';
+
+// BDH with an 80% split up to $20,000 YTD and 90% after
+const tieredPlan = () => {
+  const plan = getCommissionPlan('BDH');
+  return {
+    ...plan,
+    rules: plan.rules.map(rule => (rule.type === 'tieredSplit'
+      ? { ...rule, tiers: [{ from: 0, agentPct: 80 }, { from: 20000, agentPct: 90 }] }
+      : rule)),
+  };
+};
+
+beforeEach(() => {
+  localStorage.clear();
+  saveCommissionPlan(tieredPlan());
+});
+
+describe('getTierBreakdown', () => {
+  const tiers = [{ from: 50000, agentPct: 95 }, { from: 0, agentPct: 80 }, { from: 20000, agentPct: 90 }];
+
+  test('a deal crossing thresholds is prorated across each tier it touches', () => {
+    expect(getTierBreakdown(tiers, 15000, 40000)).toEqual([
+      { tier: 1, from: 0, to: 20000, agentPct: 80, amount: 5000, fraction: 0.125 },
+      { tier: 2, from: 20000, to: 50000, agentPct: 90, amount: 30000, fraction: 0.75 },
+      { tier: 3, from: 50000, to: Infinity, agentPct: 95, amount: 5000, fraction: 0.125 },
+    ]);
+  });
+
+  test('a deal ending or starting on a threshold stays in one tier', () => {
+    expect(getTierBreakdown(tiers, 10000, 10000).map(t => [t.tier, t.amount, t.fraction])).toEqual([[1, 10000, 1]]);
+    expect(getTierBreakdown(tiers, 20000, 10000).map(t => [t.tier, t.amount, t.fraction])).toEqual([[2, 10000, 1]]);
+  });
+
+  test('a deal with no GCI sits in the tier YTD has reached', () => {
+    expect(getTierBreakdown(tiers, 60000, 0).map(t => [t.tier, t.amount])).toEqual([[3, 0]]);
+  });
+
+  test('the prorated tier shares add up to the split base to the cent', () => {
+    // $10,000.01 Adjusted GCI from $15,000 YTD: 6% pre-split leaves $9,400.01,
+    // $4,700.00 of it at 80% and the leftover $4,700.01 at 90%
+    const data = { brokerage: 'BDH', overrides: [] };
+    const { fees } = evaluatePlan(tieredPlan(), data, 10000.01, { ytdGci: 15000 });
+    const split = fees.find(fee => fee.id === 'brokerageSplit'); // The split base less the agent's share
+    expect(Math.round((9400.01 - split.amount) * 100)).toBe(376000 + 423001);
+  });
+});
+
+describe('applySplitSchedule', () => {
+  test('a deal pushed across a tier gets its payouts and net after payouts worked out again', () => {
+    const saved = [
+      { id: 'b', brokerage: 'BDH', closingDate: '2024-03-01', closedPrice: 400000, commissionPct: 2.5,
+        payouts: [{ id: 'tcFee', category: 'tc', label: 'TC Fee', type: 'percent', value: '10' }] },
+      { id: 'a', brokerage: 'BDH', closingDate: '2024-02-01', closedPrice: 500000, commissionPct: 3, payouts: [] },
+    ].map(t => ({ ...t, ...calculateTransaction(t, { ytdGci: 0 }) })); // Each saved as if it were the first deal
+    const before = saved[0];
+
+    const [after] = applySplitSchedule(saved, tieredPlan(), (t, context) => calculateTransaction(t, context));
+
+    // $5,000 of it now splits at 90%: 10% more of that half of the $9,400 base
+    expect([before.nci, before.netAfterPayouts]).toEqual([7520, 6768]);
+    expect([after.nci, after.totalPayouts, after.netAfterPayouts]).toEqual([7990, 799, 7191]);
+    expect(getNetAfterPayouts(after)).toBe(7191);
+  });
+});
+
+describe('same-day deals', () => {
+  // Two $15,000 deals closing the same day: the one with the lower ID goes first
+  const recalculate = () => applySplitSchedule(
+    ['1718000000002', '1718000000001']
+      .map(id => ({ id, brokerage: 'BDH', closingDate: '2024-05-01', closedPrice: 500000, commissionPct: 3, overrides: [] }))
+      .map(t => ({ ...t, ...calculateTransaction(t, { ytdGci: 0 }) })),
+    tieredPlan(),
+    (t, context) => calculateTransaction(t, context)
+  );
+
+  test('the form and detail modal see the YTD the schedule saved with', () => {
+    const [second, first] = recalculate();
+    const may1 = parseClosingDate('2024-05-01');
+
+    expect(getSplitYtdBefore([first, second], tieredPlan(), may1, { excludeId: first.id })).toBe(0);
+    expect(getSplitYtdBefore([first, second], tieredPlan(), may1, { excludeId: second.id })).toBe(15000);
+    expect(getDealSplitTiers([first, second], tieredPlan(), second).tiers.map(t => [t.agentPct, t.amount]))
+      .toEqual([[80, 5000], [90, 10000]]);
+
+    const preview = calculateTransaction(second, { ytdGci: getSplitYtdBefore([first, second], tieredPlan(), may1, { excludeId: second.id }) });
+    expect(preview.nci).toBe(second.nci);
+  });
+
+  test('a new deal that day comes after both', () => {
+    expect(getSplitYtdBefore(recalculate(), tieredPlan(), parseClosingDate('2024-05-01'))).toBe(30000);
+  });
+});
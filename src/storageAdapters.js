@@ -0,0 +1,245 @@
+/**
+ * Storage Adapters
+ *
+ * Where transactions are kept. The dashboard only talks to this contract,
+ * so another backend is one more entry in STORAGE_ADAPTERS:
+ *
+ *   list(options)           - Promise<Array> of every transaction;
+ *                             { readOnly: true } for background checks,
+ *                             which must not write (Google Sheets leaves
+ *                             rows typed in without an ID for the next sync)
+ *   get(id)                 - Promise<Object|null>
+ *   put(transaction|Array)  - Promise; adds or replaces by ID, order kept
+ *   delete(id|Array)        - Promise; unknown IDs are ignored
+ *   subscribe(listener)     - calls listener() when the transactions may
+ *                             have changed elsewhere; returns unsubscribe
+ *   isAvailable()           - Promise<boolean>, whether it can be reached
+ *                             now (signed in, for example)
+ *   init()                  - Promise<boolean> at startup, whether it is
+ *                             signed in (a sign-in that left the page ends here)
+ *   connect()               - Promise; signs in (Google Sheets leaves the
+ *                             page and comes back through init())
+ *   disconnect()            - Promise; signs out
+ *   onConnect(listener)     - calls listener({ signIn }) when it can be
+ *                             reached again - after a sign-in, or a renewed
+ *                             session (signIn false) - and listener({ error })
+ *                             when a sign-in failed; returns unsubscribe
+ *
+ * createStorageAdapter() adds the `id` and `name` (for messages) from
+ * STORAGE_ADAPTERS.
+ *
+ * The browser copy (localStorage) is always kept; the adapter picked in
+ * Settings is where changes are synced to, through the outbox
+ * (syncOutbox.js) and the conflict checks (syncConflicts.js). The memory
+ * adapter is for tests.
+ *
+ * @version 1.0.0
+ */
+
+import * as GoogleSheetsService from './googleSheetsService';
+
+const TRANSACTIONS_KEY = 'realEstateTransactions';
+const SETTING_KEY = 'storageAdapter';
+
+const toList = value => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Transactions with some added or replaced by ID (replaced ones keep
+ * their place, new ones go last)
+ */
+function upsert(transactions, changed) {
+  const changedById = new Map(changed.map(t => [String(t.id), t]));
+  const ids = new Set(transactions.map(t => String(t.id)));
+  return [
+    ...transactions.map(t => changedById.get(String(t.id)) || t),
+    ...[...changedById.values()].filter(t => !ids.has(String(t.id))),
+  ];
+}
+
+/**
+ * Adapter over a list kept in one place (memory, a localStorage key)
+ */
+function createListAdapter({ read, write, watch = () => () => {} }) {
+  const listeners = new Set();
+  const save = transactions => {
+    write(transactions);
+    listeners.forEach(listener => listener());
+  };
+
+  return {
+    isAvailable: async () => true,
+    init: async () => true,
+    connect: async () => {},
+    disconnect: async () => {},
+    onConnect: () => () => {},
+    list: async () => read(),
+    get: async id => read().find(t => String(t.id) === String(id)) || null,
+    put: async value => save(upsert(read(), toList(value))),
+    delete: async value => {
+      const ids = new Set(toList(value).map(String));
+      save(read().filter(t => !ids.has(String(t.id))));
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      const unwatch = watch(listener);
+      return () => {
+        listeners.delete(listener);
+        unwatch();
+      };
+    },
+  };
+}
+
+/**
+ * In-memory adapter (tests)
+ *
+ * @param {Array} [initial] - Transactions to start with
+ */
+export function createMemoryAdapter(initial = []) {
+  let transactions = [...initial];
+  return createListAdapter({
+    read: () => [...transactions],
+    write: next => { transactions = next; },
+  });
+}
+
+/**
+ * This browser's localStorage (other tabs' changes are reported too)
+ *
+ * @param {{ key?: string }} [options]
+ */
+export function createLocalStorageAdapter({ key = TRANSACTIONS_KEY } = {}) {
+  return createListAdapter({
+    read: () => {
+      try {
+        const saved = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(saved) ? saved : [];
+      } catch (error) {
+        console.error('❌ Invalid saved transactions:', error);
+        return [];
+      }
+    },
+    write: transactions => localStorage.setItem(key, JSON.stringify(transactions)),
+    watch: listener => {
+      const handleStorage = event => {
+        if (event.key === key) listener();
+      };
+      window.addEventListener('storage', handleStorage);
+      return () => window.removeEventListener('storage', handleStorage);
+    },
+  });
+}
+
+/**
+ * The active data source's spreadsheet (see googleSheetsService.js)
+ *
+ * put() and delete() each write one all-or-nothing batchUpdate. Changes
+ * made in Sheets are found by polling a checksum of the tab. The data
+ * source methods at the end are for Settings and only this adapter has them.
+ *
+ * @param {{ pollMinutes?: number }} [options] - Minutes between checks (0 = off)
+ */
+export function createGoogleSheetsAdapter({ pollMinutes = 5 } = {}) {
+  return {
+    isAvailable: () => GoogleSheetsService.ensureValidToken(),
+    init: async () => {
+      await GoogleSheetsService.initialize();
+      return GoogleSheetsService.hasValidToken();
+    },
+    connect: async () => {
+      await GoogleSheetsService.initialize();
+      await GoogleSheetsService.signIn();
+    },
+    disconnect: () => GoogleSheetsService.signOut(),
+    onConnect(listener) {
+      const handleSignIn = () => listener({ signIn: true });
+      const handleRenewal = () => listener({ signIn: false });
+      const handleFailure = event => listener({ error: event.detail.error });
+      window.addEventListener('googleAuthSuccess', handleSignIn);
+      window.addEventListener('googleTokenRefreshed', handleRenewal);
+      window.addEventListener('googleAuthError', handleFailure);
+      return () => {
+        window.removeEventListener('googleAuthSuccess', handleSignIn);
+        window.removeEventListener('googleTokenRefreshed', handleRenewal);
+        window.removeEventListener('googleAuthError', handleFailure);
+      };
+    },
+    list: ({ readOnly = false } = {}) => GoogleSheetsService.readTransactions({ writeIds: !readOnly }),
+    get: async id => (await GoogleSheetsService.readTransactions()).find(t => String(t.id) === String(id)) || null,
+    put: async value => {
+      // Rows not in the sheet yet are appended
+      await GoogleSheetsService.syncTransactionChanges({ updated: toList(value) });
+    },
+    delete: async value => {
+      await GoogleSheetsService.syncTransactionChanges({ deleted: toList(value).map(String) });
+    },
+    subscribe(listener) {
+      if (!pollMinutes) return () => {};
+
+      // The first checksum is what the dashboard just loaded, not a change
+      let checksum = null;
+      const check = async () => {
+        if (!navigator.onLine || document.hidden) return;
+        try {
+          const next = await GoogleSheetsService.getSheetChecksum();
+          const changed = checksum !== null && next !== checksum;
+          checksum = next;
+          if (changed) listener();
+        } catch (error) {
+          // Quiet - the next check tries again
+          console.error('Error checking Google Sheets for changes:', error);
+        }
+      };
+
+      check();
+      const timer = setInterval(check, pollMinutes * 60 * 1000);
+      return () => clearInterval(timer);
+    },
+    getSpreadsheetTabs: spreadsheetId => GoogleSheetsService.getSpreadsheetTabs(spreadsheetId),
+    validateSource: source => GoogleSheetsService.validateSheetSource(source),
+    readColumnLayout: columnMap => GoogleSheetsService.readColumnLayout(columnMap),
+  };
+}
+
+// Choices for Settings → Storage
+export const STORAGE_ADAPTERS = [
+  { id: 'local', name: 'This browser only', create: createLocalStorageAdapter },
+  { id: 'googleSheets', name: 'Google Sheets', create: createGoogleSheetsAdapter },
+];
+
+/**
+ * Storage picked in Settings (from the old Google Sheets switch before
+ * there was a choice)
+ */
+export function getStorageAdapterId() {
+  const saved = localStorage.getItem(SETTING_KEY);
+  if (STORAGE_ADAPTERS.some(adapter => adapter.id === saved)) return saved;
+  return localStorage.getItem('googleSheetsEnabled') === 'true' ? 'googleSheets' : 'local';
+}
+
+export function setStorageAdapterId(id) {
+  localStorage.setItem(SETTING_KEY, id);
+}
+
+/**
+ * Adapter for a STORAGE_ADAPTERS ID (the first one for an unknown ID)
+ *
+ * @param {string} id
+ * @param {Object} [options] - Passed to the adapter, e.g. { pollMinutes }
+ */
+export function createStorageAdapter(id, options) {
+  const entry = STORAGE_ADAPTERS.find(adapter => adapter.id === id) || STORAGE_ADAPTERS[0];
+  return { ...entry.create(options), id: entry.id, name: entry.name };
+}
+
+const StorageAdapters = {
+  STORAGE_ADAPTERS,
+  createMemoryAdapter,
+  createLocalStorageAdapter,
+  createGoogleSheetsAdapter,
+  createStorageAdapter,
+  getStorageAdapterId,
+  setStorageAdapterId,
+};
+
+export default StorageAdapters;
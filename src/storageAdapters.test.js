@@ -0,0 +1,163 @@
+import * as GoogleSheetsService from './googleSheetsService';
+import { createMemoryAdapter, createLocalStorageAdapter, createGoogleSheetsAdapter, createStorageAdapter, getStorageAdapterId, setStorageAdapterId } from './storageAdapters';
+import { deal } from './__fixtures__/transactions';
+
+jest.mock('./googleSheetsService');
+
+const flushPromises = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+beforeEach(() => localStorage.clear());
+
+describe.each([
+  ['memory', () => createMemoryAdapter()],
+  ['localStorage', () => createLocalStorageAdapter()],
+])('%s adapter', (name, createAdapter) => {
+  test('puts, lists, gets and deletes transactions by ID', async () => {
+    const adapter = createAdapter();
+    await adapter.put([deal('a'), deal('b')]);
+    await adapter.put(deal('c'));
+
+    expect((await adapter.list()).map(t => t.id)).toEqual(['a', 'b', 'c']);
+    expect(await adapter.get('b')).toEqual(deal('b'));
+    expect(await adapter.get('missing')).toBeNull();
+
+    await adapter.delete(['a', 'missing']);
+    await adapter.delete('c');
+    expect(await adapter.list()).toEqual([deal('b')]);
+  });
+
+  test('put replaces a transaction in place', async () => {
+    const adapter = createAdapter();
+    await adapter.put([deal('a'), deal('b')]);
+    await adapter.put(deal('a', { nci: 9000 }));
+
+    expect(await adapter.list()).toEqual([deal('a', { nci: 9000 }), deal('b')]);
+  });
+
+  test('tells subscribers about changes until they unsubscribe', async () => {
+    const adapter = createAdapter();
+    const listener = jest.fn();
+    const unsubscribe = adapter.subscribe(listener);
+
+    await adapter.put(deal('a'));
+    unsubscribe();
+    await adapter.delete('a');
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(await adapter.isAvailable()).toBe(true);
+  });
+
+  test('needs no sign-in', async () => {
+    const adapter = createAdapter();
+    await adapter.connect();
+    await adapter.disconnect();
+
+    expect(await adapter.init()).toBe(true);
+    expect(typeof adapter.onConnect(jest.fn())).toBe('function');
+  });
+});
+
+test('the localStorage adapter reads what other tabs saved', async () => {
+  localStorage.setItem('realEstateTransactions', JSON.stringify([deal('a')]));
+  const adapter = createLocalStorageAdapter();
+  const listener = jest.fn();
+  adapter.subscribe(listener);
+
+  window.dispatchEvent(new StorageEvent('storage', { key: 'realEstateTransactions' }));
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(await adapter.list()).toEqual([deal('a')]);
+});
+
+describe('Google Sheets adapter', () => {
+  beforeEach(() => jest.resetAllMocks());
+
+  test('writes rows through syncTransactionChanges', async () => {
+    const adapter = createGoogleSheetsAdapter();
+    await adapter.put(deal('a'));
+    await adapter.delete(['b']);
+
+    expect(GoogleSheetsService.syncTransactionChanges.mock.calls).toEqual([
+      [{ updated: [deal('a')] }],
+      [{ deleted: ['b'] }],
+    ]);
+  });
+
+  test('reports a failed sign-in with its error', () => {
+    const listener = jest.fn();
+    const stop = createGoogleSheetsAdapter().onConnect(listener);
+    window.dispatchEvent(new CustomEvent('googleAuthError', { detail: { error: 'Google sign-in failed: access_denied' } }));
+    stop();
+
+    expect(listener.mock.calls).toEqual([[{ error: 'Google sign-in failed: access_denied' }]]);
+  });
+
+  test('signs in through the service and reports sign-ins and renewed sessions', async () => {
+    GoogleSheetsService.hasValidToken.mockReturnValue(true);
+    const adapter = createGoogleSheetsAdapter();
+    expect(await adapter.init()).toBe(true);
+    expect(GoogleSheetsService.initialize).toHaveBeenCalled();
+
+    const listener = jest.fn();
+    const stop = adapter.onConnect(listener);
+    window.dispatchEvent(new CustomEvent('googleAuthSuccess'));
+    window.dispatchEvent(new CustomEvent('googleTokenRefreshed'));
+    stop();
+    window.dispatchEvent(new CustomEvent('googleAuthSuccess'));
+
+    expect(listener.mock.calls).toEqual([[{ signIn: true }], [{ signIn: false }]]);
+  });
+
+  test('subscribers hear about a new checksum, not the first or an unchanged one', async () => {
+    jest.useFakeTimers();
+    GoogleSheetsService.getSheetChecksum
+      .mockResolvedValueOnce('1') // When subscribing
+      .mockResolvedValueOnce('1')
+      .mockResolvedValueOnce('2');
+    const listener = jest.fn();
+    const unsubscribe = createGoogleSheetsAdapter({ pollMinutes: 1 }).subscribe(listener);
+    await flushPromises();
+    expect(listener).not.toHaveBeenCalled();
+
+    for (let i = 0; i < 2; i++) {
+      jest.advanceTimersByTime(60 * 1000);
+      await flushPromises();
+    }
+    unsubscribe();
+    jest.useRealTimers();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(GoogleSheetsService.getSheetChecksum).toHaveBeenCalledTimes(3);
+  });
+
+  test('a read-only list does not write IDs to the sheet', async () => {
+    const adapter = createGoogleSheetsAdapter();
+    await adapter.list({ readOnly: true });
+    await adapter.list();
+
+    expect(GoogleSheetsService.readTransactions.mock.calls).toEqual([[{ writeIds: false }], [{ writeIds: true }]]);
+  });
+});
+
+describe('storage setting', () => {
+  test('comes from the old Google Sheets switch until one is picked', () => {
+    expect(getStorageAdapterId()).toBe('local');
+    localStorage.setItem('googleSheetsEnabled', 'true');
+    expect(getStorageAdapterId()).toBe('googleSheets');
+
+    setStorageAdapterId('local');
+    expect(getStorageAdapterId()).toBe('local');
+  });
+
+  test('adapters carry their ID and name for messages', () => {
+    expect(createStorageAdapter('googleSheets')).toMatchObject({ id: 'googleSheets', name: 'Google Sheets' });
+  });
+
+  test('unknown adapters fall back to this browser', async () => {
+    const adapter = createStorageAdapter('dropbox');
+    expect(adapter.id).toBe('local');
+    await adapter.put(deal('a'));
+    expect(JSON.parse(localStorage.getItem('realEstateTransactions'))).toEqual([deal('a')]);
+  });
+});
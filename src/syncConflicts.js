@@ -0,0 +1,300 @@
+/**
+ * Sync Conflicts
+ *
+ * Change tracking between the dashboard and the spreadsheet.
+ *
+ * After every sync the hash of each transaction's sheet row and Details
+ * (everything but `updatedAt`) is kept as the sync base. On the next sync
+ * a row whose dashboard hash moved was edited here, one whose sheet hash
+ * moved was edited in Sheets. Edits on one side win; edits on both sides
+ * (to different values) are conflicts, merged field by field by the user
+ * before anything is written.
+ *
+ * Until the first tracked sync there is no base, and the sheet is taken
+ * as is.
+ *
+ * getSheetChanges() lists what changed in Sheets alone, row by row, for
+ * review before a background pull replaces the dashboard's data.
+ *
+ * @version 1.0.0
+ */
+
+import { SHEET_COLUMNS, toDetails } from './sheetColumns';
+import { normalizeMoneyFields } from './money';
+
+const STORAGE_KEY = 'sheetSyncBase';
+
+// Columns compared and merged (derived columns follow the rest, IDs already match)
+export const MERGE_COLUMNS = SHEET_COLUMNS.filter(column => !column.derived && column.field !== 'id');
+
+// Details fields that change on every save without changing the deal
+const UNTRACKED_FIELDS = ['updatedAt'];
+
+/**
+ * Sheet value of a column, compared the same whichever side it came from
+ * ("3" and 3 are the same commission %)
+ */
+function getCellText(column, transaction) {
+  const text = String(column.toSheet(transaction) ?? '').trim();
+  const number = Number(text);
+  return text !== '' && !isNaN(number) ? String(number) : text;
+}
+
+/**
+ * Details fields of a transaction as text, by field (amounts as numbers)
+ */
+function getDetailTexts(transaction) {
+  const details = normalizeMoneyFields(toDetails(transaction));
+  return Object.fromEntries(Object.keys(details)
+    .filter(field => !UNTRACKED_FIELDS.includes(field) && details[field] !== undefined)
+    .sort()
+    .map(field => [field, typeof details[field] === 'object' ? JSON.stringify(details[field]) : String(details[field] ?? '')]));
+}
+
+/**
+ * Hash of a text (32-bit FNV-1a, hex)
+ */
+export function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Hash of a transaction's sheet row and Details
+ */
+export function getRowHash(transaction) {
+  return hashText(JSON.stringify([
+    MERGE_COLUMNS.map(column => getCellText(column, transaction)),
+    Object.entries(getDetailTexts(transaction)),
+  ]));
+}
+
+/**
+ * Row hashes as of the last sync (null before the first one)
+ *
+ * @returns {Object<string, string>|null} Transaction ID → row hash
+ */
+export function loadSyncBase() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+  } catch (error) {
+    console.error('❌ Invalid sync base, starting over:', error);
+    return null;
+  }
+}
+
+/**
+ * Record the transactions as synced
+ */
+export function saveSyncBase(transactions) {
+  const base = Object.fromEntries(transactions.map(t => [t.id, getRowHash(t)]));
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(base));
+  return base;
+}
+
+/**
+ * Record rows written on their own (replayed from the outbox) as synced
+ *
+ * Nothing is recorded before the first tracked sync, which still takes
+ * the sheet as is.
+ *
+ * @param {{ added?: Array, updated?: Array, deleted?: Array<string> }} changes
+ */
+export function updateSyncBase({ added = [], updated = [], deleted = [] }) {
+  const base = loadSyncBase();
+  if (!base) return null;
+
+  [...added, ...updated].forEach(t => { base[t.id] = getRowHash(t); });
+  deleted.forEach(id => { delete base[id]; });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(base));
+  return base;
+}
+
+/**
+ * Forget the sync base (signing out, switching spreadsheets)
+ */
+export function clearSyncBase() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+/**
+ * Fields that differ between the dashboard and sheet versions of a row
+ *
+ * @returns {Array<{ field: string, header: string, column: string, local: string, remote: string }>}
+ */
+export function getMergeFields(local, remote) {
+  const columns = MERGE_COLUMNS.map(column => ({
+    field: column.field,
+    header: column.header,
+    column: column.column,
+    local: getCellText(column, local),
+    remote: getCellText(column, remote),
+  }));
+
+  const localDetails = getDetailTexts(local);
+  const remoteDetails = getDetailTexts(remote);
+  const details = [...new Set([...Object.keys(localDetails), ...Object.keys(remoteDetails)])].map(field => ({
+    field,
+    header: field,
+    column: 'Details',
+    local: localDetails[field] ?? '',
+    remote: remoteDetails[field] ?? '',
+  }));
+
+  return [...columns, ...details].filter(item => item.local !== item.remote);
+}
+
+/**
+ * Reconcile the dashboard's transactions with the sheet's
+ *
+ * @param {Object} options
+ * @param {Array} options.local - Transactions in the dashboard
+ * @param {Array} options.remote - Transactions read from the sheet
+ * @param {Object|null} options.base - loadSyncBase()
+ * @returns {{
+ *   transactions: Array,
+ *   changes: { added: Array, updated: Array, deleted: Array<string> },
+ *   conflicts: Array<{ id: string, local: Object, remote: Object, fields: Array }>
+ * }} Transactions to keep (conflicts hold the dashboard version), rows to
+ *   write to the sheet, and rows edited on both sides
+ */
+export function reconcileTransactions({ local, remote, base }) {
+  const changes = { added: [], updated: [], deleted: [] };
+  const conflicts = [];
+
+  if (!base) {
+    return { transactions: remote, changes, conflicts };
+  }
+
+  const remoteById = new Map(remote.map(t => [t.id, t]));
+  const localIds = new Set(local.map(t => t.id));
+  const transactions = [];
+
+  local.forEach(mine => {
+    const theirs = remoteById.get(mine.id);
+    const baseHash = base[mine.id];
+    const mineHash = getRowHash(mine);
+
+    if (!theirs) {
+      // New here, or deleted in Sheets after being edited here: keep it
+      if (baseHash === undefined || mineHash !== baseHash) {
+        transactions.push(mine);
+        changes.added.push(mine);
+      }
+      // Otherwise deleted in Sheets
+      return;
+    }
+
+    const theirHash = getRowHash(theirs);
+    if (mineHash === theirHash) {
+      transactions.push(mine);
+    } else if (mineHash !== baseHash && theirHash !== baseHash) {
+      transactions.push(mine);
+      conflicts.push({ id: mine.id, local: mine, remote: theirs, fields: getMergeFields(mine, theirs) });
+    } else if (mineHash !== baseHash) {
+      transactions.push(mine);
+      changes.updated.push(mine);
+    } else {
+      transactions.push(theirs);
+    }
+  });
+
+  remote.filter(theirs => !localIds.has(theirs.id)).forEach(theirs => {
+    const baseHash = base[theirs.id];
+    // New in Sheets, or deleted here after being edited in Sheets: keep it
+    if (baseHash === undefined || getRowHash(theirs) !== baseHash) {
+      transactions.push(theirs);
+    } else {
+      changes.deleted.push(theirs.id);
+    }
+  });
+
+  return { transactions, changes, conflicts };
+}
+
+/**
+ * Rows changed in Sheets since the last sync (since the dashboard's data
+ * before the first one), for review before pulling them
+ *
+ * Rows the dashboard already matches are left out.
+ *
+ * @param {Object} options
+ * @param {Array} options.local - Transactions in the dashboard
+ * @param {Array} options.remote - Transactions read from the sheet
+ * @param {Object|null} options.base - loadSyncBase()
+ * @returns {Array<{ id: string, type: 'added' | 'changed' | 'removed', local: Object|null, remote: Object|null, fields: Array }>}
+ *   One entry per row; fields (getMergeFields) for changed rows
+ */
+export function getSheetChanges({ local, remote, base }) {
+  const localById = new Map(local.map(t => [t.id, t]));
+  const remoteIds = new Set(remote.map(t => t.id));
+  const syncedHash = id => (base ? base[id] : localById.has(id) ? getRowHash(localById.get(id)) : undefined);
+  const changes = [];
+
+  remote.forEach(theirs => {
+    const mine = localById.get(theirs.id) || null;
+    const theirHash = getRowHash(theirs);
+    if (theirHash === syncedHash(theirs.id) || (mine && theirHash === getRowHash(mine))) return;
+
+    changes.push({
+      id: theirs.id,
+      type: mine ? 'changed' : 'added',
+      local: mine,
+      remote: theirs,
+      fields: mine ? getMergeFields(mine, theirs) : [],
+    });
+  });
+
+  local
+    .filter(mine => !remoteIds.has(mine.id) && syncedHash(mine.id) === getRowHash(mine)) // Not edited here since
+    .forEach(mine => changes.push({ id: mine.id, type: 'removed', local: mine, remote: null, fields: [] }));
+
+  return changes;
+}
+
+/**
+ * Merged transaction from a conflict and the version picked per field
+ *
+ * Fields are picked one by one, so calculated fields (GCI, fees, NCI,
+ * payouts) are then worked out again from the merged inputs - a sheet
+ * price never sits next to the dashboard's NCI. Overridden fields keep the
+ * picked value, as they do in the form.
+ *
+ * @param {Object} conflict - One of reconcileTransactions().conflicts
+ * @param {Object<string, 'local'|'remote'>} choices - Field → version (dashboard by default)
+ * @param {Function} [calculate] - Transaction => calculated fields (calculateTransaction)
+ */
+export function mergeConflict({ local, remote, fields }, choices = {}, calculate = null) {
+  const merged = fields.reduce((result, { field }) => {
+    if (choices[field] !== 'remote') return result;
+    // Dual agency deals keep their listing side inputs in `sides`
+    const listing = result.sides && result.sides.listing;
+    return {
+      ...result,
+      [field]: remote[field],
+      ...(listing && field in listing && { sides: { ...result.sides, listing: { ...listing, [field]: remote[field] } } }),
+    };
+  }, { ...local, updatedAt: new Date().toISOString() });
+
+  return calculate ? normalizeMoneyFields({ ...merged, ...calculate(merged) }) : merged;
+}
+
+const SyncConflicts = {
+  MERGE_COLUMNS,
+  hashText,
+  getRowHash,
+  loadSyncBase,
+  saveSyncBase,
+  updateSyncBase,
+  clearSyncBase,
+  getMergeFields,
+  reconcileTransactions,
+  getSheetChanges,
+  mergeConflict,
+};
+
+export default SyncConflicts;
@@ -0,0 +1,133 @@
+import { getRowHash, getMergeFields, reconcileTransactions, getSheetChanges, mergeConflict } from './syncConflicts';
+import { calculateTransaction } from './commissionCalculator';
+import { deal } from './__fixtures__/transactions';
+
+const baseOf = transactions => Object.fromEntries(transactions.map(t => [t.id, getRowHash(t)]));
+
+describe('getRowHash', () => {
+  test('matches however a value was typed', () => {
+    expect(getRowHash(deal('a', { commissionPct: '2.5', closedPrice: '500000.00' }))).toBe(getRowHash(deal('a')));
+  });
+
+  test('changes with a sheet column or Details field but not with the save time', () => {
+    expect(getRowHash(deal('a', { nci: 9000 }))).not.toBe(getRowHash(deal('a')));
+    expect(getRowHash(deal('a', { notes: 'Call back' }))).not.toBe(getRowHash(deal('a')));
+    expect(getRowHash(deal('a', { updatedAt: '2026-01-02T00:00:00.000Z' }))).toBe(getRowHash(deal('a')));
+  });
+});
+
+describe('reconcileTransactions', () => {
+  const synced = [deal('a'), deal('b'), deal('c')];
+  const base = baseOf(synced);
+
+  test('takes the sheet as is before the first tracked sync', () => {
+    const remote = [deal('a', { nci: 9000 })];
+    const result = reconcileTransactions({ local: synced, remote, base: null });
+    expect(result.transactions).toBe(remote);
+    expect(result.changes).toEqual({ added: [], updated: [], deleted: [] });
+  });
+
+  test('writes dashboard edits and takes sheet edits', () => {
+    const local = [deal('a', { nci: 9000 }), deal('b'), deal('c')];
+    const remote = [deal('a'), deal('b', { city: 'Indio' }), deal('c')];
+    const result = reconcileTransactions({ local, remote, base });
+
+    expect(result.conflicts).toEqual([]);
+    expect(result.changes.updated.map(t => t.id)).toEqual(['a']);
+    expect(result.transactions.map(t => [t.id, t.nci, t.city])).toEqual([
+      ['a', 9000, 'Palm Desert'],
+      ['b', 10000, 'Indio'],
+      ['c', 10000, 'Palm Desert'],
+    ]);
+  });
+
+  test('adds and deletes rows on the side that did not change them', () => {
+    const local = [deal('a'), deal('b'), deal('d')]; // c deleted, d added here
+    const remote = [deal('b'), deal('c'), deal('e')]; // a deleted, e added in Sheets
+    const result = reconcileTransactions({ local, remote, base });
+
+    expect(result.changes.added.map(t => t.id)).toEqual(['d']);
+    expect(result.changes.deleted).toEqual(['c']);
+    expect(result.transactions.map(t => t.id)).toEqual(['b', 'd', 'e']);
+  });
+
+  test('rows edited on both sides are conflicts and are not written', () => {
+    const local = [deal('a', { nci: 9000, city: 'Indio' }), deal('b'), deal('c')];
+    const remote = [deal('a', { nci: 9500 }), deal('b'), deal('c')];
+    const result = reconcileTransactions({ local, remote, base });
+
+    expect(result.changes).toEqual({ added: [], updated: [], deleted: [] });
+    expect(result.conflicts).toHaveLength(1);
+    expect(result.conflicts[0].fields.map(item => [item.field, item.local, item.remote])).toEqual([
+      ['city', 'Indio', 'Palm Desert'],
+      ['nci', '9000', '9500'],
+    ]);
+  });
+
+  test('the same edit on both sides is not a conflict', () => {
+    const local = [deal('a', { nci: 9000 }), deal('b'), deal('c')];
+    const remote = [deal('a', { nci: '9000' }), deal('b'), deal('c')];
+    const result = reconcileTransactions({ local, remote, base });
+    expect(result.conflicts).toEqual([]);
+    expect(result.changes.updated).toEqual([]);
+  });
+});
+
+describe('getSheetChanges', () => {
+  const synced = [deal('a'), deal('b'), deal('c')];
+  const base = baseOf(synced);
+
+  test('lists rows added, edited and deleted in Sheets since the last sync', () => {
+    const remote = [deal('a', { nci: 9500 }), deal('b'), deal('d')];
+    const changes = getSheetChanges({ local: synced, remote, base });
+
+    expect(changes.map(change => [change.type, change.id])).toEqual([
+      ['changed', 'a'],
+      ['added', 'd'],
+      ['removed', 'c'],
+    ]);
+    expect(changes[0].fields.map(item => [item.field, item.local, item.remote])).toEqual([['nci', '10000', '9500']]);
+  });
+
+  test('leaves out dashboard edits the sheet has not seen yet', () => {
+    const local = [deal('a', { nci: 9000 }), deal('b'), deal('c', { notes: 'Keep' }), deal('e')];
+    expect(getSheetChanges({ local, remote: [deal('a'), deal('b')], base })).toEqual([]);
+  });
+
+  test('compares with the dashboard before the first tracked sync', () => {
+    const changes = getSheetChanges({ local: synced, remote: [deal('a'), deal('b', { city: 'Indio' })], base: null });
+    expect(changes.map(change => [change.type, change.id])).toEqual([['changed', 'b'], ['removed', 'c']]);
+  });
+});
+
+describe('mergeConflict', () => {
+  test('takes the picked version of each field, the dashboard one by default', () => {
+    const local = deal('a', { nci: 9000, city: 'Indio', notes: 'Keep me' });
+    const remote = deal('a', { nci: 9500 });
+    const merged = mergeConflict({ local, remote, fields: getMergeFields(local, remote) }, { nci: 'remote' });
+
+    expect(merged.nci).toBe(9500);
+    expect(merged.city).toBe('Indio');
+    expect(merged.notes).toBe('Keep me');
+  });
+
+  test('works the calculated fields out again from the merged inputs', () => {
+    const payouts = [{ id: 'tcFee', category: 'tc', label: 'TC Fee', type: 'amount', value: '500' }];
+    const local = { ...deal('a', { city: 'Indio', payouts, overrides: [] }), ...calculateTransaction(deal('a', { payouts, overrides: [] })) };
+    const remote = { ...deal('a', { closedPrice: 600000, payouts, overrides: [] }), ...calculateTransaction(deal('a', { closedPrice: 600000, payouts, overrides: [] })) };
+    const conflict = { local, remote, fields: getMergeFields(local, remote) };
+
+    const merged = mergeConflict(conflict, { closedPrice: 'remote' }, calculateTransaction);
+    expect([merged.closedPrice, merged.city, merged.gci]).toEqual([600000, 'Indio', 15000]);
+    expect(merged.nci).toBe(remote.nci);
+    expect(merged.netAfterPayouts).toBe(remote.nci - 500);
+  });
+
+  test('keeps a picked calculated field the sheet overrode', () => {
+    const local = deal('a', { overrides: [] });
+    const remote = deal('a', { nci: 9500, overrides: ['nci'] });
+    const merged = mergeConflict({ local, remote, fields: getMergeFields(local, remote) }, { nci: 'remote', overrides: 'remote' }, calculateTransaction);
+    expect(merged.nci).toBe(9500);
+    expect(merged.gci).toBe(12500);
+  });
+});
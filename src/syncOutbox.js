@@ -0,0 +1,144 @@
+/**
+ * Sync Outbox
+ *
+ * Dashboard changes waiting to be written to Google Sheets. Every change
+ * is queued in localStorage before it is sent and leaves the queue only
+ * once the sheet has it, so changes made offline, with an expired session
+ * or during an outage survive a reload and are replayed in order when the
+ * dashboard is back online or signed in again.
+ *
+ * Item: { id, type: 'add' | 'update' | 'delete', transactionId,
+ *         transaction, queuedAt, attempts, lastError }
+ *
+ * @version 1.0.0
+ */
+
+import { getRowHash } from './syncConflicts';
+
+const STORAGE_KEY = 'sheetSyncOutbox';
+const SEQUENCE_KEY = 'sheetSyncOutboxSequence'; // Last item number handed out
+
+// Failed tries before an item is shown as stuck
+export const MAX_ATTEMPTS = 3;
+
+/**
+ * Changes from one list of transactions to the next
+ *
+ * @returns {Array<{ type: string, transactionId: string, transaction: Object|null }>}
+ */
+export function getMutations(before, after) {
+  const beforeById = new Map(before.map(t => [String(t.id), t]));
+  const afterIds = new Set(after.map(t => String(t.id)));
+  const mutations = [];
+
+  after.forEach(transaction => {
+    const previous = beforeById.get(String(transaction.id));
+    if (!previous) {
+      mutations.push({ type: 'add', transactionId: String(transaction.id), transaction });
+    } else if (getRowHash(previous) !== getRowHash(transaction)) {
+      mutations.push({ type: 'update', transactionId: String(transaction.id), transaction });
+    }
+  });
+  before.filter(t => !afterIds.has(String(t.id))).forEach(transaction => {
+    mutations.push({ type: 'delete', transactionId: String(transaction.id), transaction: null });
+  });
+
+  return mutations;
+}
+
+/**
+ * Queued changes, oldest first
+ */
+export function loadOutbox() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('❌ Invalid sync outbox, starting over:', error);
+    return [];
+  }
+}
+
+function saveOutbox(outbox) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(outbox));
+  return outbox;
+}
+
+/**
+ * Add changes to the end of the queue
+ */
+export function enqueueMutations(mutations) {
+  const now = Date.now();
+  // Numbered from a counter kept with the queue, never reused, so IDs stay
+  // unique within one millisecond and after items leave the queue
+  const sequence = parseInt(localStorage.getItem(SEQUENCE_KEY) || '0', 10) || 0;
+  localStorage.setItem(SEQUENCE_KEY, String(sequence + mutations.length));
+  return saveOutbox([
+    ...loadOutbox(),
+    ...mutations.map((mutation, index) => ({
+      id: `outbox-${now}-${sequence + index + 1}`,
+      ...mutation,
+      queuedAt: new Date(now).toISOString(),
+      attempts: 0,
+      lastError: null,
+    })),
+  ]);
+}
+
+/**
+ * Take a change off the queue once the sheet has it
+ */
+export function removeFromOutbox(itemId) {
+  return saveOutbox(loadOutbox().filter(item => item.id !== itemId));
+}
+
+/**
+ * Count a failed try of a change (it stays queued)
+ */
+export function recordFailure(itemId, error) {
+  const message = (error && error.result && error.result.error && error.result.error.message)
+    || (error && error.message)
+    || 'Unknown error';
+  return saveOutbox(loadOutbox().map(item => (
+    item.id === itemId ? { ...item, attempts: item.attempts + 1, lastError: message } : item
+  )));
+}
+
+/**
+ * Empty the queue (a full sync wrote or replaced everything in it)
+ */
+export function clearOutbox() {
+  return saveOutbox([]);
+}
+
+/**
+ * Whether a change keeps failing
+ */
+export function isStuck(item) {
+  return item.attempts >= MAX_ATTEMPTS;
+}
+
+/**
+ * syncTransactionChanges() argument for one queued change
+ */
+export function toChanges(item) {
+  return {
+    added: item.type === 'add' ? [item.transaction] : [],
+    updated: item.type === 'update' ? [item.transaction] : [],
+    deleted: item.type === 'delete' ? [item.transactionId] : [],
+  };
+}
+
+const SyncOutbox = {
+  MAX_ATTEMPTS,
+  getMutations,
+  loadOutbox,
+  enqueueMutations,
+  removeFromOutbox,
+  recordFailure,
+  clearOutbox,
+  isStuck,
+  toChanges,
+};
+
+export default SyncOutbox;
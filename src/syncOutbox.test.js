@@ -0,0 +1,58 @@
+import { getMutations, loadOutbox, enqueueMutations, removeFromOutbox, recordFailure, clearOutbox, isStuck, toChanges, MAX_ATTEMPTS } from './syncOutbox';
+import { deal } from './__fixtures__/transactions';
+
+beforeEach(() => clearOutbox());
+
+describe('getMutations', () => {
+  test('finds added, edited and deleted transactions', () => {
+    const before = [deal('a'), deal('b'), deal('c')];
+    const after = [deal('a'), deal('b', { nci: 9000 }), deal('d')];
+    expect(getMutations(before, after).map(m => [m.type, m.transactionId])).toEqual([
+      ['update', 'b'],
+      ['add', 'd'],
+      ['delete', 'c'],
+    ]);
+  });
+
+  test('ignores a save that changed nothing the sheet holds', () => {
+    expect(getMutations([deal('a')], [deal('a', { updatedAt: '2026-01-02T00:00:00.000Z' })])).toEqual([]);
+  });
+});
+
+describe('outbox', () => {
+  test('keeps changes in order until each is sent', () => {
+    enqueueMutations(getMutations([], [deal('a')]));
+    enqueueMutations(getMutations([deal('a')], [deal('a', { nci: 9000 })]));
+
+    const [first, second] = loadOutbox();
+    expect([first.type, second.type]).toEqual(['add', 'update']);
+    expect(toChanges(second)).toEqual({ added: [], updated: [deal('a', { nci: 9000 })], deleted: [] });
+
+    removeFromOutbox(first.id);
+    expect(loadOutbox().map(item => item.id)).toEqual([second.id]);
+  });
+
+  test('never reuses an ID, even after a removal in the same millisecond', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1767225600000);
+    const [first] = enqueueMutations(getMutations([], [deal('a'), deal('b')]));
+    removeFromOutbox(first.id);
+    enqueueMutations(getMutations([], [deal('c')]));
+    Date.now.mockRestore();
+
+    const ids = loadOutbox().map(item => item.id);
+    expect(ids).toHaveLength(2);
+    expect(new Set(ids).size).toBe(2);
+  });
+
+  test('counts failures and marks a change stuck after repeated ones', () => {
+    const [item] = enqueueMutations(getMutations([deal('a')], []));
+    for (let i = 0; i < MAX_ATTEMPTS; i++) {
+      recordFailure(item.id, { result: { error: { message: 'Invalid range' } } });
+    }
+
+    const [failed] = loadOutbox();
+    expect(failed.lastError).toBe('Invalid range');
+    expect(isStuck(failed)).toBe(true);
+    expect(toChanges(failed).deleted).toEqual(['a']);
+  });
+});